@@ -0,0 +1,1012 @@
+#!/usr/bin/env node
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Command line client of the QoS server API, for CI jobs and scripts. Run
+// "qos help" for the commands.
+//
+'use strict';
+
+const async = require('async');
+const fs = require('fs');
+const apiClient = require('../lib/apiClient');
+const exporter = require('../lib/exporter');
+const runSpec = require('../lib/runSpec');
+
+// Exit codes CI can act on.
+const exitCodes = {
+  ok: 0,
+  // A gate failed, or a run or campaign did not finish.
+  failed: 1,
+  usage: 2,
+  // The server could not be reached or answered with an error.
+  error: 3
+};
+
+const booleanOptions = ['json', 'csv', 'values', 'wait', 'insecure', 'help'];
+const finalRunStates = ['finished', 'failed', 'stopped'];
+const finalCampaignStates = ['finished', 'stopped'];
+
+const usage = `Usage: qos <command> [arguments] [options]
+
+Commands:
+  run [--spec file.json] [--codec vp8 --bitrate 500 ...] [--wait]
+                                 queue a test run, wait for it with --wait;
+                                 --participants publisher:1,subscriber:8
+                                 --joinInterval 5 for a multi-party run
+  status [run id]                list the runs or show one
+  output <run id>                print the output of a run
+  stop <run id>                  stop a run
+  campaign <definition.json> [--wait]
+                                 queue a campaign
+  campaigns [campaign id]        list the campaigns or show one
+  results [--level n]            list the result folders
+  records [--codec c] [--bitrate b] [--date d] [--tag t]
+                                 search the indexed results
+  metrics <folder> [--metric m] [--values] [--csv]
+                                 summarize the metrics of a result folder
+  compare <folder> <folder>... [--metric m]
+                                 compare metrics across result folders
+  export <metric> <folder>... [--column c]
+                                 print the values of a metric as CSV
+  gate <folder> [--baseline folder] [--policy file.json | --policy-name n]
+                                 evaluate a quality gate
+  alignment <folder> [--source tags|barcode]
+                                 list the dropped, duplicated and out of
+                                 order frames of a result folder
+  participants <folder>          summarize the participants of a
+                                 multi-party run
+  tokens                         list the API tokens (admin)
+  tokens create <name> --role viewer|operator|admin
+  tokens rotate <token id>
+  tokens revoke <token id>       manage the API tokens (admin)
+  config                         print the server configuration (admin)
+  config reload                  read the configuration file again (admin)
+  help                           print this text
+
+Options:
+  --server url     server address, $QOS_SERVER or https://localhost:4004
+  --id id          service id printed by the server, $QOS_ID
+  --key key        service key printed by the server, $QOS_KEY
+  --ca file        certificate to trust, $QOS_CA
+  --insecure       accept any certificate, $QOS_INSECURE=1
+  --json           print the API responses as JSON
+  --interval s     seconds between status polls of --wait, 5 by default
+
+Exit codes: 0 success, 1 gate failed or run not finished, 2 usage error,
+3 server error.`;
+
+const usageError = function (message) {
+  let err = new Error(message);
+  err.usage = true;
+  return err;
+};
+
+/*
+ * Splits argv into the command, its positional arguments and the options.
+ * Options given more than once become lists.
+ */
+const parseArgs = function (argv) {
+  let positional = [];
+  let options = {};
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    let name = arg.slice(2);
+    let value;
+    let equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    } else if (booleanOptions.indexOf(name) !== -1) {
+      value = true;
+    } else if (i + 1 < argv.length) {
+      value = argv[++i];
+    } else {
+      throw usageError('--' + name + ' needs a value');
+    }
+    options[name] = options[name] === undefined ? value : [].concat(options[
+      name], value);
+  }
+  return {
+    command: positional.shift(),
+    args: positional,
+    options: options
+  };
+};
+
+const list = function (value) {
+  return value === undefined ? [] : [].concat(value);
+};
+
+const readJsonFile = function (file) {
+  try {
+    return JSON.parse(fs.readFileSync(file).toString());
+  } catch (err) {
+    throw usageError('cannot read ' + file + ': ' + err.message);
+  }
+};
+
+const formatValue = function (value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    return String(Number(value.toFixed(3)));
+  }
+  return String(value);
+};
+
+/*
+ * Prints rows as a table. columns is a list of [title, function (row)].
+ */
+const printTable = function (columns, rows) {
+  let cells = rows.map(function (row) {
+    return columns.map(function (column) {
+      return formatValue(column[1](row));
+    });
+  });
+  let titles = columns.map(function (column) {
+    return column[0];
+  });
+  let widths = titles.map(function (title, index) {
+    return cells.reduce(function (width, line) {
+      return Math.max(width, line[index].length);
+    }, title.length);
+  });
+  let format = function (line) {
+    return line.map(function (cell, index) {
+      return cell + ' '.repeat(widths[index] - cell.length);
+    }).join('  ').replace(/\s+$/, '');
+  };
+  console.log(format(titles));
+  console.log(format(widths.map(function (width) {
+    return '-'.repeat(width);
+  })));
+  for (let line of cells) {
+    console.log(format(line));
+  }
+};
+
+const printJson = function (data) {
+  console.log(JSON.stringify(data, null, 2));
+};
+
+const runColumns = [
+  ['ID', function (run) {
+    return run.id;
+  }],
+  ['STATUS', function (run) {
+    return run.status;
+  }],
+  ['CODEC', function (run) {
+    return run.spec && run.spec.codec;
+  }],
+  ['BITRATE', function (run) {
+    return run.spec && run.spec.bitrate;
+  }],
+  ['STARTED', function (run) {
+    return run.startedAt;
+  }],
+  ['FINISHED', function (run) {
+    return run.finishedAt;
+  }],
+  ['EXIT', function (run) {
+    return run.exitCode;
+  }]
+];
+
+const summaryColumns = [
+  ['COUNT', function (row) {
+    return row.summary.count;
+  }],
+  ['MISSING', function (row) {
+    return row.summary.missing;
+  }],
+  ['MEAN', function (row) {
+    return row.summary.mean;
+  }],
+  ['MIN', function (row) {
+    return row.summary.min;
+  }],
+  ['P50', function (row) {
+    return row.summary.p50;
+  }],
+  ['P95', function (row) {
+    return row.summary.p95;
+  }],
+  ['MAX', function (row) {
+    return row.summary.max;
+  }],
+  ['STDDEV', function (row) {
+    return row.summary.stddev;
+  }]
+];
+
+/*
+ * One row per metric, or per column of metrics with several columns.
+ */
+const summaryRows = function (metric, extra) {
+  let columns = metric.columns || [null];
+  return columns.map(function (column) {
+    return Object.assign({
+      metric: column ? metric.metric + '.' + column : metric.metric,
+      unit: metric.unit,
+      summary: column ? metric.summary[column] : metric.summary,
+      values: column ? metric.values[column] : metric.values
+    }, extra);
+  });
+};
+
+const allSummaryRows = function (metrics) {
+  return metrics.reduce(function (rows, metric) {
+    return rows.concat(summaryRows(metric));
+  }, []);
+};
+
+const printCsv = function (metric) {
+  let rows = summaryRows(metric);
+  console.log(['frame'].concat(rows.map(function (row) {
+    return row.metric;
+  })).join(','));
+  let length = rows.reduce(function (max, row) {
+    return Math.max(max, row.values.length);
+  }, 0);
+  for (let i = 0; i < length; i++) {
+    console.log([i].concat(rows.map(function (row) {
+      let value = row.values[i];
+      return value === null || value === undefined ? '' : value;
+    })).join(','));
+  }
+};
+
+const encode = encodeURIComponent;
+
+const commands = {};
+
+commands.help = function (client, args, options, done) {
+  console.log(usage);
+  done(null, exitCodes.ok);
+};
+
+const waitFor = function (poll, isFinal, options, callback) {
+  let interval = parseFloat(options.interval || 5) * 1000;
+  let check = function () {
+    poll(function (err, data) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      if (isFinal(data)) {
+        callback(null, data);
+        return;
+      }
+      setTimeout(check, interval);
+    });
+  };
+  check();
+};
+
+commands.run = function (client, args, options, done) {
+  let spec = options.spec ? readJsonFile(options.spec) : {};
+  for (let name of Object.keys(runSpec.schema)) {
+    if (options[name] !== undefined) {
+      spec[name] = options[name];
+    }
+  }
+  client.post('/runs', spec, function (err, run) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (!options.wait) {
+      options.json ? printJson(run) : printTable(runColumns, [run]);
+      done(null, exitCodes.ok);
+      return;
+    }
+    console.error('run ' + run.id + ' ' + run.status);
+    waitFor(function (callback) {
+      client.get('/runs/' + encode(run.id), callback);
+    }, function (current) {
+      return finalRunStates.indexOf(current.status) !== -1;
+    }, options, function (err, finished) {
+      if (err) {
+        done(err);
+        return;
+      }
+      options.json ? printJson(finished) : printTable(runColumns, [finished]);
+      done(null, finished.status === 'finished' ? exitCodes.ok :
+        exitCodes.failed);
+    });
+  });
+};
+
+commands.status = function (client, args, options, done) {
+  let path = args.length ? '/runs/' + encode(args[0]) : '/runs';
+  client.get(path, function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    options.json ? printJson(data) : printTable(runColumns, data.runs || [
+      data
+    ]);
+    done(null, exitCodes.ok);
+  });
+};
+
+commands.output = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('output needs a run id');
+  }
+  client.get('/runs/' + encode(args[0]) + '/output', function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json) {
+      printJson(data);
+    } else {
+      process.stdout.write(data.stdout || '');
+      process.stderr.write(data.stderr || '');
+    }
+    done(null, exitCodes.ok);
+  });
+};
+
+commands.stop = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('stop needs a run id');
+  }
+  client.post('/runs/' + encode(args[0]) + '/stop', {}, function (err, run) {
+    if (err) {
+      done(err);
+      return;
+    }
+    options.json ? printJson(run) : printTable(runColumns, [run]);
+    done(null, exitCodes.ok);
+  });
+};
+
+const campaignColumns = [
+  ['ID', function (campaign) {
+    return campaign.id;
+  }],
+  ['NAME', function (campaign) {
+    return campaign.name;
+  }],
+  ['STATUS', function (campaign) {
+    return campaign.status;
+  }],
+  ['STARTED', function (campaign) {
+    return campaign.startedAt;
+  }],
+  ['FINISHED', function (campaign) {
+    return campaign.finishedAt;
+  }]
+];
+
+const itemColumns = [
+  ['ITEM', function (item) {
+    return item.label;
+  }],
+  ['STATUS', function (item) {
+    return item.status;
+  }],
+  ['RUN', function (item) {
+    return item.runId;
+  }],
+  ['FOLDER', function (item) {
+    return item.folder;
+  }]
+];
+
+const printCampaign = function (campaign) {
+  printTable(campaignColumns, [campaign]);
+  if (campaign.items) {
+    console.log('');
+    printTable(itemColumns, campaign.items);
+  }
+};
+
+commands.campaign = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('campaign needs a definition file');
+  }
+  client.post('/campaigns', readJsonFile(args[0]), function (err, campaign) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (!options.wait) {
+      options.json ? printJson(campaign) : printCampaign(campaign);
+      done(null, exitCodes.ok);
+      return;
+    }
+    console.error('campaign ' + campaign.id + ' ' + campaign.status);
+    waitFor(function (callback) {
+      client.get('/campaigns/' + encode(campaign.id), callback);
+    }, function (current) {
+      return finalCampaignStates.indexOf(current.status) !== -1;
+    }, options, function (err, finished) {
+      if (err) {
+        done(err);
+        return;
+      }
+      options.json ? printJson(finished) : printCampaign(finished);
+      let complete = finished.status === 'finished' && finished.items.every(
+        function (item) {
+          return item.status === 'finished';
+        });
+      done(null, complete ? exitCodes.ok : exitCodes.failed);
+    });
+  });
+};
+
+commands.campaigns = function (client, args, options, done) {
+  let path = args.length ? '/campaigns/' + encode(args[0]) : '/campaigns';
+  client.get(path, function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json) {
+      printJson(data);
+    } else if (data.campaigns) {
+      printTable(campaignColumns, data.campaigns);
+    } else {
+      printCampaign(data);
+    }
+    done(null, exitCodes.ok);
+  });
+};
+
+commands.results = function (client, args, options, done) {
+  let path = '/results' + (options.level === undefined ? '' : '?level=' +
+    encode(options.level));
+  client.get(path, function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    options.json ? printJson(data) : printTable([
+      ['FOLDER', function (result) {
+        return result.folder;
+      }],
+      ['METRICS', function (result) {
+        return result.metrics.join(' ');
+      }]
+    ], data.results);
+    done(null, exitCodes.ok);
+  });
+};
+
+commands.records = function (client, args, options, done) {
+  let query = ['codec', 'bitrate', 'date', 'tag', 'campaignId', 'runId',
+    'folder'
+  ].filter(function (name) {
+    return options[name] !== undefined;
+  }).map(function (name) {
+    return name + '=' + encode(options[name]);
+  }).join('&');
+  client.get('/records' + (query ? '?' + query : ''), function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    options.json ? printJson(data) : printTable([
+      ['ID', function (record) {
+        return record.id;
+      }],
+      ['FOLDER', function (record) {
+        return record.folder;
+      }],
+      ['DATE', function (record) {
+        return record.date;
+      }],
+      ['CODEC', function (record) {
+        return record.spec.codec;
+      }],
+      ['BITRATE', function (record) {
+        return record.spec.bitrate;
+      }],
+      ['TAGS', function (record) {
+        return record.tags.join(' ');
+      }]
+    ], data.records);
+    done(null, exitCodes.ok);
+  });
+};
+
+const readMetrics = function (client, folder, metrics, callback) {
+  async.mapSeries(metrics, function (metric, next) {
+    client.get('/results/' + encode(folder) + '/metrics/' + encode(metric),
+      next);
+  }, callback);
+};
+
+commands.metrics = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('metrics needs a result folder');
+  }
+  let folder = args[0];
+  let withMetrics = function (callback) {
+    if (options.metric !== undefined) {
+      callback(null, list(options.metric));
+      return;
+    }
+    client.get('/results/' + encode(folder), function (err, result) {
+      callback(err, result && result.metrics);
+    });
+  };
+  withMetrics(function (err, metrics) {
+    if (err) {
+      done(err);
+      return;
+    }
+    readMetrics(client, folder, metrics, function (err, results) {
+      if (err) {
+        done(err);
+        return;
+      }
+      if (options.json) {
+        printJson(results);
+      } else if (options.csv) {
+        results.forEach(printCsv);
+      } else if (options.values) {
+        for (let row of allSummaryRows(results)) {
+          console.log(row.metric + ': ' + row.values.map(formatValue)
+            .join(' '));
+        }
+      } else {
+        printTable([
+          ['METRIC', function (row) {
+            return row.metric;
+          }],
+          ['UNIT', function (row) {
+            return row.unit;
+          }]
+        ].concat(summaryColumns), allSummaryRows(results));
+      }
+      done(null, exitCodes.ok);
+    });
+  });
+};
+
+commands.compare = function (client, args, options, done) {
+  if (args.length < 2) {
+    throw usageError('compare needs at least two result folders');
+  }
+  let withMetrics = function (callback) {
+    if (options.metric !== undefined) {
+      callback(null, list(options.metric));
+      return;
+    }
+    // Metrics every folder has.
+    async.mapSeries(args, function (folder, next) {
+      client.get('/results/' + encode(folder), next);
+    }, function (err, results) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, results[0].metrics.filter(function (metric) {
+        return results.every(function (result) {
+          return result.metrics.indexOf(metric) !== -1;
+        });
+      }));
+    });
+  };
+  withMetrics(function (err, metrics) {
+    if (err) {
+      done(err);
+      return;
+    }
+    async.mapSeries(metrics, function (metric, next) {
+      client.get('/metrics/' + encode(metric) + '?' + args.map(function (
+        folder) {
+        return 'folder=' + encode(folder);
+      }).join('&'), next);
+    }, function (err, comparisons) {
+      if (err) {
+        done(err);
+        return;
+      }
+      if (options.json) {
+        printJson(comparisons);
+        done(null, exitCodes.ok);
+        return;
+      }
+      let rows = [];
+      for (let comparison of comparisons) {
+        let first = {};
+        comparison.series.forEach(function (series, index) {
+          let metric = Object.assign({
+            metric: comparison.metric,
+            unit: comparison.unit,
+            columns: comparison.columns
+          }, series);
+          let extra = {
+            folder: series.folder
+          };
+          for (let row of summaryRows(metric, extra)) {
+            if (index === 0) {
+              first[row.metric] = row.summary.mean;
+            }
+            let base = first[row.metric];
+            row.change = base ? (row.summary.mean - base) * 100 /
+              Math.abs(base) : null;
+            rows.push(row);
+          }
+        });
+      }
+      printTable([
+        ['METRIC', function (row) {
+          return row.metric;
+        }],
+        ['FOLDER', function (row) {
+          return row.folder;
+        }]
+      ].concat(summaryColumns, [
+        ['MEAN CHANGE %', function (row) {
+          return row.change;
+        }]
+      ]), rows);
+      done(null, exitCodes.ok);
+    });
+  });
+};
+
+commands.export = function (client, args, options, done) {
+  if (args.length < 2) {
+    throw usageError('export needs a metric and at least one result folder');
+  }
+  let query = args.slice(1).map(function (folder) {
+    return 'folder=' + encode(folder);
+  });
+  if (options.column !== undefined) {
+    query.push('column=' + encode(options.column));
+  }
+  query.push('format=json');
+  client.get('/exports/' + encode(args[0]) + '?' + query.join('&'),
+    function (err, data) {
+      if (err) {
+        done(err);
+        return;
+      }
+      if (options.json) {
+        printJson(data);
+      } else {
+        process.stdout.write(exporter.csv(data));
+      }
+      done(null, exitCodes.ok);
+    });
+};
+
+commands.gate = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('gate needs a result folder');
+  }
+  let body = {
+    folder: args[0]
+  };
+  if (options.baseline !== undefined) {
+    body.baseline = options.baseline;
+  }
+  if (options.policy !== undefined) {
+    body.policy = readJsonFile(options.policy);
+  } else if (options['policy-name'] !== undefined) {
+    body.policyName = options['policy-name'];
+  }
+  client.post('/evaluations', body, function (err, verdict) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json) {
+      printJson(verdict);
+    } else {
+      printTable([
+        ['CHECK', function (result) {
+          return result.op ? 'rule' : 'regression';
+        }],
+        ['STATUS', function (result) {
+          return result.status.toUpperCase();
+        }],
+        ['DETAILS', function (result) {
+          return result.message;
+        }]
+      ], verdict.rules.concat(verdict.regressions));
+      console.log('');
+      console.log(verdict.passed ? 'PASSED' : 'FAILED');
+    }
+    done(null, verdict.passed ? exitCodes.ok : exitCodes.failed);
+  });
+};
+
+const alignedFrameColumns = [
+  ['RECEIVED', function (frame) {
+    return frame.index;
+  }],
+  ['SENT', function (frame) {
+    return frame.sent;
+  }],
+  ['TAG', function (frame) {
+    return frame.tag;
+  }],
+  ['STATUS', function (frame) {
+    return frame.status;
+  }]
+];
+
+commands.alignment = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('alignment needs a result folder');
+  }
+  let query = options.source === undefined ? '' : '?align=true&source=' +
+    encode(options.source);
+  client.get('/results/' + encode(args[0]) + '/alignment' + query, function (
+    err, result) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json) {
+      printJson(result);
+      done(null, exitCodes.ok);
+      return;
+    }
+    let stats = result.stats;
+    printTable([
+      ['SOURCE', function () {
+        return result.source;
+      }]
+    ].concat(Object.keys(stats).map(function (name) {
+      return [name.toUpperCase(), function () {
+        return stats[name];
+      }];
+    })), [stats]);
+    if (result.dropped.length) {
+      console.log('');
+      printTable([
+        ['DROPPED', function (range) {
+          return range.first === range.last ? range.first : range.first +
+            '-' + range.last;
+        }],
+        ['FRAMES', function (range) {
+          return range.count;
+        }]
+      ], result.dropped);
+    }
+    let unusual = result.frames.filter(function (frame) {
+      return frame.status !== 'ok';
+    });
+    if (unusual.length) {
+      console.log('');
+      printTable(alignedFrameColumns, unusual);
+    }
+    done(null, exitCodes.ok);
+  });
+};
+
+const meanOf = function (name) {
+  return function (participant) {
+    let summary = participant.summary[name];
+    return summary === null ? null : summary.mean;
+  };
+};
+
+commands.participants = function (client, args, options, done) {
+  if (args.length !== 1) {
+    throw usageError('participants needs a result folder');
+  }
+  client.get('/results/' + encode(args[0]) + '/participants', function (err,
+    result) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json) {
+      printJson(result);
+      done(null, exitCodes.ok);
+      return;
+    }
+    printTable([
+      ['PARTICIPANT', function (participant) {
+        return participant.id;
+      }],
+      ['ROLE', function (participant) {
+        return participant.role;
+      }],
+      ['JOIN', function (participant) {
+        return participant.join;
+      }],
+      ['ROOM', function (participant) {
+        return participant.roomSize;
+      }],
+      ['LATENCY', meanOf('latency')],
+      ['JITTER', meanOf('jitter')],
+      ['FPS', meanOf('fps')],
+      ['BITRATE', meanOf('bitrate')],
+      ['LOSS', meanOf('lossRate')],
+      ['TAGS', function (participant) {
+        return participant.tagSource;
+      }]
+    ], result.participants);
+    for (let participant of result.participants) {
+      if (participant.tagError) {
+        console.log(participant.id + ': ' + participant.tagError);
+      }
+    }
+    console.log('');
+    printTable([
+      ['METRIC', function (row) {
+        return row[0];
+      }],
+      ['PARTICIPANTS', function (row) {
+        return row[1].participants;
+      }],
+      ['MEAN', function (row) {
+        return row[1].mean;
+      }],
+      ['WORST', function (row) {
+        return row[1].worst && row[1].worst.id;
+      }],
+      ['WORST MEAN', function (row) {
+        return row[1].worst && row[1].worst.value;
+      }]
+    ], Object.keys(result.aggregate).map(function (name) {
+      return [name, result.aggregate[name]];
+    }));
+    done(null, exitCodes.ok);
+  });
+};
+
+const tokenColumns = [
+  ['ID', function (token) {
+    return token.id;
+  }],
+  ['NAME', function (token) {
+    return token.name;
+  }],
+  ['ROLE', function (token) {
+    return token.role;
+  }],
+  ['CREATED', function (token) {
+    return token.createdAt;
+  }],
+  ['LAST USED', function (token) {
+    return token.lastUsedAt;
+  }],
+  ['REVOKED', function (token) {
+    return token.revokedAt;
+  }]
+];
+
+commands.tokens = function (client, args, options, done) {
+  let action = args[0] || 'list';
+  let print = function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json) {
+      printJson(data);
+    } else if (data.tokens) {
+      printTable(tokenColumns, data.tokens);
+    } else {
+      printTable(tokenColumns, [data]);
+      if (data.key) {
+        console.log('');
+        console.log('Key: ' + data.key);
+        console.log('The key is shown only once.');
+      }
+    }
+    done(null, exitCodes.ok);
+  };
+  if (action === 'list') {
+    client.get('/tokens', print);
+    return;
+  }
+  if (args.length !== 2) {
+    throw usageError('tokens ' + action + ' needs one argument');
+  }
+  switch (action) {
+    case 'create':
+      client.post('/tokens', {
+        name: args[1],
+        role: options.role || 'viewer'
+      }, print);
+      break;
+    case 'rotate':
+      client.post('/tokens/' + encode(args[1]) + '/rotate', {}, print);
+      break;
+    case 'revoke':
+      client.request('DELETE', '/tokens/' + encode(args[1]), undefined,
+        print);
+      break;
+    default:
+      throw usageError('unknown tokens action ' + action);
+  }
+};
+
+commands.config = function (client, args, options, done) {
+  let action = args[0] || 'show';
+  let print = function (err, data) {
+    if (err) {
+      done(err);
+      return;
+    }
+    if (options.json || action === 'show') {
+      printJson(data);
+    } else {
+      console.log('changed: ' + (data.changed.join(', ') || 'nothing'));
+      if (data.pending.length) {
+        console.log('after a restart: ' + data.pending.join(', '));
+      }
+    }
+    done(null, exitCodes.ok);
+  };
+  switch (action) {
+    case 'show':
+      client.get('/config', print);
+      break;
+    case 'reload':
+      client.post('/config/reload', {}, print);
+      break;
+    default:
+      throw usageError('unknown config action ' + action);
+  }
+};
+
+const main = function (argv, env) {
+  let finish = function (err, code) {
+    if (err) {
+      console.error('error: ' + err.message);
+      for (let detail of list(err.details)) {
+        console.error('  ' + (typeof detail === 'string' ? detail : JSON
+          .stringify(detail)));
+      }
+      if (err.usage) {
+        console.error('Run "qos help" for the usage.');
+      }
+      code = err.usage ? exitCodes.usage : exitCodes.error;
+    }
+    process.exitCode = code;
+  };
+  try {
+    let parsed = parseArgs(argv);
+    let command = parsed.command || 'help';
+    if (parsed.options.help) {
+      command = 'help';
+    }
+    if (!commands.hasOwnProperty(command)) {
+      throw usageError('unknown command ' + command);
+    }
+    let options = parsed.options;
+    let client = null;
+    if (command !== 'help') {
+      let id = options.id || env.QOS_ID;
+      let key = options.key || env.QOS_KEY;
+      if (!id || !key) {
+        throw usageError('the service id and key are required (--id, --key)');
+      }
+      client = apiClient.createClient({
+        server: options.server || env.QOS_SERVER || 'https://localhost:4004',
+        id: id,
+        key: key,
+        ca: options.ca || env.QOS_CA,
+        insecure: options.insecure || env.QOS_INSECURE === '1'
+      });
+    }
+    commands[command](client, parsed.args, options, finish);
+  } catch (err) {
+    finish(err);
+  }
+};
+
+main(process.argv.slice(2), process.env);
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Stamps the frame number of every frame of a raw I420 file into it as a
+// barcode block, which the alignment analysis reads back from the received
+// frames when the source of the alignment section of conf.json is barcode.
+// Use the same --x, --y, --cell and --bits as the barcode settings there.
+//
+'use strict';
+
+const fs = require('fs');
+const alignment = require('../lib/alignment');
+const yuvFrames = require('../lib/yuvFrames');
+
+const usage = `Usage: tag-yuv <input.yuv> <output.yuv> <width> <height>
+  [--x 0] [--y 0] [--cell 12] [--bits 16] [--first 0]
+
+Writes input.yuv to output.yuv with a barcode of the frame number, counted
+from --first and wrapping at 2^bits, in the top left corner of every frame.`;
+
+const parseArgs = function (argv) {
+  let args = [];
+  let options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.push(argv[i]);
+      continue;
+    }
+    let value = argv[++i];
+    if (!/^\d+$/.test(value || '')) {
+      throw new Error(argv[i - 1] + ' needs a number');
+    }
+    options[argv[i - 1].slice(2)] = parseInt(value, 10);
+  }
+  return {
+    args: args,
+    options: options
+  };
+};
+
+const main = function () {
+  let parsed = parseArgs(process.argv.slice(2));
+  let args = parsed.args;
+  if (args.length !== 4 || !/^\d+$/.test(args[2]) || !/^\d+$/.test(args[3])) {
+    throw new Error(usage);
+  }
+  let width = parseInt(args[2], 10);
+  let height = parseInt(args[3], 10);
+  let layout = Object.assign({}, alignment.defaultLayout, parsed.options);
+  let wrap = Math.pow(2, layout.bits);
+  let size = yuvFrames.frameSize(width, height);
+  let count = yuvFrames.frameCount(args[0], width, height);
+  if (count === 0) {
+    throw new Error('no ' + width + 'x' + height + ' frames in ' + args[0]);
+  }
+  let input = fs.openSync(args[0], 'r');
+  let output = fs.openSync(args[1], 'w');
+  let frame = Buffer.alloc(size);
+  for (let index = 0; index < count; index++) {
+    fs.readSync(input, frame, 0, size, index * size);
+    alignment.encodeBarcode(frame, width, height, ((layout.first || 0) +
+      index) % wrap, layout);
+    fs.writeSync(output, frame);
+  }
+  fs.closeSync(input);
+  fs.closeSync(output);
+  console.log(count + ' frames tagged');
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(2);
+}
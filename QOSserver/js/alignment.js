@@ -0,0 +1,82 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Frame alignment of a result folder: the frame loss statistics, the sent
+// frames that were dropped and the received frames that were duplicates or
+// came out of order.
+//
+'use strict'
+
+function loadAlignment(folder, source) {
+  let query = source ? '?align=true&source=' + source : '';
+  return doGet('/api/v1/results/' + encodeURIComponent(folder) +
+    '/alignment' + query, getHeader(), 60000);
+}
+
+// A table of rows, each calling focus with its item when clicked.
+function alignmentTable(id, caption, items, cells, focus) {
+  let table = $("#" + id);
+  table.empty();
+  table.append($('<caption>').text(caption));
+  for (let item of items) {
+    let row = $('<tr>').append(cells(item).map(function(cell) {
+      return $('<td>').text(cell);
+    }));
+    if (focus) {
+      row.css('cursor', 'pointer').on('click', function() {
+        focus(item);
+      });
+    }
+    table.append(row);
+  }
+}
+
+// Shows a received frame in the frame inspector.
+function focusAlignedFrame(frame) {
+  if (inspector.frames > 0) {
+    showInspectorFrame(frame.index);
+  }
+}
+
+/*
+ * Lists the alignment of the selected result folder. The one the alignment
+ * analysis stored is shown, unless a source is chosen to align again.
+ */
+function showAlignment() {
+  let folder = selectedResultFolder();
+  if (folder === undefined) {
+    alert('select a result folder first');
+    return;
+  }
+  let source = $("#alignmentSource").val();
+  loadAlignment(folder, source).then(function(data) {
+    let stats = data.stats;
+    $("#alignmentStats").text('source: ' + data.source + ', sent: ' +
+      stats.sent + ', received: ' + stats.received + ', dropped: ' +
+      stats.dropped + ' (' + (stats.lossRate * 100).toFixed(2) +
+      '%), duplicated: ' + stats.duplicated + ', out of order: ' +
+      stats.outOfOrder + ', without tag: ' + stats.unknown);
+    alignmentTable('alignmentDropped', 'dropped sent frames', data.dropped,
+      function(range) {
+        return [range.first === range.last ? range.first : range.first +
+          ' - ' + range.last, range.count + ' frames'];
+      });
+    let byStatus = function(status) {
+      return data.frames.filter(function(frame) {
+        return frame.status === status;
+      });
+    };
+    let frameCells = function(frame) {
+      return ['received ' + frame.index, 'sent ' + frame.sent, 'tag ' +
+        frame.tag];
+    };
+    alignmentTable('alignmentDuplicates', 'duplicated frames',
+      byStatus('duplicate'), frameCells, focusAlignedFrame);
+    alignmentTable('alignmentOutOfOrder', 'frames out of order',
+      byStatus('outOfOrder'), frameCells, focusAlignedFrame);
+  }).catch(function(error) {
+    alert(error);
+  })
+}
@@ -0,0 +1,157 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Events of a result folder: freezes, quality drops, latency spikes, fps
+// stalls and bitrate trouble. They are listed in a table and shaded on the
+// charts of their metric and on the timeline.
+//
+'use strict'
+
+var eventColors = {
+  warning: 'rgba(255, 159, 64, 0.25)',
+  critical: 'rgba(204, 0, 0, 0.25)'
+};
+// Events of the listed folder.
+var resultEvents = {
+  folder: undefined,
+  events: []
+};
+
+function selectedResultFolder() {
+  let resultfolder = document.getElementById("resultfolder");
+  if (!resultfolder.selectedOptions.length) return undefined;
+  return resultfolder.options[resultfolder.selectedIndex].text;
+}
+
+function loadResultEvents(folder) {
+  return doGet('/api/v1/results/' + encodeURIComponent(folder) + '/events',
+    getHeader(), 20000).then(function(data) {
+    return data.events;
+  });
+}
+
+// The index of the first label at or after value, or of the last one at or
+// before it when last is set.
+function eventLabelIndex(labels, value, last) {
+  if (last) {
+    let index = labels.length - 1;
+    while (index > 0 && labels[index] > value) index--;
+    return index;
+  }
+  let index = 0;
+  while (index < labels.length - 1 && labels[index] < value) index++;
+  return index;
+}
+
+/*
+ * Shades the ranges of options.ranges, {start, end, severity}, behind the
+ * lines. On linear axes start and end are x values; the metric charts have a
+ * category axis of value indexes, where some values may have been left out.
+ */
+var eventMarkerPlugin = {
+  id: 'eventMarkers',
+  beforeDatasetsDraw: function(chart, easing, options) {
+    let ranges = options.ranges || [];
+    let scale = chart.scales['x-axis-0'];
+    let area = chart.chartArea;
+    let labels = chart.data.labels;
+    if (ranges.length === 0 || scale === undefined) return;
+    let ctx = chart.ctx;
+    ctx.save();
+    for (let range of ranges) {
+      let left, right;
+      if (scale.type === 'category') {
+        if (labels.length === 0) continue;
+        left = scale.getPixelForValue(null, eventLabelIndex(labels, range
+          .start, false));
+        right = scale.getPixelForValue(null, eventLabelIndex(labels, range.end,
+          true));
+      } else {
+        left = scale.getPixelForValue(range.start);
+        right = scale.getPixelForValue(range.end);
+      }
+      left = Math.max(area.left, left);
+      right = Math.min(area.right, Math.max(left + 2, right));
+      if (left >= area.right || right <= area.left) continue;
+      ctx.fillStyle = eventColors[range.severity] || eventColors.warning;
+      ctx.fillRect(left, area.top, right - left, area.bottom - area.top);
+    }
+    ctx.restore();
+  }
+};
+Chart.plugins.register(eventMarkerPlugin);
+
+/*
+ * Shades the events of the given metrics of the selected result folder on a
+ * metric chart.
+ */
+function markEvents(chart, metrics) {
+  let folder = selectedResultFolder();
+  if (folder === undefined || chart === undefined) return;
+  loadResultEvents(folder).then(function(events) {
+    chart.options.plugins.eventMarkers = {
+      ranges: events.filter(function(event) {
+        return metrics.indexOf(event.metric) !== -1;
+      }).map(function(event) {
+        return {
+          start: event.startIndex,
+          end: event.endIndex,
+          severity: event.severity
+        };
+      })
+    };
+    chart.update(0);
+  }).catch(function(error) {
+    console.log(error);
+  })
+}
+
+// Shows the frames of an event on the timeline and in the frame inspector.
+function focusEvent(event) {
+  if (timeline.folder === resultEvents.folder && timeline.series.length) {
+    let margin = Math.max(30, event.endFrame - event.startFrame);
+    setTimelineRange(event.startFrame - margin, event.endFrame + margin);
+    timeline.selected = event.startFrame;
+    showTimelineValues(timeline.selected);
+    redrawTimelineCursor();
+  }
+  if (inspector.frames > 0) {
+    showInspectorFrame(event.startFrame);
+  }
+}
+
+/*
+ * Lists the events of the selected result folder. Those the events analysis
+ * stored are shown, otherwise the server detects them.
+ */
+function showEvents() {
+  let folder = selectedResultFolder();
+  if (folder === undefined) {
+    alert('select a result folder first');
+    return;
+  }
+  loadResultEvents(folder).then(function(events) {
+    resultEvents.folder = folder;
+    resultEvents.events = events;
+    let table = $("#eventList");
+    table.empty();
+    table.append($('<caption>').text(events.length + ' events in ' + folder));
+    for (let event of events) {
+      let row = $('<tr>').css('cursor', 'pointer').append(
+        $('<td>').text(event.start.toFixed(1) + ' - ' + event.end.toFixed(1) +
+          ' s'),
+        $('<td>').text(event.severity).css('color', event.severity ===
+          'critical' ? '#c00' : '#c60'),
+        $('<td>').text(event.type),
+        $('<td>').text(event.message));
+      row.on('click', function() {
+        focusEvent(event);
+      });
+      table.append(row);
+    }
+  }).catch(function(error) {
+    alert(error);
+  })
+}
@@ -0,0 +1,141 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Frame inspector: the sent and the received frame of the aligned YUV files
+// and a heat map of their difference, next to the metric values of the frame.
+//
+'use strict'
+
+// Metrics with one value per frame that are shown with the frame.
+var inspectorMetrics = ['quality', 'psnr', 'ssim', 'vmaf', 'nr', 'latency'];
+
+var inspector = {
+  // Query of the frames routes: folder and frame size.
+  query: '',
+  frames: 0,
+  index: 0,
+  // Name => per-frame values of the metrics of the folder.
+  values: {},
+  // Difference of the images of the frame shown.
+  difference: undefined,
+  loading: false
+};
+
+function inspectorUrl(path) {
+  return '/api/v1/frames' + path + '?' + inspector.query;
+}
+
+/*
+ * Opens the frames of the selected result folder, or those of the last
+ * quality analysis when no folder is selected.
+ */
+function openInspector() {
+  let resultfolder = document.getElementById("resultfolder");
+  let query = [];
+  let folder = undefined;
+  if (resultfolder.selectedOptions.length) {
+    folder = resultfolder.options[resultfolder.selectedIndex].text;
+    query.push('folder=' + encodeURIComponent(folder));
+  }
+  for (let name of ['width', 'height']) {
+    let value = $("#inspector-" + name).val().trim();
+    if (value !== '') {
+      query.push(name + '=' + encodeURIComponent(value));
+    }
+  }
+  inspector.query = query.join('&');
+  inspector.values = {};
+  inspector.difference = undefined;
+  doGet(inspectorUrl(''), getHeader(), 20000)
+    .then(function(info) {
+      inspector.frames = info.frames;
+      $("#inspector-info").text(info.frames + ' frames of ' + info.width +
+        'x' + info.height + (info.sent !== info.received ? ' (' + info.sent +
+          ' sent, ' + info.received + ' received)' : ''));
+      $("#inspector-index").attr('max', Math.max(0, info.frames - 1));
+      showInspectorFrame(0);
+      if (folder !== undefined) {
+        loadInspectorMetrics(folder);
+      }
+    }).catch(function(error) {
+      alert(error);
+    })
+}
+
+function loadInspectorMetrics(folder) {
+  let base = '/api/v1/results/' + encodeURIComponent(folder);
+  doGet(base, getHeader(), 20000)
+    .then(function(result) {
+      let metrics = result.metrics.filter(function(metric) {
+        return inspectorMetrics.indexOf(metric) !== -1;
+      });
+      return Promise.all(metrics.map(function(metric) {
+        return doGet(base + '/metrics/' + encodeURIComponent(metric),
+          getHeader(), 20000);
+      }));
+    }).then(function(metrics) {
+      for (let metric of metrics) {
+        if (Array.isArray(metric.values)) {
+          inspector.values[metric.metric] = metric.values;
+          continue;
+        }
+        for (let column of metric.columns) {
+          inspector.values[column] = metric.values[column];
+        }
+      }
+      showInspectorValues();
+    }).catch(function(error) {
+      alert(error);
+    })
+}
+
+function showInspectorValues() {
+  let table = $("#inspector-values");
+  let frame = inspector.difference;
+  table.empty();
+  if (frame !== undefined) {
+    table.append($('<tr>').append($('<td>').text('luma PSNR of the images'),
+      $('<td>').text(frame.psnr === null ? 'identical' : frame.psnr.toFixed(
+        2))));
+    table.append($('<tr>').append($('<td>').text('mean / max difference'),
+      $('<td>').text(frame.meanDifference.toFixed(2) + ' / ' +
+        frame.maxDifference)));
+  }
+  for (let name of Object.keys(inspector.values)) {
+    let value = inspector.values[name][inspector.index];
+    table.append($('<tr>').append($('<td>').text(name),
+      $('<td>').text(value === null || value === undefined ? '-' : value)));
+  }
+}
+
+function showInspectorFrame(index) {
+  if (inspector.frames === 0 || inspector.loading) return;
+  index = Math.max(0, Math.min(inspector.frames - 1, index));
+  inspector.index = index;
+  inspector.loading = true;
+  $("#inspector-index").val(index);
+  let gain = $("#inspector-gain").val().trim() || '4';
+  let images = ['sent', 'received', 'diff'].map(function(image) {
+    let url = inspectorUrl('/' + index + '/' + image);
+    if (image === 'diff') {
+      url += '&gain=' + encodeURIComponent(gain);
+    }
+    return loadImage(document.getElementById('inspector-' + image), url,
+      getHeader());
+  });
+  Promise.all(images.concat([doGet(inspectorUrl('/' + index), getHeader(),
+    20000)])).then(function(results) {
+    inspector.loading = false;
+    inspector.difference = results[3];
+    showInspectorValues();
+  }).catch(function(error) {
+    inspector.loading = false;
+    alert(error);
+  })
+}
+
+function stepInspector(step) {
+  showInspectorFrame(inspector.index + step);
+}
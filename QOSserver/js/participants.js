@@ -0,0 +1,69 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Participants of a multi-party result folder: the metrics of every
+// participant in join order and over the whole room.
+//
+'use strict'
+
+var participantMetrics = ['latency', 'jitter', 'fps', 'bitrate', 'lossRate'];
+
+function formatParticipantValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value !== 'number' || Number.isInteger(value)) {
+    return String(value);
+  }
+  return value.toFixed(3);
+}
+
+function showParticipants() {
+  let folder = selectedResultFolder();
+  if (folder === undefined) {
+    alert('select a result folder first');
+    return;
+  }
+  doGet('/api/v1/results/' + encodeURIComponent(folder) + '/participants',
+    getHeader(), 20000).then(function(data) {
+    let list = $("#participantList");
+    list.empty();
+    list.append($('<caption>').text(data.participants.length +
+      ' participants in ' + folder));
+    list.append($('<tr>').append(['participant', 'role', 'join (s)', 'room']
+      .concat(participantMetrics, ['tags']).map(function(title) {
+        return $('<th>').text(title);
+      })));
+    for (let participant of data.participants) {
+      let cells = [participant.id, participant.role, participant.join,
+        participant.roomSize
+      ].concat(participantMetrics.map(function(name) {
+        let summary = participant.summary[name];
+        return summary === null ? null : summary.mean;
+      }), [participant.tagSource]);
+      // Hovering a participant without tags tells why.
+      list.append($('<tr>').attr('title', participant.tagError || '').append(
+        cells.map(function(cell) {
+          return $('<td>').text(formatParticipantValue(cell));
+        })));
+    }
+    let room = $("#participantAggregate");
+    room.empty();
+    room.append($('<caption>').text('room'));
+    room.append($('<tr>').append(['metric', 'participants', 'mean', 'worst']
+      .map(function(title) {
+        return $('<th>').text(title);
+      })));
+    for (let name of participantMetrics) {
+      let metric = data.aggregate[name];
+      room.append($('<tr>').append(
+        $('<td>').text(name),
+        $('<td>').text(metric.participants),
+        $('<td>').text(formatParticipantValue(metric.mean)),
+        $('<td>').text(metric.worst ? metric.worst.id + ' (' +
+          formatParticipantValue(metric.worst.value) + ')' : '-')));
+    }
+  }).catch(function(error) {
+    alert(error);
+  })
+}
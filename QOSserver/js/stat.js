@@ -16,34 +16,235 @@ function getHeader() {
   }
 }
 
+var currentRunId = undefined;
+var runStatusTimer = undefined;
+
+function showRunStatus(run) {
+  let text = run.id + ': ' + run.status;
+  if (run.exitCode !== null) {
+    text += ' (exit code ' + run.exitCode + ')';
+  }
+  $("#runStatus").text(text);
+}
+
+function pollRunStatus() {
+  if (runStatusTimer !== undefined) {
+    clearTimeout(runStatusTimer);
+    runStatusTimer = undefined;
+  }
+  if (currentRunId === undefined) {
+    return;
+  }
+  doPost('/getRunStatus', {
+    "id": currentRunId
+  }, getHeader(), 20000)
+    .then(function(run) {
+      showRunStatus(run);
+      if (run.status === 'queued' || run.status === 'running') {
+        runStatusTimer = setTimeout(pollRunStatus, 3000);
+      }
+    }).catch(function(error) {
+      $("#runStatus").text(error);
+    })
+}
+
+// The participants of a multi-party test, none for a single client.
+function runParticipants() {
+  let participants = $("#runParticipants").val().trim();
+  if (participants === '') return undefined;
+  return {
+    participants: participants,
+    joinInterval: $("#runJoinInterval").val().trim() || '0'
+  };
+}
+
 function startVideoQualityMeasureTesting() {
-  $.ajax({
-    headers: getHeader(),
-    data: {
-      "blank": " "
-    },
-    url: '/startTest',
-    type: 'post',
-    cache: false,
-    async: true,
-    timeout: 400000,
-  });
+  doPost('/startTest', runParticipants(), getHeader(), 400000)
+    .then(function(run) {
+      currentRunId = run.id;
+      showRunStatus(run);
+      pollRunStatus();
+      startLiveCharts('/api/v1/runs/' + run.id + '/live');
+    }).catch(function(error) {
+      alert(error);
+    })
 }
 
 function stopVideoQualityMeasureTesting() {
+  let data = {
+    "blank": " "
+  };
+  if (currentRunId !== undefined) {
+    data.id = currentRunId;
+  }
+  doPost('/stopTest', data, getHeader(), 400000)
+    .then(function(run) {
+      showRunStatus(run);
+      pollRunStatus();
+    }).catch(function(error) {
+      alert(error);
+    })
+}
+
+// Charts of the samples the server streams while a test runs.
+var liveSeries = {
+  fps: {
+    canvasId: 'liveFps',
+    title: 'Live Fps'
+  },
+  bitrate: {
+    canvasId: 'liveBitrate',
+    title: 'Live Bitrate (kbps)'
+  },
+  latency: {
+    canvasId: 'liveLatency',
+    title: 'Live Latency (miliseconds)'
+  },
+  frameInterval: {
+    canvasId: 'liveFrameInterval',
+    title: 'Live Frame Interval (miliseconds per frame)'
+  }
+};
+var maxLivePoints = 300;
+var liveStream = undefined;
+
+function resetLiveChart(name) {
+  let chartName = 'live-' + name;
+  if (chartMap.has(chartName)) chartMap.get(chartName).destroy();
+  chartMap.set(chartName, draw(liveSeries[name].canvasId,
+    liveSeries[name].title, initChartDate(name, Color)));
+}
+
+function addLiveSamples(event) {
+  if (!liveSeries.hasOwnProperty(event.series)) {
+    return;
+  }
+  let chart = chartMap.get('live-' + event.series);
+  let chartData = chart.data;
+  for (let i = 0; i < event.values.length; i++) {
+    chartData.labels.push(event.index + i);
+    chartData.datasets[0].data.push(event.values[i]);
+  }
+  let extra = chartData.labels.length - maxLivePoints;
+  if (extra > 0) {
+    chartData.labels.splice(0, extra);
+    chartData.datasets[0].data.splice(0, extra);
+  }
+  chart.update(0);
+}
+
+function stopLiveCharts() {
+  if (liveStream !== undefined) {
+    liveStream.abort();
+    liveStream = undefined;
+  }
+}
+
+/*
+ * Follows the live samples of url: /api/v1/runs/<id>/live for a run started
+ * here, /api/v1/live for the data folder of a run started elsewhere.
+ */
+function startLiveCharts(url) {
+  stopLiveCharts();
+  for (let name of Object.keys(liveSeries)) {
+    resetLiveChart(name);
+  }
+  $("#liveStatus").text('following');
+  let stream = readEvents(url, getHeader(), function(type, event) {
+    if (type === 'samples') {
+      addLiveSamples(event);
+    } else if (type === 'reset') {
+      resetLiveChart(event.series);
+    } else if (type === 'status') {
+      showRunStatus(event.run);
+    }
+  }, function(error) {
+    if (liveStream === stream) {
+      liveStream = undefined;
+    }
+    $("#liveStatus").text(error ? String(error) : 'stopped');
+  });
+  liveStream = stream;
+}
+
+var currentCampaignId = undefined;
+var campaignStatusTimer = undefined;
+
+function showCampaignStatus(campaign) {
+  let done = campaign.items.filter(function(item) {
+    return item.status !== 'pending' && item.status !== 'running' &&
+      item.status !== 'analysing';
+  }).length;
+  $("#campaignStatus").text(campaign.id + ': ' + campaign.status + ' (' +
+    done + '/' + campaign.items.length + ' runs)');
+}
+
+function pollCampaignStatus() {
+  if (campaignStatusTimer !== undefined) {
+    clearTimeout(campaignStatusTimer);
+    campaignStatusTimer = undefined;
+  }
+  if (currentCampaignId === undefined) {
+    return;
+  }
+  doPost('/getCampaignStatus', {
+    "id": currentCampaignId
+  }, getHeader(), 20000)
+    .then(function(campaign) {
+      showCampaignStatus(campaign);
+      if (campaign.status === 'queued' || campaign.status === 'running') {
+        campaignStatusTimer = setTimeout(pollCampaignStatus, 5000);
+      }
+    }).catch(function(error) {
+      $("#campaignStatus").text(error);
+    })
+}
+
+function startCampaign() {
+  let definition;
+  try {
+    definition = JSON.parse($("#campaignDefinition").val());
+  } catch (error) {
+    alert('campaign definition must be JSON: ' + error);
+    return;
+  }
   $.ajax({
     headers: getHeader(),
-    data: {
-      "blank": " "
-    },
-    url: '/stopTest',
+    data: JSON.stringify(definition),
+    contentType: 'application/json',
+    url: '/startCampaign',
     type: 'post',
     cache: false,
-    async: true,
-    timeout: 400000,
+    timeout: 20000,
+    success: function(campaign) {
+      currentCampaignId = campaign.id;
+      showCampaignStatus(campaign);
+      pollCampaignStatus();
+    },
+    error: function(jqXHR, textStatus, errorThrown) {
+      if (jqXHR.responseJSON && jqXHR.responseJSON.errors) {
+        alert(jqXHR.responseJSON.errors.join('\n'));
+      } else {
+        alert(textStatus + " " + errorThrown);
+      }
+    }
   });
 }
 
+function stopCampaign() {
+  if (currentCampaignId === undefined) {
+    return;
+  }
+  doPost('/stopCampaign', {
+    "id": currentCampaignId
+  }, getHeader(), 20000)
+    .then(function(campaign) {
+      showCampaignStatus(campaign);
+    }).catch(function(error) {
+      alert(error);
+    })
+}
+
 function getResultFolder() {
   let resultfolder = document.getElementById("resultfolder");
   let size = resultfolder.length
@@ -52,7 +253,7 @@ function getResultFolder() {
   }
   doPost('/getResultFolder', undefined, getHeader(), 800000)
     .then(function(data) {
-      let folders = data.folder.split("\n")
+      let folders = data.folders
       for (var i = 0; i < folders.length; i++) {
         let optiondevice = document.createElement('option');
         optiondevice.text = folders[i]
@@ -64,93 +265,65 @@ function getResultFolder() {
     })
 }
 
-function getQuality(thresholdId) {
-  let resultfolder = document.getElementById("resultfolder");
-  let fCount = parseInt($("#maxFrame").val());
-  if (isNaN(fCount) || fCount < 0 || fCount > Number.MAX_SAFE_INTEGER) {
-    console.log('max frame size must be a int or must big then zero and smaller then MAX_SAFE_INTEGER')
-    return
-  }
-  let threshold = parseFloat($("#" + thresholdId).val());
-  if (isNaN(threshold)) {
-    console.log('threshold must be a Float')
-    return
-  }
-  let selectfolder = resultfolder.selectedOptions.length;
-  let psnrArray = new Array()
-  let ssimArray = new Array()
-  let psnrData = initChartDate("PSNR Chart", Color)
-  let ssimData = initChartDate("SSIM Chart", Color)
-  $("#quality-btn").attr('disabled', ' true');
-  $("#vmaf-btn").attr('disabled', ' true');
-  $("#NR-btn").attr('disabled', ' true');
-  if (selectfolder) {
-    let strfolder = resultfolder.options[resultfolder.selectedIndex].text;
-    doPost('/displayData', {
-      "folder": strfolder,
-      "file": "quality.txt"
-    }, getHeader(), 800000)
-      .then(function(data) {
-        $("#quality-btn").removeAttr('disabled');
-        $("#vmaf-btn").removeAttr('disabled');
-        $("#NR-btn").removeAttr('disabled');
-        let quality = data.data.split(",");
-        quality[0] = quality[0].replace(/\[\'/i, '');
-        for (let i = 0; i < quality.length - 1; i += 2) {
-          if (quality[i] != '') {
-            psnrArray.push(quality[i]);
-            ssimArray.push(quality[i + 1]);
-          }
-        }
-        setData("psnr", "chartPsnr", "PSNR Chart", psnrData, psnrArray,
-          fCount, threshold);
-        setData("ssim", "chartSsim", "SSIM Chart", ssimData, ssimArray,
-          fCount, threshold);
-      }).catch(function(error) {
-        $("#quality-btn").removeAttr('disabled');
-        $("#vmaf-btn").removeAttr('disabled');
-        $("#NR-btn").removeAttr('disabled');
-        alert(error);
-      })
+// Analysis jobs this page waits for, by id.
+var analysisJobs = new Map();
+
+function showJobProgress(job) {
+  if (job.status === 'queued' || job.status === 'running') {
+    analysisJobs.set(job.id, job);
   } else {
-    doPost('/quality', undefined, getHeader(), 800000)
-      .then(function(data) {
-        $("#quality-btn").removeAttr('disabled');
-        $("#vmaf-btn").removeAttr('disabled');
-        $("#NR-btn").removeAttr('disabled');
-        let quality = data.quality.split("\n");
-        quality[0] = quality[0].replace(/\[\'/i, '');
-        for (let i = 0; i < quality.length - 1; i += 2) {
-          if (quality[i] != '') {
-            psnrArray.push(quality[i]);
-            ssimArray.push(quality[i + 1]);
-          }
-        }
-        setData("psnr", "chartPsnr", "PSNR Chart", psnrData, psnrArray,
-          fCount, threshold);
-        setData("ssim", "chartSsim", "SSIM Chart", ssimData, ssimArray,
-          fCount, threshold);
-      }).catch(function(error) {
-        $("#quality-btn").removeAttr('disabled');
-        $("#vmaf-btn").removeAttr('disabled');
-        $("#NR-btn").removeAttr('disabled');
+    analysisJobs.delete(job.id);
+  }
+  let text = Array.from(analysisJobs.values()).map(function(job) {
+    let text = job.type + ': ' + job.status;
+    if (job.status === 'running') {
+      text += ' ' + Math.round(job.progress * 100) + '%';
+    }
+    return job.message ? text + ' (' + job.message + ')' : text;
+  }).join(', ');
+  $("#jobStatus").text(text || 'idle');
+}
+
+function runAnalysisJob(metric) {
+  return runJob(metric, getHeader(), showJobProgress);
+}
+
+// Cancels the analysis jobs this page waits for.
+function cancelAnalysisJobs() {
+  for (let id of analysisJobs.keys()) {
+    doPost('/api/v1/jobs/' + id + '/cancel', undefined, getHeader(), 20000)
+      .catch(function(error) {
         alert(error);
       })
   }
 }
 
+// Downloads the report of the selected result folder.
+function downloadReport(format) {
+  let resultfolder = document.getElementById("resultfolder");
+  if (!resultfolder.selectedOptions.length) {
+    alert('select a result folder first');
+    return;
+  }
+  let folder = resultfolder.options[resultfolder.selectedIndex].text;
+  downloadFile('/api/v1/reports?folder=' + encodeURIComponent(folder) +
+    '&format=' + format, getHeader()).catch(function(error) {
+    alert(error);
+  })
+}
+
 /*
  * it's an API
  * User use this function to set data and draw picture
  */
 function setData(chartName, canvasId, chartTitle, chartData, dataList, fCount,
-  threshold, avgId = undefined) {
+  threshold, avgId = undefined, eventMetrics = [chartName]) {
   let average = 0;
   let num = 0;
-  for (let i = 0; i < dataList.length - 1 && num < fCount; i++) {
+  for (let i = 0; i < dataList.length && num < fCount; i++) {
     if (dataList[i] > threshold) continue;
-    dataList[0] = dataList[0].replace(/\[\'/i, '');
-    if (dataList[i] != "") {
+    // Silent pesq segments have no score.
+    if (dataList[i] !== "" && dataList[i] !== null && !isNaN(dataList[i])) {
       chartData.labels.push(i);
       chartData.datasets[0].data.push(dataList[i]);
       average = average + parseFloat(dataList[i]);
@@ -164,6 +337,7 @@ function setData(chartName, canvasId, chartTitle, chartData, dataList, fCount,
   }
   if (chartMap.has(chartName)) chartMap.get(chartName).destroy();
   chartMap.set(chartName, draw(canvasId, chartTitle, chartData))
+  markEvents(chartMap.get(chartName), eventMetrics);
 }
 
 /*
@@ -184,230 +358,118 @@ function getData(canvasId, thresholdId, chartName, avgId = undefined) {
     return
   }
   let chartData = initChartDate(chartName, Color);
-  let fileName = undefined;
-  let chartTitle = undefined;
-  let dataList = undefined;
-  let url = undefined;
-  if (chartName === 'jitter') {
-    fileName = 'jitter.txt';
-    chartTitle = 'Jitter Chart';
-    url = '/jitter'
-  } else if (chartName === 'latency') {
-    fileName = 'latency.txt';
-    chartTitle = 'Latency Chart';
-    url = '/latency'
-  } else if (chartName === 'fps') {
-    fileName = 'fps.txt';
-    chartTitle = 'Fps Chart';
-    url = '/fps'
-  } else if (chartName === 'bitrate') {
-    fileName = 'bitrate.txt';
-    chartTitle = 'Bitrate Chart';
-    url = '/bitrate'
-  } else if (chartName === 'vmaf') {
-    fileName = 'VMAF_score';
-    chartTitle = 'Vmaf Chart';
-    url = '/vmaf'
-  }
+  let chartTitle = chartName + ' Chart';
+  let request;
   if (selectfolder) {
     let strfolder = resultfolder.options[resultfolder.selectedIndex].text;
-    doPost('/displayData', {
+    request = doPost('/displayData', {
       "folder": strfolder,
-      "file": fileName
-    }, getHeader(), 20000)
-      .then(function(data) {
-        dataList = data.data.split(",");
-        setData(chartName, canvasId, chartTitle, chartData, dataList, fCount,
-          threshold, avgId);
-      }).catch(function(error) {
-        alert(error);
-      })
+      "metric": chartName
+    }, getHeader(), 20000);
   } else {
-    doPost(url, undefined, getHeader(), 20000)
-      .then(function(data) {
-        if (chartName === 'jitter') {
-          dataList = data.jitter.split("\n")
-        } else if (chartName === 'latency') {
-          dataList = data.latency.split("\n")
-        } else if (chartName === 'fps') {
-          dataList = data.fps.split("\n")
-        } else if (chartName === 'bitrate') {
-          dataList = data.bitrate.split("\n")
-        } else if (chartName === 'vmaf') {
-          dataList = data.vmaf.split("\n")
-        }
-        setData(chartName, canvasId, chartTitle, chartData, dataList, fCount,
-          threshold, avgId);
-      }).catch(function(error) {
-        alert(error);
-      })
+    request = runAnalysisJob(chartName);
   }
+  request
+    .then(function(data) {
+      setData(chartName, canvasId, chartTitle, chartData, data.values, fCount,
+        threshold, avgId);
+    }).catch(function(error) {
+      alert(error);
+    })
 }
 
-function getNR() {
-  let resultfolder = document.getElementById("resultfolder");
-  let selectfolder = resultfolder.selectedOptions.length;
+// The analysers of the server by name, see GET /api/v1/analysers.
+var analysers = new Map();
+
+// Builds the button, threshold, average and charts of every analyser.
+function loadAnalysers() {
+  doGet('/api/v1/analysers', undefined, 20000)
+    .then(function(data) {
+      let container = $("#analysers").empty();
+      analysers.clear();
+      for (let analyser of data.analysers) {
+        if (!analyser.charts.length) continue;
+        analysers.set(analyser.name, analyser);
+        container.append(analyserPanel(analyser));
+      }
+    }).catch(function(error) {
+      alert(error);
+    })
+}
+
+function analyserPanel(analyser) {
+  let panel = $('<div>');
+  panel.append($('<button>').attr('id', analyser.name + '-btn')
+    .css({
+      width: '250px',
+      height: '50px'
+    }).text(analyser.title).on('click', function() {
+      showAnalyser(analyser.name);
+    }));
+  if (analyser.threshold !== null) {
+    panel.append(' Threshold:', $('<input type="text" autocomplete="off">')
+      .attr('id', analyser.name + '-threshold').val(analyser.threshold));
+  }
+  if (analyser.average) {
+    panel.append(' Average:', $('<input type="text" value="0" readonly>')
+      .attr('id', analyser.name + '-avg'));
+  }
+  analyser.charts.forEach(function(chart, index) {
+    let range = analyser.normalRanges[chart.column];
+    if (range !== undefined) {
+      panel.append(' ' + chart.column + ' Normal Range:', $('<a>').text(range));
+    }
+    panel.append($('<canvas width="400" height="100">')
+      .attr('id', analyser.name + '-chart' + index).hide());
+  });
+  return panel;
+}
+
+/*
+ * Draws the charts of an analyser: of the selected result folder, or of a
+ * new analysis of the latest test data when no folder is selected.
+ */
+function showAnalyser(name) {
+  let analyser = analysers.get(name);
   let fCount = parseInt($("#maxFrame").val());
   if (isNaN(fCount) || fCount < 0 || fCount > Number.MAX_SAFE_INTEGER) {
     console.log('max frame size must be a int or must big then zero and smaller then MAX_SAFE_INTEGER')
     return
   }
-  let BlockinessData = initChartDate("blockiness", Color);
-  let BlocklossData = initChartDate("Blockloss", Color);
-  let BlurData = initChartDate("Blur", Color);
-  let NoiseData = initChartDate("Noise", Color);
-  let InterlaceData = initChartDate("Interlace", Color);
-  let FreezeData = initChartDate("Freeze", Color);
-  let index = 0
-  if (selectfolder) {
-    let strfolder = resultfolder.options[resultfolder.selectedIndex].text;
-    doPost('/displayData', {
-      "folder": strfolder,
-      "file": "NR_score"
-    }, getHeader(), 800000)
-      .then(function(data) {
-        let NR = data.data.split(",");
-        NR[0] = NR[0].replace(/\[\'/i, '');
-        for (let i = 0; i < NR.length - 1 && index < fCount; i += 6) {
-          BlockinessData.labels.push(i / 6);
-          BlocklossData.labels.push(i / 6);
-          BlurData.labels.push(i / 6);
-          NoiseData.labels.push(i / 6);
-          InterlaceData.labels.push(i / 6);
-          FreezeData.labels.push(i / 6);
-          BlockinessData.datasets[0].data.push(NR[i]);
-          BlocklossData.datasets[0].data.push(NR[i + 1]);
-          BlurData.datasets[0].data.push(NR[i + 2]);
-          NoiseData.datasets[0].data.push(NR[i + 3]);
-          InterlaceData.datasets[0].data.push(NR[i + 4]);
-          FreezeData.datasets[0].data.push(NR[i + 5]);
-          index++;
-        }
-
-        if (chartMap.has('blockinessChart')) chartMap.get('blockinessChart')
-          .destroy();
-        if (chartMap.has('blocklossChart')) chartMap.get('blocklossChart')
-          .destroy();
-        if (chartMap.has('blurChart')) chartMap.get('blurChart').destroy();
-        if (chartMap.has('noiseChart')) chartMap.get('noiseChart').destroy();
-        if (chartMap.has('interlaceChart')) chartMap.get('interlaceChart')
-          .destroy();
-        if (chartMap.has('FreezeChart')) chartMap.get('FreezeChart')
-          .destroy();
-
-        chartMap.set('blockinessChart', draw('chartNR1', 'Blockiness Chart',
-          BlockinessData))
-        chartMap.set('blocklossChart', draw('chartNR2', 'BlocklossData Chart',
-          BlocklossData))
-        chartMap.set('blurChart', draw('chartNR3', 'BlurData Chart',
-          BlurData))
-        chartMap.set('noiseChart', draw('chartNR4', 'NoiseData Chart',
-          NoiseData))
-        chartMap.set('interlaceChart', draw('chartNR5', 'InterlaceData Chart',
-          InterlaceData))
-        chartMap.set('FreezeChart', draw('chartNR6', 'FreezeData Chart',
-          FreezeData))
-      }).catch(function(error) {
-        alert(error);
-      })
-  } else {
-    doPost('/NR', undefined, getHeader(), 800000)
-      .then(function(data) {
-        let NR = data.NR.split("\n");
-        NR[0] = NR[0].replace(/\[\'/i, '');
-        for (let i = 0; i < NR.length - 1; i += 6) {
-          BlockinessData.labels.push(i / 6);
-          BlocklossData.labels.push(i / 6);
-          BlurData.labels.push(i / 6);
-          NoiseData.labels.push(i / 6);
-          InterlaceData.labels.push(i / 6);
-          FreezeData.labels.push(i / 6);
-          BlockinessData.datasets[0].data.push(NR[i]);
-          BlocklossData.datasets[0].data.push(NR[i + 1]);
-          BlurData.datasets[0].data.push(NR[i + 2]);
-          NoiseData.datasets[0].data.push(NR[i + 3]);
-          InterlaceData.datasets[0].data.push(NR[i + 4]);
-          FreezeData.datasets[0].data.push(NR[i + 5]);
-        }
-
-        if (chartMap.has('blockinessChart')) chartMap.get('blockinessChart')
-          .destroy();
-        if (chartMap.has('blocklossChart')) chartMap.get('blocklossChart')
-          .destroy();
-        if (chartMap.has('blurChart')) chartMap.get('blurChart').destroy();
-        if (chartMap.has('noiseChart')) chartMap.get('noiseChart').destroy();
-        if (chartMap.has('interlaceChart')) chartMap.get('interlaceChart')
-          .destroy();
-        if (chartMap.has('FreezeChart')) chartMap.get('FreezeChart')
-          .destroy();
-
-        chartMap.set('blockinessChart', draw('chartNR1', 'Blockiness Chart',
-          BlockinessData))
-        chartMap.set('blocklossChart', draw('chartNR2', 'BlocklossData Chart',
-          BlocklossData))
-        chartMap.set('blurChart', draw('chartNR3', 'BlurData Chart',
-          BlurData))
-        chartMap.set('noiseChart', draw('chartNR4', 'NoiseData Chart',
-          NoiseData))
-        chartMap.set('interlaceChart', draw('chartNR5', 'InterlaceData Chart',
-          InterlaceData))
-        chartMap.set('FreezeChart', draw('chartNR6', 'FreezeData Chart',
-          FreezeData))
-      }).catch(function(error) {
-        alert(error);
-      })
+  let threshold = Infinity;
+  if (analyser.threshold !== null) {
+    threshold = parseFloat($("#" + name + "-threshold").val());
+    if (isNaN(threshold)) {
+      console.log('threshold must be a Float')
+      return
+    }
   }
-}
-
-function getPESQ() {
-  let resultfolder = document.getElementById("resultfolder");
-  let selectfolder = resultfolder.selectedOptions.length;
-  let pesqData = initChartDate("PESQ Chart", Color);
-  if (selectfolder) {
-    var strfolder = resultfolder.options[resultfolder.selectedIndex].text;
-    doPost('/displayData', {
-      "folder": strfolder,
-      "file": "pesq.txt"
-    }, getHeader(), 20000)
-      .then(function(data) {
-        let pesq = data.data.split(",");
-        let average = 0;
-        let num = 0;
-        pesq[0] = pesq[0].replace(/\[\'/i, '');
-        for (let i = 0; i < pesq.length - 1; i++) {
-
-          pesqData.labels.push(i);
-          pesqData.datasets[0].data.push(pesq[i]);
-          average = average + parseFloat(pesq[i]);
-          num++;
-        }
-        average = parseFloat(average / num);
-        $("#pesq_avg").val(average);
-        console.log(pesqData.datasets[0].data);
-        draw('chartgoogPESQ', 'PESQ Chart', pesqData);
-      }).catch(function(error) {
-        alert(error);
-      })
+  let folder = selectedResultFolder();
+  let request;
+  if (folder !== undefined) {
+    request = doPost('/displayData', {
+      "folder": folder,
+      "metric": analyser.metric
+    }, getHeader(), 800000);
   } else {
-    doPost('/pesq', {
-      "blank": " "
-    }, getHeader(), 20000)
-      .then(function(data) {
-        let pesq = data.pesq.split("\n");
-        let average = 0;
-        let num = 0;
-        for (let i = 0; i < pesq.length; i++) {
-          pesqData.labels.push(i);
-          pesqData.datasets[0].data.push(pesq[i]);
-          average = average + parseFloat(pesq[i]);
-          num++;
-        }
-        average = parseFloat(average / num);
-        $("#pesq_avg").val(average);
-        console.log(pesqData.datasets[0].data);
-        draw('chartgoogPESQ', 'PESQ Chart', pesqData);
-      }).catch(function(error) {
-        alert(error);
-      })
+    request = runAnalysisJob(name);
   }
+  let button = $("#" + name + "-btn").attr('disabled', ' true');
+  request
+    .then(function(data) {
+      button.removeAttr('disabled');
+      analyser.charts.forEach(function(chart, index) {
+        let chartName = chart.column || chart.metric;
+        let values = chart.column ? data.values[chart.column] : data.values;
+        setData(chartName, name + '-chart' + index, chart.title,
+          initChartDate(chart.title, Color), values, fCount, threshold,
+          analyser.average ? name + '-avg' : undefined, chart.events);
+      });
+    }).catch(function(error) {
+      button.removeAttr('disabled');
+      alert(error);
+    })
 }
+
+// After util.js, which the page loads later.
+$(loadAnalysers);
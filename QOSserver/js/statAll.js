@@ -48,7 +48,7 @@ function getCompareResultFolder() {
     "blank": " "
   }, getHeader(), 800000)
     .then(function(data) {
-      let folders = data.folder.split("\n")
+      let folders = data.folders
       for (let i = 0; i < folders.length; i++) {
         let optiondevice = document.createElement('option');
         optiondevice.text = folders[i]
@@ -69,17 +69,172 @@ function getSelectedResultFolder() {
       "folder": strfolder
     }, getHeader(), 800000)
       .then(function(data) {
-        selectedResultFolder = data.folder.split("\n")
+        selectedResultFolder = data.folders
       }).catch(function(err) {
         alert(err);
       })
   }
 }
 
+function describeResult(result) {
+  let spec = result.spec || {};
+  let parts = [result.folder];
+  for (let name of ['codec', 'bitrate', 'resolution']) {
+    if (spec[name] !== undefined) {
+      parts.push(name + '=' + spec[name]);
+    }
+  }
+  if (result.date) {
+    parts.push(result.date);
+  }
+  if (result.tags && result.tags.length) {
+    parts.push('[' + result.tags.join(', ') + ']');
+  }
+  return parts.join(' ');
+}
+
+function queryResults() {
+  let indexedResults = document.getElementById("indexedResults");
+  while (indexedResults.length) {
+    indexedResults.remove(0)
+  }
+  doPost('/queryResults', {
+    "codec": $("#queryCodec").val(),
+    "bitrate": $("#queryBitrate").val(),
+    "date": $("#queryDate").val(),
+    "tag": $("#queryTag").val()
+  }, getHeader(), 20000)
+    .then(function(data) {
+      for (let result of data.results) {
+        let option = document.createElement('option');
+        option.text = describeResult(result)
+        option.value = result.folder
+        indexedResults.add(option, null)
+      }
+    }).catch(function(err) {
+      alert(err);
+    })
+}
+
+function getSelectedIndexedResults() {
+  let indexedResults = document.getElementById("indexedResults");
+  selectedResultFolder = Array.from(indexedResults.selectedOptions).map(
+    function(option) {
+      return option.value;
+    });
+}
+
+// Downloads the comparison report of the selected result folders.
+function downloadReport(format) {
+  if (!selectedResultFolder.length) {
+    alert('select the result folders to compare first');
+    return;
+  }
+  let query = selectedResultFolder.map(function(folder) {
+    return 'folder=' + encodeURIComponent(folder);
+  }).join('&');
+  downloadFile('/api/v1/reports?' + query + '&format=' + format, getHeader())
+    .catch(function(err) {
+      alert(err);
+    })
+}
+
+// Result folders of the two groups of the statistical comparison.
+var comparisonGroups = {
+  a: [],
+  b: []
+};
+
+// Takes the selected result folders as group a or b.
+function setComparisonGroup(name) {
+  if (!selectedResultFolder.length) {
+    alert('select the result folders of the group first');
+    return;
+  }
+  comparisonGroups[name] = selectedResultFolder.slice();
+  $("#group-" + name).text(comparisonGroups[name].join(', '));
+}
+
+function formatNumber(value, digits) {
+  return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+function formatInterval(interval, digits) {
+  if (interval === null) return '';
+  return ' [' + interval[0].toFixed(digits) + ', ' + interval[1].toFixed(
+    digits) + ']';
+}
+
+/*
+ * Compares group a with group b: the mean of a run statistic in each group
+ * and their difference with a confidence interval, and whether the difference
+ * is significant.
+ */
+function compareGroups() {
+  if (!comparisonGroups.a.length || !comparisonGroups.b.length) {
+    alert('set both groups first');
+    return;
+  }
+  let confidence = parseFloat($("#comparisonConfidence").val());
+  $("#compare-groups").attr('disabled', ' true');
+  doPostJson('/api/v1/comparisons', {
+    a: {
+      label: 'A',
+      folders: comparisonGroups.a
+    },
+    b: {
+      label: 'B',
+      folders: comparisonGroups.b
+    },
+    stat: $("#comparisonStat").val(),
+    confidence: isNaN(confidence) ? undefined : confidence / 100
+  }, getHeader(), 60000)
+    .then(function(data) {
+      $("#compare-groups").removeAttr('disabled');
+      let table = $("#comparisonTable");
+      let level = Math.round(data.confidence * 100) + '%';
+      table.empty();
+      table.append($('<caption>').text(data.stat + ' of every run, mean of ' +
+        'the group with the ' + level + ' confidence interval; B - A is ' +
+        'significant for p < ' + data.alpha));
+      let titles = ['metric', 'A (' + data.a.folders.length + ' runs)',
+        'B (' + data.b.folders.length + ' runs)', 'B - A', 'change', 'p',
+        'verdict'];
+      table.append($('<tr>').append(titles.map(function(title) {
+        return $('<th>').text(title);
+      })));
+      let colors = {
+        better: 'green',
+        worse: '#c00',
+        higher: '#06c',
+        lower: '#06c'
+      };
+      for (let metric of data.metrics) {
+        let name = metric.column ? metric.metric + '.' + metric.column :
+          metric.metric;
+        let unit = metric.unit ? ' ' + metric.unit : '';
+        table.append($('<tr>').append(
+          $('<td>').text(name),
+          $('<td>').text(formatNumber(metric.a.mean, 2) + formatInterval(
+            metric.a.interval, 2)),
+          $('<td>').text(formatNumber(metric.b.mean, 2) + formatInterval(
+            metric.b.interval, 2)),
+          $('<td>').text(formatNumber(metric.difference, 2) + formatInterval(
+            metric.interval, 2) + unit),
+          $('<td>').text(metric.differencePercent === null ? '-' :
+            formatNumber(metric.differencePercent, 1) + '%'),
+          $('<td>').text(formatNumber(metric.pValue, 3)),
+          $('<td>').text(metric.verdict).css('color', colors[metric
+            .verdict] || '')));
+      }
+    }).catch(function(err) {
+      $("#compare-groups").removeAttr('disabled');
+      alert(err);
+    })
+}
+
 function getComparedResult(canvasId, resultFile, thresholdId) {
   let chartName = canvasId
-  let dataArray = [];
-  let dataFolder;
   let nLength = parseInt($("#maxFrame").val());
   if (isNaN(nLength) || nLength < 0 || nLength > Number.MAX_SAFE_INTEGER) {
     console.log('max frame size must be a int or must big then zero and smaller then MAX_SAFE_INTEGER')
@@ -91,66 +246,41 @@ function getComparedResult(canvasId, resultFile, thresholdId) {
     return
   }
   if (selectedResultFolder.length) {
-    for (let k = 0; k < selectedResultFolder.length - 1; k++) {
-      selectedResultFolder[k].trim();
-      dataArray.push(selectedResultFolder[k]);
-      dataFolder = dataArray.join();
-    }
     doPost('/displayData', {
-      "folder": dataFolder,
-      "file": resultFile
+      "folder": selectedResultFolder,
+      "metric": resultFile
     }, getHeader(), 20000)
       .then(function(data) {
-        let aArray = data.data.split("#");
-        let nAverage = 0;
+        // A single folder comes back without the series list.
+        let series = data.series || [{
+          folder: data.folder,
+          values: data.values
+        }];
         let currentSets = {
           labels: [],
           datasets: []
         };
         let colorNames = Object.keys(window.chartColors);
-        // increase dataset
-        for (let k = 0; k < selectedResultFolder.length - 1; k++) {
-          let colorName = colorNames[currentSets.datasets.length % colorNames
-            .length];
+        for (let j = 0; j < series.length; j++) {
+          let colorName = colorNames[j % colorNames.length];
           let newColor = window.chartColors[colorName];
           let newDataset = {
-            label: selectedResultFolder[k],
+            label: series[j].folder,
             backgroundColor: newColor,
             borderColor: newColor,
             data: [],
             fill: false
           };
-          currentSets.datasets.push(newDataset);
-        }
-        let lastlength = 0;
-        for (let j = 0; j < aArray.length; j++) {
-          let nNum = 0;
-          if (aArray.length > 1 && aArray.length == j + 1) {
-            break;
-          }
-          let currentData = aArray[j].split(',');
-          if (currentData.length > lastlength) {
-            currentSets.labels = [];
-          }
-          currentData[0] = currentData[0].replace(/\[\'/i, '');
-          for (let i = 0; i < currentData.length; i++) {
-            if (nNum > nLength) {
-              break;
-            }
-            currentData[i] = currentData[i].replace(/\'/i, '');
-            if (currentData[i] != null && !(currentData[i].trim() == '')) {
-              if (currentData[i] > threshold) continue;
-              if (currentData.length > lastlength) {
-                currentSets.labels.push(i);
-              }
-              currentSets.datasets[j].data.push(currentData[i]);
-              nAverage = nAverage + parseFloat(currentData[i]);
-              nNum++;
+          let values = series[j].values;
+          for (let i = 0; i < values.length && i <= nLength; i++) {
+            // Values above the threshold are left out of the chart.
+            newDataset.data.push(values[i] === null || values[i] > threshold ?
+              null : values[i]);
+            if (i >= currentSets.labels.length) {
+              currentSets.labels.push(i);
             }
           }
-          if (currentData.length > lastlength) {
-            lastlength = currentData.length;
-          }
+          currentSets.datasets.push(newDataset);
         }
         if (chartMap.has(chartName)) chartMap.get(chartName).destroy();
         chartMap.set(chartName, draw(canvasId, chartName, currentSets))
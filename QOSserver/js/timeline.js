@@ -0,0 +1,444 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Timeline of every per-frame metric of a result folder on one frame axis.
+// The charts share the zoom and the cursor and show the events of the folder;
+// a click lists the values of every metric at that frame.
+//
+'use strict'
+
+// The client reports fps and the received byte count every 3 seconds, so
+// these metrics have one value per report instead of one per frame. A bitrate
+// value covers the time between two reports and is placed at the later one.
+var timelineSampled = {
+  fps: {
+    seconds: 3,
+    offset: 1
+  },
+  bitrate: {
+    seconds: 3,
+    offset: 2
+  }
+};
+// Metrics of audio segments, which have no place on the frame axis.
+var timelineSkipped = ['pesq', 'audioDelay'];
+// Points drawn per chart; longer ranges keep the minimum and maximum of each
+// bucket so that short dips stay visible.
+var timelineMaxPoints = 800;
+var timelineColors = ['rgb(255, 99, 132)', 'rgb(54, 162, 235)',
+  'rgb(75, 192, 192)', 'rgb(255, 159, 64)', 'rgb(153, 102, 255)',
+  'rgb(201, 203, 207)'
+];
+
+var timeline = {
+  folder: undefined,
+  // {metric, name, unit, values}, one per chart
+  series: [],
+  // Events of the folder, shaded on every chart.
+  events: [],
+  charts: [],
+  length: 0,
+  start: 0,
+  end: 0,
+  cursor: null,
+  selected: null,
+  drag: null
+};
+
+function timelineFps() {
+  let fps = parseFloat($("#timelineFps").val());
+  return isNaN(fps) || fps <= 0 ? 30 : fps;
+}
+
+// The frame a value of a series belongs to.
+function timelineFrame(series, index) {
+  let sampled = timelineSampled[series.metric];
+  if (sampled === undefined) {
+    return index;
+  }
+  return Math.round((index + sampled.offset) * sampled.seconds * timelineFps());
+}
+
+// The value of a series at a frame: the value of the frame, or of the last
+// report before it for the sampled metrics.
+function timelineValueAt(series, frame) {
+  if (timelineSampled[series.metric] === undefined) {
+    return series.values[frame];
+  }
+  let value = undefined;
+  for (let i = 0; i < series.values.length; i++) {
+    if (timelineFrame(series, i) > frame) {
+      break;
+    }
+    value = series.values[i];
+  }
+  return value;
+}
+
+function timelineLength() {
+  let length = 0;
+  for (let series of timeline.series) {
+    if (series.values.length > 0) {
+      length = Math.max(length, timelineFrame(series, series.values.length -
+        1));
+    }
+  }
+  return length;
+}
+
+// The points of a series in the visible range.
+function timelinePoints(series) {
+  let points = [];
+  for (let i = 0; i < series.values.length; i++) {
+    let value = series.values[i];
+    let frame = timelineFrame(series, i);
+    if (value === null || value === undefined) continue;
+    // One point on either side keeps the line going to the edge.
+    if (frame < timeline.start) {
+      points[0] = {
+        x: frame,
+        y: value
+      };
+      continue;
+    }
+    points.push({
+      x: frame,
+      y: value
+    });
+    if (frame > timeline.end) break;
+  }
+  if (points.length <= timelineMaxPoints) {
+    return points;
+  }
+  let buckets = timelineMaxPoints / 2;
+  let size = (timeline.end - timeline.start + 1) / buckets;
+  let result = [];
+  let bucket = null;
+  let low = null;
+  let high = null;
+  let flush = function() {
+    if (low === null) return;
+    if (low.x <= high.x) {
+      result.push(low);
+      if (high !== low) result.push(high);
+    } else {
+      result.push(high, low);
+    }
+  };
+  for (let point of points) {
+    let index = Math.floor((point.x - timeline.start) / size);
+    if (index !== bucket) {
+      flush();
+      bucket = index;
+      low = point;
+      high = point;
+      continue;
+    }
+    if (point.y < low.y) low = point;
+    if (point.y > high.y) high = point;
+  }
+  flush();
+  return result;
+}
+
+function timelineTick(value) {
+  if ($("#timelineAxis").val() === 'time') {
+    return (value / timelineFps()).toFixed(1) + ' s';
+  }
+  return value;
+}
+
+// Draws the cursor and the selected frame on top of a chart.
+var timelineCursorPlugin = {
+  afterDatasetsDraw: function(chart) {
+    let scale = chart.scales['x-axis-0'];
+    let area = chart.chartArea;
+    let ctx = chart.ctx;
+    let lines = [
+      [timeline.selected, 'rgb(0, 0, 0)'],
+      [timeline.cursor, 'rgb(128, 128, 128)']
+    ];
+    for (let line of lines) {
+      if (line[0] === null || line[0] < timeline.start || line[0] >
+        timeline.end) continue;
+      let x = scale.getPixelForValue(line[0]);
+      ctx.save();
+      ctx.strokeStyle = line[1];
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, area.top);
+      ctx.lineTo(x, area.bottom);
+      ctx.stroke();
+      ctx.restore();
+    }
+  }
+};
+
+function timelineEventRanges() {
+  return timeline.events.map(function(event) {
+    return {
+      start: event.startFrame,
+      end: event.endFrame,
+      severity: event.severity
+    };
+  });
+}
+
+function drawTimelineChart(canvas, series, color) {
+  return new Chart(canvas.getContext("2d"), {
+    type: 'line',
+    data: {
+      datasets: [{
+        label: series.name,
+        backgroundColor: color,
+        borderColor: color,
+        borderWidth: 1,
+        pointRadius: 0,
+        lineTension: 0,
+        fill: false,
+        data: timelinePoints(series)
+      }]
+    },
+    plugins: [timelineCursorPlugin],
+    options: {
+      responsive: true,
+      animation: false,
+      // The mouse is handled by the timeline, for every chart at once.
+      events: [],
+      legend: {
+        display: false
+      },
+      title: {
+        display: true,
+        text: series.name + (series.unit ? ' (' + series.unit + ')' : '')
+      },
+      plugins: {
+        eventMarkers: {
+          ranges: timelineEventRanges()
+        }
+      },
+      scales: {
+        xAxes: [{
+          type: 'linear',
+          ticks: {
+            min: timeline.start,
+            max: timeline.end,
+            callback: timelineTick
+          }
+        }],
+        yAxes: [{
+          // The same width for every chart keeps the frames lined up.
+          afterFit: function(scale) {
+            scale.width = 60;
+          }
+        }]
+      }
+    }
+  });
+}
+
+function redrawTimelineCursor() {
+  for (let chart of timeline.charts) {
+    chart.draw();
+  }
+}
+
+function updateTimeline() {
+  for (let i = 0; i < timeline.charts.length; i++) {
+    let chart = timeline.charts[i];
+    let ticks = chart.options.scales.xAxes[0].ticks;
+    ticks.min = timeline.start;
+    ticks.max = timeline.end;
+    chart.data.datasets[0].data = timelinePoints(timeline.series[i]);
+    chart.update(0);
+  }
+}
+
+function setTimelineRange(start, end) {
+  let span = Math.max(10, end - start);
+  span = Math.min(span, timeline.length);
+  start = Math.max(0, Math.min(start, timeline.length - span));
+  timeline.start = Math.round(start);
+  timeline.end = Math.round(start + span);
+  updateTimeline();
+}
+
+function resetTimelineZoom() {
+  setTimelineRange(0, timeline.length);
+}
+
+// The axis unit or the frame rate changed.
+function updateTimelineAxis() {
+  if (timeline.series.length === 0) return;
+  timeline.length = timelineLength();
+  resetTimelineZoom();
+  showTimelineValues(timeline.selected);
+}
+
+function showTimelineValues(frame) {
+  let table = $("#timelineValues");
+  table.empty();
+  if (frame === null) return;
+  table.append($('<caption>').text('frame ' + frame + ', ' + (frame /
+    timelineFps()).toFixed(2) + ' s'));
+  for (let series of timeline.series) {
+    let value = timelineValueAt(series, frame);
+    table.append($('<tr>').append($('<td>').text(series.name),
+      $('<td>').text(value === null || value === undefined ? '-' : value),
+      $('<td>').text(series.unit || '')));
+  }
+}
+
+// The frame under the mouse in one of the charts.
+function timelineFrameAt(chart, event) {
+  let rect = chart.canvas.getBoundingClientRect();
+  let x = event.clientX - rect.left;
+  let scale = chart.scales['x-axis-0'];
+  let frame = Math.round(scale.getValueForPixel(x));
+  return Math.max(timeline.start, Math.min(timeline.end, frame));
+}
+
+// Wheel zooms around the mouse, dragging pans, a click selects the frame and
+// a double click shows every frame again.
+function listenToTimelineChart(chart) {
+  let canvas = chart.canvas;
+  canvas.addEventListener('mousemove', function(event) {
+    let frame = timelineFrameAt(chart, event);
+    let drag = timeline.drag;
+    if (drag !== null) {
+      let scale = chart.scales['x-axis-0'];
+      let framesPerPixel = (drag.end - drag.start) / (scale.right - scale.left);
+      let moved = event.clientX - drag.x;
+      if (Math.abs(moved) > 3) drag.moved = true;
+      setTimelineRange(drag.start - moved * framesPerPixel, drag.end - moved *
+        framesPerPixel);
+    }
+    timeline.cursor = frame;
+    redrawTimelineCursor();
+  });
+  canvas.addEventListener('mouseleave', function() {
+    timeline.cursor = null;
+    timeline.drag = null;
+    redrawTimelineCursor();
+  });
+  canvas.addEventListener('mousedown', function(event) {
+    timeline.drag = {
+      x: event.clientX,
+      start: timeline.start,
+      end: timeline.end,
+      moved: false
+    };
+  });
+  canvas.addEventListener('mouseup', function(event) {
+    let drag = timeline.drag;
+    timeline.drag = null;
+    if (drag !== null && !drag.moved) {
+      timeline.selected = timelineFrameAt(chart, event);
+      showTimelineValues(timeline.selected);
+      redrawTimelineCursor();
+    }
+  });
+  canvas.addEventListener('wheel', function(event) {
+    event.preventDefault();
+    let frame = timelineFrameAt(chart, event);
+    let factor = event.deltaY < 0 ? 0.8 : 1.25;
+    setTimelineRange(frame - (frame - timeline.start) * factor, frame +
+      (timeline.end - frame) * factor);
+  });
+  canvas.addEventListener('dblclick', function() {
+    resetTimelineZoom();
+  });
+}
+
+function clearTimeline() {
+  for (let chart of timeline.charts) {
+    chart.destroy();
+  }
+  timeline.charts = [];
+  timeline.series = [];
+  timeline.events = [];
+  timeline.cursor = null;
+  timeline.selected = null;
+  $("#timelineCharts").empty();
+  $("#timelineValues").empty();
+}
+
+/*
+ * Reads every metric of the selected result folder and draws the timeline.
+ * The frame rate comes from the run spec of the folder when it is indexed.
+ */
+function showTimeline() {
+  let resultfolder = document.getElementById("resultfolder");
+  if (!resultfolder.selectedOptions.length) {
+    alert('select a result folder first');
+    return;
+  }
+  let folder = resultfolder.options[resultfolder.selectedIndex].text;
+  let base = '/api/v1/results/' + encodeURIComponent(folder);
+  $("#timeline-btn").attr('disabled', ' true');
+  let records = doGet('/api/v1/records?folder=' + encodeURIComponent(folder),
+    getHeader(), 20000);
+  // The timeline is drawn without events when they cannot be detected.
+  let events = loadResultEvents(folder).catch(function() {
+    return [];
+  });
+  doGet(base, getHeader(), 20000)
+    .then(function(result) {
+      let metrics = result.metrics.filter(function(metric) {
+        return timelineSkipped.indexOf(metric) === -1;
+      });
+      return Promise.all([records, events].concat(metrics.map(function(
+        metric) {
+        return doGet(base + '/metrics/' + encodeURIComponent(metric),
+          getHeader(), 20000);
+      })));
+    }).then(function(responses) {
+      $("#timeline-btn").removeAttr('disabled');
+      clearTimeline();
+      timeline.folder = folder;
+      timeline.events = responses[1];
+      let record = responses[0].records.find(function(record) {
+        return record.folder === folder;
+      });
+      if (record && record.spec.fps) {
+        $("#timelineFps").val(record.spec.fps);
+      }
+      let names = new Set();
+      for (let metric of responses.slice(2)) {
+        // Metrics with columns, like quality and nr, get a chart per column.
+        let parts = Array.isArray(metric.values) ? [
+          [metric.metric, metric.values]
+        ] : metric.columns.map(function(column) {
+          return [column, metric.values[column]];
+        });
+        for (let part of parts) {
+          if (names.has(part[0])) continue;
+          names.add(part[0]);
+          timeline.series.push({
+            metric: metric.metric,
+            name: part[0],
+            unit: metric.unit,
+            values: part[1]
+          });
+        }
+      }
+      timeline.length = timelineLength();
+      timeline.start = 0;
+      timeline.end = timeline.length;
+      timeline.series.forEach(function(series, index) {
+        let canvas = document.createElement('canvas');
+        canvas.width = 400;
+        canvas.height = 60;
+        $("#timelineCharts").append(canvas);
+        let chart = drawTimelineChart(canvas, series, timelineColors[index %
+          timelineColors.length]);
+        timeline.charts.push(chart);
+        listenToTimelineChart(chart);
+      });
+    }).catch(function(error) {
+      $("#timeline-btn").removeAttr('disabled');
+      alert(error);
+    })
+}
@@ -25,6 +25,88 @@ function doPost(url, data, headers,timeout) {
   });
 }
 
+function doGet(url, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    $.ajax({
+      headers: headers,
+      url: url,
+      type: 'get',
+      cache: false,
+      timeout: timeout,
+      async: true,
+      success: function(data) {
+        resolve(data);
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        console.log(textStatus, errorThrown)
+        let body = jqXHR.responseJSON;
+        reject(body && body.error ? body.error.message : textStatus + " " +
+          errorThrown);
+      },
+    });
+  });
+}
+
+// Posts data as JSON, for the /api/v1 routes.
+function doPostJson(url, data, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    $.ajax({
+      headers: headers,
+      data: JSON.stringify(data),
+      contentType: 'application/json',
+      url: url,
+      type: 'post',
+      cache: false,
+      timeout: timeout,
+      async: true,
+      success: function(data) {
+        resolve(data);
+      },
+      error: function(jqXHR, textStatus, errorThrown) {
+        console.log(textStatus, errorThrown)
+        let body = jqXHR.responseJSON;
+        if (body && body.error) {
+          let details = body.error.details;
+          reject(body.error.message + (Array.isArray(details) ? ': ' + details
+            .join(', ') : ''));
+          return;
+        }
+        reject(textStatus + " " + errorThrown);
+      },
+    });
+  });
+}
+
+/*
+ * Queues the analysis of metric as a job and resolves with its result once
+ * the job finished: the metric with its values, or the events found.
+ * onProgress(job), when given, is called with the job on every poll.
+ */
+function runJob(metric, headers, onProgress) {
+  return doPostJson('/api/v1/jobs', {
+    metric: metric
+  }, headers, 20000).then(function(job) {
+    return new Promise(function(resolve, reject) {
+      let poll = function(job) {
+        if (onProgress) onProgress(job);
+        if (job.status === 'finished') {
+          resolve(doGet('/api/v1/jobs/' + job.id + '/result', headers, 20000));
+          return;
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+          reject(metric + ' ' + job.status + (job.error ? ': ' + job.error :
+            ''));
+          return;
+        }
+        setTimeout(function() {
+          doGet('/api/v1/jobs/' + job.id, headers, 20000).then(poll, reject);
+        }, 2000);
+      };
+      poll(job);
+    });
+  });
+}
+
 function draw(canvasId, chartName, data) {
   let div = document.getElementById(canvasId);
   let cxt = document.getElementById(canvasId).getContext("2d");
@@ -77,3 +159,112 @@ function initChartDate(labelName, Color) {
     }]
   };
 }
+
+/*
+ * Reads the server-sent events of url and calls onEvent(type, data) for each
+ * of them. EventSource cannot send the Authorization header, so the stream is
+ * read with fetch. Returns an AbortController that ends the stream; done(error)
+ * is called when the stream ended.
+ */
+function readEvents(url, headers, onEvent, done) {
+  let controller = new AbortController();
+  fetch(url, {
+    headers: headers,
+    signal: controller.signal
+  }).then(function(response) {
+    if (!response.ok) {
+      throw new Error(response.status + " " + response.statusText);
+    }
+    let reader = response.body.getReader();
+    let decoder = new TextDecoder();
+    let buffer = '';
+    let read = function() {
+      return reader.read().then(function(result) {
+        if (result.done) {
+          return;
+        }
+        buffer += decoder.decode(result.value, {
+          stream: true
+        });
+        let blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (let block of blocks) {
+          let type = 'message';
+          let data = '';
+          for (let line of block.split('\n')) {
+            if (line.startsWith('event: ')) {
+              type = line.slice(7);
+            } else if (line.startsWith('data: ')) {
+              data += line.slice(6);
+            }
+          }
+          if (data !== '') {
+            onEvent(type, JSON.parse(data));
+          }
+        }
+        return read();
+      });
+    };
+    return read();
+  }).then(function() {
+    done();
+  }).catch(function(error) {
+    done(error.name === 'AbortError' ? undefined : error);
+  });
+  return controller;
+}
+
+/*
+ * Downloads url with the Authorization header, which a plain link cannot
+ * send, and saves it under the file name the server proposes.
+ */
+function downloadFile(url, headers) {
+  return fetch(url, {
+    headers: headers
+  }).then(function(response) {
+    if (!response.ok) {
+      return response.json().then(function(body) {
+        throw new Error(body.error ? body.error.message : response.statusText);
+      }, function() {
+        throw new Error(response.status + " " + response.statusText);
+      });
+    }
+    let disposition = response.headers.get('Content-Disposition') || '';
+    let match = /filename="([^"]+)"/.exec(disposition);
+    return response.blob().then(function(blob) {
+      let link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = match ? match[1] : 'download';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(function() {
+        URL.revokeObjectURL(link.href);
+      }, 10000);
+    });
+  });
+}
+
+/*
+ * Shows the image at url, fetched with the Authorization header, in the img
+ * element.
+ */
+function loadImage(img, url, headers) {
+  return fetch(url, {
+    headers: headers
+  }).then(function(response) {
+    if (!response.ok) {
+      return response.json().then(function(body) {
+        throw new Error(body.error ? body.error.message : response.statusText);
+      }, function() {
+        throw new Error(response.status + " " + response.statusText);
+      });
+    }
+    return response.blob();
+  }).then(function(blob) {
+    if (img.src.startsWith('blob:')) {
+      URL.revokeObjectURL(img.src);
+    }
+    img.src = URL.createObjectURL(blob);
+  });
+}
@@ -0,0 +1,570 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Maps the received frames to the sent ones by their frame tags, and lists
+// the sent frames that were dropped and the received frames that were
+// duplicates or came out of order. The received tags come from the tag log
+// of the test client (rec_timestamp.txt, written by the native latency tool
+// from the digit tags of preprocess/videoTag), or from a barcode block in
+// the received frames, read from rec.yuv or from the tag area the client
+// logs to localLatency.txt. The sent tags come from the publish log
+// (localPublishTime.txt); without it every tag between the first and the last
+// received one is taken as sent.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const metrics = require('./metrics');
+const resultReader = require('./resultReader');
+const yuvFrames = require('./yuvFrames');
+
+const alignmentFile = 'alignment.json';
+const sources = ['tags', 'barcode'];
+
+/*
+ * The barcode block: a row of cells of cell x cell pixels at x, y of the
+ * luma. A black start cell, bits data cells with the tag, most significant
+ * bit first, white for 1, and a parity cell that is white when the number of
+ * ones is odd. The default block fits in the tag area.
+ */
+const defaultLayout = {
+  x: 0,
+  y: 0,
+  cell: 12,
+  bits: 16
+};
+const black = 16;
+const white = 235;
+
+// The top left pixels of the received frames that the client logs to
+// localLatency.txt: a record per frame of its receive time followed by the B,
+// G, R and A values of every pixel.
+const tagArea = {
+  width: 240,
+  height: 60
+};
+
+const alignmentError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const checkLayout = function (layout, width, height) {
+  let right = layout.x + (layout.bits + 2) * layout.cell;
+  if (right > width || layout.y + layout.cell > height) {
+    throw alignmentError('the barcode does not fit in a ' + width + 'x' +
+      height + ' frame', 400);
+  }
+};
+
+// Mean luma of the inner half of a cell, which compression blurs least.
+const cellValue = function (frame, width, layout, index) {
+  let margin = Math.floor(layout.cell / 4);
+  let left = layout.x + index * layout.cell + margin;
+  let top = layout.y + margin;
+  let size = layout.cell - 2 * margin;
+  let sum = 0;
+  for (let y = top; y < top + size; y++) {
+    for (let x = left; x < left + size; x++) {
+      sum += frame[y * width + x];
+    }
+  }
+  return sum / (size * size);
+};
+
+/*
+ * The tag of the barcode of an I420 frame, null when there is no readable
+ * barcode.
+ */
+const decodeBarcode = function (frame, width, height, layout) {
+  layout = Object.assign({}, defaultLayout, layout);
+  checkLayout(layout, width, height);
+  let threshold = (black + white) / 2;
+  if (cellValue(frame, width, layout, 0) >= threshold) {
+    return null;
+  }
+  let tag = 0;
+  let ones = 0;
+  for (let bit = 0; bit < layout.bits; bit++) {
+    let one = cellValue(frame, width, layout, bit + 1) >= threshold;
+    tag = tag * 2 + (one ? 1 : 0);
+    ones += one ? 1 : 0;
+  }
+  let parity = cellValue(frame, width, layout, layout.bits + 1) >= threshold;
+  return parity === (ones % 2 === 1) ? tag : null;
+};
+
+/*
+ * Draws the barcode of tag into an I420 frame, with neutral chroma under it.
+ */
+const encodeBarcode = function (frame, width, height, tag, layout) {
+  layout = Object.assign({}, defaultLayout, layout);
+  checkLayout(layout, width, height);
+  if (tag < 0 || tag >= Math.pow(2, layout.bits)) {
+    throw alignmentError('tag ' + tag + ' does not fit in ' + layout.bits +
+      ' bits', 400);
+  }
+  let cells = [black];
+  let ones = 0;
+  for (let bit = layout.bits - 1; bit >= 0; bit--) {
+    let one = Math.floor(tag / Math.pow(2, bit)) % 2 === 1;
+    cells.push(one ? white : black);
+    ones += one ? 1 : 0;
+  }
+  cells.push(ones % 2 === 1 ? white : black);
+  let chromaWidth = width / 2;
+  let uOffset = width * height;
+  let vOffset = uOffset + width * height / 4;
+  cells.forEach(function (value, index) {
+    let left = layout.x + index * layout.cell;
+    for (let y = layout.y; y < layout.y + layout.cell; y++) {
+      frame.fill(value, y * width + left, y * width + left + layout.cell);
+      if (y % 2 === 0) {
+        let chroma = (y / 2) * chromaWidth + Math.floor(left / 2);
+        frame.fill(128, uOffset + chroma, uOffset + chroma + layout.cell / 2);
+        frame.fill(128, vOffset + chroma, vOffset + chroma + layout.cell / 2);
+      }
+    }
+  });
+  return frame;
+};
+
+/*
+ * Reads the barcode of every frame of an I420 file, a frame at a time. Calls
+ * back with the tags in frame order, null for frames without a readable
+ * barcode.
+ */
+const readBarcodes = function (file, width, height, layout, callback) {
+  let size = yuvFrames.frameSize(width, height);
+  let count = yuvFrames.frameCount(file, width, height);
+  let tags = [];
+  fs.open(file, 'r', function (err, fd) {
+    if (err) {
+      callback(err.code === 'ENOENT' ? alignmentError(path.basename(file) +
+        ' not found', 404) : err);
+      return;
+    }
+    if (count === 0) {
+      fs.close(fd, function () {
+        callback(alignmentError('no ' + width + 'x' + height + ' frames in ' +
+          path.basename(file), 404));
+      });
+      return;
+    }
+    let frame = Buffer.alloc(size);
+    let next = function () {
+      if (tags.length === count) {
+        fs.close(fd, function () {
+          callback(null, tags);
+        });
+        return;
+      }
+      fs.read(fd, frame, 0, size, tags.length * size, function (err) {
+        let tag;
+        try {
+          tag = err ? null : decodeBarcode(frame, width, height, layout);
+        } catch (decodeError) {
+          err = decodeError;
+        }
+        if (err) {
+          fs.close(fd, function () {
+            callback(err);
+          });
+          return;
+        }
+        tags.push(tag);
+        next();
+      });
+    };
+    next();
+  });
+};
+
+// Luma in the studio range of the barcode levels.
+const luma = function (b, g, r) {
+  return Math.round(16 + (65.738 * r + 129.057 * g + 25.064 * b) / 256);
+};
+
+/*
+ * Parses the values of localLatency.txt one at a time: the returned take(field)
+ * calls onFrame({tag, time}) with the barcode of the tag area at the end of
+ * every record, a null tag when it has no readable one. Throws when the block
+ * does not fit in the tag area.
+ */
+const tagAreaParser = function (layout, onFrame) {
+  layout = Object.assign({}, defaultLayout, layout);
+  checkLayout(layout, tagArea.width, tagArea.height);
+  let recordSize = 1 + tagArea.width * tagArea.height * 4;
+  let frame = Buffer.alloc(tagArea.width * tagArea.height);
+  let pixel = [];
+  let position = 0;
+  let time = null;
+  return function (field) {
+    let value = parseInt(field, 10);
+    if (isNaN(value)) {
+      return;
+    }
+    if (position === 0) {
+      time = value;
+    } else if ((position - 1) % 4 < 3) {
+      pixel.push(value);
+      if (pixel.length === 3) {
+        frame[(position - 3) / 4] = luma(pixel[0], pixel[1], pixel[2]);
+        pixel = [];
+      }
+    }
+    position++;
+    if (position === recordSize) {
+      position = 0;
+      onFrame({
+        tag: decodeBarcode(frame, tagArea.width, tagArea.height, layout),
+        time: time
+      });
+    }
+  };
+};
+
+/*
+ * Reads the barcode of the tag area of every record of localLatency.txt as
+ * the file streams in. Calls back with [{tag, time}] in receive order, a
+ * null tag for records without a readable barcode. An incomplete last record
+ * is left out.
+ */
+const readTagArea = function (file, layout, callback) {
+  let frames = [];
+  let rest = '';
+  let take;
+  try {
+    take = tagAreaParser(layout, function (frame) {
+      frames.push(frame);
+    });
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  let stream = fs.createReadStream(file, {
+    encoding: 'latin1'
+  });
+  stream.on('data', function (chunk) {
+    let fields = (rest + chunk).split(',');
+    rest = fields.pop();
+    fields.forEach(take);
+  });
+  stream.on('error', function (err) {
+    callback(err.code === 'ENOENT' ? alignmentError(path.basename(file) +
+      ' not found', 404) : err);
+  });
+  stream.on('end', function () {
+    take(rest);
+    callback(null, frames);
+  });
+};
+
+/*
+ * Tags that count on across rounds of the source: a tag far below the
+ * highest one so far (more than half of wrap) starts a new round. Without
+ * wrap the tags are taken as they are.
+ */
+const unwrap = function (tags, wrap) {
+  let offset = 0;
+  let highest = null;
+  return tags.map(function (tag) {
+    if (tag === null || !wrap) {
+      return tag;
+    }
+    if (highest !== null && tag + offset < highest - wrap / 2) {
+      offset += wrap;
+    }
+    let value = tag + offset;
+    highest = highest === null ? value : Math.max(highest, value);
+    return value;
+  });
+};
+
+// Runs of consecutive tags as [{first, last, count}].
+const tagRanges = function (tags) {
+  let ranges = [];
+  for (let tag of tags) {
+    let last = ranges[ranges.length - 1];
+    if (last !== undefined && tag === last.last + 1) {
+      last.last = tag;
+      last.count++;
+    } else {
+      ranges.push({
+        first: tag,
+        last: tag,
+        count: 1
+      });
+    }
+  }
+  return ranges;
+};
+
+const round = function (value) {
+  return Math.round(value * 10000) / 10000;
+};
+
+/*
+ * Aligns the received frames to the sent ones. received lists {tag, time} in
+ * receive order, with a null tag for frames without a readable one; sent
+ * lists them in publish order, or is null when every tag from the first to
+ * the last received one was sent. options.wrap is the number of tags after
+ * which the source starts over, none by default.
+ *
+ * Every received frame gets the number of the sent frame it shows (sent),
+ * the number of sent frames dropped right before it (dropped) and a status:
+ * ok, duplicate (its tag came before), outOfOrder (a tag below the highest
+ * one so far) or unknown (no tag, or one that was not sent). The dropped sent
+ * frames are listed as ranges of sent frame numbers; frames sent before the
+ * first or after the last received one do not count as dropped.
+ */
+const align = function (sent, received, options) {
+  let wrap = options && options.wrap;
+  let tags = unwrap(received.map(function (frame) {
+    return frame.tag;
+  }), wrap);
+  let sentTags = sent ? unwrap(sent.map(function (frame) {
+    return frame.tag;
+  }), wrap) : null;
+  let sentNumbers = new Map();
+  (sentTags || []).forEach(function (tag, index) {
+    if (tag !== null && !sentNumbers.has(tag)) {
+      sentNumbers.set(tag, index);
+    }
+  });
+  let known = tags.filter(function (tag) {
+    return tag !== null && (sentTags === null || sentNumbers.has(tag));
+  });
+  let first = known.reduce(function (low, tag) {
+    return low === null || tag < low ? tag : low;
+  }, null);
+  let last = known.reduce(function (high, tag) {
+    return high === null || tag > high ? tag : high;
+  }, null);
+  let inRange = function (tag) {
+    return first !== null && tag >= first && tag <= last;
+  };
+  let sentNumber = function (tag) {
+    return sentTags ? sentNumbers.get(tag) : tag - first;
+  };
+  let expected = [];
+  if (sentTags) {
+    expected = Array.from(sentNumbers.keys()).filter(inRange);
+  } else {
+    for (let tag = first; inRange(tag); tag++) {
+      expected.push(tag);
+    }
+  }
+  let seen = new Set(known);
+  let dropped = new Set(expected.filter(function (tag) {
+    return !seen.has(tag);
+  }));
+  let got = new Set();
+  let highest = null;
+  let counts = {
+    ok: 0,
+    duplicate: 0,
+    outOfOrder: 0,
+    unknown: 0
+  };
+  let frames = tags.map(function (tag, index) {
+    let time = received[index].time;
+    let frame = {
+      index: index,
+      tag: received[index].tag,
+      sent: null,
+      status: 'unknown',
+      dropped: 0,
+      time: time === undefined ? null : time
+    };
+    if (tag !== null && (sentTags === null || sentNumbers.has(tag))) {
+      frame.sent = sentNumber(tag);
+      if (got.has(tag)) {
+        frame.status = 'duplicate';
+      } else if (highest !== null && tag < highest) {
+        frame.status = 'outOfOrder';
+      } else {
+        frame.status = 'ok';
+        for (let skipped = highest + 1; highest !== null && skipped < tag;
+          skipped++) {
+          frame.dropped += dropped.has(skipped) ? 1 : 0;
+        }
+        highest = tag;
+      }
+      got.add(tag);
+    }
+    counts[frame.status]++;
+    return frame;
+  });
+  let droppedNumbers = Array.from(dropped).map(sentNumber).sort(function (a,
+    b) {
+    return a - b;
+  });
+  return {
+    stats: {
+      sent: expected.length,
+      received: frames.length,
+      unique: got.size,
+      dropped: dropped.size,
+      duplicated: counts.duplicate,
+      outOfOrder: counts.outOfOrder,
+      unknown: counts.unknown,
+      lossRate: expected.length ? round(dropped.size / expected.length) : 0
+    },
+    dropped: tagRanges(droppedNumbers),
+    frames: frames
+  };
+};
+
+const readTagLog = function (file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return metrics.tagPairs(resultReader.parseValues(fs.readFileSync(file)
+    .toString()));
+};
+
+// The barcode block of the barcode settings of the alignment section, the
+// default one for those that are not given.
+const layoutOf = function (options) {
+  let settings = {
+    x: options.barcodeX,
+    y: options.barcodeY,
+    cell: options.barcodeCell,
+    bits: options.barcodeBits
+  };
+  let layout = Object.assign({}, defaultLayout);
+  for (let name of Object.keys(settings)) {
+    if (settings[name] !== undefined && settings[name] !== null) {
+      layout[name] = settings[name];
+    }
+  }
+  return layout;
+};
+
+const recognitionNeeded = 'rec_timestamp.txt not found: the digit tags of ' +
+  'the received frames require native tag recognition (the native latency ' +
+  'or FLR tool), or barcodes with alignment.source barcode';
+
+/*
+ * The received tags of the client data in folder as [{tag, time}] in receive
+ * order, with a null tag for frames without a readable one, and their source.
+ * For the source barcode (default) they are read from the tag area of
+ * localLatency.txt, and count on across rounds of options.tagWrap tags like
+ * the sent tags do. For tags they are the tags that the native latency tool
+ * recognised in rec_timestamp.txt: recognising the digit tags of
+ * preprocess/videoTag needs its CNN. options are the settings of the
+ * alignment section of conf.json.
+ */
+const receivedTags = function (folder, options, callback) {
+  if (options.source !== 'barcode') {
+    let tags = readTagLog(path.join(folder, 'rec_timestamp.txt'));
+    if (tags === null) {
+      callback(alignmentError(recognitionNeeded, 404));
+      return;
+    }
+    callback(null, {
+      source: 'tags',
+      tags: tags
+    });
+    return;
+  }
+  readTagArea(path.join(folder, 'localLatency.txt'), layoutOf(options),
+    function (err, frames) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      let tags = unwrap(frames.map(function (frame) {
+        return frame.tag;
+      }), options.tagWrap);
+      callback(null, {
+        source: 'barcode',
+        tags: frames.map(function (frame, index) {
+          return {
+            tag: tags[index],
+            time: frame.time
+          };
+        })
+      });
+    });
+};
+
+/*
+ * Aligns the frames of a test. folder holds rec.yuv for barcodes, tagDir the
+ * tag logs of the client (folder by default). options are the settings of
+ * the alignment section of conf.json plus the width and height of the
+ * frames. Calls back with the alignment and the source of its tags.
+ */
+const alignFolder = function (folder, tagDir, options, callback) {
+  let sent = readTagLog(path.join(tagDir || folder, 'localPublishTime.txt'));
+  let done = function (received, source) {
+    let result = align(sent, received, {
+      wrap: options.tagWrap
+    });
+    result.source = source;
+    callback(null, result);
+  };
+  if (options.source !== 'barcode') {
+    receivedTags(tagDir || folder, options, function (err, received) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      done(received.tags, received.source);
+    });
+    return;
+  }
+  let width = parseInt(options.width, 10);
+  let height = parseInt(options.height, 10);
+  if (!(width > 0 && height > 0)) {
+    callback(alignmentError('the width and height of the frames are needed ' +
+      'to read barcodes', 400));
+    return;
+  }
+  let file = path.join(folder, options.recYuv || 'rec.yuv');
+  readBarcodes(file, width, height, layoutOf(options), function (err, tags) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    done(tags.map(function (tag) {
+      return {
+        tag: tag,
+        time: null
+      };
+    }), 'barcode');
+  });
+};
+
+/*
+ * The alignment stored in a folder, null when it has none.
+ */
+const readAlignment = function (folder) {
+  let file = path.join(folder, alignmentFile);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file).toString());
+};
+
+module.exports = {
+  alignmentFile: alignmentFile,
+  sources: sources,
+  defaultLayout: defaultLayout,
+  tagArea: tagArea,
+  tagAreaParser: tagAreaParser,
+  decodeBarcode: decodeBarcode,
+  encodeBarcode: encodeBarcode,
+  readBarcodes: readBarcodes,
+  readTagArea: readTagArea,
+  layoutOf: layoutOf,
+  unwrap: unwrap,
+  receivedTags: receivedTags,
+  align: align,
+  alignFolder: alignFolder,
+  readAlignment: readAlignment
+};
@@ -0,0 +1,90 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Maps the received frames to the sent ones by their tags (lib/alignment.js)
+// and writes the mapping with the dropped, duplicated and out of order frames
+// to alignment.json, and the number of frames dropped before every received
+// frame to dropped_frames.txt.
+//
+'use strict';
+
+const fs = require('fs');
+
+module.exports = {
+  name: 'alignment',
+  title: 'Dropped frames',
+
+  /*
+   * Barcodes are read from the received frames, which have the resolution of
+   * the quality analysis. Without tagWrap the tags wrap where jitter
+   * expects.
+   */
+  params: function (conf, run) {
+    return Object.assign({}, conf.alignment, {
+      tagWrap: conf.alignment.tagWrap || conf.jitter.frameCount,
+      recYuv: conf.quality.recYuv,
+      width: run === undefined ? conf.quality.width : run.spec.width,
+      height: run === undefined ? conf.quality.height : run.spec.height
+    });
+  },
+  metrics: {
+    dropped: {
+      file: 'dropped_frames.txt',
+      unit: 'frames',
+      better: 'lower'
+    }
+  },
+  outputs: ['dropped_frames.txt', 'alignment.json'],
+  reads: ['*.yuv'],
+  resources: ['yuv'],
+  order: 2,
+  campaign: 'default',
+  charts: [{
+    metric: 'dropped',
+    title: 'Dropped Frames Chart'
+  }],
+  threshold: 1000,
+
+  validate: function (params) {
+    let resolution = /^\d+$/.test(params.width) && /^\d+$/.test(params.height);
+    return params.source === 'barcode' && !resolution ? ['wrong resolution'] :
+      [];
+  },
+
+  /*
+   * params holds the alignment section of conf.json, and the width, height
+   * and recYuv of the received frames for barcodes. The tag logs come from
+   * the data folder, rec.yuv from the output folder.
+   */
+  run: function (params, tools, callback) {
+    let alignment = tools.alignment;
+    tools.progress(0, 'reading the ' + (params.source === 'barcode' ?
+      'barcodes of ' + params.recYuv : 'frame tags'));
+    alignment.alignFolder(tools.outputDir, tools.dataDir, params, function (
+      err, result) {
+      if (err) {
+        callback(err, '', err.message);
+        return;
+      }
+      let dropped = result.frames.map(function (frame) {
+        return frame.dropped + ',';
+      }).join('');
+      let text = JSON.stringify(result, null, 2);
+      fs.writeFile(tools.outputFile(alignment.alignmentFile), text, function (
+        err) {
+        if (err) {
+          callback(err, '', err.message);
+          return;
+        }
+        fs.writeFile(tools.outputFile('dropped_frames.txt'), dropped,
+          function (err) {
+            let stats = result.stats;
+            callback(err || null, Object.keys(stats).map(function (name) {
+              return name + ': ' + stats[name];
+            }).join('\n') + '\n', '');
+          });
+      });
+    });
+  }
+};
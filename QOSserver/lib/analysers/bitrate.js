@@ -0,0 +1,41 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Received bitrate, from the byte counts the test client reported every 3
+// seconds.
+//
+'use strict';
+
+const metrics = require('../metrics');
+
+module.exports = {
+  name: 'bitrate',
+  title: 'Bitrate (kbps)',
+  metrics: {
+    bitrate: {
+      file: 'bitrate.txt',
+      unit: 'kbps'
+    }
+  },
+  outputs: ['bitrate.txt'],
+  campaign: 'default',
+  charts: [{
+    metric: 'bitrate',
+    title: 'Bitrate Chart'
+  }],
+  threshold: 2500,
+  average: true,
+
+  run: function (params, tools, callback) {
+    if (tools.backend === 'native') {
+      tools.run(tools.nativeDir + 'bitrate', [tools.dataDir +
+        "localBitrate.txt"
+      ], callback);
+      return;
+    }
+    tools.writeValues('bitrate.txt', function () {
+      return metrics.bitrate(tools.readValues('localBitrate.txt'));
+    }, callback);
+  }
+};
@@ -0,0 +1,56 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Scans the results the other analysers left for freezes, quality drops,
+// latency spikes, fps stalls and bitrate trouble (lib/events.js) and writes
+// them to events.json. It runs after the other analysers of a campaign.
+//
+'use strict';
+
+const fs = require('fs');
+
+module.exports = {
+  name: 'events',
+  title: 'Events',
+
+  // The frame rate of the run places the events in time.
+  params: function (conf, run) {
+    return {
+      fps: run === undefined ? undefined : run.spec.fps,
+      options: conf.events
+    };
+  },
+  metrics: {},
+  outputs: ['events.json'],
+  readsResults: true,
+  order: 100,
+  campaign: 'default',
+
+  /*
+   * params holds the frame rate of the run (fps) and the detector options
+   * (options). The received tags come from rec_timestamp.txt of the data
+   * folder.
+   */
+  run: function (params, tools, callback) {
+    let events = tools.events;
+    let found;
+    try {
+      found = events.detectFolder(tools.outputDir, '.', tools.dataDir, Object
+        .assign({}, params.options, params.fps ? {
+          fps: params.fps
+        } : {}));
+    } catch (err) {
+      callback(err, '', err.message);
+      return;
+    }
+    let text = JSON.stringify({
+      events: found
+    }, null, 2);
+    fs.writeFile(tools.outputFile(events.eventsFile), text, function (err) {
+      callback(err || null, found.map(function (event) {
+        return event.start + 's ' + event.severity + ' ' + event.message;
+      }).join('\n') + '\n', '');
+    });
+  }
+};
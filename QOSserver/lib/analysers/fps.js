@@ -0,0 +1,40 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Frames per second the test client reported every 3 seconds.
+//
+'use strict';
+
+const metrics = require('../metrics');
+
+module.exports = {
+  name: 'fps',
+  title: 'Fps',
+  metrics: {
+    fps: {
+      file: 'fps.txt',
+      unit: 'fps',
+      better: 'higher'
+    }
+  },
+  outputs: ['fps.txt'],
+  campaign: 'default',
+  charts: [{
+    metric: 'fps',
+    title: 'Fps Chart'
+  }],
+  threshold: 80,
+  average: true,
+
+  run: function (params, tools, callback) {
+    if (tools.backend === 'native') {
+      tools.run(tools.nativeDir + 'fps', [tools.dataDir + "localFps.txt"],
+        callback);
+      return;
+    }
+    tools.writeValues('fps.txt', function () {
+      return metrics.fps(tools.readValues('localFps.txt'));
+    }, callback);
+  }
+};
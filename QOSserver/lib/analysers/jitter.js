@@ -0,0 +1,59 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Variation of the time between received frames, from the received frame
+// tags (see latency.js).
+//
+'use strict';
+
+const alignment = require('./alignment');
+const metrics = require('../metrics');
+
+module.exports = {
+  name: 'jitter',
+  title: 'Jitter (miliseconds)',
+
+  // The number of frames to analyse, after which the tags start over
+  // (frameCount), and the alignment settings.
+  params: function (conf, run) {
+    return Object.assign(alignment.params(conf, run), {
+      frameCount: String(conf.jitter.frameCount)
+    });
+  },
+  metrics: {
+    jitter: {
+      file: 'jitter.txt',
+      unit: 'ms',
+      better: 'lower'
+    }
+  },
+  outputs: ['jitter.txt'],
+  campaign: 'default',
+  charts: [{
+    metric: 'jitter',
+    title: 'Jitter Chart'
+  }],
+  threshold: 3000,
+  average: true,
+
+  run: function (params, tools, callback) {
+    if (tools.backend === 'native') {
+      tools.run(tools.nativeDir + 'FLR', [tools.dataDir + "localLatency.txt",
+        params.frameCount
+      ], callback);
+      return;
+    }
+    tools.alignment.receivedTags(tools.dataDir, params, function (err,
+      received) {
+      if (err) {
+        callback(err, '', err.message);
+        return;
+      }
+      tools.writeValues('jitter.txt', function () {
+        return metrics.jitter(metrics.tagged(received.tags), parseInt(params
+          .frameCount, 10));
+      }, callback);
+    });
+  }
+};
@@ -0,0 +1,63 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Time from publishing a frame to receiving it, from the frame tags. The
+// JavaScript backend takes the received tags from alignment.receivedTags:
+// the digit tags that the native latency tool recognised (rec_timestamp.txt),
+// or the barcodes in the tag area of localLatency.txt.
+//
+'use strict';
+
+const alignment = require('./alignment');
+const metrics = require('../metrics');
+
+module.exports = {
+  name: 'latency',
+  title: 'Latency (miliseconds)',
+
+  // The number of frames to analyse (frameCount) and the alignment settings,
+  // which say where the received tags come from.
+  params: function (conf, run) {
+    return Object.assign(alignment.params(conf, run), {
+      frameCount: String(conf.latency.frameCount)
+    });
+  },
+  metrics: {
+    latency: {
+      file: 'latency.txt',
+      unit: 'ms',
+      better: 'lower'
+    }
+  },
+  outputs: ['latency.txt'],
+  campaign: 'default',
+  charts: [{
+    metric: 'latency',
+    title: 'Latency Chart'
+  }],
+  threshold: 1000,
+  average: true,
+
+  run: function (params, tools, callback) {
+    if (tools.backend === 'native') {
+      let sTagFilename = tools.dataDir + "localPublishTime.txt";
+      let rTagFilename = tools.dataDir + "localLatency.txt";
+      tools.run(tools.nativeDir + 'latency', [sTagFilename, rTagFilename,
+        params.frameCount
+      ], callback);
+      return;
+    }
+    tools.alignment.receivedTags(tools.dataDir, params, function (err,
+      received) {
+      if (err) {
+        callback(err, '', err.message);
+        return;
+      }
+      tools.writeValues('latency.txt', function () {
+        let sent = metrics.tagPairs(tools.readValues('localPublishTime.txt'));
+        return metrics.latency(sent, metrics.tagged(received.tags));
+      }, callback);
+    });
+  }
+};
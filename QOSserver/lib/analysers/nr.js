@@ -0,0 +1,92 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// No-reference scores of the aligned received frames: blockiness, blockloss,
+// blur, interlacing, noise and freezing, with analysis/python/NR_calculate.py.
+//
+'use strict';
+
+module.exports = {
+  name: 'nr',
+  legacyName: 'NR',
+  title: 'No-Reference (Blockiness, Blockloss, Blur, Noise,Freezing)',
+  metrics: {
+    nr: {
+      file: 'NR_score',
+      columns: ['blockiness', 'blockloss', 'blur', 'interlace', 'noise',
+        'freezing'
+      ]
+    },
+    blockiness: {
+      file: 'Blockiness_score',
+      better: 'higher'
+    },
+    blockloss: {
+      file: 'Blockloss_score',
+      better: 'lower'
+    },
+    blur: {
+      file: 'Blur_score',
+      better: 'lower'
+    },
+    noise: {
+      file: 'Noise_score',
+      better: 'lower'
+    },
+    interlace: {
+      file: 'Interlace_score',
+      better: 'lower'
+    },
+    freezing: {
+      file: 'Freezing_score',
+      better: 'lower'
+    }
+  },
+  outputs: ['NR_score', 'Blockiness_score', 'Blockloss_score', 'Blur_score',
+    'Noise_score', 'Interlace_score', 'Freezing_score'
+  ],
+  reads: ['*.yuv'],
+  resources: ['yuv'],
+  order: 2,
+  campaign: 'optional',
+  charts: [{
+    metric: 'nr',
+    column: 'blockiness',
+    title: 'Blockiness Chart'
+  }, {
+    metric: 'nr',
+    column: 'blockloss',
+    title: 'BlocklossData Chart'
+  }, {
+    metric: 'nr',
+    column: 'blur',
+    title: 'BlurData Chart'
+  }, {
+    metric: 'nr',
+    column: 'noise',
+    title: 'NoiseData Chart'
+  }, {
+    metric: 'nr',
+    column: 'interlace',
+    title: 'InterlaceData Chart'
+  }, {
+    metric: 'nr',
+    column: 'freezing',
+    title: 'FreezeData Chart',
+    events: ['freezing', 'tags']
+  }],
+  normalRanges: {
+    blockiness: '0.9-1.01',
+    blockloss: '0-5',
+    blur: '0-5',
+    noise: '0-3.5',
+    interlace: '0',
+    freezing: '0'
+  },
+
+  run: function (params, tools, callback) {
+    tools.run('python', [tools.analysisDir + 'python/NR_calculate.py'],
+      callback);
+  }
+};
@@ -0,0 +1,142 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Latency, jitter, fps, bitrate and frame loss of every participant of a
+// multi-party run (lib/participants.js). participants.txt holds a row of
+// means per participant that receives video, in join order, and
+// participants.json the summaries of every participant and of the room.
+//
+'use strict';
+
+const alignment = require('./alignment');
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Recognises the digit tags of the frames a participant received with the
+ * native FLR tool, which writes them to rec_timestamp.txt of
+ * analysis/dataset/Data and the jitter to jitter.txt of
+ * analysis/dataset/output. The tags are copied to the participant folder and
+ * both files are put back as they were.
+ */
+const recognise = function (participant, params, tools, callback) {
+  let dataset = path.resolve(tools.nativeDir, '..', 'dataset');
+  let written = [path.join(dataset, 'Data', 'rec_timestamp.txt'),
+    path.join(dataset, 'output', 'jitter.txt')
+  ];
+  let saved = written.map(function (file) {
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  });
+  tools.run(tools.nativeDir + 'FLR', [path.join(participant.folder,
+    'localLatency.txt'), String(params.tagWrap)], function (err) {
+    try {
+      if (!err) {
+        fs.copyFileSync(written[0], path.join(participant.folder,
+          'rec_timestamp.txt'));
+      }
+      written.forEach(function (file, index) {
+        if (saved[index] !== null) {
+          fs.writeFileSync(file, saved[index]);
+        } else if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+    } catch (fileError) {
+      err = err || fileError;
+    }
+    callback(err);
+  });
+};
+
+// Writes participants.json and participants.txt and calls back with a line
+// per participant.
+const write = function (result, tools, callback) {
+  let participants = tools.participants;
+  let summary = result.participants.map(function (participant) {
+    let latency = participant.summary.latency;
+    return participant.id + ' (' + participant.role + ', room of ' +
+      participant.roomSize + ')' + (latency ? ': latency ' + latency.mean
+      .toFixed(1) + ' ms' : '');
+  }).join('\n') + '\n';
+  let text = JSON.stringify(result, null, 2);
+  fs.writeFile(tools.outputFile(participants.resultFile), text, function (
+    err) {
+    if (err) {
+      callback(err, '', err.message);
+      return;
+    }
+    fs.writeFile(tools.outputFile('participants.txt'), participants
+      .resultText(result), function (err) {
+      callback(err || null, summary, '');
+    });
+  });
+};
+
+module.exports = {
+  name: 'participants',
+  title: 'Participants (in join order)',
+
+  // The alignment settings, for the frame loss of every participant.
+  params: alignment.params,
+  metrics: {
+    participants: {
+      file: 'participants.txt',
+      columns: ['latency', 'jitter', 'fps', 'bitrate', 'lossRate']
+    }
+  },
+  outputs: ['participants.txt', 'participants.json'],
+  // The native tag recognition writes the files of these.
+  resources: ['latency', 'jitter'],
+  order: 3,
+  campaign: 'optional',
+  charts: [{
+    metric: 'participants',
+    column: 'latency',
+    title: 'Latency by Participant Chart'
+  }, {
+    metric: 'participants',
+    column: 'fps',
+    title: 'Fps by Participant Chart'
+  }, {
+    metric: 'participants',
+    column: 'lossRate',
+    title: 'Frame Loss by Participant Chart'
+  }],
+  threshold: 100000,
+
+  /*
+   * params holds the alignment settings; tagWrap is where the tags of the
+   * source start over. The participants are the subfolders of the data
+   * folder that runQosClient.py wrote. With the native backend the digit
+   * tags of every participant that receives video are recognised first.
+   */
+  run: function (params, tools, callback) {
+    let participants = tools.participants;
+    let receiving = participants.list(tools.dataDir).filter(function (
+      participant) {
+      let log = path.join(participant.folder, 'localLatency.txt');
+      return participant.role !== 'publisher' && fs.existsSync(log);
+    });
+    let native = tools.backend === 'native' && params.source !== 'barcode';
+    async.eachOfSeries(native ? receiving : [], function (participant, index,
+      next) {
+      tools.progress(index / receiving.length, 'recognising the tags of ' +
+        participant.id);
+      recognise(participant, params, tools, next);
+    }, function (err) {
+      if (err) {
+        callback(err, '', err.stderr || err.message);
+        return;
+      }
+      participants.analyse(tools.dataDir, params, function (err, result) {
+        if (err) {
+          callback(err, '', err.message);
+          return;
+        }
+        write(result, tools, callback);
+      });
+    });
+  }
+};
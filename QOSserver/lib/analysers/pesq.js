@@ -0,0 +1,77 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Audio quality of the received recording against the sent audio, one score
+// and one delay per segment, with lib/audioQuality.js.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  name: 'pesq',
+  title: 'Audio Quality (PESQ MOS per segment)',
+
+  // The sent audio lies in the source folder, the recording of the received
+  // audio in the data folder of the run.
+  params: function (conf, run, folders) {
+    return {
+      reference: path.join(folders.sourceDir, conf.audio.referenceFile),
+      degraded: path.join(folders.dataDir, conf.audio.receivedFile)
+    };
+  },
+  metrics: {
+    pesq: {
+      file: 'pesq.txt',
+      unit: 'MOS',
+      better: 'higher'
+    },
+    audioDelay: {
+      file: 'audio_delay.txt',
+      unit: 'ms',
+      better: 'lower'
+    }
+  },
+  outputs: ['pesq.txt', 'audio_delay.txt'],
+  paramInputs: ['reference', 'degraded'],
+  campaign: 'optional',
+  charts: [{
+    metric: 'pesq',
+    title: 'PESQ Chart'
+  }],
+  average: true,
+
+  /*
+   * params holds the sent audio (reference) and the received recording
+   * (degraded), both WAVE files.
+   */
+  run: function (params, tools, callback) {
+    tools.audio.score(params.reference, params.degraded, function (err,
+      result) {
+      if (err) {
+        callback(err, '', err.stderr || err.message);
+        return;
+      }
+      let column = function (name) {
+        return result.segments.map(function (segment) {
+          return (segment[name] === null ? 'NaN' : segment[name]) + ',';
+        }).join('');
+      };
+      fs.writeFile(tools.outputFile('pesq.txt'), column('score'), function (
+        err) {
+        if (err) {
+          callback(err, '', err.message);
+          return;
+        }
+        fs.writeFile(tools.outputFile('audio_delay.txt'), column('delay'),
+          function (err) {
+            callback(err || null, result.segments.map(function (segment) {
+              return segment.score === null ? 'NaN' : segment.score;
+            }).join('\n') + '\n', '');
+          });
+      });
+    }, tools.job);
+  }
+};
@@ -0,0 +1,190 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// PSNR and SSIM of the received frames against the sent ones. gen_rec and
+// gen_send align the raw received frames and the reference yuv into the
+// output folder, where vmaf, nr and the frame inspector read them. The native
+// backend compares them with iq_yuv, the JavaScript backend with
+// lib/yuvQuality.js, which also writes the PSNR and SSIM of every plane and
+// the MS-SSIM.
+//
+'use strict';
+
+const async = require('async');
+const fs = require('fs');
+const yuvQuality = require('../yuvQuality');
+
+// Compares the aligned frames in JavaScript and writes the result files. The
+// progress of the job goes from start to 1.
+const compare = function (params, tools, start, callback) {
+  yuvQuality.compareFiles({
+    sent: tools.outputFile(params.sendYuv),
+    received: tools.outputFile(params.recYuv),
+    width: parseInt(params.width, 10),
+    height: parseInt(params.height, 10),
+    workers: params.workers,
+    progress: function (done, count) {
+      tools.progress(start + (1 - start) * done / count, 'comparing frame ' +
+        done + ' of ' + count);
+    },
+    cancelled: function () {
+      return tools.job ? tools.job.cancelled() : false;
+    }
+  }, function (err, frames) {
+    if (err) {
+      callback(err, '', err.message);
+      return;
+    }
+    let files = yuvQuality.resultFiles(frames);
+    async.eachOfSeries(files, function (text, name, next) {
+      fs.writeFile(tools.outputFile(name), text, next);
+    }, function (err) {
+      callback(err || null, frames.map(function (frame) {
+        return frame.psnr + '\n' + frame.ssim + '\n';
+      }).join(''), err ? err.message : '');
+    });
+  });
+};
+
+module.exports = {
+  name: 'quality',
+  title: 'Image Quality (PSNR & SSIM & VIF)',
+
+  // The quality section of conf.json, with the resolution and reference file
+  // of the run when there is one.
+  params: function (conf, run) {
+    let params = {
+      originFilename: conf.quality.originFilename,
+      recYuv: conf.quality.recYuv,
+      sendYuv: conf.quality.sendYuv,
+      width: conf.quality.width,
+      height: conf.quality.height,
+      align: conf.quality.align,
+      workers: conf.quality.workers
+    };
+    if (run !== undefined) {
+      params.originFilename = run.spec.originFilename || params.originFilename;
+      params.width = run.spec.width;
+      params.height = run.spec.height;
+    }
+    return params;
+  },
+  metrics: {
+    psnr: {
+      file: 'psnr.txt',
+      unit: 'dB',
+      better: 'higher'
+    },
+    ssim: {
+      file: 'ssim.txt',
+      better: 'higher'
+    },
+    quality: {
+      file: 'quality.txt',
+      columns: ['psnr', 'ssim'],
+      better: 'higher'
+    },
+    psnrYuv: {
+      file: 'psnr_yuv.txt',
+      unit: 'dB',
+      columns: ['y', 'u', 'v'],
+      better: 'higher'
+    },
+    ssimYuv: {
+      file: 'ssim_yuv.txt',
+      columns: ['y', 'u', 'v'],
+      better: 'higher'
+    },
+    msssim: {
+      file: 'msssim.txt',
+      better: 'higher'
+    }
+  },
+  outputs: ['psnr.txt', 'ssim.txt', 'quality.txt', 'psnr_yuv.txt',
+    'ssim_yuv.txt', 'msssim.txt', 'rec.yuv', 'send.yuv'
+  ],
+  paramInputs: ['originFilename'],
+  paramOutputs: ['recYuv', 'sendYuv'],
+  resources: ['yuv'],
+  order: 1,
+  campaign: 'default',
+  charts: [{
+    metric: 'quality',
+    column: 'psnr',
+    title: 'PSNR Chart'
+  }, {
+    metric: 'quality',
+    column: 'ssim',
+    title: 'SSIM Chart'
+  }],
+  threshold: 1000,
+
+  validate: function (params) {
+    let errors = [];
+    if (!/^[A-Za-z0-9_./-]+$/.test(params.originFilename)) {
+      errors.push('wrong file name');
+    }
+    if (!/^\d+$/.test(params.width) || !/^\d+$/.test(params.height)) {
+      errors.push('wrong resolution');
+    }
+    return errors;
+  },
+
+  /*
+   * params holds originFilename, recYuv, sendYuv, width, height, whether to
+   * align the frames (align) and the number of worker threads of the
+   * JavaScript comparison (workers). Raw yuv input is aligned with gen_rec
+   * and gen_send before it is compared; without align the aligned files of
+   * an earlier run are compared again. Relative recYuv and sendYuv names are
+   * taken inside the output folder.
+   */
+  run: function (params, tools, callback) {
+    let rawFilename = tools.dataDir + "localARGB.txt";
+    let recYuv = tools.outputFile(params.recYuv);
+    let sendYuv = tools.outputFile(params.sendYuv);
+    let width = String(params.width);
+    let height = String(params.height);
+    let nativeDir = tools.nativeDir;
+    if (!params.originFilename.endsWith('.yuv')) {
+      tools.progress(0, 'iq_avi');
+      tools.run(nativeDir + 'iq_avi', [recYuv, sendYuv, width, height],
+        callback);
+      return;
+    }
+    if (params.align === false) {
+      if (tools.backend !== 'native') {
+        compare(params, tools, 0, callback);
+        return;
+      }
+      tools.progress(0, 'iq_yuv: comparing the frames');
+      tools.run(nativeDir + 'iq_yuv', [recYuv, sendYuv, width, height],
+        callback);
+      return;
+    }
+    tools.progress(0, 'gen_rec: aligning the received frames');
+    tools.run(nativeDir + 'gen_rec', [rawFilename, recYuv, width, height],
+      function (err, data, stderr) {
+        if (err) {
+          callback(err, data, stderr);
+          return;
+        }
+        tools.progress(1 / 3, 'gen_send: aligning the sent frames');
+        tools.run(nativeDir + 'gen_send', [recYuv, params.originFilename,
+          width, height, sendYuv
+        ], function (err, data, stderr) {
+          if (err) {
+            callback(err, data, stderr);
+            return;
+          }
+          if (tools.backend !== 'native') {
+            compare(params, tools, 2 / 3, callback);
+            return;
+          }
+          tools.progress(2 / 3, 'iq_yuv: comparing the frames');
+          tools.run(nativeDir + 'iq_yuv', [recYuv, sendYuv, width, height],
+            callback);
+        });
+      });
+  }
+};
@@ -0,0 +1,37 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// VMAF of the aligned frames the quality analysis left in the output folder,
+// with analysis/python/vmaf_calculate.py.
+//
+'use strict';
+
+module.exports = {
+  name: 'vmaf',
+  title: 'Image Quality (vmaf)',
+  metrics: {
+    vmaf: {
+      file: 'VMAF_score',
+      unit: 'score',
+      better: 'higher'
+    }
+  },
+  outputs: ['VMAF_score'],
+  reads: ['*.yuv'],
+  resources: ['yuv'],
+  order: 2,
+  campaign: 'default',
+  charts: [{
+    metric: 'vmaf',
+    title: 'Vmaf Chart'
+  }],
+  threshold: 1000,
+
+  run: function (params, tools, callback) {
+    process.env['PYTHONPATH'] = (process.env['PYTHONPATH'] || '');
+    tools.run('python', [tools.analysisDir + 'python/vmaf_calculate.py'], {
+      env: process.env
+    }, callback);
+  }
+};
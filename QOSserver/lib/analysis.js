@@ -0,0 +1,173 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Runs the analysers of lib/metricRegistry.js. Every analysis calls back with
+// (err, stdout, stderr) of its tool.
+//
+// Latency, jitter, fps and bitrate are computed in JavaScript (lib/metrics.js)
+// unless the native backend is chosen.
+//
+// Every analysis takes an optional job of lib/jobQueue.js after the callback.
+// The processes of the tools are registered with it, so that cancelling the
+// job kills them, and analysers report their progress through it.
+//
+'use strict';
+
+const alignment = require('./alignment');
+const audioQuality = require('./audioQuality');
+const events = require('./events');
+const fs = require('fs');
+const metricRegistry = require('./metricRegistry');
+const participants = require('./participants');
+const path = require('path');
+const processRunner = require('./processRunner');
+const resultReader = require('./resultReader');
+
+const backends = ['javascript', 'native'];
+
+// Registers a tool process with the job, when there is one.
+const track = function (job, child) {
+  return job ? job.track(child) : child;
+};
+
+const progress = function (job, fraction, message) {
+  if (job) {
+    job.progress(fraction, message);
+  }
+};
+
+/*
+ * dirs.nativeDir, dirs.dataDir, dirs.analysisDir and dirs.outputDir are the
+ * folders of the native tools, the data written by the test client, the
+ * analysis module and the results. backend is 'javascript' (default) or
+ * 'native'. audio holds the options of audioQuality.createAudioQuality.
+ */
+const createAnalysis = function (dirs, backend, audio) {
+  const nativeDir = dirs.nativeDir;
+  const dataDir = dirs.dataDir;
+  const analysisDir = dirs.analysisDir;
+  const outputDir = dirs.outputDir;
+  backend = backend || 'javascript';
+  if (backends.indexOf(backend) === -1) {
+    throw new Error('unknown analysis backend ' + backend);
+  }
+  const audioScorer = audioQuality.createAudioQuality(audio);
+
+  const readValues = function (folder, fileName) {
+    try {
+      return resultReader.parseValues(fs.readFileSync(folder + fileName)
+        .toString());
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        err.statusCode = 404;
+        err.message = fileName + ' not found in ' + folder;
+      }
+      throw err;
+    }
+  };
+
+  /*
+   * Writes the values of compute() to the result file of the metric in the
+   * format of the native tools and calls back with them as stdout.
+   */
+  const computeMetric = function (fileName, compute, callback) {
+    let values;
+    try {
+      values = compute();
+    } catch (err) {
+      callback(err, '', err.message);
+      return;
+    }
+    let text = values.map(function (value) {
+      return value + ',';
+    }).join('');
+    fs.writeFile(outputDir + fileName, text, function (err) {
+      callback(err || null, values.length ? values.join('\n') + '\n' : '',
+        '');
+    });
+  };
+
+  /*
+   * What run(params, tools, callback) of an analyser gets: the folders, the
+   * backend, lib/metrics.js (metrics), lib/events.js (events),
+   * lib/alignment.js (alignment), lib/participants.js (participants), the
+   * audio scorer (audio),
+   * readValues(fileName) of the data folder,
+   * writeValues(fileName, compute, callback), outputFile(name),
+   * run(program, args, [options], callback) that runs a tool as part of the
+   * job, progress(fraction, message) and the job itself, if any. folder is
+   * the data folder of the analysis, dirs.dataDir unless given.
+   */
+  const toolsFor = function (job, folder) {
+    folder = folder ? path.resolve(folder) + path.sep : dataDir;
+    return {
+      nativeDir: nativeDir,
+      dataDir: folder,
+      analysisDir: analysisDir,
+      outputDir: outputDir,
+      backend: backend,
+      events: events,
+      alignment: alignment,
+      participants: participants,
+      audio: audioScorer,
+      readValues: function (fileName) {
+        return readValues(folder, fileName);
+      },
+      writeValues: computeMetric,
+      outputFile: function (name) {
+        return path.resolve(outputDir, name);
+      },
+      run: function (program, args, runOptions, callback) {
+        return track(job, processRunner.run(program, args, runOptions,
+          callback));
+      },
+      progress: function (fraction, message) {
+        progress(job, fraction, message);
+      },
+      job: job
+    };
+  };
+
+  /*
+   * Runs the analyser called name. params are the parameters of its kind
+   * (see metricRegistry.js), undefined for analysers without parameters.
+   * folder is the data folder of the run to analyse, dirs.dataDir unless
+   * given.
+   */
+  const run = function (name, params, callback, job, folder) {
+    let analyser = metricRegistry.get(name);
+    if (analyser === undefined) {
+      let err = new Error('unknown analyser ' + name);
+      err.statusCode = 404;
+      callback(err, '', err.message);
+      return;
+    }
+    analyser.run(params, toolsFor(job, folder), callback);
+  };
+
+  let analysis = {
+    run: run
+  };
+  // The function of every analyser under its legacy name: with the
+  // parameters first for analysers that take some.
+  for (let analyser of metricRegistry.analysers) {
+    let name = analyser.name;
+    if (analyser.params) {
+      analysis[analyser.legacyName || name] = function (params, callback,
+        job) {
+        run(name, params, callback, job);
+      };
+    } else {
+      analysis[analyser.legacyName || name] = function (callback, job) {
+        run(name, undefined, callback, job);
+      };
+    }
+  }
+  return analysis;
+};
+
+module.exports = {
+  backends: backends,
+  createAnalysis: createAnalysis
+};
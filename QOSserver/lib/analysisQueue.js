@@ -0,0 +1,247 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Runs the analysers as jobs of a job queue. The object it creates has the
+// functions of analysis.createAnalysis with the same arguments, so it can
+// stand in for it, submit(metric, params) for callers that do not want to
+// wait, and exclusive(type, params, work) for callers that need the output
+// folder to themselves over several analyses. A job is reused as long as the
+// files it reads and writes are unchanged: clicking the same button twice
+// runs the tool once.
+//
+'use strict';
+
+const fs = require('fs');
+const metricRegistry = require('./metricRegistry');
+const path = require('path');
+const resultReader = require('./resultReader');
+
+// The analysers that can be queued, by name.
+const analyses = {};
+for (let analyser of metricRegistry.analysers) {
+  analyses[analyser.name] = analyser;
+}
+
+const analysisError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const fileState = function (file) {
+  try {
+    let stat = fs.statSync(file);
+    return stat.isFile() ? stat.size + '@' + stat.mtimeMs : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// name -> state of the files directly inside folder that match.
+const folderState = function (folder, match) {
+  let state = {};
+  let names;
+  try {
+    names = fs.readdirSync(folder);
+  } catch (err) {
+    return state;
+  }
+  for (let name of names.sort()) {
+    if (match(name)) {
+      let file = fileState(path.join(folder, name));
+      if (file !== null) {
+        state[name] = file;
+      }
+    }
+  }
+  return state;
+};
+
+/*
+ * analysis is the object of analysis.createAnalysis and queue a job queue.
+ * dirs.dataDir and dirs.outputDir are the folders of the test client data
+ * and the results, as for createAnalysis.
+ */
+const createAnalysisQueue = function (analysis, queue, dirs) {
+  const dataDir = dirs.dataDir;
+  const outputDir = dirs.outputDir;
+
+  const outputFiles = function (metric, params) {
+    let files = analyses[metric].outputs.slice();
+    for (let name of analyses[metric].paramOutputs || []) {
+      files.push(params[name]);
+    }
+    return files;
+  };
+
+  const matches = function (pattern) {
+    let expression = new RegExp('^' + pattern.split('*').map(function (part) {
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('.*') + '$');
+    return function (name) {
+      return expression.test(name);
+    };
+  };
+
+  /*
+   * Everything a job reads and writes: the data of the test client in
+   * folder, the files its parameters name, the files it reads from the output
+   * folder and its own results.
+   */
+  const fingerprint = function (metric, params, folder) {
+    let analyser = analyses[metric];
+    let outputs = outputFiles(metric, params);
+    let own = function (name) {
+      return outputs.indexOf(name) !== -1;
+    };
+    let state = {
+      data: folderState(folder, function () {
+        return true;
+      }),
+      outputs: outputs.map(function (name) {
+        return fileState(path.resolve(outputDir, name));
+      }),
+      inputs: (analyser.paramInputs || []).map(function (name) {
+        return fileState(params[name]);
+      }),
+      reads: (analyser.reads || []).map(function (pattern) {
+        return folderState(outputDir, matches(pattern));
+      })
+    };
+    if (analyser.readsResults) {
+      // The results of the other analysers.
+      state.results = folderState(outputDir, function (name) {
+        return !own(name) && resultReader.metricName(name) !== undefined;
+      });
+    }
+    return JSON.stringify(state);
+  };
+
+  // The values the job left in the output folder, read before the next job
+  // can overwrite them.
+  const readResult = function (metric, output) {
+    let result = {
+      output: output
+    };
+    let main = metricRegistry.mainMetric(analyses[metric]);
+    if (main === undefined) {
+      // The events pass writes events instead of a metric.
+      let text = fs.readFileSync(path.join(outputDir, outputFiles(metric)[0]));
+      result.events = JSON.parse(text.toString()).events;
+      return result;
+    }
+    try {
+      result.metric = resultReader.readMetric(outputDir, '.', main);
+    } catch (err) {
+      // Tools of the native backend write no result file.
+      if (err.statusCode !== 404) {
+        throw err;
+      }
+      result.metric = null;
+    }
+    return result;
+  };
+
+  /*
+   * Queues the analyser called metric with params (frame count, quality, audio
+   * or event parameters, see metricRegistry.js). done(err, job,
+   * result) is called when the job is over; result holds the output of the
+   * tool, and the metric it wrote (metric) or the events found (events).
+   * err.stderr holds the error output of a failed tool. folder is the data
+   * folder of the run to analyse, dirs.dataDir unless given.
+   */
+  const submit = function (metric, params, done, folder) {
+    if (!analyses.hasOwnProperty(metric)) {
+      throw analysisError('no analysis for metric ' + metric, 404);
+    }
+    folder = path.resolve(folder || dataDir);
+    let key = metric + ' ' + JSON.stringify(params === undefined ? null :
+      params);
+    return queue.submit({
+      type: metric,
+      params: params === undefined ? null : params,
+      key: folder === path.resolve(dataDir) ? key : key + ' ' + folder,
+      resources: [metric].concat(analyses[metric].resources || []),
+      fingerprint: function () {
+        return fingerprint(metric, params, folder);
+      },
+      run: function (job, callback) {
+        analysis.run(metric, params, function (err, stdout, stderr) {
+          if (err) {
+            err.stderr = stderr;
+            callback(err);
+            return;
+          }
+          let result;
+          try {
+            result = readResult(metric, stdout);
+          } catch (readError) {
+            callback(readError);
+            return;
+          }
+          callback(null, result);
+        }, job, folder);
+      }
+    }, done);
+  };
+
+  /*
+   * Queues work(analyse, job, callback) as a job that runs while no analysis
+   * runs, so that what it finds in the output folder is its own. It runs
+   * analyses with analyse(name, params, callback, folder), which takes the
+   * arguments of run and bypasses the queue. done(err, job, result) is called
+   * with what work called back.
+   */
+  const exclusive = function (type, params, work, done) {
+    return queue.submit({
+      type: type,
+      params: params,
+      // Every analyser uses its own name as a resource.
+      resources: Object.keys(analyses),
+      run: function (job, callback) {
+        work(function (name, analyserParams, analysed, folder) {
+          analysis.run(name, analyserParams, analysed, job, folder);
+        }, job, callback);
+      }
+    }, done);
+  };
+
+  // The callback (err, stdout, stderr) of createAnalysis for a job.
+  const callbackOf = function (callback) {
+    return function (err, job, result) {
+      if (err) {
+        callback(err, '', err.stderr || err.message);
+        return;
+      }
+      callback(null, result.output, '');
+    };
+  };
+
+  const queued = {
+    submit: submit,
+    exclusive: exclusive,
+    run: function (name, params, callback, folder) {
+      submit(name, params, callbackOf(callback), folder);
+    }
+  };
+  // The functions of createAnalysis run as jobs.
+  for (let analyser of metricRegistry.analysers) {
+    let name = analyser.name;
+    if (analyser.params) {
+      queued[analyser.legacyName || name] = function (params, callback) {
+        submit(name, params, callbackOf(callback));
+      };
+    } else {
+      queued[analyser.legacyName || name] = function (callback) {
+        submit(name, undefined, callbackOf(callback));
+      };
+    }
+  }
+  return queued;
+};
+
+module.exports = {
+  analyses: analyses,
+  createAnalysisQueue: createAnalysisQueue
+};
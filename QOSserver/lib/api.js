@@ -0,0 +1,1001 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// The /api/v1 routes. Reads are GET requests, every response is JSON and every
+// error has the shape {error: {code, message, details}}. openapi.json in the
+// server folder describes these routes and has to be kept in sync with them.
+//
+'use strict';
+
+const alignment = require('./alignment');
+const comparison = require('./comparison');
+const events = require('./events');
+const express = require('express');
+const exporter = require('./exporter');
+const fs = require('fs');
+const gate = require('./gate');
+const metricRegistry = require('./metricRegistry');
+const participants = require('./participants');
+const path = require('path');
+const png = require('./png');
+const report = require('./report');
+const resultReader = require('./resultReader');
+const runSpec = require('./runSpec');
+const safePath = require('./safePath');
+const stats = require('./stats');
+const yuvFrames = require('./yuvFrames');
+
+const errorCodes = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  501: 'not_implemented'
+};
+
+// Query parameters that filter the indexed results.
+const recordFilters = ['codec', 'bitrate', 'date', 'tag', 'campaignId', 'runId',
+  'folder'
+];
+
+const apiError = function (statusCode, message, details) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  err.details = details;
+  // The message is meant for the client, also for 5xx codes.
+  err.expose = true;
+  return err;
+};
+
+const sendError = function (res, statusCode, message, details) {
+  let error = {
+    code: errorCodes[statusCode] || 'error',
+    message: message
+  };
+  if (details !== undefined) {
+    error.details = details;
+  }
+  res.status(statusCode).json({
+    error: error
+  });
+};
+
+/*
+ * Adds summary statistics to a metric read by resultReader.readMetric.
+ */
+const withSummary = function (metric) {
+  if (Array.isArray(metric.values)) {
+    metric.summary = stats.summarize(metric.values);
+  } else {
+    metric.summary = {};
+    for (let column of Object.keys(metric.values)) {
+      metric.summary[column] = stats.summarize(metric.values[column]);
+    }
+  }
+  return metric;
+};
+
+const queryList = function (value) {
+  if (value === undefined) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).reduce(function (list, item) {
+    return list.concat(String(item).split(','));
+  }, []).filter(function (item) {
+    return item.trim() !== '';
+  });
+};
+
+/*
+ * context holds the run manager (runs), the campaign manager (campaigns),
+ * startRun(spec), the analysis tools run as jobs (analysis, see
+ * analysisQueue.js) and their job queue (jobs), analysisParams(name, run)
+ * (see metricRegistry.js) and resultDir of the server, the result store
+ * (results),
+ * ingestResult(folder, meta), the server configuration (config, see
+ * config.js), the token store (tokens), the live monitor (live), the data
+ * folder of the test client (dataDir) and runDataDir(run).
+ */
+const createApiRouter = function (context) {
+  const router = express.Router();
+
+  // The named gate policies of the current configuration.
+  const policies = function () {
+    return context.config.current().gates;
+  };
+
+  const findRun = function (id) {
+    let run = context.runs.get(id);
+    if (run === undefined) {
+      throw apiError(404, 'unknown run ' + id);
+    }
+    return run;
+  };
+
+  router.get('/runs', function (req, res) {
+    res.json({
+      runs: context.runs.list()
+    });
+  });
+
+  router.post('/runs', function (req, res) {
+    let result = runSpec.validate(req.body);
+    if (result.errors.length) {
+      throw apiError(400, 'invalid run spec', result.errors);
+    }
+    res.status(201).json(context.startRun(result.spec));
+  });
+
+  router.get('/runs/:id', function (req, res) {
+    res.json(findRun(req.params.id));
+  });
+
+  router.get('/runs/:id/output', function (req, res) {
+    findRun(req.params.id);
+    res.json(context.runs.output(req.params.id));
+  });
+
+  router.post('/runs/:id/stop', function (req, res) {
+    findRun(req.params.id);
+    res.json(context.runs.stop(req.params.id));
+  });
+
+  /*
+   * Streams the live samples of the data files in dir as server-sent events
+   * until the client goes away. With a run the stream also carries status
+   * events and ends with an end event once the run is over.
+   */
+  const streamLive = function (req, res, dir, runId) {
+    let send = function (event) {
+      res.write('event: ' + event.type + '\ndata: ' + JSON.stringify(event) +
+        '\n\n');
+    };
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    let watcher = context.live.watch(dir, send);
+    watcher.history.forEach(send);
+    let status = null;
+    let ticks = 0;
+    let timer = null;
+    let close = function () {
+      clearInterval(timer);
+      watcher.close();
+    };
+    timer = setInterval(function () {
+      ticks++;
+      if (ticks % 15 === 0) {
+        res.write(': keep-alive\n\n');
+      }
+      if (runId === null) {
+        return;
+      }
+      let run = context.runs.get(runId);
+      if (run !== undefined && run.status !== status) {
+        status = run.status;
+        send({
+          type: 'status',
+          run: run
+        });
+      }
+      if (run === undefined || run.finishedAt) {
+        watcher.flush();
+        send({
+          type: 'end'
+        });
+        close();
+        res.end();
+      }
+    }, 1000);
+    req.on('close', close);
+  };
+
+  // Live samples of the data folder of the test client, for runs started
+  // outside of the server.
+  router.get('/live', function (req, res) {
+    streamLive(req, res, context.dataDir, null);
+  });
+
+  router.get('/runs/:id/live', function (req, res) {
+    let run = findRun(req.params.id);
+    streamLive(req, res, context.runDataDir(run), run.id);
+  });
+
+  router.get('/campaigns', function (req, res) {
+    res.json({
+      campaigns: context.campaigns.list()
+    });
+  });
+
+  router.post('/campaigns', function (req, res) {
+    let campaign = context.campaigns.start(req.body);
+    if (campaign.errors) {
+      throw apiError(400, 'invalid campaign', campaign.errors);
+    }
+    res.status(201).json(campaign);
+  });
+
+  router.get('/campaigns/:id', function (req, res) {
+    let campaign = context.campaigns.get(req.params.id);
+    if (campaign === undefined) {
+      throw apiError(404, 'unknown campaign ' + req.params.id);
+    }
+    res.json(campaign);
+  });
+
+  router.post('/campaigns/:id/stop', function (req, res) {
+    let campaign = context.campaigns.stop(req.params.id);
+    if (campaign === undefined) {
+      throw apiError(404, 'unknown campaign ' + req.params.id);
+    }
+    res.json(campaign);
+  });
+
+  // Result folders are two levels deep, e.g. "20190501/1". The "/" has to be
+  // sent encoded as %2F when a folder is part of the path.
+  router.get('/results', function (req, res) {
+    let level = req.query.level === undefined ? 1 : parseInt(req.query.level,
+      10);
+    if (isNaN(level) || level < 0 || level > 4) {
+      throw apiError(400, 'level must be between 0 and 4');
+    }
+    res.json({
+      results: resultReader.listFolders(context.resultDir, level)
+        .map(function (folder) {
+          return {
+            folder: folder,
+            metrics: resultReader.availableMetrics(safePath.resolveInside(
+              context.resultDir, folder))
+          };
+        })
+    });
+  });
+
+  router.get('/results/:folder', function (req, res) {
+    let folder = safePath.resolveInside(context.resultDir, req.params.folder);
+    res.json({
+      folder: req.params.folder,
+      metrics: resultReader.availableMetrics(folder)
+    });
+  });
+
+  router.get('/results/:folder/metrics/:metric', function (req, res) {
+    res.json(withSummary(resultReader.readMetric(context.resultDir,
+      req.params.folder, req.params.metric)));
+  });
+
+  // The events found in a result folder: those the events analysis stored,
+  // or found now when there are none or detect is true.
+  router.get('/results/:folder/events', function (req, res) {
+    let folder = safePath.resolveInside(context.resultDir, req.params.folder);
+    let stored = req.query.detect === 'true' ? null : events.readEvents(
+      folder);
+    res.json({
+      folder: req.params.folder,
+      stored: stored !== null,
+      events: stored || events.detectFolder(context.resultDir,
+        req.params.folder, null, context.analysisParams('events').options)
+    });
+  });
+
+  // Where the aligned send.yuv and rec.yuv of a result folder lie, and their
+  // frame size: the width and height query parameters, those of the run spec
+  // of the folder or those of the quality section of conf.json. Without a
+  // folder the files of the last quality analysis are used.
+  const yuvFiles = function (query) {
+    let folder = safePath.resolveInside(context.resultDir, query.folder ===
+      undefined ? '.' : String(query.folder));
+    let params = context.analysisParams('quality');
+    let spec = {};
+    try {
+      spec = JSON.parse(fs.readFileSync(path.join(folder, 'runSpec.json'))
+        .toString());
+    } catch (err) {
+      spec = {};
+    }
+    let width = Number(query.width || spec.width || params.width);
+    let height = Number(query.height || spec.height || params.height);
+    let valid = [width, height].every(function (value) {
+      return Number.isInteger(value) && value > 0 && value <= 8192 &&
+        value % 2 === 0;
+    });
+    if (!valid) {
+      throw apiError(400, 'width and height must be even numbers up to 8192');
+    }
+    return {
+      sent: path.resolve(folder, params.sendYuv),
+      received: path.resolve(folder, params.recYuv),
+      width: width,
+      height: height
+    };
+  };
+
+  // Reads frame index of both files.
+  const readFrames = function (files, index, callback) {
+    yuvFrames.readFrame(files.sent, files.width, files.height, index,
+      function (err, sent) {
+        if (err) {
+          callback(err);
+          return;
+        }
+        yuvFrames.readFrame(files.received, files.width, files.height, index,
+          function (err, received) {
+            callback(err, sent, received);
+          });
+      });
+  };
+
+  const frameIndex = function (value) {
+    if (!/^\d+$/.test(value)) {
+      throw apiError(400, 'frame index must be a number');
+    }
+    return parseInt(value, 10);
+  };
+
+  router.get('/frames', function (req, res) {
+    let files = yuvFiles(req.query);
+    let sent = yuvFrames.frameCount(files.sent, files.width, files.height);
+    let received = yuvFrames.frameCount(files.received, files.width,
+      files.height);
+    if (sent === 0 && received === 0) {
+      throw apiError(404, 'no aligned frames, run the quality analysis first');
+    }
+    res.json({
+      folder: req.query.folder === undefined ? null : req.query.folder,
+      width: files.width,
+      height: files.height,
+      sent: sent,
+      received: received,
+      frames: Math.min(sent, received)
+    });
+  });
+
+  // The received frames of a result folder mapped to the sent ones, with the
+  // dropped, duplicated and out of order frames: the alignment the analysis
+  // stored, or one made now when there is none or align is true. The tag logs
+  // of the latest test ('.') lie in the data folder. source=tags|barcode
+  // overrides the alignment section of conf.json.
+  router.get('/results/:folder/alignment', function (req, res, next) {
+    let folder = safePath.resolveInside(context.resultDir, req.params.folder);
+    let stored = req.query.align === 'true' ? null : alignment.readAlignment(
+      folder);
+    let reply = function (result) {
+      res.json(Object.assign({
+        folder: req.params.folder,
+        stored: stored !== null
+      }, result));
+    };
+    if (stored !== null) {
+      reply(stored);
+      return;
+    }
+    let params = context.analysisParams('alignment');
+    if (req.query.source !== undefined) {
+      params.source = String(req.query.source);
+    }
+    if (alignment.sources.indexOf(params.source) === -1) {
+      throw apiError(400, 'source must be one of ' + alignment.sources.join(
+        ', '));
+    }
+    if (params.source === 'barcode') {
+      let files = yuvFiles(Object.assign({}, req.query, {
+        folder: req.params.folder
+      }));
+      params.width = files.width;
+      params.height = files.height;
+    }
+    let tagDir = req.params.folder === '.' ? context.dataDir : null;
+    alignment.alignFolder(folder, tagDir, params, function (err, result) {
+      if (err) {
+        next(err);
+        return;
+      }
+      reply(result);
+    });
+  });
+
+  // The metrics of every participant of a multi-party run and of the room:
+  // those the participants analysis stored, or for the latest test ('.')
+  // computed now from the participant folders of the data folder when there
+  // are none or analyse is true.
+  router.get('/results/:folder/participants', function (req, res, next) {
+    let folder = safePath.resolveInside(context.resultDir, req.params.folder);
+    let stored = req.query.analyse === 'true' ? null : participants
+      .readParticipants(folder);
+    if (stored === null && req.params.folder !== '.') {
+      throw apiError(404, 'no participants analysis in ' + req.params.folder);
+    }
+    let reply = function (err, result) {
+      if (err) {
+        next(err);
+        return;
+      }
+      res.json(Object.assign({
+        folder: req.params.folder,
+        stored: stored !== null
+      }, result));
+    };
+    if (stored !== null) {
+      reply(null, stored);
+      return;
+    }
+    participants.analyse(context.dataDir, context.analysisParams(
+      'participants'), reply);
+  });
+
+  // How much the received frame differs from the sent one.
+  router.get('/frames/:index', function (req, res, next) {
+    let index = frameIndex(req.params.index);
+    let files = yuvFiles(req.query);
+    readFrames(files, index, function (err, sent, received) {
+      if (err) {
+        next(err);
+        return;
+      }
+      let diff = yuvFrames.difference(sent, received, files.width,
+        files.height);
+      res.json({
+        index: index,
+        meanDifference: diff.mean,
+        maxDifference: diff.max,
+        psnr: diff.psnr
+      });
+    });
+  });
+
+  // The sent or received frame, or the heat map of their difference, as PNG.
+  // gain scales the difference, a difference of 255 / gain is white.
+  router.get('/frames/:index/:image', function (req, res, next) {
+    let index = frameIndex(req.params.index);
+    let image = req.params.image;
+    if (['sent', 'received', 'diff'].indexOf(image) === -1) {
+      throw apiError(400, 'image must be sent, received or diff');
+    }
+    let gain = req.query.gain === undefined ? 4 : Number(req.query.gain);
+    if (!(gain > 0 && gain <= 255)) {
+      throw apiError(400, 'gain must be between 0 and 255');
+    }
+    let files = yuvFiles(req.query);
+    readFrames(files, index, function (err, sent, received) {
+      if (err) {
+        next(err);
+        return;
+      }
+      let rgb;
+      if (image === 'diff') {
+        rgb = yuvFrames.difference(sent, received, files.width, files.height,
+          gain).rgb;
+      } else {
+        rgb = yuvFrames.toRgb(image === 'sent' ? sent : received, files.width,
+          files.height);
+      }
+      res.type('png').send(png.encode(rgb, files.width, files.height));
+    });
+  });
+
+  // Compares one metric across the result folders given as folder query
+  // parameters.
+  router.get('/metrics/:metric', function (req, res) {
+    let folders = queryList(req.query.folder);
+    if (folders.length === 0) {
+      throw apiError(400, 'at least one folder is required');
+    }
+    let series = folders.map(function (folder) {
+      return withSummary(resultReader.readMetric(context.resultDir, folder,
+        req.params.metric));
+    });
+    res.json({
+      metric: series[0].metric,
+      unit: series[0].unit,
+      columns: series[0].columns,
+      series: series.map(function (metric) {
+        return {
+          folder: metric.folder,
+          values: metric.values,
+          summary: metric.summary
+        };
+      })
+    });
+  });
+
+  // The values of one metric in the result folders given as folder query
+  // parameters, one column per folder and one row per frame, as CSV or JSON.
+  router.get('/exports/:metric', function (req, res) {
+    let folders = queryList(req.query.folder);
+    if (folders.length === 0) {
+      throw apiError(400, 'at least one folder is required');
+    }
+    let format = req.query.format || 'csv';
+    if (format !== 'csv' && format !== 'json') {
+      throw apiError(400, 'format must be csv or json');
+    }
+    let metrics = folders.map(function (folder) {
+      return resultReader.readMetric(context.resultDir, folder,
+        req.params.metric);
+    });
+    let data = exporter.table(metrics, req.query.column);
+    if (format === 'json') {
+      res.json({
+        metric: metrics[0].metric,
+        unit: metrics[0].unit,
+        columns: data.columns,
+        rows: data.rows
+      });
+      return;
+    }
+    res.set('Content-Disposition', 'attachment; filename="' +
+      metrics[0].metric + '.csv"');
+    res.type('text/csv').send(exporter.csv(data));
+  });
+
+  // The metric summaries of the newest indexed result in the Prometheus text
+  // format, or OpenMetrics when the scraper asks for it. The query
+  // parameters of /records narrow down the results to pick from.
+  router.get('/prometheus', function (req, res) {
+    let query = {};
+    for (let name of recordFilters) {
+      if (req.query[name] !== undefined) {
+        query[name] = String(req.query[name]);
+      }
+    }
+    let record = context.results.find(query)[0];
+    if (record === undefined) {
+      throw apiError(404, 'no indexed result');
+    }
+    let openMetrics = /application\/openmetrics-text/.test(req.get('Accept') ||
+      '');
+    res.type(openMetrics ?
+      'application/openmetrics-text; version=1.0.0; charset=utf-8' :
+      'text/plain; version=0.0.4; charset=utf-8');
+    res.send(exporter.prometheus(record, openMetrics));
+  });
+
+  // Indexed results, filtered by the query parameters codec, bitrate, date,
+  // tag, campaignId, runId and folder.
+  router.get('/records', function (req, res) {
+    let query = {};
+    for (let name of recordFilters) {
+      if (req.query[name] !== undefined) {
+        query[name] = String(req.query[name]);
+      }
+    }
+    res.json({
+      records: context.results.find(query)
+    });
+  });
+
+  router.get('/records/:id', function (req, res) {
+    let record = context.results.get(req.params.id);
+    if (record === undefined) {
+      throw apiError(404, 'unknown record ' + req.params.id);
+    }
+    res.json(record);
+  });
+
+  // Indexes a result folder, with the spec and times of runId when given.
+  router.post('/records', function (req, res) {
+    if (typeof req.body.folder !== 'string') {
+      throw apiError(400, 'folder is required');
+    }
+    let tags = req.body.tags || [];
+    if (!Array.isArray(tags)) {
+      throw apiError(400, 'tags must be a list');
+    }
+    let meta = {
+      tags: tags
+    };
+    if (req.body.runId !== undefined) {
+      let run = findRun(req.body.runId);
+      Object.assign(meta, {
+        runId: run.id,
+        spec: run.spec,
+        createdAt: run.createdAt,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt
+      });
+    }
+    res.status(201).json(context.ingestResult(req.body.folder, meta));
+  });
+
+  router.delete('/records/:id', function (req, res) {
+    if (!context.results.remove(req.params.id)) {
+      throw apiError(404, 'unknown record ' + req.params.id);
+    }
+    res.status(204).end();
+  });
+
+  // Evaluates the gate policy given inline (policy) or by name (policyName)
+  // against a result folder and, for the regression checks, a baseline
+  // folder. A failed gate is a normal response with passed set to false.
+  router.post('/evaluations', function (req, res) {
+    if (typeof req.body.folder !== 'string') {
+      throw apiError(400, 'folder is required');
+    }
+    let policy = req.body.policy;
+    if (policy === undefined) {
+      let name = req.body.policyName || 'default';
+      if (!Object.prototype.hasOwnProperty.call(policies(), name)) {
+        throw apiError(404, 'unknown policy ' + name);
+      }
+      policy = policies()[name];
+    }
+    let errors = gate.validatePolicy(policy);
+    if (errors.length) {
+      throw apiError(400, 'invalid policy', errors);
+    }
+    let reader = function (folder) {
+      // Check the folder before the metrics are read one by one.
+      safePath.resolveInside(context.resultDir, folder);
+      return function (metric) {
+        return resultReader.readMetric(context.resultDir, folder, metric);
+      };
+    };
+    let baseline = req.body.baseline;
+    if (baseline !== undefined && typeof baseline !== 'string') {
+      throw apiError(400, 'baseline must be a folder');
+    }
+    let verdict = gate.evaluate(policy, reader(req.body.folder),
+      baseline === undefined ? undefined : reader(baseline));
+    res.json(Object.assign({
+      folder: req.body.folder,
+      baseline: baseline === undefined ? null : baseline
+    }, verdict));
+  });
+
+  // The result folders of a comparison group: the folders listed, or those
+  // of the indexed results that match filter.
+  const groupFolders = function (group, name, errors) {
+    if (group === null || typeof group !== 'object') {
+      errors.push(name + ' must be an object with folders or filter');
+      return [];
+    }
+    if (Array.isArray(group.folders)) {
+      let valid = group.folders.every(function (folder) {
+        return typeof folder === 'string';
+      });
+      if (!valid) {
+        errors.push(name + '.folders must be a list of folders');
+        return [];
+      }
+      return group.folders;
+    }
+    if (group.filter === null || typeof group.filter !== 'object') {
+      errors.push(name + ' needs folders or filter');
+      return [];
+    }
+    let query = {};
+    for (let filter of Object.keys(group.filter)) {
+      if (recordFilters.indexOf(filter) === -1) {
+        errors.push('unknown filter ' + name + '.filter.' + filter);
+        continue;
+      }
+      query[filter] = String(group.filter[filter]);
+    }
+    return context.results.find(query).map(function (record) {
+      return record.folder;
+    });
+  };
+
+  // Compares two groups of runs, a and b, metric by metric: the mean of a run
+  // statistic in each group, their difference with a bootstrap confidence
+  // interval and the p value of a permutation test.
+  router.post('/comparisons', function (req, res, next) {
+    let errors = [];
+    let groups = ['a', 'b'].map(function (name) {
+      let group = req.body[name];
+      let folders = groupFolders(group, name, errors);
+      return {
+        label: group && typeof group.label === 'string' ? group.label : name,
+        folders: folders
+      };
+    });
+    let metrics = req.body.metrics;
+    if (metrics !== undefined && !Array.isArray(metrics)) {
+      errors.push('metrics must be a list of metric names');
+    }
+    let settings = {};
+    for (let name of Object.keys(comparison.defaults)) {
+      if (req.body[name] !== undefined) {
+        settings[name] = req.body[name];
+      }
+    }
+    let options = comparison.validateOptions(settings, errors);
+    if (errors.length) {
+      throw apiError(400, 'invalid comparison', errors);
+    }
+    for (let group of groups) {
+      if (group.folders.length === 0) {
+        throw apiError(404, 'no result folders in group ' + group.label);
+      }
+      for (let folder of group.folders) {
+        safePath.resolveInside(context.resultDir, folder);
+      }
+    }
+    comparison.compareGroups(groups[0], groups[1], metrics, function (folder,
+      metric) {
+      return resultReader.readMetric(context.resultDir, folder, metric);
+    }, options, function (err, result) {
+      if (err) {
+        next(err);
+        return;
+      }
+      res.json(result);
+    });
+  });
+
+  /*
+   * Sends the report of options.folders as HTML or, with format pdf, as PDF.
+   * The default gate policy is applied when there is one; gate false leaves
+   * the gate out.
+   */
+  const sendReport = function (res, next, options) {
+    let folders = options.folders;
+    if (folders.length === 0) {
+      throw apiError(400, 'at least one folder is required');
+    }
+    let format = options.format || 'html';
+    if (format !== 'html' && format !== 'pdf') {
+      throw apiError(400, 'format must be html or pdf');
+    }
+    let policy = options.policy;
+    if (policy === undefined && options.gate !== false) {
+      let name = options.policyName || 'default';
+      if (Object.prototype.hasOwnProperty.call(policies(), name)) {
+        policy = policies()[name];
+      } else if (options.policyName !== undefined) {
+        throw apiError(404, 'unknown policy ' + name);
+      }
+    }
+    if (policy !== undefined) {
+      let errors = gate.validatePolicy(policy);
+      if (errors.length) {
+        throw apiError(400, 'invalid policy', errors);
+      }
+    }
+    let html = report.buildReport({
+      baseDir: context.resultDir,
+      folders: folders,
+      policy: policy,
+      eventOptions: context.analysisParams('events').options,
+      describe: function (folder) {
+        return context.results.find({
+          folder: folder
+        }).find(function (record) {
+          return record.folder === folder;
+        });
+      }
+    });
+    let fileName = 'qos-report-' + new Date().toISOString().replace(/[:.]/g,
+      '-');
+    if (format === 'html') {
+      res.set('Content-Disposition', 'attachment; filename="' + fileName +
+        '.html"');
+      res.type('html').send(html);
+      return;
+    }
+    let pdfCommand = context.config.current().reports.pdfCommand;
+    if (!pdfCommand) {
+      throw apiError(501, 'no PDF tool configured in reports.pdfCommand');
+    }
+    report.renderPdf(html, pdfCommand, function (err, pdf) {
+      if (err) {
+        next(err);
+        return;
+      }
+      res.set('Content-Disposition', 'attachment; filename="' + fileName +
+        '.pdf"');
+      res.type('pdf').send(pdf);
+    });
+  };
+
+  router.get('/reports', function (req, res, next) {
+    sendReport(res, next, {
+      folders: queryList(req.query.folder),
+      format: req.query.format,
+      policyName: req.query.policyName,
+      gate: req.query.gate !== 'false'
+    });
+  });
+
+  // The same with a policy of its own in the body.
+  router.post('/reports', function (req, res, next) {
+    let folders = req.body.folders;
+    let valid = Array.isArray(folders) && folders.every(function (folder) {
+      return typeof folder === 'string';
+    });
+    if (!valid) {
+      throw apiError(400, 'folders must be a list of folders');
+    }
+    sendReport(res, next, {
+      folders: folders,
+      format: req.body.format,
+      policy: req.body.policy,
+      policyName: req.body.policyName,
+      gate: req.body.gate !== false
+    });
+  });
+
+  router.get('/tokens', function (req, res) {
+    res.json({
+      tokens: context.tokens.list()
+    });
+  });
+
+  // The response is the only place the key of the new token is shown.
+  router.post('/tokens', function (req, res) {
+    res.status(201).json(context.tokens.create(req.body.name, req.body.role));
+  });
+
+  router.post('/tokens/:id/rotate', function (req, res) {
+    let token = context.tokens.rotate(req.params.id);
+    if (token === undefined) {
+      throw apiError(404, 'unknown or revoked token ' + req.params.id);
+    }
+    res.json(token);
+  });
+
+  router.delete('/tokens/:id', function (req, res) {
+    let token = context.tokens.revoke(req.params.id);
+    if (token === undefined) {
+      throw apiError(404, 'unknown token ' + req.params.id);
+    }
+    res.json(token);
+  });
+
+  // The configuration in effect. pending lists the settings changed by a
+  // reload that wait for a restart.
+  router.get('/config', function (req, res) {
+    res.json({
+      file: context.config.file,
+      profile: context.config.profile,
+      pending: context.config.pending(),
+      config: context.config.current()
+    });
+  });
+
+  // Reads the configuration file again. An invalid file is answered with 400
+  // and the problems in details; the configuration stays as it was.
+  router.post('/config/reload', function (req, res) {
+    let result = context.config.reload();
+    res.json(Object.assign(result, {
+      config: context.config.current()
+    }));
+  });
+
+  /*
+   * Queues the analysis of a metric on the latest test data, with the
+   * parameters of the run body.runId when given. done(err, job, result) is
+   * called when the job is over.
+   */
+  const submitAnalysis = function (metric, body, done) {
+    let analyser = metricRegistry.get(metric);
+    if (analyser === undefined) {
+      throw apiError(404, 'no analysis for metric ' + metric);
+    }
+    let run;
+    if (body.runId !== undefined) {
+      run = findRun(body.runId);
+    }
+    let params = context.analysisParams(metric, run);
+    let errors = analyser.validate ? analyser.validate(params) : [];
+    if (errors.length) {
+      throw apiError(400, 'invalid ' + metric + ' parameters', errors);
+    }
+    return context.analysis.submit(metric, params, done);
+  };
+
+  // The response of a finished analysis: the metric with its summary, or the
+  // events found.
+  const analysisResult = function (metric, result) {
+    if (result.events !== undefined) {
+      return {
+        events: result.events
+      };
+    }
+    if (result.metric === null) {
+      throw apiError(404, 'the ' + metric + ' analysis wrote no result file');
+    }
+    return withSummary(result.metric);
+  };
+
+  // Runs the analysis of a metric on the latest test data and returns the
+  // values the tool wrote to the output folder. The request waits for the
+  // job; POST /jobs only queues it.
+  router.post('/analyses/:metric', function (req, res, next) {
+    let metric = req.params.metric;
+    submitAnalysis(metric, req.body, function (err, job, result) {
+      if (err) {
+        err.details = err.stderr ? String(err.stderr).slice(-2000) :
+          undefined;
+        next(err);
+        return;
+      }
+      try {
+        res.json(analysisResult(metric, result));
+      } catch (readError) {
+        next(readError);
+      }
+    });
+  });
+
+  // Analysis jobs, filtered by the query parameters status and type.
+  router.get('/jobs', function (req, res) {
+    res.json({
+      jobs: context.jobs.list().filter(function (job) {
+        return (req.query.status === undefined || job.status === req.query
+          .status) && (req.query.type === undefined || job.type === req.query
+          .type);
+      })
+    });
+  });
+
+  // Queues the analysis of body.metric. An equal job that is queued, running
+  // or finished on the same files is returned instead of a new one.
+  router.post('/jobs', function (req, res) {
+    if (typeof req.body.metric !== 'string') {
+      throw apiError(400, 'metric is required');
+    }
+    let job = submitAnalysis(req.body.metric, req.body);
+    res.status(job.status === 'finished' ? 200 : 202)
+      .location(req.baseUrl + '/jobs/' + job.id).json(job);
+  });
+
+  const findJob = function (id) {
+    let job = context.jobs.get(id);
+    if (job === undefined) {
+      throw apiError(404, 'unknown job ' + id);
+    }
+    return job;
+  };
+
+  router.get('/jobs/:id', function (req, res) {
+    res.json(findJob(req.params.id));
+  });
+
+  // The values of a finished job; 409 while it is queued or running.
+  router.get('/jobs/:id/result', function (req, res) {
+    let job = findJob(req.params.id);
+    if (job.status === 'failed') {
+      throw apiError(500, 'job ' + job.id + ' failed: ' + job.error);
+    }
+    if (job.status !== 'finished') {
+      throw apiError(409, 'job ' + job.id + ' is ' + job.status);
+    }
+    res.json(analysisResult(job.type, context.jobs.result(job.id)));
+  });
+
+  router.post('/jobs/:id/cancel', function (req, res) {
+    findJob(req.params.id);
+    res.json(context.jobs.cancel(req.params.id));
+  });
+
+  router.use(function (req, res) {
+    sendError(res, 404, 'no route for ' + req.method + ' ' + req.path);
+  });
+
+  router.use(function (err, req, res, next) {
+    let statusCode = err.statusCode || err.status || 500;
+    req.errormsg = err.stack;
+    if (statusCode >= 500 && !err.expose) {
+      console.error(err);
+      sendError(res, statusCode, 'Internal Server Error', err.details);
+      return;
+    }
+    sendError(res, statusCode, err.message, err.details);
+  });
+
+  return router;
+};
+
+module.exports = {
+  createApiRouter: createApiRouter,
+  sendError: sendError
+};
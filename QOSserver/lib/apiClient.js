@@ -0,0 +1,104 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Client of the /api/v1 routes of the QoS server, used by bin/qos.js.
+//
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+/*
+ * options.server is the base URL of the server, options.id and options.key
+ * the service id and key it printed on start. options.insecure accepts any
+ * certificate, options.ca is the file of a certificate to trust.
+ */
+const createClient = function (options) {
+  const base = new URL(options.server.replace(/\/+$/, '') + '/api/v1');
+  const transport = base.protocol === 'http:' ? http : https;
+  const ca = options.ca ? fs.readFileSync(options.ca) : undefined;
+
+  /*
+   * Calls back with (err, body). err carries statusCode and the error of the
+   * API response (code, message and details) when the server answered with
+   * an error.
+   */
+  const request = function (method, path, body, callback) {
+    let payload = body === undefined ? undefined : JSON.stringify(body);
+    let headers = {
+      'Accept': 'application/json',
+      'Authorization': 'key=' + options.key + ',id=' + options.id
+    };
+    if (payload !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    let req = transport.request({
+      protocol: base.protocol,
+      hostname: base.hostname,
+      port: base.port || undefined,
+      path: base.pathname + path,
+      method: method,
+      headers: headers,
+      ca: ca,
+      rejectUnauthorized: !options.insecure,
+      timeout: options.timeout || 60000
+    }, function (res) {
+      let chunks = [];
+      res.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+      res.on('end', function () {
+        let text = Buffer.concat(chunks).toString();
+        let data = null;
+        if (text) {
+          try {
+            data = JSON.parse(text);
+          } catch (err) {
+            data = null;
+          }
+        }
+        if (res.statusCode >= 400) {
+          let apiError = data && data.error ? data.error : {};
+          let err = new Error(apiError.message || ('HTTP ' + res.statusCode));
+          err.statusCode = res.statusCode;
+          err.code = apiError.code;
+          err.details = apiError.details;
+          callback(err);
+          return;
+        }
+        callback(null, data);
+      });
+    });
+    req.on('timeout', function () {
+      req.abort();
+    });
+    req.on('error', function (err) {
+      callback(err);
+    });
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  };
+
+  const get = function (path, callback) {
+    request('GET', path, undefined, callback);
+  };
+
+  const post = function (path, body, callback) {
+    request('POST', path, body || {}, callback);
+  };
+
+  return {
+    request: request,
+    get: get,
+    post: post
+  };
+};
+
+module.exports = {
+  createClient: createClient
+};
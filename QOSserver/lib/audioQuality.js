@@ -0,0 +1,445 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Audio quality of a received recording against the sent audio. Both are
+// brought to 16 kHz mono, the received audio is aligned to the sent audio and
+// every segment of a few seconds gets a score on the MOS scale (1 to 4.5) and
+// the delay it was received with.
+//
+// Two backends score the segments. 'javascript' estimates the score from the
+// frequency-weighted segmental SNR of the aligned segments; it needs no tools,
+// but it is an estimate and not a PESQ score. 'command' runs an external tool
+// such as the ITU-T P.862 reference implementation on every pair of segments.
+//
+'use strict';
+
+const async = require('async');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const processRunner = require('./processRunner');
+const wav = require('./wav');
+
+const backends = ['javascript', 'command'];
+
+// The rate of wideband PESQ.
+const sampleRate = 16000;
+// Samples per value of the envelope used for the coarse alignment (4 ms).
+const blockSize = 64;
+// How far the delay of a segment may differ from the delay of the recording.
+const maxDrift = 0.1;
+// Segments quieter than this (RMS, -50 dBFS) are not scored.
+const silence = 0.00316;
+
+// Frames of the SNR estimate: 32 ms, half overlapping.
+const frameSize = 512;
+const frameHop = 256;
+// Critical band edges in Hz.
+const bandEdges = [0, 100, 200, 300, 400, 510, 630, 770, 920, 1080, 1270,
+  1480, 1720, 2000, 2320, 2700, 3150, 3700, 4400, 5300, 6400, 7700, 8000
+];
+
+const audioError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const readAudio = function (fileName) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(fileName);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw audioError(path.basename(fileName) + ' not found', 404);
+    }
+    throw err;
+  }
+  let audio = wav.decode(buffer);
+  return wav.resample(audio.samples, audio.sampleRate, sampleRate);
+};
+
+const rms = function (samples, start, end) {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
+};
+
+const envelope = function (samples) {
+  let count = Math.floor(samples.length / blockSize);
+  let result = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    result[i] = rms(samples, i * blockSize, (i + 1) * blockSize);
+  }
+  return result;
+};
+
+const sampleAt = function (samples, index) {
+  return index >= 0 && index < samples.length ? samples[index] : 0;
+};
+
+/*
+ * The lag in [minLag, maxLag] at which b[start + lag ...] is most like
+ * a[start ... end], by normalised cross-correlation.
+ */
+const bestLag = function (a, b, start, end, minLag, maxLag) {
+  let best = minLag;
+  let bestValue = -Infinity;
+  let energyA = 0;
+  for (let i = start; i < end; i++) {
+    energyA += a[i] * a[i];
+  }
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    let energyB = 0;
+    for (let i = start; i < end; i++) {
+      let value = sampleAt(b, i + lag);
+      sum += a[i] * value;
+      energyB += value * value;
+    }
+    let value = energyA > 0 && energyB > 0 ? sum / Math.sqrt(energyA *
+      energyB) : 0;
+    if (value > bestValue) {
+      bestValue = value;
+      best = lag;
+    }
+  }
+  return best;
+};
+
+// Removes the mean so that the correlation follows the shape of the envelope.
+const centered = function (values) {
+  let mean = 0;
+  for (let value of values) {
+    mean += value;
+  }
+  mean /= values.length || 1;
+  return values.map(function (value) {
+    return value - mean;
+  });
+};
+
+/*
+ * Delay in samples of the received audio over the whole recording, at most
+ * maxDelay samples either way.
+ */
+const alignRecording = function (reference, received, maxDelay) {
+  let a = centered(envelope(reference));
+  let b = centered(envelope(received));
+  let maxLag = Math.ceil(maxDelay / blockSize);
+  return bestLag(a, b, 0, a.length, -maxLag, maxLag) * blockSize;
+};
+
+/*
+ * Refines the delay for the segment [start, end) of the reference: first on
+ * the envelope around the delay of the recording, then sample by sample.
+ */
+const alignSegment = function (reference, received, start, end, delay,
+  envelopes) {
+  let drift = Math.ceil(maxDrift * sampleRate / blockSize);
+  let center = Math.round(delay / blockSize);
+  let lag = bestLag(envelopes.reference, envelopes.received, Math.floor(
+    start / blockSize), Math.floor(end / blockSize), center - drift, center +
+    drift);
+  return bestLag(reference, received, start, end, lag * blockSize -
+    blockSize, lag * blockSize + blockSize);
+};
+
+// In-place radix-2 FFT of re and im, whose length is a power of two.
+const fft = function (re, im) {
+  let n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      let t = re[i];
+      re[i] = re[j];
+      re[j] = t;
+      t = im[i];
+      im[i] = im[j];
+      im[j] = t;
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    let angle = -2 * Math.PI / size;
+    for (let i = 0; i < n; i += size) {
+      for (let k = 0; k < size / 2; k++) {
+        let cos = Math.cos(angle * k);
+        let sin = Math.sin(angle * k);
+        let a = i + k;
+        let b = a + size / 2;
+        let tre = re[b] * cos - im[b] * sin;
+        let tim = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+};
+
+// Magnitude of every critical band of a windowed frame.
+const bandMagnitudes = function (samples, start, gain, window) {
+  let re = new Float64Array(frameSize);
+  let im = new Float64Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    re[i] = sampleAt(samples, start + i) * gain * window[i];
+  }
+  fft(re, im);
+  let bands = new Float64Array(bandEdges.length - 1);
+  for (let k = 1; k < frameSize / 2; k++) {
+    let frequency = k * sampleRate / frameSize;
+    let band = 0;
+    while (band < bands.length - 1 && frequency >= bandEdges[band + 1]) {
+      band++;
+    }
+    bands[band] += re[k] * re[k] + im[k] * im[k];
+  }
+  return bands.map(Math.sqrt);
+};
+
+/*
+ * Frequency-weighted segmental SNR in dB of received against reference over
+ * the reference samples [start, end), received shifted by delay. The level of
+ * the received audio is matched to the reference first.
+ */
+const weightedSnr = function (reference, received, start, end, delay) {
+  let window = new Float64Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+  }
+  let receivedLevel = 0;
+  for (let i = start; i < end; i++) {
+    let value = sampleAt(received, i + delay);
+    receivedLevel += value * value;
+  }
+  receivedLevel = Math.sqrt(receivedLevel / (end - start));
+  let gain = receivedLevel > 0 ? rms(reference, start, end) / receivedLevel :
+    1;
+  let total = 0;
+  let frames = 0;
+  for (let frame = start; frame + frameSize <= end; frame += frameHop) {
+    if (rms(reference, frame, frame + frameSize) < silence) {
+      continue;
+    }
+    let x = bandMagnitudes(reference, frame, 1, window);
+    let y = bandMagnitudes(received, frame + delay, gain, window);
+    let weighted = 0;
+    let weights = 0;
+    for (let j = 0; j < x.length; j++) {
+      let noise = (x[j] - y[j]) * (x[j] - y[j]);
+      let snr = noise > 0 ? 10 * Math.log10(x[j] * x[j] / noise) : 35;
+      let weight = Math.pow(x[j], 0.2);
+      weighted += weight * Math.max(-10, Math.min(35, snr));
+      weights += weight;
+    }
+    if (weights > 0) {
+      total += weighted / weights;
+      frames++;
+    }
+  }
+  return frames ? total / frames : null;
+};
+
+/*
+ * Maps a weighted SNR in dB to the MOS scale of PESQ (1 to 4.5).
+ */
+const snrToMos = function (snr) {
+  return 1 + 3.5 / (1 + Math.exp(-(snr - 10) / 5));
+};
+
+// The last number in the output of a tool, or the first group of pattern.
+const parseScore = function (stdout, pattern) {
+  let text = String(stdout);
+  if (pattern) {
+    let match = new RegExp(pattern).exec(text);
+    return match ? parseFloat(match[1]) : NaN;
+  }
+  let numbers = text.match(/-?\d+(\.\d+)?/g) || [];
+  return numbers.length ? parseFloat(numbers[numbers.length - 1]) : NaN;
+};
+
+/*
+ * options.backend is 'javascript' (default) or 'command'. options.command is
+ * the argument list of the tool of the command backend, where {reference},
+ * {degraded} and {sampleRate} are replaced for every segment, and
+ * options.pattern an optional regular expression whose first group is the
+ * score in the output of the tool. options.segmentSeconds is the length of
+ * a segment (default 8) and options.maxDelaySeconds the largest delay looked
+ * for (default 2).
+ */
+const createAudioQuality = function (options) {
+  options = options || {};
+  const backend = options.backend || 'javascript';
+  const segmentSeconds = options.segmentSeconds || 8;
+  const maxDelaySeconds = options.maxDelaySeconds || 2;
+  if (backends.indexOf(backend) === -1) {
+    throw new Error('unknown audio quality backend ' + backend);
+  }
+  if (backend === 'command' && (!Array.isArray(options.command) ||
+      options.command.length === 0)) {
+    throw new Error('the command audio quality backend needs a command');
+  }
+
+  const commandScore = function (reference, received, segment, dir, job,
+    callback) {
+    let start = segment.start;
+    let end = segment.end;
+    let referenceFile = path.join(dir, 'reference-' + segment.index + '.wav');
+    let degradedFile = path.join(dir, 'degraded-' + segment.index + '.wav');
+    let degraded = new Float32Array(end - start);
+    for (let i = start; i < end; i++) {
+      degraded[i - start] = sampleAt(received, i + segment.delay);
+    }
+    try {
+      fs.writeFileSync(referenceFile, wav.encode(reference.subarray(start,
+        end), sampleRate));
+      fs.writeFileSync(degradedFile, wav.encode(degraded, sampleRate));
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    let args = options.command.slice(1).map(function (arg) {
+      return String(arg).replace('{reference}', referenceFile)
+        .replace('{degraded}', degradedFile)
+        .replace('{sampleRate}', String(sampleRate));
+    });
+    let child = processRunner.run(options.command[0], args, {
+      cwd: dir,
+      timeout: 5 * 60 * 1000
+    }, function (err, stdout, stderr) {
+      if (err) {
+        err.stderr = stderr;
+        callback(err);
+        return;
+      }
+      let score = parseScore(stdout, options.pattern);
+      callback(null, isFinite(score) ? score : null);
+    });
+    if (job) {
+      job.track(child);
+    }
+  };
+
+  /*
+   * Scores the audio of degradedFile against referenceFile. Calls back with
+   * (err, result): result.segments lists start and length in seconds,
+   * the delay in ms and the score of every segment; delay and score are
+   * null for silent segments. job, a job of lib/jobQueue.js, is optional;
+   * the command backend reports the segments scored to it.
+   */
+  const score = function (referenceFile, degradedFile, callback, job) {
+    let reference;
+    let received;
+    try {
+      reference = readAudio(referenceFile);
+      received = readAudio(degradedFile);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    if (reference.length < sampleRate || received.length < sampleRate) {
+      callback(audioError('the audio files must be at least one second long',
+        400));
+      return;
+    }
+    let delay = alignRecording(reference, received, maxDelaySeconds *
+      sampleRate);
+    let envelopes = {
+      reference: centered(envelope(reference)),
+      received: centered(envelope(received))
+    };
+    let length = Math.round(segmentSeconds * sampleRate);
+    let segments = [];
+    for (let start = 0; start + sampleRate <= reference.length; start +=
+      length) {
+      let end = Math.min(start + length, reference.length);
+      let segment = {
+        index: segments.length,
+        start: start,
+        end: end,
+        delay: null
+      };
+      if (rms(reference, start, end) >= silence) {
+        segment.delay = alignSegment(reference, received, start, end, delay,
+          envelopes);
+      }
+      segments.push(segment);
+    }
+    let done = function (err, scores) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, {
+        backend: backend,
+        sampleRate: sampleRate,
+        delay: delay * 1000 / sampleRate,
+        segments: segments.map(function (segment, index) {
+          return {
+            start: segment.start / sampleRate,
+            length: (segment.end - segment.start) / sampleRate,
+            delay: segment.delay === null ? null : segment.delay * 1000 /
+              sampleRate,
+            score: scores[index]
+          };
+        })
+      });
+    };
+    if (backend === 'javascript') {
+      done(null, segments.map(function (segment) {
+        if (segment.delay === null) {
+          return null;
+        }
+        let snr = weightedSnr(reference, received, segment.start, segment.end,
+          segment.delay);
+        return snr === null ? null : Math.round(snrToMos(snr) * 1000) / 1000;
+      }));
+      return;
+    }
+    fs.mkdtemp(path.join(os.tmpdir(), 'qos-audio-'), function (err, dir) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      async.mapSeries(segments, function (segment, next) {
+        if (segment.delay === null) {
+          next(null, null);
+          return;
+        }
+        if (job) {
+          if (job.cancelled()) {
+            next(audioError('cancelled', 409));
+            return;
+          }
+          job.progress(segment.index / segments.length, 'segment ' + (segment
+            .index + 1) + ' of ' + segments.length);
+        }
+        commandScore(reference, received, segment, dir, job, next);
+      }, function (err, scores) {
+        fs.rm(dir, {
+          recursive: true,
+          force: true
+        }, function () {
+          done(err, scores);
+        });
+      });
+    });
+  };
+
+  return {
+    score: score
+  };
+};
+
+module.exports = {
+  backends: backends,
+  createAudioQuality: createAudioQuality
+};
@@ -0,0 +1,288 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// API tokens. A token is an id and a secret key, sent as
+// "Authorization: key=<key>,id=<id>". The store keeps a salted hash of the
+// key and the role of the token: viewers read results, operators also start
+// and stop runs, admins also manage tokens.
+//
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const roles = ['viewer', 'operator', 'admin'];
+// The time of the last use of a token is saved at most once per interval,
+// not with every request.
+const lastUsedInterval = 60 * 1000;
+
+/*
+ * True when a token with role may do what needs the role required.
+ */
+const allows = function (role, required) {
+  let index = roles.indexOf(role);
+  return index !== -1 && index >= roles.indexOf(required);
+};
+
+/*
+ * Parses "key=<key>,id=<id>" into {key, id}. "Basic" credentials with the id
+ * as user name and the key as password are accepted as well, for clients
+ * such as Prometheus that cannot send a header of their own.
+ */
+const parseHeader = function (header) {
+  let basic = /^Basic\s+(\S+)$/i.exec(header);
+  if (basic) {
+    let credentials = Buffer.from(basic[1], 'base64').toString();
+    let colon = credentials.indexOf(':');
+    return colon === -1 ? {} : {
+      id: credentials.slice(0, colon),
+      key: credentials.slice(colon + 1)
+    };
+  }
+  var params = {},
+    array = [],
+    p = header.split(','),
+    i,
+    j,
+    val;
+
+  for (i = 0; i < p.length; i += 1) {
+
+    array = p[i].split('=');
+    val = '';
+
+    for (j = 1; j < array.length; j += 1) {
+      if (array[j] === '') {
+        val += '=';
+      } else {
+        val += array[j];
+      }
+    }
+
+    params[array[0].trim()] = val.trim();
+
+  }
+  return params;
+};
+
+// Keys are 256 random bits, so a salted SHA-256 is enough to keep them from
+// being read out of the store; a slow password hash would only slow down
+// every request.
+const hashKey = function (salt, key) {
+  return crypto.createHmac('sha256', salt).update(String(key)).digest();
+};
+
+const publicToken = function (token) {
+  return {
+    id: token.id,
+    name: token.name,
+    role: token.role,
+    createdAt: token.createdAt,
+    rotatedAt: token.rotatedAt || null,
+    lastUsedAt: token.lastUsedAt || null,
+    revokedAt: token.revokedAt || null
+  };
+};
+
+const authError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/*
+ * Tokens persisted in the JSON file fileName, which is only readable by the
+ * owner of the server process.
+ */
+const createTokenStore = function (fileName) {
+  const tokens = new Map();
+  // Hashed for unknown ids too, so the answer takes the same time.
+  const dummy = {
+    salt: crypto.randomBytes(16).toString('hex'),
+    hash: crypto.randomBytes(32).toString('hex')
+  };
+
+  if (fs.existsSync(fileName)) {
+    let saved = JSON.parse(fs.readFileSync(fileName).toString());
+    for (let token of saved.tokens || []) {
+      tokens.set(token.id, token);
+    }
+  }
+
+  const save = function () {
+    let temporary = fileName + '.tmp';
+    fs.writeFileSync(temporary, JSON.stringify({
+      tokens: Array.from(tokens.values())
+    }, null, 2), {
+      mode: 0o600
+    });
+    fs.renameSync(temporary, fileName);
+  };
+
+  const issueKey = function (token) {
+    let key = crypto.randomBytes(32).toString('hex');
+    token.salt = crypto.randomBytes(16).toString('hex');
+    token.hash = hashKey(token.salt, key).toString('hex');
+    return key;
+  };
+
+  /*
+   * Creates a token and returns it with its key. The key is not stored and
+   * cannot be shown again.
+   */
+  const create = function (name, role) {
+    if (typeof name !== 'string' || !/^[\w .@-]{1,64}$/.test(name)) {
+      throw authError('name must be 1 to 64 letters, digits or _ .@-', 400);
+    }
+    if (roles.indexOf(role) === -1) {
+      throw authError('role must be one of ' + roles.join(', '), 400);
+    }
+    let token = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name,
+      role: role,
+      createdAt: new Date().toISOString()
+    };
+    let key = issueKey(token);
+    tokens.set(token.id, token);
+    save();
+    return Object.assign(publicToken(token), {
+      key: key
+    });
+  };
+
+  /*
+   * Replaces the key of a token. Returns the token with its new key, or
+   * undefined for unknown or revoked tokens.
+   */
+  const rotate = function (id) {
+    let token = tokens.get(id);
+    if (!token || token.revokedAt) {
+      return undefined;
+    }
+    let key = issueKey(token);
+    token.rotatedAt = new Date().toISOString();
+    save();
+    return Object.assign(publicToken(token), {
+      key: key
+    });
+  };
+
+  const revoke = function (id) {
+    let token = tokens.get(id);
+    if (!token) {
+      return undefined;
+    }
+    if (!token.revokedAt) {
+      token.revokedAt = new Date().toISOString();
+      save();
+    }
+    return publicToken(token);
+  };
+
+  const list = function () {
+    return Array.from(tokens.values()).map(publicToken);
+  };
+
+  const activeCount = function () {
+    return Array.from(tokens.values()).filter(function (token) {
+      return !token.revokedAt;
+    }).length;
+  };
+
+  /*
+   * Returns the public token for a valid id and key, null otherwise. The
+   * time of its last use is kept to lastUsedInterval.
+   */
+  const verify = function (id, key) {
+    let token = tokens.get(id);
+    let stored = token && !token.revokedAt ? token : dummy;
+    let expected = Buffer.from(stored.hash, 'hex');
+    let actual = hashKey(stored.salt, key || '');
+    let match = crypto.timingSafeEqual(expected, actual);
+    if (!match || stored === dummy) {
+      return null;
+    }
+    let now = Date.now();
+    if (!token.lastUsedAt || now - Date.parse(token.lastUsedAt) >=
+      lastUsedInterval) {
+      token.lastUsedAt = new Date(now).toISOString();
+      try {
+        save();
+      } catch (err) {
+        console.info('cannot save the tokens:' + err.message);
+      }
+    }
+    return publicToken(token);
+  };
+
+  return {
+    create: create,
+    rotate: rotate,
+    revoke: revoke,
+    list: list,
+    activeCount: activeCount,
+    verify: verify
+  };
+};
+
+/*
+ * Counts failed attempts per client. After maxFailures failures within
+ * windowMs the client is blocked until the window ends.
+ */
+const createRateLimiter = function (maxFailures, windowMs) {
+  const clients = new Map();
+
+  const entry = function (client, now) {
+    let current = clients.get(client);
+    if (!current || current.resetAt <= now) {
+      current = {
+        failures: 0,
+        resetAt: now + windowMs
+      };
+      clients.set(client, current);
+    }
+    return current;
+  };
+
+  // Drops the entries of windows that ended.
+  const prune = function (now) {
+    for (let client of Array.from(clients.keys())) {
+      if (clients.get(client).resetAt <= now) {
+        clients.delete(client);
+      }
+    }
+  };
+
+  return {
+    /*
+     * Milliseconds the client is still blocked, 0 if it is not.
+     */
+    blocked: function (client) {
+      let now = Date.now();
+      let current = clients.get(client);
+      if (!current || current.resetAt <= now ||
+        current.failures < maxFailures) {
+        return 0;
+      }
+      return current.resetAt - now;
+    },
+
+    fail: function (client) {
+      let now = Date.now();
+      if (clients.size > 10000) {
+        prune(now);
+      }
+      entry(client, now).failures++;
+    }
+  };
+};
+
+module.exports = {
+  roles: roles,
+  allows: allows,
+  parseHeader: parseHeader,
+  createTokenStore: createTokenStore,
+  createRateLimiter: createRateLimiter
+};
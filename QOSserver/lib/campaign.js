@@ -0,0 +1,427 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// A campaign expands a parameter matrix into test runs, analyses each run
+// after it finished and files its results into
+// analysis/dataset/output/<campaign id>/<item>. Every run writes its data to
+// a folder of its own, analysis/dataset/Data/<campaign id>/<item>, so that
+// the next run cannot overwrite it before it is analysed. Runs started
+// outside of a campaign are analysed and filed the same way, into
+// analysis/dataset/output/<date>/<run id>.
+//
+'use strict';
+
+const async = require('async');
+const crypto = require('crypto');
+const fs = require('fs');
+const metricRegistry = require('./metricRegistry');
+const path = require('path');
+const runSpec = require('./runSpec');
+
+// The analysers campaigns run unless told otherwise, and those they run when
+// the campaign lists them.
+const defaultAnalyses = metricRegistry.analysers.filter(function (analyser) {
+  return analyser.campaign === 'default';
+}).map(function (analyser) {
+  return analyser.name;
+});
+const analysisNames = defaultAnalyses.concat(metricRegistry.analysers.filter(
+  function (analyser) {
+    return analyser.campaign === 'optional';
+  }).map(function (analyser) {
+  return analyser.name;
+}));
+// Files the analysers leave in the output folder for the last run.
+const resultFiles = [].concat.apply([], metricRegistry.analysers.map(function (
+  analyser) {
+  return analyser.outputs;
+}));
+const maxItems = 1000;
+const maxRepeat = 100;
+
+const product = function (matrix) {
+  let combinations = [{}];
+  for (let name of Object.keys(matrix)) {
+    let values = Array.isArray(matrix[name]) ? matrix[name] : [matrix[name]];
+    let expanded = [];
+    for (let combination of combinations) {
+      for (let value of values) {
+        let next = Object.assign({}, combination);
+        next[name] = value;
+        expanded.push(next);
+      }
+    }
+    combinations = expanded;
+  }
+  return combinations;
+};
+
+const itemLabel = function (index, overrides, repeat) {
+  let parts = [('00' + (index + 1)).slice(-3)];
+  for (let name of Object.keys(overrides)) {
+    parts.push(String(overrides[name]).replace(/[^A-Za-z0-9_.+-]/g, '_'));
+  }
+  parts.push('r' + repeat);
+  return parts.join('-');
+};
+
+/*
+ * Turns a campaign definition into its list of items. Returns {errors, items}.
+ */
+const expand = function (definition) {
+  let errors = [];
+  let items = [];
+  let matrix = definition.matrix || {};
+  let base = definition.base || {};
+  let repeat = definition.repeat === undefined ? 1 :
+    parseInt(definition.repeat, 10);
+  if (typeof matrix !== 'object' || Array.isArray(matrix)) {
+    errors.push('matrix must be an object');
+  }
+  if (typeof base !== 'object' || Array.isArray(base)) {
+    errors.push('base must be an object');
+  }
+  if (isNaN(repeat) || repeat < 1 || repeat > maxRepeat) {
+    errors.push('repeat must be between 1 and ' + maxRepeat);
+  }
+  let analyses = definition.analyses || defaultAnalyses;
+  if (!Array.isArray(analyses)) {
+    errors.push('analyses must be a list');
+  } else {
+    for (let name of analyses) {
+      if (analysisNames.indexOf(name) === -1) {
+        errors.push('unknown analysis ' + name);
+      }
+    }
+  }
+  if (errors.length) {
+    return {
+      errors: errors
+    };
+  }
+  let combinations = product(matrix);
+  if (combinations.length * repeat > maxItems) {
+    return {
+      errors: ['campaign expands to more than ' + maxItems + ' runs']
+    };
+  }
+  for (let combination of combinations) {
+    let result = runSpec.validate(Object.assign({}, base, combination));
+    if (result.errors.length) {
+      return {
+        errors: result.errors
+      };
+    }
+    for (let r = 1; r <= repeat; r++) {
+      items.push({
+        index: items.length,
+        label: itemLabel(items.length, combination, r),
+        spec: result.spec,
+        repeat: r,
+        runId: null,
+        status: 'pending',
+        folder: null,
+        analyses: {}
+      });
+    }
+  }
+  return {
+    errors: [],
+    items: items,
+    // events scans the results of the others, so it comes last.
+    analyses: metricRegistry.byOrder(analyses)
+  };
+};
+
+/*
+ * options.startRun(spec, done, folder) queues a run writing its data to
+ * folder, options.stopRun(id) stops it. options.analysis is the object
+ * created by analysisQueue.createAnalysisQueue, options.analysisParams(name,
+ * run) returns the parameters of the analyser called name for a run,
+ * options.dataDir is the data folder of the test client and
+ * options.outputDir is the folder the analysis tools write to. The optional
+ * options.ingest(folder, meta) is called for every filed result.
+ */
+const createCampaignManager = function (options) {
+  const campaigns = new Map();
+  const queue = [];
+  let current = null;
+
+  const publicCampaign = function (campaign) {
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      status: campaign.status,
+      folder: campaign.folder,
+      analyses: campaign.analyses,
+      createdAt: campaign.createdAt,
+      startedAt: campaign.startedAt,
+      finishedAt: campaign.finishedAt,
+      items: campaign.items
+    };
+  };
+
+  const save = function (campaign) {
+    try {
+      fs.mkdirSync(campaign.folder, {
+        recursive: true
+      });
+      fs.writeFileSync(path.join(campaign.folder, 'campaign.json'),
+        JSON.stringify(publicCampaign(campaign), null, 2));
+    } catch (err) {
+      console.info('cannot save campaign ' + campaign.id + ':' + err.message);
+    }
+  };
+
+  // Drops what an earlier, unfinished item left behind.
+  const clearResults = function () {
+    for (let file of resultFiles) {
+      let source = path.join(options.outputDir, file);
+      if (fs.existsSync(source)) {
+        fs.unlinkSync(source);
+      }
+    }
+  };
+
+  // Moves the results of the run to folder, or copies them when keep is set.
+  const fileResults = function (folder, run, keep) {
+    fs.mkdirSync(folder, {
+      recursive: true
+    });
+    for (let file of resultFiles) {
+      let source = path.join(options.outputDir, file);
+      if (!fs.existsSync(source)) {
+        continue;
+      }
+      if (keep) {
+        fs.copyFileSync(source, path.join(folder, file));
+      } else {
+        fs.renameSync(source, path.join(folder, file));
+      }
+    }
+    fs.writeFileSync(path.join(folder, 'runSpec.json'),
+      JSON.stringify(run.spec, null, 2));
+  };
+
+  /*
+   * Runs the analyses on the data folder of a finished run, files the
+   * results in task.folder and indexes them with task.meta. The output
+   * folder is shared, so this runs as one exclusive job of the analysis
+   * queue: no other analysis writes to it from clearing it to filing its
+   * results. Calls back with the error of filing, if any, and the outcome of
+   * every analysis.
+   */
+  const fileRun = function (task, callback) {
+    let run = task.run;
+    let outcome = {};
+    options.analysis.exclusive('file', {
+      runId: run.id,
+      folder: task.folder
+    }, function (analyse, job, done) {
+      try {
+        clearResults();
+      } catch (err) {
+        console.info('cannot clear results:' + err.message);
+      }
+      async.eachOfSeries(task.analyses, function (name, index, next) {
+        job.progress(index / task.analyses.length, name);
+        analyse(name, options.analysisParams(name, run), function (err) {
+          outcome[name] = err ? err.message : 'ok';
+          next();
+        }, run.spec.dataDir);
+      }, function () {
+        try {
+          fileResults(task.folder, run, task.keep);
+        } catch (err) {
+          done(err);
+          return;
+        }
+        done();
+      });
+    }, function (err) {
+      if (err) {
+        callback(err, outcome);
+        return;
+      }
+      if (options.ingest) {
+        try {
+          options.ingest(task.folder, Object.assign({
+            runId: run.id,
+            spec: run.spec,
+            createdAt: run.createdAt,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt
+          }, task.meta));
+        } catch (err) {
+          console.info('cannot index ' + task.folder + ':' + err.message);
+        }
+      }
+      callback(null, outcome);
+    });
+  };
+
+  const runItem = function (campaign, item, callback) {
+    if (campaign.status !== 'running') {
+      item.status = 'skipped';
+      callback();
+      return;
+    }
+    item.status = 'running';
+    let queued;
+    let dataFolder = path.join(options.dataDir, campaign.id, item.label);
+    try {
+      queued = options.startRun(item.spec, function (run) {
+        if (run.status !== 'finished') {
+          item.status = run.status;
+          save(campaign);
+          callback();
+          return;
+        }
+        item.status = 'analysing';
+        item.folder = path.join(campaign.folder, item.label);
+        fileRun({
+          run: run,
+          analyses: campaign.analyses,
+          folder: item.folder,
+          meta: {
+            campaignId: campaign.id,
+            tags: [campaign.name, item.label]
+          }
+        }, function (err, outcome) {
+          item.analyses = outcome;
+          if (err) {
+            item.status = 'failed';
+            item.error = err.message;
+          } else {
+            item.status = 'finished';
+          }
+          save(campaign);
+          callback();
+        });
+      }, dataFolder);
+    } catch (err) {
+      item.status = 'failed';
+      item.error = err.message;
+      callback();
+      return;
+    }
+    item.runId = queued.id;
+  };
+
+  const next = function () {
+    if (current || queue.length === 0) {
+      return;
+    }
+    let campaign = queue.shift();
+    current = campaign;
+    campaign.status = 'running';
+    campaign.startedAt = new Date().toISOString();
+    save(campaign);
+    async.eachSeries(campaign.items, function (item, callback) {
+      runItem(campaign, item, callback);
+    }, function () {
+      if (campaign.status === 'running') {
+        campaign.status = 'finished';
+      }
+      campaign.finishedAt = new Date().toISOString();
+      save(campaign);
+      current = null;
+      setImmediate(next);
+    });
+  };
+
+  return {
+    /*
+     * Runs the default analyses on a finished run that is not part of a
+     * campaign and files its results into <outputDir>/<date>/<run id>. The
+     * results stay in the output folder too, where the analysis pages show
+     * the latest ones. Calls back when they are filed.
+     */
+    file: function (run, callback) {
+      let date = run.finishedAt.slice(0, 10).replace(/-/g, '');
+      fileRun({
+        run: run,
+        analyses: metricRegistry.byOrder(defaultAnalyses),
+        folder: path.join(options.outputDir, date, run.id),
+        keep: true,
+        meta: {
+          tags: []
+        }
+      }, function (err) {
+        if (err) {
+          console.info('cannot file run ' + run.id + ':' + err.message);
+        }
+        callback();
+      });
+    },
+
+    /*
+     * Queues a campaign. Returns {errors} when the definition is invalid.
+     */
+    start: function (definition) {
+      let result = expand(definition || {});
+      if (result.errors.length) {
+        return {
+          errors: result.errors
+        };
+      }
+      let id = 'campaign-' + new Date().toISOString().slice(0, 10)
+        .replace(/-/g, '') + '-' + crypto.randomBytes(4).toString('hex');
+      let campaign = {
+        id: id,
+        name: String(definition.name || id),
+        status: 'queued',
+        folder: path.join(options.outputDir, id),
+        analyses: result.analyses,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        items: result.items
+      };
+      campaigns.set(id, campaign);
+      queue.push(campaign);
+      setImmediate(next);
+      return publicCampaign(campaign);
+    },
+
+    stop: function (id) {
+      let campaign = campaigns.get(id);
+      if (!campaign) {
+        return undefined;
+      }
+      if (campaign.status === 'queued') {
+        queue.splice(queue.indexOf(campaign), 1);
+        campaign.status = 'stopped';
+        campaign.finishedAt = new Date().toISOString();
+      } else if (campaign.status === 'running') {
+        campaign.status = 'stopped';
+        for (let item of campaign.items) {
+          if (item.status === 'running' && item.runId) {
+            options.stopRun(item.runId);
+          }
+        }
+      }
+      return publicCampaign(campaign);
+    },
+
+    get: function (id) {
+      let campaign = campaigns.get(id);
+      return campaign ? publicCampaign(campaign) : undefined;
+    },
+
+    list: function () {
+      return Array.from(campaigns.values()).map(function (campaign) {
+        let summary = publicCampaign(campaign);
+        delete summary.items;
+        summary.itemCount = campaign.items.length;
+        return summary;
+      });
+    }
+  };
+};
+
+module.exports = {
+  analysisNames: analysisNames,
+  createCampaignManager: createCampaignManager
+};
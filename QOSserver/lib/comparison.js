@@ -0,0 +1,403 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Statistical comparison of two groups of runs, for example five repeats of
+// one codec and bitrate against five of another. Every run is one
+// observation: a statistic such as its mean latency. The frames of a run
+// depend on each other and would make a difference look more certain than it
+// is. The difference of the group means gets a bootstrap confidence interval
+// and a permutation test tells whether it could be noise.
+//
+'use strict';
+
+const async = require('async');
+const resultReader = require('./resultReader');
+const stats = require('./stats');
+
+// Statistics of a run that can be compared.
+const statNames = ['mean', 'min', 'max', 'p50', 'p95', 'p99', 'stddev'];
+
+const defaults = {
+  stat: 'mean',
+  // Level of the confidence intervals.
+  confidence: 0.95,
+  // p value below which a difference counts as significant.
+  alpha: 0.05,
+  // Bootstrap resamples and random permutations. Groups that can be split in
+  // no more than permutations ways are tested with every split.
+  resamples: 10000,
+  permutations: 10000,
+  // The same seed gives the same intervals for the same runs.
+  seed: 1
+};
+// Bootstrap resamples and permutations of one comparison over all metric
+// columns together. The comparison runs in the event loop of the server, so
+// this bounds how long it keeps the other requests waiting; every column
+// with the defaults fits.
+const maxDraws = 1000000;
+
+const comparisonError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/*
+ * Random numbers in [0, 1) from a 32 bit seed (mulberry32).
+ */
+const randomGenerator = function (seed) {
+  let state = seed >>> 0;
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const resampleMean = function (values, random) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[Math.floor(random() * values.length)];
+  }
+  return sum / values.length;
+};
+
+const interval = function (estimates, confidence) {
+  let sorted = estimates.slice().sort(function (a, b) {
+    return a - b;
+  });
+  let tail = (1 - confidence) / 2 * 100;
+  return [stats.percentile(sorted, tail), stats.percentile(sorted, 100 -
+    tail)];
+};
+
+/*
+ * Percentile bootstrap intervals of the mean of a, the mean of b and the
+ * difference of the means, b - a.
+ */
+const bootstrap = function (a, b, options, random) {
+  let meansA = [];
+  let meansB = [];
+  let differences = [];
+  for (let i = 0; i < options.resamples; i++) {
+    let meanA = resampleMean(a, random);
+    let meanB = resampleMean(b, random);
+    meansA.push(meanA);
+    meansB.push(meanB);
+    differences.push(meanB - meanA);
+  }
+  return {
+    a: interval(meansA, options.confidence),
+    b: interval(meansB, options.confidence),
+    difference: interval(differences, options.confidence)
+  };
+};
+
+const binomial = function (n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return Math.round(result);
+};
+
+/*
+ * Two-sided p value of the difference of the means: the share of the ways to
+ * split the pooled runs into groups of the same sizes with a difference at
+ * least as large. Every split is tried when there are few enough, otherwise
+ * options.permutations random ones.
+ */
+const permutationTest = function (a, b, options, random) {
+  let pooled = a.concat(b);
+  let total = pooled.reduce(function (sum, value) {
+    return sum + value;
+  }, 0);
+  let observed = Math.abs(stats.mean(b) - stats.mean(a));
+  // Rounding must not turn the observed split into a smaller difference.
+  let limit = observed - 1e-9 * Math.max(1, Math.abs(observed));
+  let extreme = function (sumA) {
+    let difference = (total - sumA) / b.length - sumA / a.length;
+    return Math.abs(difference) >= limit;
+  };
+  let splits = binomial(pooled.length, a.length);
+  if (splits <= options.permutations) {
+    let count = 0;
+    let choose = function (start, left, sumA) {
+      if (left === 0) {
+        count += extreme(sumA) ? 1 : 0;
+        return;
+      }
+      for (let i = start; i <= pooled.length - left; i++) {
+        choose(i + 1, left - 1, sumA + pooled[i]);
+      }
+    };
+    choose(0, a.length, 0);
+    return {
+      pValue: count / splits,
+      exact: true
+    };
+  }
+  let count = 0;
+  let shuffled = pooled.slice();
+  for (let i = 0; i < options.permutations; i++) {
+    // Only the first a.length places need to be shuffled.
+    let sumA = 0;
+    for (let j = 0; j < a.length; j++) {
+      let k = j + Math.floor(random() * (shuffled.length - j));
+      let swap = shuffled[j];
+      shuffled[j] = shuffled[k];
+      shuffled[k] = swap;
+      sumA += shuffled[j];
+    }
+    count += extreme(sumA) ? 1 : 0;
+  }
+  // The observed split counts as one of them.
+  return {
+    pValue: (count + 1) / (options.permutations + 1),
+    exact: false
+  };
+};
+
+const verdictOf = function (result, better) {
+  if (result.pValue === null) {
+    return 'insufficient runs';
+  }
+  if (!result.significant) {
+    return 'no significant difference';
+  }
+  if (better === undefined) {
+    return result.difference > 0 ? 'higher' : 'lower';
+  }
+  let higher = result.difference > 0;
+  return higher === (better === 'higher') ? 'better' : 'worse';
+};
+
+/*
+ * Compares the run statistics a and b (one number per run) of two groups.
+ * better, 'higher' or 'lower', turns a significant difference into a better
+ * or worse verdict for b. Groups need two runs each for the intervals and
+ * the test.
+ */
+const compareValues = function (a, b, better, options) {
+  options = Object.assign({}, defaults, options);
+  let result = {
+    a: {
+      count: a.length,
+      mean: stats.mean(a),
+      stddev: stats.stddev(a),
+      interval: null
+    },
+    b: {
+      count: b.length,
+      mean: stats.mean(b),
+      stddev: stats.stddev(b),
+      interval: null
+    },
+    difference: null,
+    differencePercent: null,
+    interval: null,
+    pValue: null,
+    exact: null,
+    significant: false
+  };
+  if (a.length && b.length) {
+    result.difference = result.b.mean - result.a.mean;
+    result.differencePercent = result.a.mean === 0 ? null : result.difference *
+      100 / Math.abs(result.a.mean);
+  }
+  if (a.length >= 2 && b.length >= 2) {
+    let random = randomGenerator(options.seed);
+    let intervals = bootstrap(a, b, options, random);
+    result.a.interval = intervals.a;
+    result.b.interval = intervals.b;
+    result.interval = intervals.difference;
+    let test = permutationTest(a, b, options, random);
+    result.pValue = test.pValue;
+    result.exact = test.exact;
+    result.significant = test.pValue < options.alpha;
+  }
+  result.verdict = verdictOf(result, better);
+  return result;
+};
+
+/*
+ * Returns the comparison options with the defaults filled in and pushes what
+ * is wrong with them to errors.
+ */
+const validateOptions = function (options, errors) {
+  options = Object.assign({}, defaults, options);
+  if (statNames.indexOf(options.stat) === -1) {
+    errors.push('stat must be one of ' + statNames.join(', '));
+  }
+  if (!(options.confidence > 0 && options.confidence < 1)) {
+    errors.push('confidence must be between 0 and 1');
+  }
+  if (!(options.alpha > 0 && options.alpha < 1)) {
+    errors.push('alpha must be between 0 and 1');
+  }
+  for (let name of ['resamples', 'permutations']) {
+    if (!Number.isInteger(options[name]) || options[name] < 100 ||
+      options[name] > 100000) {
+      errors.push(name + ' must be an integer from 100 to 100000');
+    }
+  }
+  if (!Number.isInteger(options.seed)) {
+    errors.push('seed must be an integer');
+  }
+  return options;
+};
+
+// Metric and column pairs of the metrics, one per column.
+const targetsOf = function (names) {
+  let targets = [];
+  for (let name of names) {
+    let columns = resultReader.metrics[name].columns;
+    for (let column of columns || [undefined]) {
+      targets.push({
+        metric: name,
+        column: column
+      });
+    }
+  }
+  return targets;
+};
+
+/*
+ * Compares two groups of result folders, {label, folders}, metric by metric.
+ * read(folder, metric) returns a metric as resultReader.readMetric does and
+ * throws an error with statusCode 404 when the folder has no such metric.
+ * metrics defaults to the metrics every folder has; metrics with columns are
+ * compared column by column. Runs without values for a metric are left out
+ * of its comparison and listed as missing. Calls back with the comparison;
+ * the columns are compared one per turn of the event loop, and an error with
+ * statusCode 400 is returned when they would need more than maxDraws
+ * resamples and permutations together.
+ */
+const compareGroups = function (groupA, groupB, metrics, read, options,
+  callback) {
+  let folders = groupA.folders.concat(groupB.folders);
+  let cache = new Map();
+  let readCached = function (folder, metric) {
+    let key = folder + '\n' + metric;
+    if (!cache.has(key)) {
+      try {
+        cache.set(key, read(folder, metric));
+      } catch (err) {
+        if (err.statusCode !== 404) {
+          throw err;
+        }
+        cache.set(key, null);
+      }
+    }
+    return cache.get(key);
+  };
+  let targets;
+  try {
+    if (metrics === undefined) {
+      metrics = Object.keys(resultReader.metrics).filter(function (name) {
+        return folders.every(function (folder) {
+          return readCached(folder, name) !== null;
+        });
+      });
+    } else {
+      metrics = metrics.map(function (name) {
+        let metric = resultReader.metricName(name);
+        if (metric === undefined) {
+          throw comparisonError('unknown metric ' + name, 400);
+        }
+        return metric;
+      });
+    }
+    targets = targetsOf(metrics);
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  let draws = targets.length * (options.resamples + options.permutations);
+  if (draws > maxDraws) {
+    callback(comparisonError('the ' + targets.length + ' metric columns ' +
+      'need ' + draws + ' resamples and permutations, at most ' + maxDraws +
+      ' are allowed: compare fewer metrics or use fewer resamples', 400));
+    return;
+  }
+  let runsOf = function (group, target) {
+    let runs = [];
+    let missing = [];
+    for (let folder of group.folders) {
+      let metric = readCached(folder, target.metric);
+      let values = metric === null ? [] : target.column ? metric.values[target
+        .column] : metric.values;
+      let summary = stats.summarize(values);
+      if (summary[options.stat] === null) {
+        missing.push(folder);
+        continue;
+      }
+      runs.push({
+        folder: folder,
+        value: summary[options.stat],
+        summary: summary
+      });
+    }
+    return {
+      runs: runs,
+      missing: missing
+    };
+  };
+  let compareTarget = function (target) {
+    let definition = resultReader.metrics[target.metric];
+    // The columns of quality and nr are metrics of their own too.
+    let better = (resultReader.metrics[target.column] || definition).better;
+    let a = runsOf(groupA, target);
+    let b = runsOf(groupB, target);
+    let compared = compareValues(a.runs.map(function (run) {
+      return run.value;
+    }), b.runs.map(function (run) {
+      return run.value;
+    }), better, options);
+    compared.a = Object.assign(compared.a, a);
+    compared.b = Object.assign(compared.b, b);
+    return Object.assign({
+      metric: target.metric,
+      column: target.column,
+      unit: definition.unit || null,
+      better: better || null
+    }, compared);
+  };
+  async.mapSeries(targets, function (target, next) {
+    setImmediate(function () {
+      let result;
+      try {
+        result = compareTarget(target);
+      } catch (err) {
+        next(err);
+        return;
+      }
+      next(null, result);
+    });
+  }, function (err, results) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, {
+      stat: options.stat,
+      confidence: options.confidence,
+      alpha: options.alpha,
+      a: groupA,
+      b: groupB,
+      metrics: results
+    });
+  });
+};
+
+module.exports = {
+  statNames: statNames,
+  defaults: defaults,
+  maxDraws: maxDraws,
+  validateOptions: validateOptions,
+  compareValues: compareValues,
+  compareGroups: compareGroups
+};
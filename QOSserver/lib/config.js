@@ -0,0 +1,792 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// The server configuration. conf.json is checked against a schema, and an
+// unknown or misspelled key or a value of the wrong type stops the server at
+// start instead of being ignored. A profile of conf.json, environment
+// variables and command line options override the file, in that order, so
+// several lab instances can run from one checkout. The file can be read again
+// while the server runs; settings marked restart keep their value until the
+// next start.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const alignment = require('./alignment');
+const audioQuality = require('./audioQuality');
+const events = require('./events');
+const gate = require('./gate');
+const metricRegistry = require('./metricRegistry');
+
+const envPrefix = 'QOS_';
+
+/*
+ * A setting has a type: integer, number, string, boolean, path (relative to
+ * the server folder), list (of strings) or object. nullable settings may be
+ * null, values lists the allowed ones, min and max bound numbers, validate
+ * checks an object further and restart marks settings that are read only at
+ * start. Everything else is a section of settings.
+ */
+const schema = {
+  server: {
+    port: {
+      type: 'integer',
+      default: 4004,
+      min: 1,
+      max: 65535,
+      restart: true
+    },
+    // Address to listen on, every address when null.
+    host: {
+      type: 'string',
+      default: null,
+      nullable: true,
+      restart: true
+    },
+    key: {
+      type: 'path',
+      default: 'cert/key.pem',
+      restart: true
+    },
+    cert: {
+      type: 'path',
+      default: 'cert/cert.pem',
+      restart: true
+    },
+    // Read the configuration again when the file changes.
+    watchConfig: {
+      type: 'boolean',
+      default: false,
+      restart: true
+    }
+  },
+  paths: {
+    analysisDir: {
+      type: 'path',
+      default: '../analysis',
+      restart: true
+    },
+    dataDir: {
+      type: 'path',
+      default: '../analysis/dataset/Data',
+      restart: true
+    },
+    sourceDir: {
+      type: 'path',
+      default: '../analysis/dataset/source',
+      restart: true
+    },
+    outputDir: {
+      type: 'path',
+      default: '../analysis/dataset/output',
+      restart: true
+    },
+    resultsDir: {
+      type: 'path',
+      default: '../analysis/dataset/results',
+      restart: true
+    },
+    clientDir: {
+      type: 'path',
+      default: '../QOStestclient',
+      restart: true
+    },
+    logDir: {
+      type: 'path',
+      default: 'logs',
+      restart: true
+    },
+    tokenFile: {
+      type: 'path',
+      default: 'tokens.json',
+      restart: true
+    }
+  },
+  auth: {
+    maxFailures: {
+      type: 'integer',
+      default: 10,
+      min: 1,
+      restart: true
+    },
+    windowSeconds: {
+      type: 'integer',
+      default: 600,
+      min: 1,
+      restart: true
+    }
+  },
+  analysis: {
+    backend: {
+      type: 'string',
+      default: 'javascript',
+      values: ['javascript', 'native'],
+      restart: true
+    }
+  },
+  jobs: {
+    concurrency: {
+      type: 'integer',
+      default: 2,
+      min: 1,
+      restart: true
+    }
+  },
+  audio: {
+    backend: {
+      type: 'string',
+      default: 'javascript',
+      values: audioQuality.backends,
+      restart: true
+    },
+    command: {
+      type: 'list',
+      default: null,
+      nullable: true,
+      restart: true
+    },
+    pattern: {
+      type: 'string',
+      default: null,
+      nullable: true,
+      restart: true
+    },
+    referenceFile: {
+      type: 'string',
+      default: 'reference.wav'
+    },
+    receivedFile: {
+      type: 'string',
+      default: 'localAudio.wav'
+    },
+    segmentSeconds: {
+      type: 'number',
+      default: 8,
+      min: 1,
+      restart: true
+    },
+    maxDelaySeconds: {
+      type: 'number',
+      default: 2,
+      min: 0,
+      restart: true
+    }
+  },
+  jitter: {
+    frameCount: {
+      type: 'integer',
+      default: 600,
+      min: 1
+    }
+  },
+  latency: {
+    frameCount: {
+      type: 'integer',
+      default: 600,
+      min: 1
+    }
+  },
+  quality: {
+    originFilename: {
+      type: 'string',
+      default: '1280x720-framerate30-vp8-bitrate2000k_decode.yuv'
+    },
+    recYuv: {
+      type: 'string',
+      default: 'rec.yuv'
+    },
+    sendYuv: {
+      type: 'string',
+      default: 'send.yuv'
+    },
+    width: {
+      type: 'integer',
+      default: 1280,
+      min: 1
+    },
+    height: {
+      type: 'integer',
+      default: 720,
+      min: 1
+    },
+    // false compares the aligned files of an earlier run again, without
+    // gen_rec and gen_send.
+    align: {
+      type: 'boolean',
+      default: true
+    },
+    // Worker threads of the JavaScript comparison, 0 for none.
+    workers: {
+      type: 'integer',
+      default: 0,
+      min: 0,
+      max: 64
+    }
+  },
+  // Where the frame tags of the alignment come from, see alignment.js.
+  alignment: {
+    source: {
+      type: 'string',
+      default: 'barcode',
+      values: alignment.sources
+    },
+    // Number of tags after which the source starts over, null for the
+    // frameCount of the jitter section.
+    tagWrap: {
+      type: 'integer',
+      default: null,
+      nullable: true,
+      min: 1
+    },
+    barcodeX: {
+      type: 'integer',
+      default: 0,
+      min: 0
+    },
+    barcodeY: {
+      type: 'integer',
+      default: 0,
+      min: 0
+    },
+    barcodeCell: {
+      type: 'integer',
+      default: 12,
+      min: 2
+    },
+    barcodeBits: {
+      type: 'integer',
+      default: 16,
+      min: 1,
+      max: 32
+    }
+  },
+  // The thresholds of the event detectors, see events.js.
+  events: {},
+  reports: {
+    pdfCommand: {
+      type: 'list',
+      default: null,
+      nullable: true
+    }
+  },
+  results: {
+    sdkVersion: {
+      type: 'string',
+      default: null,
+      nullable: true,
+      restart: true
+    }
+  },
+  // Named quality gate policies.
+  gates: {
+    type: 'object',
+    default: {},
+    validate: function (policies, name, errors) {
+      for (let policy of Object.keys(policies)) {
+        for (let problem of gate.validatePolicy(policies[policy])) {
+          errors.push(name + '.' + policy + ': ' + problem);
+        }
+      }
+    }
+  }
+};
+
+for (let name of Object.keys(events.defaults)) {
+  let value = events.defaults[name];
+  if (typeof value === 'number') {
+    schema.events[name] = {
+      type: 'number',
+      default: value,
+      min: 0
+    };
+    continue;
+  }
+  schema.events[name] = {};
+  for (let metric of Object.keys(value)) {
+    schema.events[name][metric] = {
+      type: 'number',
+      default: value[metric],
+      min: 0
+    };
+  }
+}
+
+// An analyser with settings of its own gets a section named after it.
+for (let analyser of metricRegistry.analysers) {
+  if (analyser.settings === undefined) {
+    continue;
+  }
+  if (schema.hasOwnProperty(analyser.name)) {
+    throw new Error('analyser ' + analyser.name + ': conf.json already has ' +
+      'a section ' + analyser.name);
+  }
+  schema[analyser.name] = analyser.settings;
+}
+
+const configError = function (message, errors) {
+  let err = new Error(message);
+  err.statusCode = 400;
+  err.details = errors;
+  return err;
+};
+
+const isSetting = function (node) {
+  return typeof node.type === 'string';
+};
+
+const isObject = function (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// The settings of the schema, {name, setting}, with their dotted names.
+const settingList = function () {
+  let list = [];
+  let walk = function (node, prefix) {
+    for (let key of Object.keys(node)) {
+      let name = prefix ? prefix + '.' + key : key;
+      if (isSetting(node[key])) {
+        list.push({
+          name: name,
+          setting: node[key]
+        });
+      } else {
+        walk(node[key], name);
+      }
+    }
+  };
+  walk(schema, '');
+  return list;
+};
+
+const settings = settingList();
+
+const findSetting = function (name) {
+  return settings.find(function (entry) {
+    return entry.name === name;
+  });
+};
+
+// paths.dataDir -> QOS_PATHS_DATA_DIR
+const envName = function (name) {
+  return envPrefix + name.split('.').map(function (part) {
+    return part.replace(/([a-z0-9])([A-Z])/g, '$1_$2');
+  }).join('_').toUpperCase();
+};
+
+const getValue = function (config, name) {
+  return name.split('.').reduce(function (node, key) {
+    return node === undefined || node === null ? undefined : node[key];
+  }, config);
+};
+
+const setValue = function (config, name, value) {
+  let keys = name.split('.');
+  let node = config;
+  for (let key of keys.slice(0, -1)) {
+    if (!isObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const copy = function (value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+const defaults = function () {
+  let config = {};
+  for (let entry of settings) {
+    setValue(config, entry.name, copy(entry.setting.default));
+  }
+  return config;
+};
+
+// Number of edits that turn a into b.
+const distance = function (a, b) {
+  let row = [];
+  for (let j = 0; j <= b.length; j++) {
+    row.push(j);
+  }
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      let above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] ===
+        b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+// ', did you mean <prefix><known name>?' for a key close to a known name.
+const suggestion = function (key, known, prefix) {
+  let lower = key.toLowerCase();
+  let best = known.find(function (name) {
+    return name.toLowerCase() === lower;
+  }) || known.find(function (name) {
+    return distance(lower, name.toLowerCase()) <= 2;
+  });
+  return best === undefined ? '' : ', did you mean ' + (prefix || '') + best +
+    '?';
+};
+
+const checkSetting = function (setting, value, name, errors) {
+  if (value === null) {
+    if (!setting.nullable) {
+      errors.push(name + ' must not be null');
+    }
+    return;
+  }
+  let type = setting.type;
+  let valid = {
+    integer: Number.isInteger(value),
+    number: typeof value === 'number' && isFinite(value),
+    string: typeof value === 'string',
+    path: typeof value === 'string' && value !== '',
+    boolean: typeof value === 'boolean',
+    list: Array.isArray(value) && value.length > 0 && value.every(function (
+      item) {
+      return typeof item === 'string';
+    }),
+    object: isObject(value)
+  }[type];
+  if (!valid) {
+    errors.push(name + ' must be ' + {
+      integer: 'an integer',
+      number: 'a number',
+      string: 'a string',
+      path: 'a path',
+      boolean: 'true or false',
+      list: 'a list of strings',
+      object: 'an object'
+    }[type] + (setting.nullable ? ' or null' : ''));
+    return;
+  }
+  if (setting.values && setting.values.indexOf(value) === -1) {
+    errors.push(name + ' must be one of ' + setting.values.join(', '));
+  }
+  if (setting.min !== undefined && value < setting.min) {
+    errors.push(name + ' must be at least ' + setting.min);
+  }
+  if (setting.max !== undefined && value > setting.max) {
+    errors.push(name + ' must be at most ' + setting.max);
+  }
+  if (setting.validate) {
+    setting.validate(value, name, errors);
+  }
+};
+
+/*
+ * Pushes what is wrong with the settings in config, which may leave settings
+ * out, to errors. prefix goes before the names in the messages.
+ */
+const validate = function (config, prefix, errors) {
+  let walk = function (node, value, name) {
+    if (!isObject(value)) {
+      errors.push((prefix + name).replace(/[.:]\s*$/, '') +
+        ' must be an object');
+      return;
+    }
+    let known = Object.keys(node);
+    for (let key of Object.keys(value)) {
+      let child = name ? name + '.' + key : key;
+      if (!node.hasOwnProperty(key)) {
+        errors.push('unknown setting ' + prefix + child + suggestion(key,
+          known, prefix + (name ? name + '.' : '')));
+      } else if (isSetting(node[key])) {
+        checkSetting(node[key], value[key], prefix + child, errors);
+      } else {
+        walk(node[key], value[key], child);
+      }
+    }
+  };
+  walk(schema, config, '');
+};
+
+// Settings replace those of base; sections are merged. Unknown keys are left
+// out.
+const merge = function (base, override) {
+  let walk = function (node, target, source) {
+    for (let key of Object.keys(source)) {
+      if (!node.hasOwnProperty(key)) {
+        continue;
+      }
+      let replace = isSetting(node[key]) || !isObject(target[key]) ||
+        !isObject(source[key]);
+      if (replace) {
+        target[key] = copy(source[key]);
+      } else {
+        walk(node[key], target[key], source[key]);
+      }
+    }
+  };
+  walk(schema, base, override);
+  return base;
+};
+
+// The value of a setting given as text in an environment variable or on the
+// command line.
+const parseValue = function (setting, text, source, errors) {
+  if (text === 'null' && setting.nullable) {
+    return null;
+  }
+  switch (setting.type) {
+    case 'integer':
+    case 'number':
+      if (text.trim() === '' || isNaN(Number(text))) {
+        errors.push(source + ' must be a number');
+        return undefined;
+      }
+      return Number(text);
+    case 'boolean':
+      if (text !== 'true' && text !== 'false') {
+        errors.push(source + ' must be true or false');
+        return undefined;
+      }
+      return text === 'true';
+    case 'list':
+    case 'object':
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        errors.push(source + ' must be JSON');
+        return undefined;
+      }
+    default:
+      return text;
+  }
+};
+
+/*
+ * Settings from the environment. A variable that starts with the name of a
+ * section, such as QOS_SERVER_, must name one of its settings.
+ */
+const fromEnv = function (env, errors) {
+  let config = {};
+  let names = {};
+  for (let entry of settings) {
+    names[envName(entry.name)] = entry;
+  }
+  let sections = Object.keys(schema).filter(function (key) {
+    return !isSetting(schema[key]);
+  }).map(function (key) {
+    return envName(key) + '_';
+  });
+  for (let variable of Object.keys(env)) {
+    let entry = names[variable];
+    if (entry === undefined) {
+      let inSection = sections.some(function (section) {
+        return variable.startsWith(section);
+      });
+      if (inSection) {
+        errors.push('unknown setting in environment variable ' + variable +
+          suggestion(variable, Object.keys(names)));
+      }
+      continue;
+    }
+    let value = parseValue(entry.setting, env[variable], variable, errors);
+    if (value !== undefined) {
+      checkSetting(entry.setting, value, variable, errors);
+      setValue(config, entry.name, value);
+    }
+  }
+  return config;
+};
+
+/*
+ * Splits the command line into --config file, --profile name and the
+ * settings given as --server.port=4005 or --server.port 4005.
+ */
+const parseArgs = function (argv, errors) {
+  let parsed = {
+    file: undefined,
+    profile: undefined,
+    config: {}
+  };
+  let names = settings.map(function (entry) {
+    return entry.name;
+  });
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    if (!arg.startsWith('--')) {
+      errors.push('unexpected argument ' + arg);
+      continue;
+    }
+    let name = arg.slice(2);
+    let value;
+    let equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    } else if (i + 1 < argv.length) {
+      value = argv[++i];
+    } else {
+      errors.push('--' + name + ' needs a value');
+      continue;
+    }
+    if (name === 'config' || name === 'profile') {
+      parsed[name === 'config' ? 'file' : 'profile'] = value;
+      continue;
+    }
+    let entry = findSetting(name);
+    if (entry === undefined) {
+      errors.push('unknown option --' + name + suggestion(name, names, '--'));
+      continue;
+    }
+    value = parseValue(entry.setting, value, '--' + name, errors);
+    if (value !== undefined) {
+      checkSetting(entry.setting, value, '--' + name, errors);
+      setValue(parsed.config, name, value);
+    }
+  }
+  return parsed;
+};
+
+/*
+ * Reads file and applies the profile, env and the parsed command line. Throws
+ * an error with statusCode 400 and the list of problems in details.
+ */
+const load = function (file, profile, env, args, baseDir) {
+  let errors = [];
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file).toString());
+  } catch (err) {
+    throw configError('cannot read ' + file + ': ' + err.message, []);
+  }
+  if (!isObject(content)) {
+    throw configError(file + ' must hold an object', []);
+  }
+  let profiles = content.profiles || {};
+  delete content.profiles;
+  validate(content, '', errors);
+  if (!isObject(profiles)) {
+    errors.push('profiles must be an object');
+    profiles = {};
+  }
+  for (let name of Object.keys(profiles)) {
+    validate(profiles[name], 'profiles.' + name + '.', errors);
+  }
+  if (profile && !profiles.hasOwnProperty(profile)) {
+    errors.push('unknown profile ' + profile + suggestion(profile, Object.keys(
+      profiles)));
+  }
+  let config = merge(defaults(), content);
+  if (profile && isObject(profiles[profile])) {
+    merge(config, profiles[profile]);
+  }
+  merge(config, fromEnv(env, errors));
+  merge(config, args.config);
+  if (errors.length) {
+    throw configError('invalid configuration in ' + file, errors);
+  }
+  for (let entry of settings) {
+    let value = getValue(config, entry.name);
+    if (entry.setting.type === 'path' && value !== null) {
+      setValue(config, entry.name, path.resolve(baseDir, value));
+    }
+  }
+  return config;
+};
+
+/*
+ * options.file is the configuration file and options.baseDir the folder
+ * relative paths start from. options.argv and options.env are the command
+ * line and environment of the server: --config and $QOS_CONFIG name another
+ * file, --profile and $QOS_PROFILE select a profile of the file. Throws when
+ * the configuration is invalid.
+ */
+const createConfig = function (options) {
+  const env = options.env || {};
+  let argErrors = [];
+  const args = parseArgs(options.argv || [], argErrors);
+  if (argErrors.length) {
+    throw configError('invalid command line', argErrors);
+  }
+  const file = path.resolve(args.file || env.QOS_CONFIG || options.file);
+  const profile = args.profile || env.QOS_PROFILE || null;
+  const baseDir = options.baseDir || path.dirname(file);
+  const listeners = [];
+  let current = load(file, profile, env, args, baseDir);
+  // Settings read only at start whose new value waits for a restart.
+  let pending = [];
+
+  /*
+   * Reads the file again. Settings that take effect at once are replaced;
+   * the names of the changed ones (changed) and of those that need a
+   * restart (pending) are returned. An invalid file leaves the configuration
+   * as it is and throws.
+   */
+  const reload = function () {
+    let next = load(file, profile, env, args, baseDir);
+    let changed = [];
+    pending = [];
+    for (let entry of settings) {
+      let before = JSON.stringify(getValue(current, entry.name));
+      if (JSON.stringify(getValue(next, entry.name)) === before) {
+        continue;
+      }
+      if (entry.setting.restart) {
+        pending.push(entry.name);
+        setValue(next, entry.name, copy(getValue(current, entry.name)));
+      } else {
+        changed.push(entry.name);
+      }
+    }
+    current = next;
+    for (let listener of listeners) {
+      listener(current);
+    }
+    return {
+      changed: changed,
+      pending: pending
+    };
+  };
+
+  return {
+    file: file,
+    profile: profile,
+    current: function () {
+      return current;
+    },
+    pending: function () {
+      return pending.slice();
+    },
+    reload: reload,
+    // listener(config) is called after every reload.
+    onReload: function (listener) {
+      listeners.push(listener);
+    },
+    /*
+     * Reloads when the file changes. callback(err, result) gets the outcome
+     * of every reload.
+     */
+    watch: function (callback) {
+      fs.watchFile(file, {
+        interval: 2000
+      }, function (now, before) {
+        if (now.mtimeMs === before.mtimeMs) {
+          return;
+        }
+        let result;
+        try {
+          result = reload();
+        } catch (err) {
+          callback(err);
+          return;
+        }
+        callback(null, result);
+      });
+    }
+  };
+};
+
+module.exports = {
+  createConfig: createConfig
+};
@@ -0,0 +1,441 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Scans the per-frame series of a run for events worth a look: freezes,
+// quality drops, latency spikes, fps stalls, bitrate drops and bitrate
+// oscillation. An event covers a range of values of one metric and carries
+// its time in seconds from the start of the run and a severity, warning or
+// critical.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const metrics = require('./metrics');
+const resultReader = require('./resultReader');
+
+// The client reports fps and the received byte count every 3 seconds. A
+// bitrate value covers the time between two reports and belongs to the later
+// one.
+const sampled = {
+  fps: {
+    seconds: 3,
+    offset: 1
+  },
+  bitrate: {
+    seconds: 3,
+    offset: 2
+  }
+};
+
+const eventsFile = 'events.json';
+
+/*
+ * The thresholds of the detectors. Everything can be overridden by the events
+ * section of conf.json.
+ */
+const defaults = {
+  // Frame rate of the run when the run spec has none.
+  fps: 30,
+  // Frames in a row with a freezing score above 0 or the same received tag.
+  freezeFrames: 3,
+  // A freeze is critical from this length on.
+  freezeCriticalSeconds: 1,
+  // Values before a frame that make up its rolling baseline, and the fewest
+  // of them needed to judge a frame.
+  baselineWindow: 60,
+  baselineMinimum: 10,
+  // Drop below the rolling median of the quality metrics, in their units,
+  // for qualityFrames frames in a row. Twice the drop is critical.
+  qualityDrop: {
+    vmaf: 10,
+    psnr: 3,
+    ssim: 0.05
+  },
+  qualityFrames: 3,
+  // Latency above the rolling median by this many ms is a spike, by
+  // latencyCritical ms a critical one.
+  latencySpike: 100,
+  latencyCritical: 300,
+  // fps below this share of the median fps of the run is a stall, below
+  // fpsCritical fps a critical one.
+  fpsStallRatio: 0.5,
+  fpsCritical: 5,
+  // Bitrate below this share of the median bitrate of the run.
+  bitrateDropRatio: 0.25,
+  // Bitrate that changes direction oscillationChanges times within
+  // oscillationWindow reports, each time by more than oscillationSwing of
+  // the mean of the window.
+  oscillationWindow: 6,
+  oscillationChanges: 3,
+  oscillationSwing: 0.3
+};
+
+const median = function (values) {
+  if (values.length === 0) {
+    return null;
+  }
+  let sorted = values.slice().sort(function (a, b) {
+    return a - b;
+  });
+  let middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[
+    middle]) / 2;
+};
+
+const isValue = function (value) {
+  return value !== null && value !== undefined && isFinite(value);
+};
+
+const round = function (value, digits) {
+  let factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/*
+ * Ranges of consecutive indexes for which flagged(index) is true, at least
+ * minLength long. Missing values neither extend nor end a range.
+ */
+const ranges = function (values, minLength, flagged) {
+  let result = [];
+  let start = null;
+  let end = null;
+  let count = 0;
+  let close = function () {
+    if (start !== null && count >= minLength) {
+      result.push({
+        start: start,
+        end: end
+      });
+    }
+    start = null;
+    count = 0;
+  };
+  for (let i = 0; i < values.length; i++) {
+    if (!isValue(values[i])) {
+      continue;
+    }
+    if (flagged(i)) {
+      if (start === null) {
+        start = i;
+      }
+      end = i;
+      count++;
+    } else {
+      close();
+    }
+  }
+  close();
+  return result;
+};
+
+/*
+ * Flags the values that differ from the median of the unflagged values
+ * before them. outside(value, baseline) tells whether a value is off.
+ * Returns the baseline of every value, null where there was too little
+ * history, and whether it is flagged.
+ */
+const rollingBaseline = function (values, options, outside) {
+  let history = [];
+  let baselines = [];
+  let flags = [];
+  for (let i = 0; i < values.length; i++) {
+    let value = values[i];
+    let baseline = history.length >= options.baselineMinimum ? median(
+      history) : null;
+    baselines.push(baseline);
+    let flag = isValue(value) && baseline !== null && outside(value,
+      baseline);
+    flags.push(flag);
+    if (isValue(value) && !flag) {
+      history.push(value);
+      if (history.length > options.baselineWindow) {
+        history.shift();
+      }
+    }
+  }
+  return {
+    baselines: baselines,
+    flags: flags
+  };
+};
+
+/*
+ * Detects the events in the series of a run. series maps metric names to
+ * their values as resultReader.readMetric returns them; metrics with columns
+ * (quality, nr) are split into their columns. tags are the received frame
+ * tags in receive order, when known. options are merged into the defaults.
+ * Returns the events ordered by time.
+ */
+const detect = function (series, tags, options) {
+  options = Object.assign({}, defaults, options);
+  options.qualityDrop = Object.assign({}, defaults.qualityDrop,
+    options.qualityDrop);
+  let fps = Number(options.fps) || defaults.fps;
+  let values = {};
+  for (let name of Object.keys(series)) {
+    if (Array.isArray(series[name])) {
+      values[name] = values[name] || series[name];
+    } else {
+      for (let column of Object.keys(series[name])) {
+        values[column] = values[column] || series[name][column];
+      }
+    }
+  }
+
+  const seconds = function (metric, index) {
+    let sample = sampled[metric];
+    return round(sample ? (index + sample.offset) * sample.seconds : index /
+      fps, 3);
+  };
+
+  let events = [];
+  const add = function (type, metric, range, severity, fields) {
+    let start = seconds(metric, range.start);
+    let end = seconds(metric, range.end);
+    events.push(Object.assign({
+      type: type,
+      metric: metric,
+      severity: severity,
+      start: start,
+      end: end,
+      startFrame: Math.round(start * fps),
+      endFrame: Math.round(end * fps),
+      startIndex: range.start,
+      endIndex: range.end
+    }, fields));
+  };
+  const worst = function (list, range, lowest) {
+    let result = null;
+    for (let i = range.start; i <= range.end; i++) {
+      let better = result === null || (lowest ? list[i] < result : list[i] >
+        result);
+      if (isValue(list[i]) && better) {
+        result = list[i];
+      }
+    }
+    return result;
+  };
+
+  // Freezes from the freezing score of the no-reference analysis.
+  if (values.freezing) {
+    let list = values.freezing;
+    let frozen = ranges(list, options.freezeFrames, function (i) {
+      return list[i] > 0;
+    });
+    for (let range of frozen) {
+      let length = (range.end - range.start + 1) / fps;
+      add('freeze', 'freezing', range, length >= options
+        .freezeCriticalSeconds ? 'critical' : 'warning', {
+        value: round(length, 3),
+        message: 'video frozen for ' + round(length, 2) + ' s'
+      });
+    }
+  }
+
+  // Freezes from the same tag received again and again.
+  if (tags && tags.length) {
+    let repeats = tags.map(function (tag, i) {
+      return i > 0 && tag === tags[i - 1] ? 1 : 0;
+    });
+    // A frame that repeats freezeFrames - 1 times stays for freezeFrames.
+    let repeated = ranges(repeats, options.freezeFrames - 1, function (i) {
+      return repeats[i] === 1;
+    });
+    for (let range of repeated) {
+      let frozen = {
+        start: range.start - 1,
+        end: range.end
+      };
+      let length = (frozen.end - frozen.start + 1) / fps;
+      add('freeze', 'tags', frozen, length >= options.freezeCriticalSeconds ?
+        'critical' : 'warning', {
+        value: round(length, 3),
+        message: 'tag ' + tags[frozen.start] + ' received ' + (frozen.end -
+          frozen.start + 1) + ' times'
+      });
+    }
+  }
+
+  for (let metric of Object.keys(options.qualityDrop)) {
+    if (!values[metric]) {
+      continue;
+    }
+    let drop = options.qualityDrop[metric];
+    let list = values[metric];
+    let rolling = rollingBaseline(list, options, function (value, baseline) {
+      return value < baseline - drop;
+    });
+    let drops = ranges(list, options.qualityFrames, function (i) {
+      return rolling.flags[i];
+    });
+    for (let range of drops) {
+      let value = worst(list, range, true);
+      let baseline = rolling.baselines[range.start];
+      add('qualityDrop', metric, range, baseline - value >= 2 * drop ?
+        'critical' : 'warning', {
+        value: value,
+        baseline: round(baseline, 3),
+        message: metric + ' dropped to ' + round(value, 2) + ' from ' +
+          round(baseline, 2)
+      });
+    }
+  }
+
+  if (values.latency) {
+    let list = values.latency;
+    let rolling = rollingBaseline(list, options, function (value, baseline) {
+      return value > baseline + options.latencySpike;
+    });
+    let spikes = ranges(list, 1, function (i) {
+      return rolling.flags[i];
+    });
+    for (let range of spikes) {
+      let value = worst(list, range, false);
+      let baseline = rolling.baselines[range.start];
+      add('latencySpike', 'latency', range, value - baseline >= options
+        .latencyCritical ? 'critical' : 'warning', {
+        value: value,
+        baseline: round(baseline, 3),
+        message: 'latency rose to ' + round(value, 1) + ' ms from ' +
+          round(baseline, 1) + ' ms'
+      });
+    }
+  }
+
+  if (values.fps) {
+    let list = values.fps;
+    let typical = median(list.filter(isValue));
+    let limit = typical * options.fpsStallRatio;
+    let stalls = ranges(list, 1, function (i) {
+      return list[i] < limit;
+    });
+    for (let range of stalls) {
+      let value = worst(list, range, true);
+      add('fpsStall', 'fps', range, value < options.fpsCritical ? 'critical' :
+        'warning', {
+        value: value,
+        baseline: typical,
+        message: 'fps fell to ' + value + ' from ' + typical
+      });
+    }
+  }
+
+  if (values.bitrate) {
+    let list = values.bitrate;
+    let typical = median(list.filter(isValue));
+    let drops = ranges(list, 1, function (i) {
+      return list[i] < typical * options.bitrateDropRatio;
+    });
+    for (let range of drops) {
+      let value = worst(list, range, true);
+      add('bitrateDrop', 'bitrate', range, 'critical', {
+        value: value,
+        baseline: typical,
+        message: 'bitrate fell to ' + value + ' kbps from ' + typical + ' kbps'
+      });
+    }
+    // Windows in which the bitrate keeps changing direction, merged where
+    // they overlap.
+    let windows = [];
+    for (let start = 0; start + options.oscillationWindow <= list.length;
+      start++) {
+      let window = list.slice(start, start + options.oscillationWindow);
+      if (!window.every(isValue)) {
+        continue;
+      }
+      let mean = window.reduce(function (sum, value) {
+        return sum + value;
+      }, 0) / window.length;
+      let changes = 0;
+      let direction = 0;
+      for (let i = 1; i < window.length; i++) {
+        let step = window[i] - window[i - 1];
+        if (Math.abs(step) <= mean * options.oscillationSwing) {
+          continue;
+        }
+        if (direction !== 0 && Math.sign(step) !== direction) {
+          changes++;
+        }
+        direction = Math.sign(step);
+      }
+      if (changes < options.oscillationChanges) {
+        continue;
+      }
+      let last = windows[windows.length - 1];
+      if (last && start <= last.end) {
+        last.end = start + options.oscillationWindow - 1;
+      } else {
+        windows.push({
+          start: start,
+          end: start + options.oscillationWindow - 1
+        });
+      }
+    }
+    for (let range of windows) {
+      add('bitrateOscillation', 'bitrate', range, 'warning', {
+        value: worst(list, range, false) - worst(list, range, true),
+        baseline: typical,
+        message: 'bitrate swings between ' + worst(list, range, true) +
+          ' and ' + worst(list, range, false) + ' kbps'
+      });
+    }
+  }
+
+  return events.sort(function (a, b) {
+    return a.start - b.start || a.end - b.end;
+  });
+};
+
+/*
+ * Detects the events of a result folder from its metric files, the received
+ * tags in rec_timestamp.txt of tagDir when there is one, and the frame rate
+ * of its run spec.
+ */
+const detectFolder = function (baseDir, folder, tagDir, options) {
+  let series = {};
+  let resolved = path.resolve(baseDir, folder);
+  for (let name of resultReader.availableMetrics(resolved)) {
+    series[name] = resultReader.readMetric(baseDir, folder, name).values;
+  }
+  let tags = null;
+  let tagFile = path.join(tagDir || resolved, 'rec_timestamp.txt');
+  if (fs.existsSync(tagFile)) {
+    tags = metrics.tagPairs(resultReader.parseValues(fs.readFileSync(tagFile)
+      .toString())).map(function (pair) {
+      return pair.tag;
+    });
+  }
+  let fps = options && options.fps;
+  let specFile = path.join(resolved, 'runSpec.json');
+  if (fs.existsSync(specFile)) {
+    try {
+      fps = JSON.parse(fs.readFileSync(specFile).toString()).fps || fps;
+    } catch (err) {
+      console.info('cannot read ' + specFile + ':' + err.message);
+    }
+  }
+  return detect(series, tags, Object.assign({}, options, {
+    fps: fps
+  }));
+};
+
+/*
+ * The events stored in a folder, null when it has none.
+ */
+const readEvents = function (folder) {
+  let file = path.join(folder, eventsFile);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file).toString()).events;
+};
+
+module.exports = {
+  defaults: defaults,
+  eventsFile: eventsFile,
+  detect: detect,
+  detectFolder: detectFolder,
+  readEvents: readEvents
+};
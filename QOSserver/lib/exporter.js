@@ -0,0 +1,189 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Exports metric series as tables (CSV or JSON) and the metric summaries of a
+// result record in the Prometheus and OpenMetrics text formats.
+//
+'use strict';
+
+// Summary statistic -> help text of its gauge family.
+const stats = {
+  count: 'Number of frames with a value',
+  missing: 'Number of frames without a value',
+  mean: 'Mean',
+  min: 'Minimum',
+  max: 'Maximum',
+  p50: 'Median',
+  p95: '95th percentile',
+  p99: '99th percentile',
+  stddev: 'Standard deviation'
+};
+
+const exportError = function (message) {
+  let err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+/*
+ * Lays out metrics read by resultReader.readMetric side by side: one row per
+ * frame and one column per folder, or per folder and column ("folder:column")
+ * for metrics with columns. column picks a single column of such metrics.
+ * Returns {columns, rows}; the first column is the frame index and missing
+ * values are null.
+ */
+const table = function (metrics, column) {
+  let names = ['frame'];
+  let values = [];
+  for (let metric of metrics) {
+    if (Array.isArray(metric.values)) {
+      names.push(metric.folder);
+      values.push(metric.values);
+      continue;
+    }
+    if (column !== undefined && metric.columns.indexOf(column) === -1) {
+      throw exportError(metric.metric + ' has no column ' + column);
+    }
+    let columns = column === undefined ? metric.columns : [column];
+    for (let name of columns) {
+      names.push(metric.folder + ':' + name);
+      values.push(metric.values[name]);
+    }
+  }
+  let length = values.reduce(function (max, list) {
+    return Math.max(max, list.length);
+  }, 0);
+  let rows = [];
+  for (let i = 0; i < length; i++) {
+    rows.push([i].concat(values.map(function (list) {
+      let value = list[i];
+      return value === undefined || value === null || !isFinite(value) ? null :
+        value;
+    })));
+  }
+  return {
+    columns: names,
+    rows: rows
+  };
+};
+
+const csvField = function (value) {
+  if (value === null) {
+    return '';
+  }
+  let text = String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+/*
+ * A table as CSV text with a header line.
+ */
+const csv = function (data) {
+  return [data.columns].concat(data.rows).map(function (row) {
+    return row.map(csvField).join(',');
+  }).join('\n') + '\n';
+};
+
+const labelValue = function (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+};
+
+const labelText = function (labels) {
+  let names = Object.keys(labels).filter(function (name) {
+    return labels[name] !== undefined && labels[name] !== null &&
+      labels[name] !== '';
+  });
+  return '{' + names.map(function (name) {
+    return name + '="' + labelValue(labels[name]) + '"';
+  }).join(',') + '}';
+};
+
+/*
+ * The metric summaries of a result store record as Prometheus text: one
+ * gauge family per statistic (qos_result_mean, qos_result_p95, ...) with the
+ * metric, column and unit as labels, plus the time and the run configuration
+ * of the result. With openMetrics the text follows OpenMetrics 1.0, which
+ * ends with "# EOF".
+ */
+const prometheus = function (record, openMetrics) {
+  let spec = record.spec || {};
+  let result = {
+    folder: record.folder,
+    codec: spec.codec,
+    bitrate: spec.bitrate,
+    // runSpec.validate turns the resolution into width and height.
+    resolution: spec.width && spec.height ? spec.width + 'x' + spec.height :
+      undefined
+  };
+  let lines = [];
+  let family = function (name, help, samples, info) {
+    // OpenMetrics has a type of its own for info metrics; the samples keep
+    // the _info suffix.
+    let familyName = info && openMetrics ? name.replace(/_info$/, '') : name;
+    lines.push('# HELP ' + familyName + ' ' + help);
+    lines.push('# TYPE ' + familyName + ' ' + (info && openMetrics ? 'info' :
+      'gauge'));
+    for (let sample of samples) {
+      lines.push(name + labelText(sample.labels) + ' ' + sample.value);
+    }
+  };
+
+  family('qos_result_info', 'Run configuration and versions of the result.', [{
+    labels: Object.assign({
+      run_id: record.runId,
+      campaign_id: record.campaignId,
+      tags: (record.tags || []).join(','),
+      framework_version: (record.versions || {}).framework,
+      sdk_version: (record.versions || {}).sdk
+    }, result),
+    value: 1
+  }], true);
+  family('qos_result_timestamp_seconds', 'Time the result was created.', [{
+    labels: result,
+    value: Date.parse(record.createdAt) / 1000
+  }]);
+
+  let names = Object.keys(record.metrics || {}).sort();
+  for (let stat of Object.keys(stats)) {
+    let samples = [];
+    for (let name of names) {
+      let metric = record.metrics[name];
+      let summaries = metric.columns ? metric.columns.map(function (column) {
+        return {
+          column: column,
+          summary: metric.summary[column]
+        };
+      }) : [{
+        summary: metric.summary
+      }];
+      for (let item of summaries) {
+        let value = item.summary ? item.summary[stat] : null;
+        if (value === null || value === undefined || !isFinite(value)) {
+          continue;
+        }
+        samples.push({
+          labels: Object.assign({
+            metric: name,
+            column: item.column,
+            unit: metric.unit
+          }, result),
+          value: value
+        });
+      }
+    }
+    family('qos_result_' + stat, stats[stat] + ' of a metric of the result.',
+      samples);
+  }
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  table: table,
+  csv: csv,
+  prometheus: prometheus
+};
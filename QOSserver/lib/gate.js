@@ -0,0 +1,271 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Quality gates. A policy holds absolute rules such as "p95 latency <= 200"
+// and regression checks that compare a result to a baseline result:
+//
+//   {
+//     "rules": [
+//       {"metric": "vmaf", "stat": "mean", "op": ">=", "value": 85},
+//       {"metric": "freezing", "stat": "percentAbove", "threshold": 0,
+//        "op": "<=", "value": 1}
+//     ],
+//     "regressions": [
+//       {"metric": "latency", "stat": "p95", "tolerancePercent": 10}
+//     ]
+//   }
+//
+'use strict';
+
+const resultReader = require('./resultReader');
+const stats = require('./stats');
+
+const operators = {
+  '<': function (a, b) {
+    return a < b;
+  },
+  '<=': function (a, b) {
+    return a <= b;
+  },
+  '>': function (a, b) {
+    return a > b;
+  },
+  '>=': function (a, b) {
+    return a >= b;
+  },
+  '==': function (a, b) {
+    return a === b;
+  }
+};
+
+// Statistics a rule can test: the keys of stats.summarize and the percentage
+// of frames above or below rule.threshold.
+const statNames = ['count', 'missing', 'mean', 'min', 'max', 'p50', 'p95',
+  'p99', 'stddev', 'percentAbove', 'percentBelow'
+];
+
+const isNumber = function (value) {
+  return typeof value === 'number' && isFinite(value);
+};
+
+const validateTarget = function (rule, where, errors) {
+  let name = resultReader.metricName(rule.metric);
+  if (name === undefined) {
+    errors.push(where + ': unknown metric ' + rule.metric);
+    return;
+  }
+  let columns = resultReader.metrics[name].columns;
+  if (columns && columns.indexOf(rule.column) === -1) {
+    errors.push(where + ': column must be one of ' + columns.join(', '));
+  }
+  if (!columns && rule.column !== undefined) {
+    errors.push(where + ': ' + name + ' has no columns');
+  }
+  if (statNames.indexOf(rule.stat) === -1) {
+    errors.push(where + ': stat must be one of ' + statNames.join(', '));
+  }
+  if (rule.threshold !== undefined && !isNumber(rule.threshold)) {
+    errors.push(where + ': threshold must be a number');
+  }
+};
+
+/*
+ * Returns the list of problems of a policy, empty when it is valid.
+ */
+const validatePolicy = function (policy) {
+  let errors = [];
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['policy must be an object'];
+  }
+  let rules = policy.rules || [];
+  let regressions = policy.regressions || [];
+  if (!Array.isArray(rules) || !Array.isArray(regressions)) {
+    return ['rules and regressions must be lists'];
+  }
+  if (rules.length + regressions.length === 0) {
+    errors.push('policy has no rules');
+  }
+  rules.forEach(function (rule, index) {
+    let where = 'rules[' + index + ']';
+    validateTarget(rule, where, errors);
+    if (!operators.hasOwnProperty(rule.op)) {
+      errors.push(where + ': op must be one of ' +
+        Object.keys(operators).join(' '));
+    }
+    if (!isNumber(rule.value)) {
+      errors.push(where + ': value must be a number');
+    }
+  });
+  regressions.forEach(function (rule, index) {
+    let where = 'regressions[' + index + ']';
+    validateTarget(rule, where, errors);
+    let name = resultReader.metricName(rule.metric);
+    let better = rule.better || (name && resultReader.metrics[name].better);
+    if (better !== 'higher' && better !== 'lower') {
+      errors.push(where + ': better must be higher or lower');
+    }
+    for (let key of ['tolerance', 'tolerancePercent']) {
+      if (rule[key] !== undefined && !(isNumber(rule[key]) && rule[key] >=
+          0)) {
+        errors.push(where + ': ' + key + ' must be a number >= 0');
+      }
+    }
+  });
+  return errors;
+};
+
+/*
+ * The statistic a rule tests of a metric read by resultReader.readMetric,
+ * null when the metric has no values.
+ */
+const statValue = function (metric, rule) {
+  let values = metric.columns ? metric.values[rule.column] : metric.values;
+  if (rule.stat === 'percentAbove' || rule.stat === 'percentBelow') {
+    let numbers = stats.finiteValues(values);
+    if (numbers.length === 0) {
+      return null;
+    }
+    let threshold = rule.threshold || 0;
+    let matching = numbers.filter(function (value) {
+      return rule.stat === 'percentAbove' ? value > threshold :
+        value < threshold;
+    });
+    return matching.length * 100 / numbers.length;
+  }
+  return stats.summarize(values)[rule.stat];
+};
+
+const describe = function (rule) {
+  let name = resultReader.metricName(rule.metric);
+  let target = rule.column ? name + '.' + rule.column : name;
+  let stat = rule.stat;
+  if (stat === 'percentAbove' || stat === 'percentBelow') {
+    stat += '(' + (rule.threshold || 0) + ')';
+  }
+  return stat + ' ' + target;
+};
+
+/*
+ * Reads metrics through read(name) once per name. read is expected to throw
+ * an error with statusCode 404 when the result has no such metric.
+ */
+const cachedReader = function (read) {
+  let cache = new Map();
+  return function (name) {
+    if (!cache.has(name)) {
+      try {
+        cache.set(name, read(name));
+      } catch (err) {
+        if (err.statusCode !== 404) {
+          throw err;
+        }
+        cache.set(name, null);
+      }
+    }
+    return cache.get(name);
+  };
+};
+
+const checkRule = function (rule, read) {
+  let name = resultReader.metricName(rule.metric);
+  let result = {
+    metric: name,
+    column: rule.column,
+    stat: rule.stat,
+    op: rule.op,
+    value: rule.value,
+    actual: null
+  };
+  let metric = read(name);
+  result.actual = metric ? statValue(metric, rule) : null;
+  if (result.actual === null) {
+    result.status = 'missing';
+    result.message = 'no values for ' + describe(rule);
+  } else if (operators[rule.op](result.actual, rule.value)) {
+    result.status = 'pass';
+    result.message = describe(rule) + ' ' + result.actual + ' ' + rule.op +
+      ' ' + rule.value;
+  } else {
+    result.status = 'fail';
+    result.message = describe(rule) + ' ' + result.actual + ' is not ' +
+      rule.op + ' ' + rule.value;
+  }
+  return result;
+};
+
+const checkRegression = function (rule, read, readBaseline) {
+  let name = resultReader.metricName(rule.metric);
+  let better = rule.better || resultReader.metrics[name].better;
+  let result = {
+    metric: name,
+    column: rule.column,
+    stat: rule.stat,
+    better: better,
+    baseline: null,
+    actual: null,
+    delta: null,
+    allowed: null
+  };
+  if (!readBaseline) {
+    result.status = 'skipped';
+    result.message = 'no baseline for ' + describe(rule);
+    return result;
+  }
+  let metric = read(name);
+  let baseMetric = readBaseline(name);
+  result.actual = metric ? statValue(metric, rule) : null;
+  result.baseline = baseMetric ? statValue(baseMetric, rule) : null;
+  if (result.actual === null || result.baseline === null) {
+    result.status = 'missing';
+    result.message = 'no values for ' + describe(rule) + ' in ' +
+      (result.actual === null ? 'the result' : 'the baseline');
+    return result;
+  }
+  result.delta = result.actual - result.baseline;
+  result.allowed = rule.tolerancePercent !== undefined ?
+    Math.abs(result.baseline) * rule.tolerancePercent / 100 :
+    rule.tolerance || 0;
+  let worse = better === 'higher' ? -result.delta : result.delta;
+  if (worse > result.allowed) {
+    result.status = 'fail';
+    result.message = describe(rule) + ' regressed from ' + result.baseline +
+      ' to ' + result.actual + ', more than ' + result.allowed + ' allowed';
+  } else {
+    result.status = 'pass';
+    result.message = describe(rule) + ' ' + result.actual + ', baseline ' +
+      result.baseline;
+  }
+  return result;
+};
+
+/*
+ * Evaluates a valid policy. read(name) and readBaseline(name) return a metric
+ * of the result and of the baseline as resultReader.readMetric does;
+ * readBaseline is optional, without it the regression checks are skipped.
+ * A result passes when no rule or check failed or missed its values.
+ */
+const evaluate = function (policy, read, readBaseline) {
+  read = cachedReader(read);
+  readBaseline = readBaseline ? cachedReader(readBaseline) : null;
+  let rules = (policy.rules || []).map(function (rule) {
+    return checkRule(rule, read);
+  });
+  let regressions = (policy.regressions || []).map(function (rule) {
+    return checkRegression(rule, read, readBaseline);
+  });
+  let passed = rules.concat(regressions).every(function (result) {
+    return result.status === 'pass' || result.status === 'skipped';
+  });
+  return {
+    passed: passed,
+    rules: rules,
+    regressions: regressions
+  };
+};
+
+module.exports = {
+  statNames: statNames,
+  validatePolicy: validatePolicy,
+  evaluate: evaluate
+};
@@ -0,0 +1,260 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Runs long jobs, such as the analysis tools, in the background. At most
+// concurrency jobs run at once, and jobs that use the same resource (for
+// example the aligned yuv files) run one after the other. A job submitted
+// while the same job (same key) is queued or running joins it, and a
+// finished job is handed out again as long as its fingerprint, usually the
+// sizes and times of its input and output files, did not change.
+//
+'use strict';
+
+const crypto = require('crypto');
+
+const maxHistory = 100;
+
+const queueError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const publicJob = function (job) {
+  return {
+    id: job.id,
+    type: job.type,
+    params: job.params,
+    status: job.status,
+    progress: job.progress,
+    message: job.message,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+};
+
+/*
+ * options.concurrency is the number of jobs that run at once, 1 by default.
+ */
+const createJobQueue = function (options) {
+  options = options || {};
+  const concurrency = options.concurrency || 1;
+  const jobs = new Map();
+  const queue = [];
+  const running = new Set();
+
+  const busy = function (job) {
+    for (let other of running) {
+      let shared = other.resources.some(function (resource) {
+        return job.resources.indexOf(resource) !== -1;
+      });
+      if (shared) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const prune = function () {
+    for (let id of jobs.keys()) {
+      if (jobs.size <= maxHistory) {
+        break;
+      }
+      if (jobs.get(id).finishedAt) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const finish = function (job, status, err, result) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.children = [];
+    if (err) {
+      job.error = err.message;
+      job.failure = err;
+    } else if (status === 'finished') {
+      job.result = result;
+      job.progress = 1;
+      try {
+        job.fingerprint = job.spec.fingerprint ? job.spec.fingerprint() : null;
+      } catch (fingerprintError) {
+        job.fingerprint = null;
+      }
+    }
+    let waiting = job.waiting;
+    job.waiting = [];
+    for (let done of waiting) {
+      done(err || null, publicJob(job), result);
+    }
+    prune();
+  };
+
+  const start = function (job) {
+    running.add(job);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    let handle = {
+      progress: function (progress, message) {
+        job.progress = progress;
+        job.message = message === undefined ? job.message : message;
+      },
+      // Processes that are killed when the job is cancelled.
+      track: function (child) {
+        if (child) {
+          job.children.push(child);
+        }
+        return child;
+      },
+      cancelled: function () {
+        return job.status === 'cancelled';
+      }
+    };
+    let called = false;
+    let callback = function (err, result) {
+      if (called) {
+        return;
+      }
+      called = true;
+      running.delete(job);
+      // A cancelled job has already finished; its result is dropped.
+      if (job.status === 'running') {
+        finish(job, err ? 'failed' : 'finished', err, result);
+      }
+      setImmediate(next);
+    };
+    try {
+      job.spec.run(handle, callback);
+    } catch (err) {
+      callback(err);
+    }
+  };
+
+  const next = function () {
+    for (let i = 0; i < queue.length && running.size < concurrency;) {
+      let job = queue[i];
+      if (busy(job)) {
+        i++;
+        continue;
+      }
+      queue.splice(i, 1);
+      start(job);
+    }
+  };
+
+  // The newest job with key that is queued, running or still valid.
+  const reusable = function (key) {
+    let found;
+    for (let job of jobs.values()) {
+      if (job.key !== key) {
+        continue;
+      }
+      if (job.status === 'queued' || job.status === 'running') {
+        return job;
+      }
+      if (job.status === 'finished' && job.fingerprint !== null) {
+        found = job;
+      }
+    }
+    if (found === undefined) {
+      return undefined;
+    }
+    let fingerprint;
+    try {
+      fingerprint = found.spec.fingerprint();
+    } catch (err) {
+      return undefined;
+    }
+    return fingerprint === found.fingerprint ? found : undefined;
+  };
+
+  return {
+    /*
+     * Queues spec.run(job, callback) and returns the job. spec.type and
+     * spec.params describe the job, spec.key identifies equal jobs and
+     * spec.resources lists what it must not share with a running job.
+     * spec.fingerprint(), when given, makes a finished job reusable until the
+     * fingerprint changes. job.progress(fraction, message) reports progress,
+     * job.track(child) registers a process to kill on cancel. done(err, job,
+     * result), when given, is called once the job finished, failed or was
+     * cancelled, also when an equal job was reused.
+     */
+    submit: function (spec, done) {
+      let job = spec.key === undefined ? undefined : reusable(spec.key);
+      if (job === undefined) {
+        job = {
+          id: crypto.randomBytes(8).toString('hex'),
+          type: spec.type,
+          params: spec.params,
+          key: spec.key,
+          resources: spec.resources || [],
+          spec: spec,
+          status: 'queued',
+          progress: 0,
+          message: null,
+          error: null,
+          createdAt: new Date().toISOString(),
+          startedAt: null,
+          finishedAt: null,
+          fingerprint: null,
+          children: [],
+          waiting: []
+        };
+        jobs.set(job.id, job);
+        queue.push(job);
+        setImmediate(next);
+      }
+      if (done) {
+        if (job.finishedAt) {
+          setImmediate(done, job.failure || null, publicJob(job), job.result);
+        } else {
+          job.waiting.push(done);
+        }
+      }
+      return publicJob(job);
+    },
+
+    /*
+     * Cancels a queued or running job. The processes of a running job are
+     * killed. Returns undefined for unknown jobs.
+     */
+    cancel: function (id) {
+      let job = jobs.get(id);
+      if (job === undefined) {
+        return undefined;
+      }
+      if (job.status === 'queued') {
+        queue.splice(queue.indexOf(job), 1);
+      } else if (job.status !== 'running') {
+        return publicJob(job);
+      }
+      for (let child of job.children) {
+        child.kill('SIGKILL');
+      }
+      finish(job, 'cancelled', queueError('job ' + id + ' was cancelled', 409));
+      return publicJob(job);
+    },
+
+    get: function (id) {
+      let job = jobs.get(id);
+      return job ? publicJob(job) : undefined;
+    },
+
+    list: function () {
+      return Array.from(jobs.values()).map(publicJob);
+    },
+
+    // The result of a finished job, undefined while it has none.
+    result: function (id) {
+      let job = jobs.get(id);
+      return job && job.status === 'finished' ? job.result : undefined;
+    }
+  };
+};
+
+module.exports = {
+  createJobQueue: createJobQueue
+};
@@ -0,0 +1,377 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Follows the data files the test client writes while it runs and turns new
+// values into live samples of fps, bitrate, latency and frame interval.
+//
+// The client records the tag area of every 40th received frame with its
+// receive time. With barcode tags (alignment.source barcode) the tag of such
+// a frame is read as it arrives and its publish time looked up in
+// localPublishTime.txt, which gives its latency. The digit tags are only
+// recognised by the native tools after the run, so with them there is no live
+// latency. The frame interval, the time per frame between two records, comes
+// as an extra: it grows when the received video stalls.
+//
+'use strict';
+
+const alignment = require('./alignment');
+const fs = require('fs');
+const path = require('path');
+const metrics = require('./metrics');
+
+// A record of localLatency.txt is the receive time followed by the ARGB values
+// of the 240x60 tag area.
+const tagRecordSize = 1 + 240 * 60 * 4;
+const framesPerRecord = 40;
+// The receive time is the time of day in ms modulo 10000 seconds.
+const receiveTimeWrap = 10000 * 1000;
+
+const maxReadSize = 8 * 1024 * 1024;
+
+/*
+ * The live series. settle: the file writes ",value", so the last value is
+ * complete once the file stopped growing; otherwise it writes "value," and
+ * only values followed by a comma are complete.
+ */
+const series = {
+  fps: {
+    file: 'localFps.txt',
+    unit: 'fps',
+    settle: true
+  },
+  bitrate: {
+    file: 'localBitrate.txt',
+    unit: 'kbps',
+    settle: true
+  },
+  // Only with barcode tags.
+  latency: {
+    file: 'localLatency.txt',
+    unit: 'ms',
+    barcode: true
+  },
+  frameInterval: {
+    file: 'localLatency.txt',
+    unit: 'ms'
+  }
+};
+
+const parseNumber = function (token) {
+  let value = parseFloat(token);
+  return isFinite(value) ? value : null;
+};
+
+const elapsedSince = function (start, end) {
+  let elapsed = end - start;
+  return elapsed < 0 ? elapsed + receiveTimeWrap : elapsed;
+};
+
+/*
+ * Adds the tag pairs appended to localPublishTime.txt in dir since the last
+ * look to state.sent, tag => publish time. The tags count on across rounds.
+ */
+const readPublishTimes = function (dir, state) {
+  let fileName = path.join(dir, 'localPublishTime.txt');
+  let stat;
+  try {
+    stat = fs.statSync(fileName);
+  } catch (err) {
+    return;
+  }
+  if (state.sentIno !== stat.ino || stat.size < state.sentOffset) {
+    state.sentIno = stat.ino;
+    state.sentOffset = 0;
+    state.sentPending = '';
+    state.sentValues = [];
+    state.sent = new Map();
+  }
+  let size = Math.min(stat.size - state.sentOffset, maxReadSize);
+  if (size <= 0) {
+    return;
+  }
+  let buffer = Buffer.alloc(size);
+  let fd = fs.openSync(fileName, 'r');
+  try {
+    size = fs.readSync(fd, buffer, 0, size, state.sentOffset);
+  } finally {
+    fs.closeSync(fd);
+  }
+  state.sentOffset += size;
+  let tokens = (state.sentPending + buffer.toString('latin1', 0, size))
+    .split(',');
+  state.sentPending = tokens.pop();
+  let values = state.sentValues.concat(tokens.filter(function (token) {
+    return token.trim() !== '';
+  }).map(parseNumber));
+  // An odd value is the tag of a pair whose time is still to come.
+  state.sentValues = values.length % 2 ? values.slice(-1) : [];
+  for (let pair of metrics.tagPairs(values)) {
+    state.sent.set(pair.tag, pair.time);
+  }
+};
+
+// Turns the complete tokens of a file into sample values. state holds what a
+// series needs to carry from one read to the next, folder the data folder
+// and its settings.
+const convert = {
+  fps: function (tokens) {
+    return metrics.fps(tokens.map(parseNumber));
+  },
+
+  bitrate: function (tokens, state) {
+    let bytes = tokens.map(parseNumber).filter(function (value) {
+      return value !== null;
+    });
+    if (bytes.length === 0) {
+      return [];
+    }
+    let values = metrics.bitrate(state.previous === undefined ? bytes : [
+      state.previous
+    ].concat(bytes));
+    state.previous = bytes[bytes.length - 1];
+    return values;
+  },
+
+  /*
+   * The latency of every record with a barcode whose publish time is known.
+   * The received tags count on across rounds of tagWrap tags like the sent
+   * ones, as alignment.receivedTags does.
+   */
+  latency: function (tokens, state, folder) {
+    let settings = folder.settings;
+    if (!state.take) {
+      state.take = alignment.tagAreaParser(alignment.layoutOf(settings),
+        function (frame) {
+          state.frames.push(frame);
+        });
+      state.offset = 0;
+      state.highest = null;
+    }
+    state.frames = [];
+    tokens.forEach(state.take);
+    let frames = state.frames;
+    if (frames.length === 0) {
+      return [];
+    }
+    readPublishTimes(folder.dir, state);
+    let wrap = settings.tagWrap;
+    let values = [];
+    for (let frame of frames) {
+      if (frame.tag === null) {
+        continue;
+      }
+      let tag = frame.tag;
+      if (wrap) {
+        if (state.highest !== null && tag + state.offset < state.highest -
+          wrap / 2) {
+          state.offset += wrap;
+        }
+        tag += state.offset;
+        state.highest = Math.max(state.highest === null ? tag : state.highest,
+          tag);
+      }
+      let published = state.sent ? state.sent.get(tag) : undefined;
+      if (published !== undefined) {
+        values.push(elapsedSince(published, frame.time));
+      }
+    }
+    return values;
+  },
+
+  frameInterval: function (tokens, state) {
+    let values = [];
+    state.position = state.position || 0;
+    for (let token of tokens) {
+      if (state.position === 0) {
+        let time = parseNumber(token);
+        if (time !== null && state.previous !== undefined) {
+          values.push(Math.round(elapsedSince(state.previous, time) /
+            framesPerRecord));
+        }
+        if (time !== null) {
+          state.previous = time;
+        }
+      }
+      state.position = (state.position + 1) % tagRecordSize;
+    }
+    return values;
+  }
+};
+
+/*
+ * options.interval is the time in ms between two looks at the files
+ * (default 1000), options.maxHistory the number of values kept per series
+ * for watchers that join later (default 3600). options.alignment() returns
+ * the settings of the alignment section of conf.json, which say whether the
+ * received tags are barcodes and how to read them; without it there is no
+ * latency.
+ */
+const createLiveMonitor = function (options) {
+  options = options || {};
+  const interval = options.interval || 1000;
+  const maxHistory = options.maxHistory || 3600;
+  // Folder => {listeners, tails, timer}
+  const folders = new Map();
+
+  const newTail = function (name) {
+    return {
+      name: name,
+      ino: null,
+      offset: 0,
+      pending: '',
+      count: 0,
+      state: {},
+      history: [],
+      historyIndex: 0
+    };
+  };
+
+  const emit = function (folder, event) {
+    for (let listener of Array.from(folder.listeners)) {
+      listener(event);
+    }
+  };
+
+  const addValues = function (folder, tail, values) {
+    if (values.length === 0) {
+      return;
+    }
+    let event = {
+      type: 'samples',
+      series: tail.name,
+      unit: series[tail.name].unit,
+      index: tail.count,
+      values: values
+    };
+    tail.count += values.length;
+    tail.history = tail.history.concat(values);
+    if (tail.history.length > maxHistory) {
+      tail.historyIndex += tail.history.length - maxHistory;
+      tail.history = tail.history.slice(tail.history.length - maxHistory);
+    }
+    emit(folder, event);
+  };
+
+  // Reads what was appended to the file of a tail since the last look.
+  const readTail = function (folder, tail, final) {
+    let fileName = path.join(folder.dir, series[tail.name].file);
+    let stat;
+    try {
+      stat = fs.statSync(fileName);
+    } catch (err) {
+      return;
+    }
+    if (tail.ino !== null && (stat.ino !== tail.ino || stat.size <
+        tail.offset)) {
+      // A new run started to write the file.
+      Object.assign(tail, newTail(tail.name));
+      emit(folder, {
+        type: 'reset',
+        series: tail.name
+      });
+    }
+    tail.ino = stat.ino;
+    let text = '';
+    let size = Math.min(stat.size - tail.offset, maxReadSize);
+    if (size > 0) {
+      let buffer = Buffer.alloc(size);
+      let fd = fs.openSync(fileName, 'r');
+      try {
+        size = fs.readSync(fd, buffer, 0, size, tail.offset);
+      } finally {
+        fs.closeSync(fd);
+      }
+      tail.offset += size;
+      text = buffer.toString('latin1', 0, size);
+    }
+    let tokens = (tail.pending + text).split(',');
+    tail.pending = tokens.pop();
+    if (tail.pending !== '' && series[tail.name].settle && (final ||
+        size === 0)) {
+      tokens.push(tail.pending);
+      tail.pending = '';
+    }
+    tokens = tokens.filter(function (token) {
+      return token.trim() !== '';
+    });
+    addValues(folder, tail, convert[tail.name](tokens, tail.state, folder));
+  };
+
+  const poll = function (folder, final) {
+    for (let tail of folder.tails) {
+      if (series[tail.name].barcode && folder.settings.source !== 'barcode') {
+        continue;
+      }
+      try {
+        readTail(folder, tail, final);
+      } catch (err) {
+        console.error('cannot follow ' + series[tail.name].file + ':' +
+          err.message);
+      }
+    }
+  };
+
+  /*
+   * Calls listener(event) for the new values of the data files in dir:
+   * {type: 'samples', series, unit, index, values}, where index counts the
+   * values of the series, and {type: 'reset', series} when a file was
+   * started over. Returns the values seen so far as the samples events in
+   * history, flush() to read the files one last time before the run ends,
+   * and close() to stop listening.
+   */
+  const watch = function (dir, listener) {
+    dir = path.resolve(dir);
+    let folder = folders.get(dir);
+    if (!folder) {
+      folder = {
+        dir: dir,
+        listeners: new Set(),
+        tails: Object.keys(series).map(newTail),
+        settings: options.alignment ? options.alignment() : {},
+        timer: null
+      };
+      folders.set(dir, folder);
+      poll(folder, false);
+      folder.timer = setInterval(function () {
+        poll(folder, false);
+      }, interval);
+    }
+    folder.listeners.add(listener);
+    let history = folder.tails.filter(function (tail) {
+      return tail.history.length > 0;
+    }).map(function (tail) {
+      return {
+        type: 'samples',
+        series: tail.name,
+        unit: series[tail.name].unit,
+        index: tail.historyIndex,
+        values: tail.history.slice()
+      };
+    });
+    return {
+      history: history,
+
+      flush: function () {
+        poll(folder, true);
+      },
+
+      close: function () {
+        folder.listeners.delete(listener);
+        if (folder.listeners.size === 0 && folders.get(dir) === folder) {
+          clearInterval(folder.timer);
+          folders.delete(dir);
+        }
+      }
+    };
+  };
+
+  return {
+    watch: watch
+  };
+};
+
+module.exports = {
+  series: series,
+  createLiveMonitor: createLiveMonitor
+};
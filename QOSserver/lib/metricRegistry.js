@@ -0,0 +1,252 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// The analysers of the server, one plugin file per analyser in lib/analysers.
+// A plugin declares the metrics it writes and how to run it. The analysis
+// functions, the job queue, campaigns, the result reader, the legacy routes
+// and the analysis panels of the web page are built from these declarations,
+// so a new analyser is a new file in lib/analysers.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const pluginDir = path.join(__dirname, 'analysers');
+// The analysers that come with the server, in the order their metrics and
+// panels are listed. Other files of the folder follow in name order.
+const builtIn = ['quality', 'vmaf', 'nr', 'latency', 'jitter', 'fps',
+  'bitrate', 'pesq', 'alignment', 'participants', 'events'
+];
+// default: campaigns run the analyser unless told otherwise; optional: only
+// when the campaign lists it.
+const campaignKinds = ['default', 'optional'];
+const betterValues = ['higher', 'lower'];
+
+/*
+ * A plugin is an object with:
+ *
+ * - name: the analysis name, also the job type and /api/v1/analyses/<name>
+ * - title: the label of its button on the page
+ * - run(params, tools, callback): runs the analysis and calls back with
+ *   (err, stdout, stderr); tools is described in analysis.js
+ * - metrics: metric name -> {file, unit, better, columns}, the result files
+ *   it writes to the output folder (see resultReader.js)
+ * - outputs: every file it writes to the output folder; campaigns file them
+ *   with the results of a run
+ *
+ * and optionally:
+ *
+ * - legacyName: name of its function on the analysis object and of its old
+ *   POST route and response key, the name by default
+ * - params(conf, run, folders): builds the parameters run gets from the
+ *   configuration (conf), the run it analyses, undefined for the latest test
+ *   data, and folders.dataDir (of the run), folders.sourceDir and
+ *   folders.outputDir; analysers without it get none
+ * - settings: the settings of a section of conf.json named after it, in the
+ *   form of the schema of config.js, for analysers that need their own
+ * - validate(params): returns the problems of the parameters
+ * - paramInputs, paramOutputs: parameters that name further input and output
+ *   files
+ * - reads: patterns such as '*.yuv' of the output folder files it reads, or
+ *   readsResults when it reads the result files of the other analysers
+ * - resources: what it must not share with a running job
+ * - order: campaigns run analysers with a lower order first
+ * - campaign: one of campaignKinds
+ * - charts: [{metric, column, title, events}], the charts of its panel, of
+ *   its main metric (see mainMetric) or one of its columns; the events of the
+ *   listed metrics (the charted column or metric by default) are shaded
+ * - threshold: default threshold of its panel; larger values are left out
+ * - average: whether its panel shows the average
+ * - normalRanges: column -> text shown next to its chart
+ */
+const namePattern = /^[A-Za-z][A-Za-z0-9]*$/;
+
+// The metric of its jobs and charts: the one named after the analyser, or its
+// first one.
+const mainMetric = function (plugin) {
+  let names = Object.keys(plugin.metrics || {});
+  return names.indexOf(plugin.name) === -1 ? names[0] : plugin.name;
+};
+
+const isStringList = function (value) {
+  return Array.isArray(value) && value.every(function (item) {
+    return typeof item === 'string';
+  });
+};
+
+// The problems of a plugin, empty when it can be used.
+const validatePlugin = function (plugin) {
+  let errors = [];
+  if (!plugin || typeof plugin !== 'object') {
+    return ['must export an object'];
+  }
+  if (typeof plugin.name !== 'string' || !namePattern.test(plugin.name)) {
+    errors.push('name must be letters and digits');
+  }
+  if (typeof plugin.title !== 'string') {
+    errors.push('title must be a string');
+  }
+  if (typeof plugin.run !== 'function') {
+    errors.push('run must be a function');
+  }
+  let metrics = plugin.metrics || {};
+  if (typeof metrics !== 'object' || Array.isArray(metrics)) {
+    errors.push('metrics must be an object');
+    metrics = {};
+  }
+  for (let name of Object.keys(metrics)) {
+    let metric = metrics[name];
+    if (!namePattern.test(name) || !metric || typeof metric.file !==
+      'string') {
+      errors.push('metric ' + name + ' needs a name and a file');
+      continue;
+    }
+    if (metric.better !== undefined && betterValues.indexOf(metric.better) ===
+      -1) {
+      errors.push('metric ' + name + ': better must be higher or lower');
+    }
+    if (metric.columns !== undefined && !isStringList(metric.columns)) {
+      errors.push('metric ' + name + ': columns must be a list of names');
+    }
+  }
+  let lists = ['outputs', 'paramInputs', 'paramOutputs', 'reads',
+    'resources'
+  ];
+  for (let field of lists) {
+    if (plugin[field] !== undefined && !isStringList(plugin[field])) {
+      errors.push(field + ' must be a list of strings');
+    }
+  }
+  if (!Array.isArray(plugin.outputs)) {
+    errors.push('outputs must list the files it writes');
+  }
+  if (plugin.params !== undefined && typeof plugin.params !== 'function') {
+    errors.push('params must be a function');
+  }
+  let settings = plugin.settings;
+  let section = settings && typeof settings === 'object' && !Array.isArray(
+    settings);
+  if (settings !== undefined && !section) {
+    errors.push('settings must be an object');
+  }
+  let campaign = plugin.campaign;
+  if (campaign !== undefined && campaignKinds.indexOf(campaign) === -1) {
+    errors.push('campaign must be one of ' + campaignKinds.join(', '));
+  }
+  for (let chart of plugin.charts || []) {
+    if (chart.metric !== mainMetric(plugin)) {
+      errors.push('chart of ' + chart.metric + ' instead of its main metric');
+      continue;
+    }
+    let columns = metrics[chart.metric].columns || [];
+    if (chart.column !== undefined && columns.indexOf(chart.column) === -1) {
+      errors.push('chart of unknown column ' + chart.column);
+    }
+  }
+  return errors;
+};
+
+const fileNames = function () {
+  let names = fs.readdirSync(pluginDir).filter(function (file) {
+    return file.endsWith('.js');
+  }).map(function (file) {
+    return file.slice(0, -3);
+  });
+  return builtIn.concat(names.filter(function (name) {
+    return builtIn.indexOf(name) === -1;
+  }).sort());
+};
+
+/*
+ * Loads the plugins. Throws on a plugin that is invalid or uses the name, a
+ * metric or a result file of another one, so that the server does not start
+ * with half an analyser.
+ */
+const load = function () {
+  let analysers = [];
+  let metrics = {};
+  let owners = {};
+  for (let fileName of fileNames()) {
+    let plugin = require(path.join(pluginDir, fileName));
+    let errors = validatePlugin(plugin);
+    if (errors.length) {
+      throw new Error('analyser ' + fileName + ': ' + errors.join(', '));
+    }
+    let claims = [plugin.name, plugin.legacyName].concat(Object.keys(plugin
+      .metrics || {}).map(function (name) {
+      return 'metric ' + name;
+    }), plugin.outputs.map(function (file) {
+      return 'file ' + file;
+    }));
+    for (let claim of claims) {
+      if (claim === undefined) {
+        continue;
+      }
+      if (owners.hasOwnProperty(claim)) {
+        throw new Error('analyser ' + fileName + ': ' + claim +
+          ' is taken by ' + owners[claim]);
+      }
+      owners[claim] = plugin.name;
+    }
+    Object.assign(metrics, plugin.metrics);
+    analysers.push(plugin);
+  }
+  return {
+    analysers: analysers,
+    metrics: metrics
+  };
+};
+
+const loaded = load();
+
+const get = function (name) {
+  return loaded.analysers.find(function (analyser) {
+    return analyser.name === name;
+  });
+};
+
+// The analysers in the order campaigns run them.
+const byOrder = function (names) {
+  return names.slice().sort(function (a, b) {
+    return (get(a).order || 0) - (get(b).order || 0);
+  });
+};
+
+// What the web page needs to build the panel of every analyser.
+const describe = function () {
+  return loaded.analysers.map(function (analyser) {
+    let metrics = {};
+    for (let name of Object.keys(analyser.metrics)) {
+      let metric = analyser.metrics[name];
+      metrics[name] = {
+        unit: metric.unit || null,
+        better: metric.better || null,
+        columns: metric.columns || null
+      };
+    }
+    return {
+      name: analyser.name,
+      title: analyser.title,
+      metric: mainMetric(analyser) || null,
+      params: Boolean(analyser.params),
+      campaign: analyser.campaign || null,
+      metrics: metrics,
+      charts: analyser.charts || [],
+      threshold: analyser.threshold === undefined ? null : analyser.threshold,
+      average: Boolean(analyser.average),
+      normalRanges: analyser.normalRanges || {}
+    };
+  });
+};
+
+module.exports = {
+  analysers: loaded.analysers,
+  metrics: loaded.metrics,
+  get: get,
+  mainMetric: mainMetric,
+  byOrder: byOrder,
+  describe: describe,
+  validatePlugin: validatePlugin
+};
@@ -0,0 +1,139 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Latency, jitter, fps and bitrate computed from the data files of the test
+// client. The functions take parsed values and return one value per sample,
+// with the same results as the native tools in analysis/native.
+//
+'use strict';
+
+// Sample value the client writes when the stats report had no data.
+const noSample = -1000;
+
+// The client reports the received byte count every 3 seconds.
+const bitrateInterval = 3;
+
+/*
+ * Turns a flat list [tag, time, tag, time, ...] into [{tag, time}]. An
+ * incomplete last pair and pairs with a missing value are dropped.
+ */
+const tagPairs = function (values) {
+  let pairs = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    if (values[i] !== null && values[i + 1] !== null) {
+      pairs.push({
+        tag: values[i],
+        time: values[i + 1]
+      });
+    }
+  }
+  return pairs;
+};
+
+/*
+ * The tag pairs of the frames with a tag: frames without a readable one are
+ * left out.
+ */
+const tagged = function (pairs) {
+  return pairs.filter(function (pair) {
+    return pair.tag !== null;
+  });
+};
+
+/*
+ * Bitrate in kbps from the received byte counts. Decreasing counts (a new
+ * connection) and samples without data produce no value.
+ */
+const bitrate = function (bytes) {
+  let result = [];
+  for (let i = 1; i < bytes.length; i++) {
+    let previous = bytes[i - 1];
+    let next = bytes[i];
+    if (previous === null || next === null || previous === noSample ||
+      next === noSample || next - previous < 0) {
+      continue;
+    }
+    result.push(Math.floor(Math.floor((next - previous) * 8 / 1024) /
+      bitrateInterval));
+  }
+  return result;
+};
+
+/*
+ * Output frame rates as reported by the client.
+ */
+const fps = function (rates) {
+  return rates.filter(function (rate) {
+    return rate !== null;
+  });
+};
+
+/*
+ * Latency in ms of every received frame: its receive time minus the publish
+ * time of the frame with the same tag. sent and received are tag pairs;
+ * received tags have to count on across tag rounds like the sent ones do.
+ * Results are ordered by tag.
+ */
+const latency = function (sent, received) {
+  let publishTimes = new Map();
+  for (let pair of sent) {
+    if (!publishTimes.has(pair.tag)) {
+      publishTimes.set(pair.tag, []);
+    }
+    publishTimes.get(pair.tag).push(pair.time);
+  }
+  let ordered = received.map(function (pair, index) {
+    return {
+      tag: pair.tag,
+      time: pair.time,
+      index: index
+    };
+  }).sort(function (a, b) {
+    return a.tag - b.tag || a.index - b.index;
+  });
+  let result = [];
+  for (let pair of ordered) {
+    for (let time of publishTimes.get(pair.tag) || []) {
+      result.push(pair.time - time);
+    }
+  }
+  return result;
+};
+
+/*
+ * Time in ms per frame between consecutive distinct received frames. A tag
+ * smaller than the one before has wrapped around frameCount. Like the native
+ * FLR tool the first interval is left out and values are truncated to whole
+ * milliseconds.
+ */
+const jitter = function (received, frameCount) {
+  let frames = [];
+  for (let pair of received) {
+    if (frames.length === 0 || frames[frames.length - 1].tag !== pair.tag) {
+      frames.push(pair);
+    }
+  }
+  let result = [];
+  for (let i = 2; i < frames.length; i++) {
+    let distance = frames[i].tag - frames[i - 1].tag;
+    if (distance < 0) {
+      distance += frameCount;
+    }
+    if (distance === 0) {
+      continue;
+    }
+    result.push(Math.abs(Math.trunc((frames[i].time - frames[i - 1].time) /
+      distance)));
+  }
+  return result;
+};
+
+module.exports = {
+  tagPairs: tagPairs,
+  tagged: tagged,
+  bitrate: bitrate,
+  fps: fps,
+  latency: latency,
+  jitter: jitter
+};
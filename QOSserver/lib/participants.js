@@ -0,0 +1,295 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Metrics of the participants of a multi-party run. runQosClient.py starts a
+// client per participant, each writing its data files to a subfolder of the
+// data folder named after it, with participant.json saying its role and when
+// it joined. The latency, jitter, fps, bitrate and frame loss of every
+// participant that receives video are computed from its subfolder, with the
+// received tags of alignment.receivedTags read from that subfolder, and
+// summed up over the room, so that one can see how they change as the room
+// fills up.
+//
+'use strict';
+
+const async = require('async');
+const fs = require('fs');
+const path = require('path');
+const alignment = require('./alignment');
+const metrics = require('./metrics');
+const resultReader = require('./resultReader');
+const stats = require('./stats');
+
+const participantFile = 'participant.json';
+const resultFile = 'participants.json';
+
+// The metrics of a participant, in the columns of participants.txt.
+const series = [{
+  name: 'latency',
+  unit: 'ms',
+  better: 'lower'
+}, {
+  name: 'jitter',
+  unit: 'ms',
+  better: 'lower'
+}, {
+  name: 'fps',
+  unit: 'fps',
+  better: 'higher'
+}, {
+  name: 'bitrate',
+  unit: 'kbps',
+  better: 'higher'
+}, {
+  name: 'lossRate',
+  unit: null,
+  better: 'lower'
+}];
+const columns = series.map(function (metric) {
+  return metric.name;
+});
+
+const participantError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// The values of a data file of a folder, null when it has none.
+const readValues = function (folder, fileName) {
+  let file = path.join(folder, fileName);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return resultReader.parseValues(fs.readFileSync(file).toString());
+};
+
+/*
+ * The participants whose data lie in subfolders of dataDir, in join order:
+ * [{id, role, index, join, joinedAt, folder}].
+ */
+const list = function (dataDir) {
+  let found = [];
+  let names = fs.existsSync(dataDir) ? fs.readdirSync(dataDir) : [];
+  for (let name of names) {
+    let file = path.join(dataDir, name, participantFile);
+    if (!fs.existsSync(file)) {
+      continue;
+    }
+    let info;
+    try {
+      info = JSON.parse(fs.readFileSync(file).toString());
+    } catch (err) {
+      console.info('cannot read ' + file + ':' + err.message);
+      continue;
+    }
+    found.push(Object.assign({
+      id: name,
+      role: null,
+      index: null,
+      join: null,
+      joinedAt: null
+    }, info, {
+      folder: path.join(dataDir, name)
+    }));
+  }
+  return found.sort(function (a, b) {
+    return (a.index === null ? Infinity : a.index) - (b.index === null ?
+      Infinity : b.index) || (a.id < b.id ? -1 : 1);
+  });
+};
+
+const receives = function (participant) {
+  return participant.role !== 'publisher';
+};
+
+/*
+ * The series of one participant. sent are the publish tags the received
+ * ones are compared with: those of the participant when it publishes too,
+ * otherwise those of the first publisher. received are the tags read from
+ * its folder, null when there are none. Series without their data are null.
+ */
+const participantSeries = function (participant, sent, received, options) {
+  let tags = received && metrics.tagged(received);
+  let fps = readValues(participant.folder, 'localFps.txt');
+  let bitrate = readValues(participant.folder, 'localBitrate.txt');
+  let loss = received && alignment.align(sent, received, {
+    wrap: options.tagWrap
+  }).stats;
+  return {
+    values: {
+      latency: tags && sent ? metrics.latency(sent, tags) : null,
+      jitter: tags ? metrics.jitter(tags, options.tagWrap) : null,
+      fps: fps && metrics.fps(fps),
+      bitrate: bitrate && metrics.bitrate(bitrate)
+    },
+    loss: loss
+  };
+};
+
+// The summary of every series of a participant; the loss rate is one value.
+const summarize = function (entry) {
+  for (let metric of series) {
+    let values = metric.name === 'lossRate' ? entry.loss && [entry.loss
+      .lossRate] : entry.values[metric.name];
+    entry.summary[metric.name] = values && values.length ? stats.summarize(
+      values) : null;
+  }
+};
+
+/*
+ * Per metric over the participants: how many have values, the mean of their
+ * means, the worst participant and the summary of all their values
+ * together.
+ */
+const aggregate = function (participants) {
+  let result = {};
+  for (let metric of series) {
+    let rated = participants.filter(function (participant) {
+      return participant.summary[metric.name] !== null;
+    });
+    let means = rated.map(function (participant) {
+      return participant.summary[metric.name].mean;
+    });
+    let worst = null;
+    for (let participant of rated) {
+      let value = participant.summary[metric.name].mean;
+      let worse = worst === null || (metric.better === 'lower' ? value >
+        worst.value : value < worst.value);
+      if (worse) {
+        worst = {
+          id: participant.id,
+          value: value
+        };
+      }
+    }
+    let pooled = metric.name === 'lossRate' ? null : stats.summarize([].concat
+      .apply([], rated.map(function (participant) {
+        return participant.values[metric.name];
+      })));
+    result[metric.name] = {
+      unit: metric.unit,
+      better: metric.better,
+      participants: rated.length,
+      mean: stats.mean(means),
+      worst: worst,
+      pooled: pooled
+    };
+  }
+  return result;
+};
+
+/*
+ * Analyses the participants in the subfolders of dataDir. options are the
+ * settings of the alignment section of conf.json: source says where the
+ * received tags of a participant come from, tagWrap after how many tags the
+ * source starts over. Calls back with {participants, aggregate}: every
+ * participant with its role, when it joined, the size of the room then
+ * (roomSize), the summary of each of its series and, for those that receive
+ * video, the frame loss statistics of alignment.js and the source of their
+ * tags (tagSource), or why there are none (tagError).
+ */
+const analyse = function (dataDir, options, callback) {
+  options = options || {};
+  let found = list(dataDir);
+  if (found.length === 0) {
+    callback(participantError('no participant folders in ' + dataDir, 404));
+    return;
+  }
+  let publisher = found.find(function (participant) {
+    return participant.role !== 'subscriber';
+  });
+  let publisherTags = publisher ? readValues(publisher.folder,
+    'localPublishTime.txt') : null;
+  let analysed = found.map(function (participant, position) {
+    return {
+      id: participant.id,
+      role: participant.role,
+      index: participant.index,
+      join: participant.join,
+      joinedAt: participant.joinedAt,
+      roomSize: position + 1,
+      summary: {},
+      loss: null,
+      tagSource: null,
+      tagError: null,
+      values: {}
+    };
+  });
+  async.eachOfSeries(found, function (participant, position, next) {
+    let entry = analysed[position];
+    if (!receives(participant)) {
+      summarize(entry);
+      next();
+      return;
+    }
+    alignment.receivedTags(participant.folder, options, function (err,
+      received) {
+      // Missing tags leave the series of the tags empty.
+      if (err && err.statusCode !== 404) {
+        next(err);
+        return;
+      }
+      let ownTags = participant.role === 'both' ? readValues(participant
+        .folder, 'localPublishTime.txt') : null;
+      let sent = ownTags || publisherTags;
+      let result = participantSeries(participant, sent && metrics.tagPairs(
+        sent), received ? received.tags : null, options);
+      entry.values = result.values;
+      entry.loss = result.loss;
+      entry.tagSource = received ? received.source : null;
+      entry.tagError = err ? err.message : null;
+      summarize(entry);
+      next();
+    });
+  }, function (err) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    callback(null, {
+      participants: analysed.map(function (participant) {
+        let copy = Object.assign({}, participant);
+        delete copy.values;
+        return copy;
+      }),
+      aggregate: aggregate(analysed)
+    });
+  });
+};
+
+/*
+ * participants.txt: a row of the mean of every column per participant that
+ * receives video, in join order, so that the charts show the metrics as the
+ * room fills up.
+ */
+const resultText = function (result) {
+  return result.participants.filter(receives).map(function (participant) {
+    return columns.map(function (name) {
+      let summary = participant.summary[name];
+      return (summary === null ? 'NaN' : summary.mean) + ',';
+    }).join('');
+  }).join('\n') + '\n';
+};
+
+/*
+ * The participant analysis stored in a folder, null when it has none.
+ */
+const readParticipants = function (folder) {
+  let file = path.join(folder, resultFile);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file).toString());
+};
+
+module.exports = {
+  participantFile: participantFile,
+  resultFile: resultFile,
+  columns: columns,
+  list: list,
+  analyse: analyse,
+  resultText: resultText,
+  readParticipants: readParticipants
+};
@@ -0,0 +1,73 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Writes 8 bit RGB images as PNG files.
+//
+'use strict';
+
+const zlib = require('zlib');
+
+const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const crcTable = (function () {
+  let table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+const crc32 = function (buffers) {
+  let crc = -1;
+  for (let buffer of buffers) {
+    for (let i = 0; i < buffer.length; i++) {
+      crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ -1) >>> 0;
+};
+
+const chunk = function (type, data) {
+  let length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  let name = Buffer.from(type, 'ascii');
+  let crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32([name, data]), 0);
+  return Buffer.concat([length, name, data, crc]);
+};
+
+/*
+ * Encodes width x height RGB pixels, three bytes per pixel row by row, as a
+ * PNG image.
+ */
+const encode = function (rgb, width, height) {
+  let header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  // 8 bit truecolor, deflate, no interlace.
+  header[8] = 8;
+  header[9] = 2;
+  let stride = width * 3;
+  let raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0: the row as it is.
+    rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return Buffer.concat([
+    signature,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, {
+      level: 6
+    })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+module.exports = {
+  encode: encode
+};
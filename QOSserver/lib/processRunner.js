@@ -0,0 +1,63 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Every external tool the server runs goes through here. Commands get an
+// argument list and never a shell, so request data can not be interpreted as
+// shell syntax, and each process is bounded in run time and output size.
+//
+'use strict';
+
+const execFile = require('child_process').execFile;
+
+const defaultTimeout = 15 * 60 * 1000;
+const defaultMaxOutput = 32 * 1024 * 1024;
+
+/*
+ * Calls back with (err, stdout, stderr). err.timedOut is set when the process
+ * was killed after options.timeout milliseconds, err.cancelled when it was
+ * killed by someone else, such as a cancelled job, and err.outputExceeded
+ * when it wrote more than options.maxOutput bytes to stdout or stderr.
+ * Returns the child process.
+ */
+const run = function (command, args, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  let timeout = options.timeout || defaultTimeout;
+  let timedOut = false;
+  let timer = null;
+  let child = execFile(command, args, {
+    cwd: options.cwd,
+    env: options.env || process.env,
+    maxBuffer: options.maxOutput || defaultMaxOutput,
+    killSignal: 'SIGKILL',
+    shell: false
+  }, function (err, stdout, stderr) {
+    clearTimeout(timer);
+    if (err) {
+      if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+        err.outputExceeded = true;
+        err.message = command + ' exceeded the output limit';
+      } else if (timedOut) {
+        err.timedOut = true;
+        err.message = command + ' timed out after ' + timeout + ' ms';
+      } else if (err.killed) {
+        err.cancelled = true;
+        err.message = command + ' was cancelled';
+      }
+    }
+    callback(err, stdout, stderr);
+  });
+  // The own timer tells a timeout apart from a kill by the caller.
+  timer = setTimeout(function () {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, timeout);
+  return child;
+};
+
+module.exports = {
+  run: run
+};
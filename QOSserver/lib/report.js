@@ -0,0 +1,530 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Test reports of one result folder or a comparison of several. A report is a
+// single HTML file without outside resources: run configuration, a summary
+// table and a chart (inline SVG) of every metric, the gate verdict of every
+// folder, the events found in every folder, marked on the charts too, and
+// the change of every folder against the first one. A PDF is printed from
+// the HTML by an external tool.
+//
+'use strict';
+
+const events = require('./events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gate = require('./gate');
+const processRunner = require('./processRunner');
+const resultReader = require('./resultReader');
+const safePath = require('./safePath');
+const stats = require('./stats');
+
+const colors = ['rgb(255, 99, 132)', 'rgb(0, 64, 255)', 'rgb(75, 192, 192)',
+  'rgb(255, 159, 64)', 'rgb(153, 102, 255)', 'rgb(0,0,0)', 'rgb(255,64,0)',
+  'rgb(0,255,0)', 'rgb(201, 203, 207)', 'rgb(255, 255, 0)'
+];
+const chartWidth = 800;
+const chartHeight = 220;
+const chartPadding = {
+  left: 60,
+  right: 10,
+  top: 10,
+  bottom: 25
+};
+// Longer series are drawn as the minimum and maximum of buckets.
+const maxChartPoints = 800;
+const summaryStats = ['count', 'mean', 'min', 'p50', 'p95', 'max'];
+const severityColors = {
+  warning: 'rgb(255, 159, 64)',
+  critical: 'rgb(204, 0, 0)'
+};
+
+const escape = function (value) {
+  return String(value).replace(/[&<>"']/g, function (c) {
+    return {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      '\'': '&#39;'
+    }[c];
+  });
+};
+
+const format = function (value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (typeof value !== 'number') {
+    return escape(value);
+  }
+  return String(Math.round(value * 1000) / 1000);
+};
+
+const readSpec = function (folder) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(folder, 'runSpec.json'))
+      .toString());
+  } catch (err) {
+    return null;
+  }
+};
+
+/*
+ * Points of a series for the chart: [index, value] with null for gaps.
+ */
+const chartPoints = function (values) {
+  if (values.length <= maxChartPoints) {
+    return values.map(function (value, index) {
+      return [index, value];
+    });
+  }
+  let points = [];
+  let bucket = Math.ceil(values.length / (maxChartPoints / 2));
+  for (let start = 0; start < values.length; start += bucket) {
+    let numbers = stats.finiteValues(values.slice(start, start + bucket));
+    if (numbers.length === 0) {
+      points.push([start, null]);
+      continue;
+    }
+    points.push([start, Math.min.apply(null, numbers)]);
+    points.push([start + bucket / 2, Math.max.apply(null, numbers)]);
+  }
+  return points;
+};
+
+const lineChart = function (series, unit) {
+  let all = [];
+  let length = 1;
+  for (let entry of series) {
+    all = all.concat(stats.finiteValues(entry.values));
+    length = Math.max(length, entry.values.length);
+  }
+  if (all.length === 0) {
+    return '<p>No values.</p>';
+  }
+  let min = Math.min.apply(null, all);
+  let max = Math.max.apply(null, all);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  let width = chartWidth - chartPadding.left - chartPadding.right;
+  let height = chartHeight - chartPadding.top - chartPadding.bottom;
+  let x = function (index) {
+    return (chartPadding.left + index * width / Math.max(1, length - 1))
+      .toFixed(1);
+  };
+  let y = function (value) {
+    return (chartPadding.top + (max - value) * height / (max - min)).toFixed(
+      1);
+  };
+  let svg = ['<svg xmlns="http://www.w3.org/2000/svg" width="' + chartWidth +
+    '" height="' + chartHeight + '" viewBox="0 0 ' + chartWidth + ' ' +
+    chartHeight + '">'
+  ];
+  svg.push('<rect x="' + chartPadding.left + '" y="' + chartPadding.top +
+    '" width="' + width + '" height="' + height +
+    '" fill="none" stroke="#ccc"/>');
+  svg.push('<text x="' + (chartPadding.left - 5) + '" y="' +
+    (chartPadding.top + 10) + '" text-anchor="end">' + format(max) +
+    '</text>');
+  svg.push('<text x="' + (chartPadding.left - 5) + '" y="' +
+    (chartPadding.top + height) + '" text-anchor="end">' + format(min) +
+    '</text>');
+  svg.push('<text x="' + chartPadding.left + '" y="' + (chartHeight - 5) +
+    '">0</text>');
+  svg.push('<text x="' + (chartPadding.left + width) + '" y="' +
+    (chartHeight - 5) + '" text-anchor="end">' + (length - 1) + '</text>');
+  if (unit) {
+    svg.push('<text x="5" y="' + (chartPadding.top + height / 2) + '">' +
+      escape(unit) + '</text>');
+  }
+  // Events behind the lines.
+  for (let entry of series) {
+    for (let event of entry.events || []) {
+      let left = Number(x(event.startIndex));
+      let right = Math.max(left + 2, Number(x(event.endIndex)));
+      svg.push('<rect x="' + left.toFixed(1) + '" y="' + chartPadding.top +
+        '" width="' + (right - left).toFixed(1) + '" height="' + height +
+        '" fill="' + severityColors[event.severity] +
+        '" fill-opacity="0.2"><title>' + escape(event.message) +
+        '</title></rect>');
+    }
+  }
+  series.forEach(function (entry, index) {
+    let d = '';
+    let move = true;
+    for (let point of chartPoints(entry.values)) {
+      if (point[1] === null || !isFinite(point[1])) {
+        move = true;
+        continue;
+      }
+      d += (move ? 'M' : 'L') + x(point[0]) + ' ' + y(point[1]) + ' ';
+      move = false;
+    }
+    svg.push('<path d="' + d.trim() + '" fill="none" stroke="' +
+      colors[index % colors.length] + '" stroke-width="1"/>');
+  });
+  svg.push('</svg>');
+  return svg.join('\n');
+};
+
+const legend = function (folders) {
+  return '<p>' + folders.map(function (folder, index) {
+    return '<span style="color:' + colors[index % colors.length] +
+      '">&#9632;</span> ' + escape(folder);
+  }).join(' &nbsp; ') + '</p>';
+};
+
+const table = function (header, rows) {
+  return '<table><tr>' + header.map(function (cell) {
+    return '<th>' + cell + '</th>';
+  }).join('') + '</tr>' + rows.map(function (row) {
+    return '<tr>' + row.map(function (cell) {
+      return '<td>' + cell + '</td>';
+    }).join('') + '</tr>';
+  }).join('') + '</table>';
+};
+
+/*
+ * The change of value against base; ok tells whether it is for the better
+ * when the metric knows which direction is better.
+ */
+const delta = function (value, base, better) {
+  if (value === null || base === null || base === undefined) {
+    return '-';
+  }
+  let change = value - base;
+  let text = (change > 0 ? '+' : '') + format(change);
+  if (base !== 0) {
+    text += ' (' + (change > 0 ? '+' : '') + format(change * 100 / Math.abs(
+      base)) + '%)';
+  }
+  if (change === 0 || !better) {
+    return text;
+  }
+  let ok = better === 'higher' ? change > 0 : change < 0;
+  return '<span class="' + (ok ? 'pass' : 'fail') + '">' + text + '</span>';
+};
+
+const cellText = function (value) {
+  let empty = value === undefined || value === null || value === '' ||
+    (typeof value === 'object' && Object.keys(value).length === 0);
+  if (empty) {
+    return '-';
+  }
+  return escape(typeof value === 'object' ? JSON.stringify(value) : value);
+};
+
+const configSection = function (folders, infos) {
+  let keys = [];
+  for (let info of infos) {
+    for (let key of Object.keys(info.spec || {})) {
+      if (keys.indexOf(key) === -1) {
+        keys.push(key);
+      }
+    }
+  }
+  let rows = keys.map(function (key) {
+    return ['<b>' + escape(key) + '</b>'].concat(infos.map(function (info) {
+      return cellText((info.spec || {})[key]);
+    }));
+  });
+  let extra = {
+    date: 'date',
+    tags: 'tags',
+    runId: 'run',
+    versions: 'versions'
+  };
+  for (let name of Object.keys(extra)) {
+    let cells = infos.map(function (info) {
+      return cellText(info[name]);
+    });
+    let recorded = cells.some(function (cell) {
+      return cell !== '-';
+    });
+    if (recorded) {
+      rows.push(['<b>' + extra[name] + '</b>'].concat(cells));
+    }
+  }
+  if (rows.length === 0) {
+    return '<h2>Run configuration</h2><p>No run configuration recorded.</p>';
+  }
+  return '<h2>Run configuration</h2>' + table(['&nbsp;'].concat(folders.map(
+    escape)), rows);
+};
+
+const statusText = function (status) {
+  let style = status === 'pass' || status === 'passed' ? 'pass' :
+    status === 'skipped' ? '' : 'fail';
+  return '<span class="' + style + '">' + status + '</span>';
+};
+
+const gateSection = function (verdicts) {
+  let html = '<h2>Gate</h2>';
+  let rows = verdicts.map(function (entry) {
+    let results = entry.verdict.rules.concat(entry.verdict.regressions);
+    let problems = results.filter(function (result) {
+      return result.status === 'fail' || result.status === 'missing';
+    }).map(function (result) {
+      return escape(result.message);
+    });
+    return [escape(entry.folder), statusText(entry.verdict.passed ? 'passed' :
+      'failed'), problems.join('<br>') || '-'];
+  });
+  html += table(['Folder', 'Verdict', 'Failed or missing'], rows);
+  for (let entry of verdicts) {
+    let checks = entry.verdict.rules.concat(entry.verdict.regressions).map(
+      function (result) {
+        return [statusText(result.status), escape(result.message)];
+      });
+    html += '<h3>' + escape(entry.folder) + (entry.baseline ?
+      ' against ' + escape(entry.baseline) : '') + '</h3>' + table([
+      'Status', 'Check'
+    ], checks);
+  }
+  return html;
+};
+
+/*
+ * Targets of the charts and tables: every metric, and every column of the
+ * metrics that have columns.
+ */
+const metricTargets = function (metrics) {
+  let targets = [];
+  for (let name of Object.keys(metrics)) {
+    let columns = metrics[name].find(function (metric) {
+      return metric !== null;
+    }).columns;
+    if (!columns) {
+      targets.push({
+        name: name,
+        title: name
+      });
+      continue;
+    }
+    for (let column of columns) {
+      targets.push({
+        name: name,
+        column: column,
+        title: name + ' ' + column
+      });
+    }
+  }
+  return targets;
+};
+
+const eventSection = function (folders, found) {
+  let html = '<h2>Events</h2>';
+  folders.forEach(function (folder, index) {
+    let list = found[index];
+    html += '<h3>' + escape(folder) + '</h3>';
+    if (list === null) {
+      html += '<p>No events could be detected.</p>';
+    } else if (list.length === 0) {
+      html += '<p>No events.</p>';
+    } else {
+      html += table(['Time (s)', 'Frames', 'Severity', 'Event', 'Message'],
+        list.map(function (event) {
+          return [format(event.start) + ' - ' + format(event.end),
+            event.startFrame + ' - ' + event.endFrame,
+            '<span class="' + event.severity + '">' + event.severity +
+            '</span>', escape(event.type), escape(event.message)
+          ];
+        }));
+    }
+  });
+  return html;
+};
+
+const metricSection = function (folders, metrics, found) {
+  let html = '<h2>Metrics</h2>';
+  for (let target of metricTargets(metrics)) {
+    let definition = resultReader.metrics[target.name];
+    let series = [];
+    folders.forEach(function (folder, index) {
+      let metric = metrics[target.name][index];
+      if (metric) {
+        let values = target.column ? metric.values[target.column] : metric
+          .values;
+        series.push({
+          folder: folder,
+          baseline: index === 0,
+          values: values,
+          summary: stats.summarize(values),
+          events: (found[index] || []).filter(function (event) {
+            return event.metric === (target.column || target.name);
+          })
+        });
+      }
+    });
+    let base = series[0].baseline ? series[0].summary : null;
+    let header = ['Folder'].concat(summaryStats);
+    if (folders.length > 1) {
+      header = header.concat(['mean change', 'p95 change']);
+    }
+    let rows = series.map(function (entry) {
+      let row = [escape(entry.folder)].concat(summaryStats.map(function (
+        name) {
+        return format(entry.summary[name]);
+      }));
+      if (folders.length > 1) {
+        row = row.concat(entry.baseline ? ['baseline', 'baseline'] : [
+          delta(entry.summary.mean, base && base.mean, definition.better),
+          delta(entry.summary.p95, base && base.p95, definition.better)
+        ]);
+      }
+      return row;
+    });
+    html += '<h3>' + escape(target.title) + (definition.unit ? ' (' +
+        escape(definition.unit) + ')' : '') + '</h3>' + table(header, rows) +
+      legend(series.map(function (entry) {
+        return entry.folder;
+      })) + lineChart(series, definition.unit);
+  }
+  return html;
+};
+
+/*
+ * Builds the report of the result folders below options.baseDir given in
+ * options.folders; the first folder is the baseline of the others.
+ * options.policy, when given, is a valid gate policy every folder is
+ * evaluated against. options.describe(folder), when given, returns the
+ * indexed record of a folder (spec, tags, date, runId, versions); without a
+ * record runSpec.json of the folder is used. The events are those stored in
+ * the folder, or detected with options.eventOptions.
+ */
+const buildReport = function (options) {
+  let baseDir = options.baseDir;
+  let folders = options.folders.map(function (folder) {
+    let resolved = safePath.resolveInside(baseDir, folder);
+    return path.relative(path.resolve(baseDir), resolved) || '.';
+  });
+  let infos = folders.map(function (folder) {
+    let record = options.describe ? options.describe(folder) : null;
+    if (record) {
+      return record;
+    }
+    return {
+      spec: readSpec(safePath.resolveInside(baseDir, folder))
+    };
+  });
+  // Metric name => one entry per folder, null where the folder lacks it.
+  let metrics = {};
+  folders.forEach(function (folder, index) {
+    let available = resultReader.availableMetrics(safePath.resolveInside(
+      baseDir, folder));
+    for (let name of available) {
+      if (!metrics[name]) {
+        metrics[name] = folders.map(function () {
+          return null;
+        });
+      }
+      metrics[name][index] = resultReader.readMetric(baseDir, folder, name);
+    }
+  });
+  let found = folders.map(function (folder) {
+    try {
+      return events.readEvents(safePath.resolveInside(baseDir, folder)) ||
+        events.detectFolder(baseDir, folder, null, options.eventOptions);
+    } catch (err) {
+      console.info('cannot detect the events of ' + folder + ':' + err
+        .message);
+      return null;
+    }
+  });
+  let title = options.title || (folders.length === 1 ? 'QoS test report ' +
+    folders[0] : 'QoS comparison report');
+  let html = ['<!DOCTYPE html>', '<html lang="en">', '<head>',
+    '<meta charset="utf-8">', '<title>' + escape(title) + '</title>',
+    '<style>',
+    'body { font-family: sans-serif; margin: 20px; }',
+    'table { border-collapse: collapse; margin-bottom: 10px; }',
+    'th, td { border: 1px solid #ccc; padding: 3px 8px; text-align: left; }',
+    'svg text { font-size: 11px; }',
+    '.pass { color: #080; }',
+    '.fail { color: #c00; font-weight: bold; }',
+    '.warning { color: #c60; }',
+    '.critical { color: #c00; font-weight: bold; }',
+    'h3 { page-break-after: avoid; }',
+    '</style>', '</head>', '<body>',
+    '<h1>' + escape(title) + '</h1>',
+    '<p>Generated ' + escape(new Date().toISOString()) + ' from ' +
+    folders.map(escape).join(', ') + (folders.length > 1 ?
+      '. Changes are against ' + escape(folders[0]) + '.' : '.') + '</p>'
+  ];
+  html.push(configSection(folders, infos));
+  if (options.policy) {
+    let reader = function (folder) {
+      return function (name) {
+        return resultReader.readMetric(baseDir, folder, name);
+      };
+    };
+    html.push(gateSection(folders.map(function (folder, index) {
+      let baseline = index === 0 ? undefined : folders[0];
+      return {
+        folder: folder,
+        baseline: baseline,
+        verdict: gate.evaluate(options.policy, reader(folder),
+          baseline === undefined ? undefined : reader(baseline))
+      };
+    })));
+  }
+  html.push(eventSection(folders, found));
+  html.push(metricSection(folders, metrics, found));
+  html.push('</body>', '</html>', '');
+  return html.join('\n');
+};
+
+/*
+ * Prints html to a PDF with the tool in command, an argument list where
+ * {html} and {pdf} are replaced by the input and output files. Calls back
+ * with (err, pdf buffer).
+ */
+const renderPdf = function (html, command, callback) {
+  fs.mkdtemp(path.join(os.tmpdir(), 'qos-report-'), function (err, dir) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    let htmlFile = path.join(dir, 'report.html');
+    let pdfFile = path.join(dir, 'report.pdf');
+    let finish = function (err, pdf) {
+      fs.rm(dir, {
+        recursive: true,
+        force: true
+      }, function () {
+        callback(err, pdf);
+      });
+    };
+    fs.writeFile(htmlFile, html, function (err) {
+      if (err) {
+        finish(err);
+        return;
+      }
+      let args = command.slice(1).map(function (arg) {
+        return String(arg).replace('{html}', htmlFile).replace('{pdf}',
+          pdfFile);
+      });
+      processRunner.run(command[0], args, {
+        cwd: dir,
+        timeout: 2 * 60 * 1000
+      }, function (err, stdout, stderr) {
+        if (err) {
+          err.details = stderr ? String(stderr).slice(-2000) : undefined;
+          finish(err);
+          return;
+        }
+        fs.readFile(pdfFile, finish);
+      });
+    });
+  });
+};
+
+module.exports = {
+  buildReport: buildReport,
+  renderPdf: renderPdf
+};
@@ -0,0 +1,140 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Lists result folders under analysis/dataset/output and parses the metric
+// files the analysis tools write into them.
+//
+'use strict';
+
+const fs = require('fs');
+const metricRegistry = require('./metricRegistry');
+const path = require('path');
+const safePath = require('./safePath');
+
+/*
+ * Metric name -> result file, unit and whether higher or lower values are
+ * better, as the analysers declare them. Files with columns hold one row of
+ * values per frame.
+ */
+const metrics = metricRegistry.metrics;
+
+const readerError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/*
+ * Returns the metric name for a metric or result file name, undefined if it
+ * is neither.
+ */
+const metricName = function (name) {
+  if (metrics.hasOwnProperty(name)) {
+    return name;
+  }
+  return Object.keys(metrics).find(function (metric) {
+    return metrics[metric].file === name;
+  });
+};
+
+/*
+ * Result files are lists of numbers separated by commas or new lines, most
+ * of them with a trailing comma. Entries that are no number become null.
+ */
+const parseValues = function (text) {
+  return text.split(/[\s,]+/).filter(function (token) {
+    return token !== '';
+  }).map(function (token) {
+    let value = parseFloat(token);
+    return isFinite(value) ? value : null;
+  });
+};
+
+const splitColumns = function (values, columns) {
+  let result = {};
+  for (let c = 0; c < columns.length; c++) {
+    result[columns[c]] = [];
+  }
+  for (let i = 0; i + columns.length <= values.length; i += columns.length) {
+    for (let c = 0; c < columns.length; c++) {
+      result[columns[c]].push(values[i + c]);
+    }
+  }
+  return result;
+};
+
+/*
+ * Lists the folders "level" levels below baseDir as paths relative to it.
+ * Symbolic links and .git folders are skipped.
+ */
+const listFolders = function (baseDir, level) {
+  let found = [];
+  let walk = function (relative, depth) {
+    let entries = fs.readdirSync(path.join(baseDir, relative), {
+      withFileTypes: true
+    });
+    entries.sort(function (a, b) {
+      return a.name.localeCompare(b.name);
+    });
+    for (let entry of entries) {
+      if (!entry.isDirectory() || entry.name === '.git') {
+        continue;
+      }
+      let child = relative ? relative + '/' + entry.name : entry.name;
+      if (depth === level) {
+        found.push(child);
+      } else {
+        walk(child, depth + 1);
+      }
+    }
+  };
+  walk('', 0);
+  return found;
+};
+
+/*
+ * Names of the metrics that have a result file in folder.
+ */
+const availableMetrics = function (folder) {
+  return Object.keys(metrics).filter(function (name) {
+    let file = path.join(folder, metrics[name].file);
+    return fs.existsSync(file) && fs.lstatSync(file).isFile();
+  });
+};
+
+/*
+ * Reads a metric of a result folder. folder is resolved inside baseDir and
+ * metric is a metric or result file name. Returns {folder, metric, values};
+ * values is a list of numbers, or an object of lists for metrics that have
+ * several columns.
+ */
+const readMetric = function (baseDir, folder, metric) {
+  let name = metricName(metric);
+  if (name === undefined) {
+    throw readerError('unknown metric ' + metric, 400);
+  }
+  let resolved = safePath.resolveInside(baseDir, folder);
+  let file = safePath.resolveFile(resolved, metrics[name].file);
+  let values = parseValues(fs.readFileSync(file).toString());
+  let result = {
+    folder: path.relative(path.resolve(baseDir), resolved),
+    metric: name,
+    unit: metrics[name].unit || null,
+    values: values
+  };
+  if (metrics[name].columns) {
+    result.columns = metrics[name].columns;
+    result.values = splitColumns(values, metrics[name].columns);
+  }
+  return result;
+};
+
+module.exports = {
+  metrics: metrics,
+  metricName: metricName,
+  parseValues: parseValues,
+  listFolders: listFolders,
+  availableMetrics: availableMetrics,
+  readMetric: readMetric
+};
@@ -0,0 +1,230 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// File-backed index of analysed results. index.json holds the metadata,
+// metric summaries and events of every result folder, series/<id>.json the
+// per-frame values of its metrics. The folders themselves stay where they
+// are.
+//
+'use strict';
+
+const crypto = require('crypto');
+const events = require('./events');
+const fs = require('fs');
+const path = require('path');
+const resultReader = require('./resultReader');
+const safePath = require('./safePath');
+const stats = require('./stats');
+
+const storeVersion = 1;
+
+const summarizeMetric = function (metric) {
+  if (Array.isArray(metric.values)) {
+    return stats.summarize(metric.values);
+  }
+  let summary = {};
+  for (let column of Object.keys(metric.values)) {
+    summary[column] = stats.summarize(metric.values[column]);
+  }
+  return summary;
+};
+
+/*
+ * Dates are stored as YYYY-MM-DD; YYYYMMDD is accepted as well.
+ */
+const normalizeDate = function (value) {
+  let text = String(value);
+  let match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(text);
+  return match ? match[1] + '-' + match[2] + '-' + match[3] : null;
+};
+
+const writeJson = function (file, value) {
+  let temporary = file + '.tmp';
+  fs.writeFileSync(temporary, JSON.stringify(value));
+  fs.renameSync(temporary, file);
+};
+
+/*
+ * dir is the folder of the store, it is created when missing.
+ */
+const createResultStore = function (dir) {
+  const indexFile = path.join(dir, 'index.json');
+  const seriesDir = path.join(dir, 'series');
+  const records = new Map();
+
+  fs.mkdirSync(seriesDir, {
+    recursive: true
+  });
+  if (fs.existsSync(indexFile)) {
+    let saved = JSON.parse(fs.readFileSync(indexFile).toString());
+    for (let record of saved.records || []) {
+      records.set(record.id, record);
+    }
+  }
+
+  const save = function () {
+    writeJson(indexFile, {
+      version: storeVersion,
+      records: Array.from(records.values())
+    });
+  };
+
+  const recordId = function (folder) {
+    return crypto.createHash('sha1').update(folder).digest('hex').slice(0, 16);
+  };
+
+  const readSpec = function (folder) {
+    let file = path.join(folder, 'runSpec.json');
+    if (!fs.existsSync(file)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file).toString());
+    } catch (err) {
+      return {};
+    }
+  };
+
+  /*
+   * Reads every metric of a result folder below baseDir into the store and
+   * returns its record. meta may hold runId, campaignId, spec, tags,
+   * versions, createdAt, startedAt and finishedAt; what is missing is taken
+   * from runSpec.json and the folder. The events come from events.json of
+   * the folder. Ingesting a folder again replaces its record.
+   */
+  const ingest = function (baseDir, folder, meta) {
+    meta = meta || {};
+    let resolved = safePath.resolveInside(baseDir, folder);
+    let relative = path.relative(path.resolve(baseDir), resolved);
+    let id = recordId(relative);
+    let firstLevel = relative.split(path.sep)[0];
+    let createdAt = meta.createdAt || fs.statSync(resolved).mtime
+      .toISOString();
+    let record = {
+      id: id,
+      folder: relative,
+      runId: meta.runId || null,
+      campaignId: meta.campaignId ||
+        (firstLevel.startsWith('campaign-') ? firstLevel : null),
+      spec: meta.spec || readSpec(resolved),
+      tags: (meta.tags || []).map(String),
+      versions: meta.versions || {},
+      date: normalizeDate(/^\d{8}$/.test(firstLevel) ? firstLevel :
+        createdAt),
+      createdAt: createdAt,
+      startedAt: meta.startedAt || null,
+      finishedAt: meta.finishedAt || null,
+      ingestedAt: new Date().toISOString(),
+      metrics: {}
+    };
+    let series = {};
+    for (let name of resultReader.availableMetrics(resolved)) {
+      let metric = resultReader.readMetric(baseDir, relative, name);
+      record.metrics[name] = {
+        unit: metric.unit,
+        columns: metric.columns,
+        summary: summarizeMetric(metric)
+      };
+      series[name] = metric.values;
+    }
+    try {
+      record.events = events.readEvents(resolved) || [];
+    } catch (err) {
+      console.info('cannot read the events of ' + relative + ':' + err.message);
+      record.events = [];
+    }
+    writeJson(path.join(seriesDir, id + '.json'), series);
+    records.set(id, record);
+    save();
+    return record;
+  };
+
+  /*
+   * Ingests the folders resultReader.listFolders(baseDir, level) finds that
+   * are not in the store yet. A folder that cannot be read is skipped.
+   * Returns the new records.
+   */
+  const sync = function (baseDir, level) {
+    let indexed = new Set(Array.from(records.values()).map(function (record) {
+      return record.folder;
+    }));
+    let added = [];
+    for (let folder of resultReader.listFolders(baseDir, level)) {
+      if (indexed.has(folder)) {
+        continue;
+      }
+      try {
+        added.push(ingest(baseDir, folder));
+      } catch (err) {
+        console.info('cannot index ' + folder + ':' + err.message);
+      }
+    }
+    return added;
+  };
+
+  /*
+   * Records matching every given filter: codec, bitrate, date (YYYY-MM-DD or
+   * YYYYMMDD), tag, campaignId, runId and folder (a prefix). Newest first.
+   */
+  const find = function (query) {
+    query = query || {};
+    let date = query.date === undefined ? undefined : normalizeDate(query
+      .date);
+    return Array.from(records.values()).filter(function (record) {
+      let spec = record.spec || {};
+      return (query.codec === undefined || spec.codec === query.codec) &&
+        (query.bitrate === undefined ||
+          Number(spec.bitrate) === Number(query.bitrate)) &&
+        (date === undefined || record.date === date) &&
+        (query.tag === undefined || record.tags.indexOf(query.tag) !== -1) &&
+        (query.campaignId === undefined ||
+          record.campaignId === query.campaignId) &&
+        (query.runId === undefined || record.runId === query.runId) &&
+        (query.folder === undefined || record.folder.startsWith(query.folder));
+    }).sort(function (a, b) {
+      return b.createdAt.localeCompare(a.createdAt) ||
+        a.folder.localeCompare(b.folder);
+    });
+  };
+
+  /*
+   * A record with the per-frame values of its metrics in series.
+   */
+  const get = function (id) {
+    let record = records.get(id);
+    if (!record) {
+      return undefined;
+    }
+    let file = path.join(seriesDir, id + '.json');
+    return Object.assign({}, record, {
+      series: fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)
+        .toString()) : {}
+    });
+  };
+
+  const remove = function (id) {
+    if (!records.delete(id)) {
+      return false;
+    }
+    let file = path.join(seriesDir, id + '.json');
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    save();
+    return true;
+  };
+
+  return {
+    ingest: ingest,
+    sync: sync,
+    find: find,
+    get: get,
+    remove: remove
+  };
+};
+
+module.exports = {
+  normalizeDate: normalizeDate,
+  createResultStore: createResultStore
+};
@@ -0,0 +1,232 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Keeps track of test runs started through runQosClient.py. Runs are executed
+// one at a time because runQosClient.py kills every owt_conf_sample process
+// on the box before it starts its own.
+//
+'use strict';
+
+const spawn = require('child_process').spawn;
+const crypto = require('crypto');
+
+const maxOutputSize = 1024 * 1024;
+const maxHistory = 100;
+const killTimeout = 5000;
+
+const appendOutput = function (previous, chunk) {
+  let output = previous + chunk.toString();
+  if (output.length > maxOutputSize) {
+    output = output.slice(output.length - maxOutputSize);
+  }
+  return output;
+};
+
+const publicRun = function (run) {
+  return {
+    id: run.id,
+    status: run.status,
+    spec: run.spec,
+    pid: run.pid,
+    exitCode: run.exitCode,
+    signal: run.signal,
+    error: run.error,
+    createdAt: run.createdAt,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  };
+};
+
+/*
+ * options.command, options.args and options.cwd describe the process that
+ * performs a single run. options.prepare(run), when given, is called right
+ * before the process is spawned and returns extra arguments for it.
+ * options.finished(run, callback), when given, is called once a run is over,
+ * after its done; the next run starts when it called back, so that it can
+ * read the data of the run before the next one overwrites them.
+ */
+const createRunManager = function (options) {
+  const runs = new Map();
+  const queue = [];
+  let current = null;
+
+  const release = function (run) {
+    if (current === run) {
+      current = null;
+    }
+    setImmediate(next);
+  };
+
+  const finish = function (run, status) {
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    if (run.killTimer) {
+      clearTimeout(run.killTimer);
+      run.killTimer = null;
+    }
+    prune();
+    if (run.done) {
+      run.done(publicRun(run));
+    }
+    if (!options.finished) {
+      release(run);
+      return;
+    }
+    options.finished(publicRun(run), function () {
+      release(run);
+    });
+  };
+
+  const prune = function () {
+    for (let id of runs.keys()) {
+      if (runs.size <= maxHistory) {
+        break;
+      }
+      let run = runs.get(id);
+      if (run.finishedAt) {
+        runs.delete(id);
+      }
+    }
+  };
+
+  const next = function () {
+    if (current || queue.length === 0) {
+      return;
+    }
+    let run = queue.shift();
+    let child;
+    current = run;
+    run.status = 'running';
+    run.startedAt = new Date().toISOString();
+    try {
+      let args = options.args.concat(['--name', 'qosTest-' + run.id]);
+      if (options.prepare) {
+        args = args.concat(options.prepare(run));
+      }
+      child = spawn(options.command, args, {
+        cwd: options.cwd,
+        detached: true
+      });
+    } catch (err) {
+      run.error = err.message;
+      finish(run, 'failed');
+      return;
+    }
+    run.process = child;
+    run.pid = child.pid;
+    child.stdout.on('data', function (chunk) {
+      run.stdout = appendOutput(run.stdout, chunk);
+    });
+    child.stderr.on('data', function (chunk) {
+      run.stderr = appendOutput(run.stderr, chunk);
+    });
+    child.on('error', function (err) {
+      run.error = err.message;
+      if (run.status === 'running') {
+        finish(run, 'failed');
+      }
+    });
+    child.on('close', function (code, signal) {
+      run.process = null;
+      run.exitCode = code;
+      run.signal = signal;
+      if (run.status !== 'running') {
+        return;
+      }
+      if (run.stopRequested) {
+        finish(run, 'stopped');
+      } else {
+        finish(run, code === 0 ? 'finished' : 'failed');
+      }
+    });
+  };
+
+  const killGroup = function (run, signal) {
+    try {
+      // The client runs detached, so its pid is also its process group id.
+      process.kill(-run.pid, signal);
+    } catch (err) {
+      if (err.code !== 'ESRCH') {
+        throw err;
+      }
+    }
+  };
+
+  return {
+    /*
+     * Queues a run. done(run), when given, is called once the run reached
+     * one of the finished, failed or stopped states.
+     */
+    start: function (spec, done) {
+      let run = {
+        id: crypto.randomBytes(8).toString('hex'),
+        status: 'queued',
+        spec: spec,
+        pid: null,
+        exitCode: null,
+        signal: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        stdout: '',
+        stderr: '',
+        done: done
+      };
+      runs.set(run.id, run);
+      queue.push(run);
+      setImmediate(next);
+      return publicRun(run);
+    },
+
+    /*
+     * Stops the given run, or the active one when no id is passed. Returns
+     * undefined when there is nothing to stop.
+     */
+    stop: function (id) {
+      let run = id === undefined ? current : runs.get(id);
+      if (!run) {
+        return undefined;
+      }
+      if (run.status === 'queued') {
+        queue.splice(queue.indexOf(run), 1);
+        run.stopRequested = true;
+        finish(run, 'stopped');
+      } else if (run.status === 'running' && run.process) {
+        run.stopRequested = true;
+        killGroup(run, 'SIGTERM');
+        run.killTimer = setTimeout(function () {
+          killGroup(run, 'SIGKILL');
+        }, killTimeout);
+      }
+      return publicRun(run);
+    },
+
+    get: function (id) {
+      let run = runs.get(id);
+      return run ? publicRun(run) : undefined;
+    },
+
+    list: function () {
+      return Array.from(runs.values()).map(publicRun);
+    },
+
+    output: function (id) {
+      let run = runs.get(id);
+      if (!run) {
+        return undefined;
+      }
+      return {
+        id: run.id,
+        status: run.status,
+        stdout: run.stdout,
+        stderr: run.stderr
+      };
+    }
+  };
+};
+
+module.exports = {
+  createRunManager: createRunManager
+};
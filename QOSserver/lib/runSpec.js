@@ -0,0 +1,229 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Validates the run spec posted to /startTest and merges it over the
+// default client configuration (QOStestclient/scripts/config.json).
+//
+'use strict';
+
+// runQosClient.py hands these values to a shell, so strings are restricted
+// to characters that carry no meaning there.
+const namePattern = /^[A-Za-z0-9_-]+$/;
+const pathPattern = /^[A-Za-z0-9_./-]+$/;
+
+const schema = {
+  codec: {
+    type: 'enum',
+    values: ['h264', 'h265', 'vp8', 'vp9']
+  },
+  bitrate: {
+    type: 'integer',
+    min: 1,
+    max: 100000
+  },
+  resolution: {
+    type: 'resolution'
+  },
+  width: {
+    type: 'integer',
+    min: 16,
+    max: 7680
+  },
+  height: {
+    type: 'integer',
+    min: 16,
+    max: 4320
+  },
+  fps: {
+    type: 'integer',
+    min: 1,
+    max: 240
+  },
+  videoFile: {
+    type: 'string',
+    pattern: pathPattern
+  },
+  roomId: {
+    type: 'string',
+    pattern: namePattern
+  },
+  timeout: {
+    type: 'integer',
+    min: 1,
+    max: 86400
+  },
+  originFilename: {
+    type: 'string',
+    pattern: pathPattern
+  },
+  // Clients of a multi-party run, see participants below.
+  participants: {
+    type: 'participants'
+  },
+  // Seconds between the joins of the participants.
+  joinInterval: {
+    type: 'integer',
+    min: 0,
+    max: 3600
+  }
+};
+
+const roles = ['publisher', 'subscriber', 'both'];
+const maxParticipants = 64;
+
+/*
+ * The participants of a multi-party run: a list of groups {role, count}, or
+ * the same as text, "publisher:1,subscriber:8". The participants join in
+ * the order of the list.
+ */
+const checkParticipants = function (name, value, errors) {
+  let groups = value;
+  if (typeof value === 'string') {
+    groups = value.split(',').map(function (group) {
+      let parts = group.trim().split(':');
+      return {
+        role: parts[0],
+        count: parts.length > 1 ? parts[1] : 1
+      };
+    });
+  }
+  if (!Array.isArray(groups) || groups.length === 0) {
+    errors.push(name + ' must list groups of participants');
+    return undefined;
+  }
+  let total = 0;
+  let result = [];
+  for (let group of groups) {
+    if (!group || roles.indexOf(group.role) === -1) {
+      errors.push(name + ': role must be one of ' + roles.join(', '));
+      return undefined;
+    }
+    let count = checkInteger(name + ' count', {
+      min: 1,
+      max: maxParticipants
+    }, group.count === undefined ? 1 : group.count, errors);
+    if (count === undefined) {
+      return undefined;
+    }
+    total += count;
+    result.push({
+      role: group.role,
+      count: count
+    });
+  }
+  if (total > maxParticipants) {
+    errors.push(name + ' must not add up to more than ' + maxParticipants);
+    return undefined;
+  }
+  return result;
+};
+
+const checkInteger = function (name, rule, value, errors) {
+  let str = String(value).trim();
+  if (!/^\d+$/.test(str)) {
+    errors.push(name + ' must be an integer');
+    return undefined;
+  }
+  let number = parseInt(str, 10);
+  if (number < rule.min || number > rule.max) {
+    errors.push(name + ' must be between ' + rule.min + ' and ' + rule.max);
+    return undefined;
+  }
+  return number;
+};
+
+const checkValue = function (name, rule, value, errors) {
+  switch (rule.type) {
+    case 'integer':
+      return checkInteger(name, rule, value, errors);
+    case 'enum':
+      if (rule.values.indexOf(value) === -1) {
+        errors.push(name + ' must be one of ' + rule.values.join(', '));
+        return undefined;
+      }
+      return value;
+    case 'string':
+      if (typeof value !== 'string' || !rule.pattern.test(value) ||
+        value.split('/').indexOf('..') !== -1) {
+        errors.push(name + ' contains invalid characters');
+        return undefined;
+      }
+      return value;
+    case 'participants':
+      return checkParticipants(name, value, errors);
+    case 'resolution': {
+      let match = /^(\d+)x(\d+)$/.exec(String(value));
+      if (!match) {
+        errors.push(name + ' must look like <width>x<height>');
+        return undefined;
+      }
+      return {
+        width: checkInteger('width', schema.width, match[1], errors),
+        height: checkInteger('height', schema.height, match[2], errors)
+      };
+    }
+  }
+  return undefined;
+};
+
+/*
+ * Returns {errors, spec}. errors is empty when the spec is valid; spec holds
+ * the normalized values, with "resolution" expanded to width and height.
+ */
+const validate = function (input) {
+  let errors = [];
+  let spec = {};
+  if (input === undefined || input === null) {
+    return {
+      errors: errors,
+      spec: spec
+    };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.push('run spec must be an object');
+    return {
+      errors: errors,
+      spec: spec
+    };
+  }
+  for (let name of Object.keys(input)) {
+    if (!schema.hasOwnProperty(name)) {
+      errors.push('unknown parameter ' + name);
+      continue;
+    }
+    let value = checkValue(name, schema[name], input[name], errors);
+    if (value === undefined) {
+      continue;
+    }
+    if (name === 'resolution') {
+      spec.width = value.width;
+      spec.height = value.height;
+    } else {
+      spec[name] = value;
+    }
+  }
+  return {
+    errors: errors,
+    spec: spec
+  };
+};
+
+/*
+ * Overrides the defaults with a validated spec. Values are written as strings
+ * to keep the format of config.json, the participants as their list.
+ */
+const merge = function (defaults, spec) {
+  let merged = JSON.parse(JSON.stringify(defaults));
+  for (let name of Object.keys(spec)) {
+    merged[name] = name === 'participants' ? spec[name] : String(spec[name]);
+  }
+  return merged;
+};
+
+module.exports = {
+  schema: schema,
+  roles: roles,
+  validate: validate,
+  merge: merge
+};
@@ -0,0 +1,67 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Resolves folder and file names received in requests. A name must stay
+// inside its base folder and must not pass through a symbolic link.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const pathError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/*
+ * Returns the absolute path of name, which is either relative to baseDir or
+ * absolute inside it. Throws an error carrying statusCode 400 for names that
+ * leave baseDir or use a symbolic link and 404 for missing entries.
+ */
+const resolveInside = function (baseDir, name) {
+  if (typeof name !== 'string' || name.trim() === '' ||
+    name.indexOf('\0') !== -1) {
+    throw pathError('invalid path', 400);
+  }
+  let base = path.resolve(baseDir);
+  let resolved = path.resolve(base, name.trim());
+  if (resolved !== base && !resolved.startsWith(base + path.sep)) {
+    throw pathError('path is outside of ' + path.basename(base), 400);
+  }
+  let current = base;
+  for (let part of path.relative(base, resolved).split(path.sep)) {
+    if (part === '') {
+      continue;
+    }
+    current = path.join(current, part);
+    let stat;
+    try {
+      stat = fs.lstatSync(current);
+    } catch (err) {
+      throw pathError('no such file or folder: ' + name, 404);
+    }
+    if (stat.isSymbolicLink()) {
+      throw pathError('symbolic links are not allowed: ' + name, 400);
+    }
+  }
+  return resolved;
+};
+
+/*
+ * Like resolveInside, for a single file name that may not contain a folder.
+ */
+const resolveFile = function (folder, fileName) {
+  if (typeof fileName !== 'string' || fileName.indexOf('/') !== -1 ||
+    fileName.indexOf('\\') !== -1 || fileName === '.' || fileName === '..') {
+    throw pathError('invalid file name', 400);
+  }
+  return resolveInside(folder, fileName);
+};
+
+module.exports = {
+  resolveInside: resolveInside,
+  resolveFile: resolveFile
+};
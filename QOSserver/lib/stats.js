@@ -0,0 +1,77 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+'use strict';
+
+const finiteValues = function (values) {
+  return values.filter(function (value) {
+    return typeof value === 'number' && isFinite(value);
+  });
+};
+
+/*
+ * Percentile p (0-100) of sorted values, interpolating linearly between the
+ * two closest ranks.
+ */
+const percentile = function (sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  let rank = (p / 100) * (sorted.length - 1);
+  let lower = Math.floor(rank);
+  let upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const mean = function (values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce(function (sum, value) {
+    return sum + value;
+  }, 0) / values.length;
+};
+
+/*
+ * Sample standard deviation, 0 for less than two values.
+ */
+const stddev = function (values) {
+  if (values.length < 2) {
+    return values.length ? 0 : null;
+  }
+  let average = mean(values);
+  let squares = values.reduce(function (sum, value) {
+    return sum + (value - average) * (value - average);
+  }, 0);
+  return Math.sqrt(squares / (values.length - 1));
+};
+
+/*
+ * Summary statistics of a series. Values that are no finite number (frames
+ * the tools could not measure) are left out and counted as missing.
+ */
+const summarize = function (values) {
+  let numbers = finiteValues(values);
+  let sorted = numbers.slice().sort(function (a, b) {
+    return a - b;
+  });
+  return {
+    count: numbers.length,
+    missing: values.length - numbers.length,
+    mean: mean(numbers),
+    min: sorted.length ? sorted[0] : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    stddev: stddev(numbers)
+  };
+};
+
+module.exports = {
+  finiteValues: finiteValues,
+  percentile: percentile,
+  mean: mean,
+  stddev: stddev,
+  summarize: summarize
+};
@@ -0,0 +1,162 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Reads and writes RIFF WAVE files: 8, 16, 24 and 32 bit PCM and 32 bit
+// float. Samples are handled as mono Float32Arrays in [-1, 1].
+//
+'use strict';
+
+const wavError = function (message) {
+  let err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const readSample = function (buffer, offset, format, bits) {
+  if (format === 3) {
+    return buffer.readFloatLE(offset);
+  }
+  switch (bits) {
+    case 8:
+      return (buffer.readUInt8(offset) - 128) / 128;
+    case 16:
+      return buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return buffer.readIntLE(offset, 3) / 8388608;
+    default:
+      return buffer.readInt32LE(offset) / 2147483648;
+  }
+};
+
+/*
+ * Decodes a WAVE file into {sampleRate, channels, samples}. Channels are
+ * mixed down to one.
+ */
+const decode = function (buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+    buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw wavError('not a WAVE file');
+  }
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    let id = buffer.toString('ascii', offset, offset + 4);
+    let size = buffer.readUInt32LE(offset + 4);
+    let start = offset + 8;
+    let end = Math.min(start + size, buffer.length);
+    if (id === 'fmt ' && end - start >= 16) {
+      fmt = {
+        format: buffer.readUInt16LE(start),
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bits: buffer.readUInt16LE(start + 14)
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub format.
+      if (fmt.format === 0xfffe && end - start >= 26) {
+        fmt.format = buffer.readUInt16LE(start + 24);
+      }
+    } else if (id === 'data') {
+      data = {
+        start: start,
+        end: end
+      };
+    }
+    offset = start + size + (size % 2);
+  }
+  if (fmt === null || data === null) {
+    throw wavError('WAVE file without fmt or data chunk');
+  }
+  let pcm = fmt.format === 1 && [8, 16, 24, 32].indexOf(fmt.bits) !== -1;
+  let float = fmt.format === 3 && fmt.bits === 32;
+  if (!pcm && !float) {
+    throw wavError('unsupported WAVE format ' + fmt.format + ' with ' +
+      fmt.bits + ' bits');
+  }
+  if (fmt.channels < 1 || fmt.sampleRate < 1) {
+    throw wavError('WAVE file without channels or sample rate');
+  }
+  let bytes = fmt.bits / 8;
+  let frameSize = bytes * fmt.channels;
+  let count = Math.floor((data.end - data.start) / frameSize);
+  let samples = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    let sum = 0;
+    for (let c = 0; c < fmt.channels; c++) {
+      sum += readSample(buffer, data.start + i * frameSize + c * bytes,
+        fmt.format, fmt.bits);
+    }
+    samples[i] = sum / fmt.channels;
+  }
+  return {
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    samples: samples
+  };
+};
+
+/*
+ * Encodes mono samples as a 16 bit PCM WAVE file.
+ */
+const encode = function (samples, sampleRate) {
+  let buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8, 'ascii');
+  buffer.write('fmt ', 12, 'ascii');
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36, 'ascii');
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  for (let i = 0; i < samples.length; i++) {
+    let value = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(value * 32767), 44 + i * 2);
+  }
+  return buffer;
+};
+
+/*
+ * Resamples by linear interpolation, or by averaging the samples that make
+ * up one new sample when the rate goes down.
+ */
+const resample = function (samples, from, to) {
+  if (from === to) {
+    return samples;
+  }
+  let count = Math.floor(samples.length * to / from);
+  let result = new Float32Array(count);
+  if (to < from) {
+    let ratio = from / to;
+    for (let i = 0; i < count; i++) {
+      let start = Math.floor(i * ratio);
+      let end = Math.max(start + 1, Math.min(Math.floor((i + 1) * ratio),
+        samples.length));
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
+      }
+      result[i] = sum / (end - start);
+    }
+    return result;
+  }
+  for (let i = 0; i < count; i++) {
+    let position = i * from / to;
+    let index = Math.floor(position);
+    let next = Math.min(index + 1, samples.length - 1);
+    let fraction = position - index;
+    result[i] = samples[index] * (1 - fraction) + samples[next] * fraction;
+  }
+  return result;
+};
+
+module.exports = {
+  decode: decode,
+  encode: encode,
+  resample: resample
+};
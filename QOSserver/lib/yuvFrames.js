@@ -0,0 +1,131 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Reads single frames of the aligned send.yuv and rec.yuv files that gen_send
+// and gen_rec write, and turns them into RGB images and a heat map of their
+// difference. The files hold raw I420 frames one after the other.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const frameError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const frameSize = function (width, height) {
+  return width * height * 3 / 2;
+};
+
+const clamp = function (value) {
+  return value < 0 ? 0 : value > 255 ? 255 : Math.round(value);
+};
+
+/*
+ * Number of complete frames in a YUV file, 0 when it is missing.
+ */
+const frameCount = function (file, width, height) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (err) {
+    return 0;
+  }
+  return Math.floor(stat.size / frameSize(width, height));
+};
+
+/*
+ * Reads frame index (from 0) of a YUV file.
+ */
+const readFrame = function (file, width, height, index, callback) {
+  let size = frameSize(width, height);
+  if (index >= frameCount(file, width, height)) {
+    callback(frameError('no frame ' + index + ' in ' + path.basename(file),
+      404));
+    return;
+  }
+  fs.open(file, 'r', function (err, fd) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    let frame = Buffer.alloc(size);
+    fs.read(fd, frame, 0, size, index * size, function (err, bytesRead) {
+      fs.close(fd, function () {
+        if (err || bytesRead < size) {
+          callback(err || frameError('frame ' + index + ' is incomplete', 500));
+          return;
+        }
+        callback(null, frame);
+      });
+    });
+  });
+};
+
+/*
+ * RGB pixels of an I420 frame, with the full range BT.601 coefficients gen_rec
+ * uses the other way round.
+ */
+const toRgb = function (frame, width, height) {
+  let rgb = Buffer.alloc(width * height * 3);
+  let uOffset = width * height;
+  let vOffset = uOffset + width * height / 4;
+  let chromaWidth = width / 2;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let chroma = (y >> 1) * chromaWidth + (x >> 1);
+      let luma = frame[y * width + x];
+      let u = frame[uOffset + chroma] - 128;
+      let v = frame[vOffset + chroma] - 128;
+      let pixel = (y * width + x) * 3;
+      rgb[pixel] = clamp(luma + 1.402 * v);
+      rgb[pixel + 1] = clamp(luma - 0.344136 * u - 0.714136 * v);
+      rgb[pixel + 2] = clamp(luma + 1.772 * u);
+    }
+  }
+  return rgb;
+};
+
+/*
+ * Heat map of the absolute luma difference of two frames: black where they
+ * agree, over red and yellow to white for a difference of 255 / gain and more.
+ * Returns the RGB pixels with the mean and maximum difference and the luma
+ * PSNR in dB (null for identical frames).
+ */
+const difference = function (sent, received, width, height, gain) {
+  gain = gain || 4;
+  let pixels = width * height;
+  let rgb = Buffer.alloc(pixels * 3);
+  let sum = 0;
+  let squares = 0;
+  let max = 0;
+  for (let i = 0; i < pixels; i++) {
+    let diff = Math.abs(sent[i] - received[i]);
+    sum += diff;
+    squares += diff * diff;
+    max = Math.max(max, diff);
+    let t = Math.min(1, diff * gain / 255);
+    rgb[i * 3] = clamp(t * 3 * 255);
+    rgb[i * 3 + 1] = clamp((t * 3 - 1) * 255);
+    rgb[i * 3 + 2] = clamp((t * 3 - 2) * 255);
+  }
+  let mse = squares / pixels;
+  return {
+    rgb: rgb,
+    mean: sum / pixels,
+    max: max,
+    psnr: mse === 0 ? null : 10 * Math.log10(255 * 255 / mse)
+  };
+};
+
+module.exports = {
+  frameSize: frameSize,
+  frameCount: frameCount,
+  readFrame: readFrame,
+  toRgb: toRgb,
+  difference: difference
+};
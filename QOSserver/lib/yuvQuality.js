@@ -0,0 +1,472 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Full-reference quality of the aligned send.yuv and rec.yuv in JavaScript,
+// for machines without the OpenCV build of iq_yuv. Every frame gets the PSNR
+// of its Y, U and V planes and of the whole frame, the SSIM of every plane and
+// the MS-SSIM of the luma. The files are read a frame at a time, and the
+// frames can be compared on worker threads.
+//
+// The whole-frame PSNR is the one of iq_yuv: the mean squared error over all
+// samples of the I420 frame. iq_yuv writes 0 for identical frames; here they
+// get maxPsnr. Its SSIM is the mean of the SSIM of the B, G and R channels;
+// here it is the SSIM of the planes weighted by their samples (4:1:1), which
+// is close but not equal.
+//
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const workerThreads = require('worker_threads');
+const yuvFrames = require('./yuvFrames');
+
+// The PSNR of identical planes and frames.
+const maxPsnr = 100;
+// The constants and the 11x11 Gaussian window (sigma 1.5) of the SSIM paper,
+// as iq_yuv uses them.
+const c1 = 6.5025;
+const c2 = 58.5225;
+const windowSize = 11;
+const windowSigma = 1.5;
+// The weights of the five scales of MS-SSIM. Scales below the window size are
+// dropped and the weights of the others scaled to add up to 1.
+const msssimWeights = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+const qualityError = function (message, statusCode) {
+  let err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const gaussian = (function () {
+  let kernel = new Float64Array(windowSize);
+  let sum = 0;
+  for (let i = 0; i < windowSize; i++) {
+    let x = i - (windowSize - 1) / 2;
+    kernel[i] = Math.exp(-x * x / (2 * windowSigma * windowSigma));
+    sum += kernel[i];
+  }
+  return kernel.map(function (value) {
+    return value / sum;
+  });
+})();
+
+// Source index of every tap of the window around every position of a line of
+// length, mirrored at the borders without repeating the edge (OpenCV's
+// BORDER_REFLECT_101, the default of GaussianBlur).
+const tapIndices = function (length) {
+  let half = (windowSize - 1) / 2;
+  let indices = new Int32Array(length * windowSize);
+  for (let i = 0; i < length; i++) {
+    for (let k = 0; k < windowSize; k++) {
+      let j = i + k - half;
+      while (length > 1 && (j < 0 || j >= length)) {
+        j = j < 0 ? -j : 2 * length - 2 - j;
+      }
+      indices[i * windowSize + k] = length > 1 ? j : 0;
+    }
+  }
+  return indices;
+};
+
+// The plane blurred with the Gaussian window, rows first. Only the taps near
+// the borders go through the mirrored indices.
+const blur = function (plane, width, height, columns, rows) {
+  let half = (windowSize - 1) / 2;
+  let horizontal = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    let line = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      if (x >= half && x < width - half) {
+        let start = line + x - half;
+        for (let k = 0; k < windowSize; k++) {
+          sum += gaussian[k] * plane[start + k];
+        }
+      } else {
+        let taps = x * windowSize;
+        for (let k = 0; k < windowSize; k++) {
+          sum += gaussian[k] * plane[line + columns[taps + k]];
+        }
+      }
+      horizontal[line + x] = sum;
+    }
+  }
+  let result = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    let taps = y * windowSize;
+    let line = y * width;
+    for (let k = 0; k < windowSize; k++) {
+      let weight = gaussian[k];
+      let source = rows[taps + k] * width;
+      for (let x = 0; x < width; x++) {
+        result[line + x] += weight * horizontal[source + x];
+      }
+    }
+  }
+  return result;
+};
+
+/*
+ * The mean SSIM of two planes and the mean of its contrast and structure
+ * term (cs), which MS-SSIM uses at the finer scales.
+ */
+const ssim = function (a, b, width, height) {
+  let count = width * height;
+  let aa = new Float64Array(count);
+  let bb = new Float64Array(count);
+  let ab = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    aa[i] = a[i] * a[i];
+    bb[i] = b[i] * b[i];
+    ab[i] = a[i] * b[i];
+  }
+  let columns = tapIndices(width);
+  let rows = tapIndices(height);
+  let muA = blur(a, width, height, columns, rows);
+  let muB = blur(b, width, height, columns, rows);
+  let sigmaAA = blur(aa, width, height, columns, rows);
+  let sigmaBB = blur(bb, width, height, columns, rows);
+  let sigmaAB = blur(ab, width, height, columns, rows);
+  let ssimSum = 0;
+  let csSum = 0;
+  for (let i = 0; i < count; i++) {
+    let muAB = muA[i] * muB[i];
+    let muAA = muA[i] * muA[i];
+    let muBB = muB[i] * muB[i];
+    let cs = (2 * (sigmaAB[i] - muAB) + c2) / (sigmaAA[i] - muAA +
+      sigmaBB[i] - muBB + c2);
+    csSum += cs;
+    ssimSum += (2 * muAB + c1) / (muAA + muBB + c1) * cs;
+  }
+  return {
+    ssim: ssimSum / count,
+    cs: csSum / count
+  };
+};
+
+// The plane at half the size, every value the mean of 2x2 values.
+const halve = function (plane, width, height) {
+  let halfWidth = Math.floor(width / 2);
+  let halfHeight = Math.floor(height / 2);
+  let result = new Float64Array(halfWidth * halfHeight);
+  for (let y = 0; y < halfHeight; y++) {
+    for (let x = 0; x < halfWidth; x++) {
+      let top = 2 * y * width + 2 * x;
+      result[y * halfWidth + x] = (plane[top] + plane[top + 1] +
+        plane[top + width] + plane[top + width + 1]) / 4;
+    }
+  }
+  return {
+    plane: result,
+    width: halfWidth,
+    height: halfHeight
+  };
+};
+
+/*
+ * MS-SSIM of two planes: the contrast and structure terms of the finer scales
+ * and the SSIM of the coarsest one, weighted. first is the ssim of the planes
+ * when it is known already.
+ */
+const msssim = function (a, b, width, height, first) {
+  let scales = 1;
+  while (scales < msssimWeights.length && Math.min(width, height) >> scales >=
+    windowSize) {
+    scales++;
+  }
+  let weights = msssimWeights.slice(0, scales);
+  let total = weights.reduce(function (sum, weight) {
+    return sum + weight;
+  }, 0);
+  let value = 1;
+  for (let scale = 0; scale < scales; scale++) {
+    let result = scale === 0 && first ? first : ssim(a, b, width, height);
+    let term = scale === scales - 1 ? result.ssim : result.cs;
+    value *= Math.pow(Math.max(term, 0), weights[scale] / total);
+    if (scale < scales - 1) {
+      let halfA = halve(a, width, height);
+      a = halfA.plane;
+      b = halve(b, width, height).plane;
+      width = halfA.width;
+      height = halfA.height;
+    }
+  }
+  return value;
+};
+
+const psnr = function (squares, count) {
+  if (squares === 0) {
+    return maxPsnr;
+  }
+  return Math.min(maxPsnr, 10 * Math.log10(255 * 255 * count / squares));
+};
+
+const squaredError = function (a, b) {
+  let squares = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = a[i] - b[i];
+    squares += diff * diff;
+  }
+  return squares;
+};
+
+/*
+ * Compares two I420 frames. Returns psnr, ssim and msssim, and psnrY, psnrU,
+ * psnrV, ssimY, ssimU and ssimV of the planes.
+ */
+const compareFrame = function (sent, received, width, height) {
+  let lumaSize = width * height;
+  let chromaWidth = width / 2;
+  let chromaHeight = height / 2;
+  let chromaSize = lumaSize / 4;
+  let plane = function (frame, offset, size) {
+    return Float64Array.from(frame.subarray(offset, offset + size));
+  };
+  let planes = [{
+    name: 'Y',
+    offset: 0,
+    size: lumaSize,
+    width: width,
+    height: height
+  }, {
+    name: 'U',
+    offset: lumaSize,
+    size: chromaSize,
+    width: chromaWidth,
+    height: chromaHeight
+  }, {
+    name: 'V',
+    offset: lumaSize + chromaSize,
+    size: chromaSize,
+    width: chromaWidth,
+    height: chromaHeight
+  }];
+  let result = {};
+  let squares = 0;
+  let weighted = 0;
+  let luma;
+  for (let info of planes) {
+    let a = plane(sent, info.offset, info.size);
+    let b = plane(received, info.offset, info.size);
+    let planeSquares = squaredError(a, b);
+    let planeSsim = ssim(a, b, info.width, info.height);
+    squares += planeSquares;
+    weighted += planeSsim.ssim * info.size;
+    result['psnr' + info.name] = psnr(planeSquares, info.size);
+    result['ssim' + info.name] = planeSsim.ssim;
+    if (info.name === 'Y') {
+      luma = {
+        a: a,
+        b: b,
+        ssim: planeSsim
+      };
+    }
+  }
+  result.psnr = psnr(squares, lumaSize + 2 * chromaSize);
+  result.ssim = weighted / (lumaSize + 2 * chromaSize);
+  result.msssim = msssim(luma.a, luma.b, width, height, luma.ssim);
+  return result;
+};
+
+// Worker threads that compare frames; with none they are compared here.
+const createPool = function (size) {
+  let workers = [];
+  for (let i = 0; i < size; i++) {
+    workers.push(new workerThreads.Worker(path.join(__dirname,
+      'yuvQualityWorker.js')));
+  }
+  return workers;
+};
+
+const compareOn = function (worker, sent, received, width, height, done) {
+  if (worker === undefined) {
+    setImmediate(function () {
+      let result;
+      try {
+        result = compareFrame(sent, received, width, height);
+      } catch (err) {
+        done(err);
+        return;
+      }
+      done(null, result);
+    });
+    return;
+  }
+  let finish = function (err, message) {
+    worker.removeListener('message', onMessage);
+    worker.removeListener('error', onError);
+    if (err || message.error) {
+      done(err || new Error(message.error));
+      return;
+    }
+    done(null, message.result);
+  };
+  let onMessage = function (message) {
+    finish(null, message);
+  };
+  let onError = function (err) {
+    finish(err);
+  };
+  worker.on('message', onMessage);
+  worker.on('error', onError);
+  worker.postMessage({
+    sent: sent.buffer,
+    received: received.buffer,
+    width: width,
+    height: height
+  }, [sent.buffer, received.buffer]);
+};
+
+const readAt = function (fd, size, index, callback) {
+  let frame = Buffer.alloc(size);
+  fs.read(fd, frame, 0, size, index * size, function (err, bytesRead) {
+    if (!err && bytesRead < size) {
+      err = qualityError('frame ' + index + ' is incomplete', 500);
+    }
+    callback(err || null, frame);
+  });
+};
+
+/*
+ * Compares the frames of two I420 files (options.sent and options.received)
+ * of options.width x options.height, up to the end of the shorter one as
+ * iq_yuv does. options.workers is the number of worker threads, 0 to compare
+ * on this thread; options.progress(done, total) is called after every frame
+ * and options.cancelled(), when given, stops the comparison once it returns
+ * true. Calls back with the list of the results of compareFrame.
+ */
+const compareFiles = function (options, callback) {
+  let width = options.width;
+  let height = options.height;
+  if (width % 2 || height % 2) {
+    callback(qualityError('I420 frames need an even width and height', 400));
+    return;
+  }
+  let size = yuvFrames.frameSize(width, height);
+  let total = Math.min(yuvFrames.frameCount(options.sent, width, height),
+    yuvFrames.frameCount(options.received, width, height));
+  if (total === 0) {
+    callback(qualityError('no complete frame in ' + path.basename(
+      options.sent) + ' and ' + path.basename(options.received), 404));
+    return;
+  }
+  let fds = [];
+  let workers = [];
+  let results = new Array(total);
+  let next = 0;
+  let finished = 0;
+  let active = 0;
+  let failure = null;
+
+  const close = function () {
+    for (let fd of fds) {
+      fs.close(fd, function () {});
+    }
+    for (let worker of workers) {
+      worker.terminate();
+    }
+    callback(failure, failure ? undefined : results);
+  };
+
+  // Every slot compares one frame after the other on its own worker.
+  const slot = function (worker) {
+    let cancelled = options.cancelled && options.cancelled();
+    if (failure === null && cancelled) {
+      failure = qualityError('the comparison was cancelled', 409);
+    }
+    if (failure !== null || next === total) {
+      active--;
+      if (active === 0) {
+        close();
+      }
+      return;
+    }
+    let index = next++;
+    readAt(fds[0], size, index, function (err, sent) {
+      if (err) {
+        failure = failure || err;
+        slot(worker);
+        return;
+      }
+      readAt(fds[1], size, index, function (err, received) {
+        if (err) {
+          failure = failure || err;
+          slot(worker);
+          return;
+        }
+        compareOn(worker, sent, received, width, height, function (err,
+          result) {
+          if (err) {
+            failure = failure || err;
+          } else {
+            results[index] = result;
+            finished++;
+            if (options.progress) {
+              options.progress(finished, total);
+            }
+          }
+          slot(worker);
+        });
+      });
+    });
+  };
+
+  fs.open(options.sent, 'r', function (err, sentFd) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    fds.push(sentFd);
+    fs.open(options.received, 'r', function (err, receivedFd) {
+      if (err) {
+        failure = err;
+        close();
+        return;
+      }
+      fds.push(receivedFd);
+      try {
+        workers = createPool(Math.min(options.workers || 0, total));
+      } catch (poolError) {
+        failure = poolError;
+        close();
+        return;
+      }
+      let slots = workers.length ? workers : [undefined];
+      active = slots.length;
+      for (let worker of slots) {
+        slot(worker);
+      }
+    });
+  });
+};
+
+// The result files of compareFiles: name -> text in the format of iq_yuv, a
+// comma after every value and the values of a frame one after the other.
+const resultFiles = function (frames) {
+  let file = function (names) {
+    return frames.map(function (frame) {
+      return names.map(function (name) {
+        return frame[name] + ',';
+      }).join('');
+    }).join('');
+  };
+  return {
+    'psnr.txt': file(['psnr']),
+    'ssim.txt': file(['ssim']),
+    'quality.txt': file(['psnr', 'ssim']),
+    'psnr_yuv.txt': file(['psnrY', 'psnrU', 'psnrV']),
+    'ssim_yuv.txt': file(['ssimY', 'ssimU', 'ssimV']),
+    'msssim.txt': file(['msssim'])
+  };
+};
+
+module.exports = {
+  maxPsnr: maxPsnr,
+  ssim: ssim,
+  msssim: msssim,
+  compareFrame: compareFrame,
+  compareFiles: compareFiles,
+  resultFiles: resultFiles
+};
@@ -0,0 +1,26 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+// Worker thread of yuvQuality.compareFiles: compares the frames it is sent
+// and posts back {result} or {error}.
+//
+'use strict';
+
+const workerThreads = require('worker_threads');
+const yuvQuality = require('./yuvQuality');
+
+workerThreads.parentPort.on('message', function (message) {
+  let reply;
+  try {
+    reply = {
+      result: yuvQuality.compareFrame(Buffer.from(message.sent), Buffer.from(
+        message.received), message.width, message.height)
+    };
+  } catch (err) {
+    reply = {
+      error: err.message
+    };
+  }
+  workerThreads.parentPort.postMessage(reply);
+});
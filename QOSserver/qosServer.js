@@ -8,26 +8,165 @@ const express = require('express');
 const morgan = require('morgan');
 const fs = require('fs');
 const https = require('https');
-const crypto = require('crypto');
-const exec = require('child_process').exec;
 const path = require('path');
-const conf = require('./conf.json');
+const configuration = require('./lib/config');
+const runManager = require('./lib/runManager');
+const runSpec = require('./lib/runSpec');
+const analysisModule = require('./lib/analysis');
+const analysisQueue = require('./lib/analysisQueue');
+const jobQueue = require('./lib/jobQueue');
+const metricRegistry = require('./lib/metricRegistry');
+const campaignManager = require('./lib/campaign');
+const processRunner = require('./lib/processRunner');
+const resultReader = require('./lib/resultReader');
+const resultStore = require('./lib/resultStore');
+const safePath = require('./lib/safePath');
+const api = require('./lib/api');
+const auth = require('./lib/auth');
+const liveMonitor = require('./lib/liveMonitor');
+
+// conf.json, or the file of --config, with the profile of --profile and the
+// overrides of the environment and the command line.
+let config;
+try {
+  config = configuration.createConfig({
+    file: path.join(__dirname, 'conf.json'),
+    baseDir: __dirname,
+    env: process.env,
+    argv: process.argv.slice(2)
+  });
+} catch (err) {
+  console.error(err.message);
+  for (let detail of err.details || []) {
+    console.error('  ' + detail);
+  }
+  process.exit(1);
+}
+let conf = config.current();
+
+// The folders end with a '/', the analysis functions append file names.
+const folder = function (dir) {
+  return dir.endsWith(path.sep) ? dir : dir + path.sep;
+};
 const rootDir = __dirname + "/../";
-const analysisDir = rootDir + "analysis/";
+const analysisDir = folder(conf.paths.analysisDir);
 const nativeDir = analysisDir + "native/";
-const dataDir = analysisDir + "dataset/Data/";
-const sourceDir = analysisDir + "dataset/source/"
-const clientDir = rootDir + "QOStestclient/";
-const authorizationFileName = 'token.txt'
+const dataDir = folder(conf.paths.dataDir);
+const sourceDir = folder(conf.paths.sourceDir);
+const outputDir = folder(conf.paths.outputDir);
+const resultDir = fs.realpathSync(outputDir);
+const storeDir = folder(conf.paths.resultsDir);
+const clientDir = folder(conf.paths.clientDir);
+const clientScriptDir = clientDir + "scripts/";
+const runSpecFileName = 'runSpec.json';
 const app = express();
 
+// The folder the test client of a run writes its data to.
+const runDataDir = function (run) {
+  return path.resolve(clientScriptDir, run.spec.dataDir || '.');
+};
+
+// Writes the configuration of a run next to the data it produces and points
+// runQosClient.py to it.
+const prepareRun = function (run) {
+  let folder = runDataDir(run);
+  let specFile = path.join(folder, runSpecFileName);
+  fs.mkdirSync(folder, {
+    recursive: true
+  });
+  fs.writeFileSync(specFile, JSON.stringify(run.spec, null, 2));
+  return ['--config', specFile];
+};
+
+// Files and indexes the results of a finished run before the next one
+// starts. Campaigns file the runs they start themselves.
+const fileRun = function (run, callback) {
+  let campaignRun = run.spec.dataDir !== path.resolve(dataDir);
+  if (run.status !== 'finished' || campaignRun) {
+    callback();
+    return;
+  }
+  campaigns.file(run, callback);
+};
+
+const runs = runManager.createRunManager({
+  command: 'python',
+  args: [clientScriptDir + 'runQosClient.py'],
+  cwd: clientScriptDir,
+  prepare: prepareRun,
+  finished: fileRun
+});
+
+// Merges a validated run spec over the client defaults and queues the run.
+// The client writes its data to folder, by default the data folder the
+// analyses read (paths.dataDir), whatever config.json of the client says.
+const startRun = function (spec, done, folder) {
+  let defaults = JSON.parse(fs.readFileSync(clientScriptDir + 'config.json')
+    .toString());
+  let merged = runSpec.merge(defaults, spec);
+  merged.dataDir = path.resolve(folder || dataDir);
+  return runs.start(merged, done);
+};
+
+// The analyses run as background jobs. The routes and campaigns that use
+// analysis wait for their job; equal requests share one job.
+const jobs = jobQueue.createJobQueue({
+  concurrency: conf.jobs.concurrency
+});
+const analysis = analysisQueue.createAnalysisQueue(analysisModule
+  .createAnalysis({
+    nativeDir: nativeDir,
+    dataDir: dataDir,
+    analysisDir: analysisDir,
+    outputDir: outputDir
+  }, conf.analysis.backend, conf.audio), jobs, {
+  dataDir: dataDir,
+  outputDir: outputDir
+});
+
+// Versions recorded with every indexed result.
+const versions = {
+  framework: null,
+  sdk: conf.results.sdkVersion
+};
+processRunner.run('git', ['rev-parse', '--short', 'HEAD'], {
+  cwd: rootDir
+}, function (err, stdout) {
+  if (!err) {
+    versions.framework = String(stdout).trim();
+  }
+});
+
+const live = liveMonitor.createLiveMonitor({
+  alignment: function () {
+    return analysisParams('alignment');
+  }
+});
+
+const results = resultStore.createResultStore(storeDir);
+try {
+  results.sync(resultDir, 1);
+} catch (err) {
+  console.error('cannot index result folders:' + err.message);
+}
+
+// Indexes a result folder given relative to or inside the output folder.
+const ingestResult = function (folder, meta) {
+  if (path.isAbsolute(folder)) {
+    folder = path.relative(outputDir, folder);
+  }
+  return results.ingest(resultDir, folder, Object.assign({
+    versions: Object.assign({}, versions)
+  }, meta));
+};
+
 const httpsOptions = {
-  key: fs.readFileSync('cert/key.pem').toString(),
-  cert: fs.readFileSync('cert/cert.pem').toString()
+  key: fs.readFileSync(conf.server.key).toString(),
+  cert: fs.readFileSync(conf.server.cert).toString()
 };
 
 const httpServer = https.createServer(httpsOptions, app);
-httpServer.listen(4004);
+httpServer.listen(conf.server.port, conf.server.host || undefined);
 
 app.use(express.json());
 app.use(express.urlencoded({
@@ -38,7 +177,8 @@ app.use(function (req, res, next) {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods',
     'POST, GET, PUT, PATCH, OPTIONS, DELETE');
-  res.header('Access-Control-Allow-Headers', 'origin, content-type');
+  res.header('Access-Control-Allow-Headers',
+    'origin, content-type, authorization');
   if (req.method == 'OPTIONS') {
     res.send(200);
   } else {
@@ -66,70 +206,42 @@ app.get('/js/util.js', function (req, res) {
   res.sendFile(__dirname + '/js/util.js');
 });
 
-const tokenStore = function (fileName) {
-  if (fs.existsSync(fileName)) {
-    fs.unlinkSync(fileName)
-  }
-  let id = crypto.randomBytes(32).toString('hex');
-  let key = crypto.randomBytes(64).toString('hex');
-  console.log("Id:", id);
-  console.log("Key:", key);
-  let writeStr = {
-    'authorization': calculateClientSignature(id, key)
-  };
-  fs.writeFileSync(fileName, JSON.stringify(writeStr))
-};
-
-const checkFile = function (fileName) {
-  return fs.existsSync(fileName) && !fs.lstatSync(fileName).isSymbolicLink()
-}
-
-const getAuthorization = function (fileName) {
-  if (!checkFile(fileName)) {
-    return undefined
-  }
-  return JSON.parse(fs.readFileSync(fileName).toString())['authorization'];
-}
-
-const calculateClientSignature = function (id, key) {
-  let hash = crypto.createHmac('sha256', id)
-    .update(key)
-    .digest('hex');
-  return hash
-}
+app.get('/js/events.js', function (req, res) {
+  res.sendFile(__dirname + '/js/events.js');
+});
 
-const parseHeader = function (header) {
-  var params = {},
-    array = [],
-    p = header.split(','),
-    i,
-    j,
-    val;
+app.get('/js/timeline.js', function (req, res) {
+  res.sendFile(__dirname + '/js/timeline.js');
+});
 
-  for (i = 0; i < p.length; i += 1) {
+app.get('/js/inspector.js', function (req, res) {
+  res.sendFile(__dirname + '/js/inspector.js');
+});
 
-    array = p[i].split('=');
-    val = '';
+app.get('/js/alignment.js', function (req, res) {
+  res.sendFile(__dirname + '/js/alignment.js');
+});
 
-    for (j = 1; j < array.length; j += 1) {
-      if (array[j] === '') {
-        val += '=';
-      } else {
-        val += array[j];
-      }
-    }
+app.get('/js/participants.js', function (req, res) {
+  res.sendFile(__dirname + '/js/participants.js');
+});
 
-    params[array[0]] = val;
+app.get('/api/v1/openapi.json', function (req, res) {
+  res.sendFile(__dirname + '/openapi.json');
+});
 
-  }
-  return params;
-};
+// The analysers and their charts, which the page builds its panels from.
+app.get('/api/v1/analysers', function (req, res) {
+  res.json({
+    analysers: metricRegistry.describe()
+  });
+});
 
 morgan.token('errormsg', function getErrorMsg(req) {
   return req.errormsg
 })
 
-var logDirectory = path.join(__dirname, 'logs')
+var logDirectory = conf.paths.logDir
 fs.existsSync(logDirectory) || fs.mkdirSync(logDirectory)
 var accessLogStream = fs.createWriteStream(path.join(logDirectory, 'error.log'), {
   flags: 'a'
@@ -149,352 +261,378 @@ app.use(morgan(':errormsg', {
   }
 }))
 
-const authPath = ['/jitter', '/latency', '/fps', '/bitrate', '/quality',
-  '/vmaf', '/NR', '/getResultFolder', '/getCompareResultFolder',
-  '/displayData', '/startTest', '/stopTest'
+const authPath = metricRegistry.analysers.map(function (analyser) {
+  return '/' + (analyser.legacyName || analyser.name);
+}).concat(['/getResultFolder', '/getCompareResultFolder',
+  '/displayData', '/startTest', '/stopTest', '/getRunList', '/getRunStatus',
+  '/getRunOutput', '/startCampaign', '/stopCampaign', '/getCampaignList',
+  '/getCampaignStatus', '/queryResults', '/api/v1'
+]);
+// Endpoints a viewer token may use; the other ones need an operator.
+const viewerPaths = ['/getResultFolder', '/getCompareResultFolder',
+  '/displayData', '/getRunList', '/getRunStatus', '/getRunOutput',
+  '/getCampaignList', '/getCampaignStatus', '/queryResults'
 ];
+
+const requiredRole = function (req) {
+  if (req.baseUrl === '/api/v1') {
+    if (req.path.startsWith('/tokens') || req.path.startsWith('/config')) {
+      return 'admin';
+    }
+    if (req.method === 'GET' || req.path === '/evaluations' ||
+      req.path === '/reports' || req.path === '/comparisons') {
+      return 'viewer';
+    }
+    return 'operator';
+  }
+  return viewerPaths.indexOf(req.baseUrl) !== -1 ? 'viewer' : 'operator';
+};
+
+const tokens = auth.createTokenStore(conf.paths.tokenFile);
+const authFailures = auth.createRateLimiter(conf.auth.maxFailures, conf.auth
+  .windowSeconds * 1000);
+
 app.use(authPath, function (req, res, next) {
   let authorization = req.headers.authorization
-  if (authorization === undefined) {
-    return res.status(401).send('Unauthorized');
-  } else {
-    let parm = parseHeader(authorization)
-    if (getAuthorization(authorizationFileName) != calculateClientSignature(parm.id, parm.key)) {
-      return res.status(403).send('Forbidden');
+  let deny = function (statusCode, message) {
+    if (req.baseUrl === '/api/v1') {
+      api.sendError(res, statusCode, message);
+    } else {
+      res.status(statusCode).send(message);
     }
+  };
+  let wait = authFailures.blocked(req.ip);
+  if (wait > 0) {
+    res.set('Retry-After', String(Math.ceil(wait / 1000)));
+    return deny(429, 'Too Many Requests');
+  }
+  if (authorization === undefined) {
+    return deny(401, 'Unauthorized');
+  }
+  let parm = auth.parseHeader(authorization)
+  let token = tokens.verify(parm.id, parm.key);
+  if (token === null) {
+    authFailures.fail(req.ip);
+    return deny(401, 'Unauthorized');
   }
+  if (!auth.allows(token.role, requiredRole(req))) {
+    return deny(403, 'Forbidden');
+  }
+  req.token = token;
   next();
 });
 
-app.post('/jitter', function (req, res) {
-  let rTagFilename = dataDir + "localLatency.txt";
-  let frameCount = conf.jitter.frameCount || "600";
-  exec(nativeDir + 'FLR ' + rTagFilename + ' ' + frameCount, function (err, data, stderr) {
-    if (err) {
-      console.info('stderr:' + err.message);
-      req.errormsg = err.stack
-      res.status(500).send("Internal Server Error")
-      return
-    }
-    if (data.length > 1) {
-      res.json({
-        jitter: data
-      });
-    } else {
-      console.log('you did not offer args');
-      res.json({
-        errmsg: 'you did not offer args'
-      });
-    }
+// The parameters of an analyser for a run, or for the latest test data
+// without one. Every analyser builds its own from the current settings.
+const analysisParams = function (name, run) {
+  let analyser = metricRegistry.get(name);
+  if (!analyser.params) {
+    return undefined;
+  }
+  return analyser.params(conf, run, {
+    dataDir: run === undefined ? dataDir : runDataDir(run),
+    sourceDir: sourceDir,
+    outputDir: outputDir
   });
-});
+};
 
-app.post('/latency', function (req, res) {
-  let sTagFilename = dataDir + "localPublishTime.txt";
-  let rTagFilename = dataDir + "localLatency.txt";
-  let frameCount = conf.latency.frameCount || "600";
-  exec(nativeDir + 'latency ' + sTagFilename + ' ' + rTagFilename + ' ' + frameCount, function (
-    err, data, stderr) {
+// Settings that are not read on every use follow a reload here.
+const applyConfig = function (current) {
+  conf = current;
+};
+applyConfig(conf);
+config.onReload(applyConfig);
+if (conf.server.watchConfig) {
+  config.watch(function (err, result) {
     if (err) {
-      console.info('stderr:' + stderr);
-      req.errormsg = err.stack
-      res.status(500).send("Internal Server Error")
-      return
-    }
-    if (data.length > 1) {
-      res.json({
-        latency: data
-      });
-    } else {
-      console.log('you did not offer args');
-      res.json({
-        errmsg: 'you did not offer args'
-      });
+      console.error(err.message);
+      for (let detail of err.details || []) {
+        console.error('  ' + detail);
+      }
+      return;
     }
+    console.log('configuration reloaded, changed: ' + (result.changed.join(
+      ', ') || 'nothing') + (result.pending.length ? ', after a restart: ' +
+      result.pending.join(', ') : ''));
   });
+}
+
+const campaigns = campaignManager.createCampaignManager({
+  startRun: startRun,
+  stopRun: runs.stop,
+  analysis: analysis,
+  analysisParams: analysisParams,
+  dataDir: dataDir,
+  outputDir: outputDir,
+  ingest: ingestResult
 });
 
-app.post('/fps', function (req, res) {
-  let fpsFilename = dataDir + "localFps.txt";
-  console.log('in fps post');
-  exec(nativeDir + 'fps ' + fpsFilename, function (err, data, stderr) {
-    if (err) {
-      console.info('stderr from fps:' + stderr);
-      req.errormsg = err.stack
-      console.info('the error stack is:' + req.errormsg);
-      res.status(500).send("Internal Server Error")
-      return
+// POST /<analyser> runs an analyser of lib/analysers on the latest test data,
+// or with the parameters of run body.id, and responds with the output of its
+// tool under the same name.
+for (let analyser of metricRegistry.analysers) {
+  let name = analyser.legacyName || analyser.name;
+  app.post('/' + name, function (req, res) {
+    let run;
+    if (req.body.id !== undefined) {
+      run = runs.get(req.body.id);
+      if (run === undefined) {
+        res.status(404).json({
+          errmsg: 'unknown run id'
+        });
+        return;
+      }
     }
-    if (data.length > 1) {
-      res.json({
-        fps: data
-      });
-    } else {
-      console.log('fps file trans error');
-      res.json({
-        errmsg: 'fps file trans error'
+    let params = analysisParams(analyser.name, run);
+    let errors = analyser.validate ? analyser.validate(params) : [];
+    if (errors.length) {
+      console.error(errors[0]);
+      res.status(400).json({
+        errmsg: errors[0]
       });
+      return;
     }
+    analysis.run(analyser.name, params, function (err, data, stderr) {
+      if (err) {
+        console.info('stderr from ' + name + ':' + stderr);
+        req.errormsg = err.stack
+        res.status(err.statusCode || 500).send(err.statusCode ? err.message :
+          "Internal Server Error")
+        return
+      }
+      if (data.length > 1) {
+        let body = {};
+        body[name] = data;
+        res.json(body);
+      } else {
+        console.log(name + ' wrote no values');
+        res.json({
+          errmsg: name + ' wrote no values'
+        });
+      }
+    });
   });
-});
+}
 
-app.post('/bitrate', function (req, res) {
-  let bitrateFilename = dataDir + "localBitrate.txt";
-  console.log('in bitrate post');
-  exec(nativeDir + 'bitrate ' + bitrateFilename, function (err, data,
-    stderr) {
-    if (err) {
-      console.info('stderr from bitrate:' + stderr);
-      req.errormsg = err.stack
-      res.status(500).send("Internal Server Error")
-      return
-    }
-    if (data.length > 1) {
-      res.json({
-        bitrate: data
-      });
-    } else {
-      console.log('bitrate file trans error');
-      res.json({
-        errmsg: 'bitrate file trans error'
-      });
-    }
+const sendReaderError = function (req, res, err) {
+  req.errormsg = err.stack
+  res.status(err.statusCode || 500).json({
+    errmsg: err.statusCode ? err.message : 'Internal Server Error'
   });
+};
+
+const listFolders = function (req, res, folder, level) {
+  let folders;
+  try {
+    let relative = path.relative(resultDir, folder);
+    folders = resultReader.listFolders(folder, level).map(function (name) {
+      return relative ? relative + '/' + name : name;
+    });
+  } catch (err) {
+    console.info('cannot list result folders:' + err.message);
+    sendReaderError(req, res, err);
+    return;
+  }
+  res.json({
+    folders: folders
+  });
+};
+
+app.post('/getResultFolder', function (req, res) {
+  listFolders(req, res, resultDir, 1);
 });
 
-app.post('/quality', function (req, res) {
+app.post('/getCompareResultFolder', function (req, res) {
+  let folder = req.body.folder;
+  if (folder === undefined) {
+    listFolders(req, res, resultDir, 0);
+    return;
+  }
+  try {
+    folder = safePath.resolveInside(resultDir, folder);
+  } catch (err) {
+    sendReaderError(req, res, err);
+    return;
+  }
+  listFolders(req, res, folder, 0);
+});
 
-  let originFilename = conf.quality.originFilename;
-  let recYuv = conf.quality.recYuv;
-  let sendYuv = conf.quality.sendYuv;
-  let width = conf.quality.width;
-  let height = conf.quality.height;
-  let rawFilename = dataDir + "localARGB.txt";
-  let exec_file = undefined;
-  if (originFilename.indexOf(';') !== -1) {
-    console.err("wrong file name");
-    res.json({
-      errmsg: "wrong file name"
-    });
+// folder is one result folder, or a list of them (or a ',' separated string)
+// to compare; metric is a metric name or the legacy result file name.
+app.post('/displayData', function (req, res) {
+  let folders = req.body.folder;
+  let metric = req.body.metric || req.body.file;
+  if (!Array.isArray(folders)) {
+    folders = String(folders).split(',');
   }
-  if (width.indexOf(';') !== -1) {
-    console.err("wrong resolution width");
-    res.json({
-      errmsg: "wrong file name"
+  folders = folders.filter(function (folder) {
+    return typeof folder === 'string' && folder.trim() !== '';
+  });
+  if (folders.length === 0) {
+    res.status(400).json({
+      errmsg: 'no folder given'
     });
+    return;
   }
-  if (height.indexOf(';') !== -1) {
-    console.err("wrong resolution height");
-    res.json({
-      errmsg: "wrong file name"
+  let results;
+  try {
+    results = folders.map(function (folder) {
+      return resultReader.readMetric(resultDir, folder, metric);
     });
+  } catch (err) {
+    sendReaderError(req, res, err);
+    return;
   }
-  if (originFilename.endsWith('.yuv')) {
-    exec_file = 'iq_yuv ';
-    exec(nativeDir + 'gen_rec ' + rawFilename + ' ' + recYuv + ' ' +
-      width + ' ' + height, function (err, data, stderr) {
-        if (err) {
-          console.info('stderr from quality:' + stderr);
-          req.errormsg = err.stack
-          res.status(500).send("Internal Server Error")
-          return
-        }
-        exec(nativeDir + 'gen_send ' + recYuv + ' ' + originFilename + ' ' +
-          width + ' ' + height + ' ' + sendYuv, function (err, data, stderr) {
-            if (err) {
-              console.info('stderr from quality:' + stderr);
-              req.errormsg = err.stack
-              res.status(500).send("Internal Server Error")
-              return
-            }
-            exec(nativeDir + exec_file + recYuv + ' ' + sendYuv + ' ' +
-              width + ' ' + height, function (err, data, stderr) {
-                if (err) {
-                  console.info('stderr from quality:' + stderr);
-                  req.errormsg = err.stack
-                  res.status(500).send("Internal Server Error")
-                  return
-                }
-                if (data.length > 1) {
-                  res.json({
-                    quality: data
-                  });
-                } else {
-                  console.log('you did not offer args');
-                  res.json({
-                    errmsg: 'you did not offer args'
-                  });
-                }
-              });
-          });
-      });
-  } else {
-    exec_file = 'iq_avi ';
-    exec(nativeDir + exec_file + recYuv + ' ' + sendYuv + ' ' +
-      width + ' ' + height, function (err, data, stderr) {
-        if (err) {
-          console.info('stderr from quality:' + stderr);
-          req.errormsg = err.stack
-          res.status(500).send("Internal Server Error")
-          return
-        }
-        if (data.length > 1) {
-          res.json({
-            quality: data
-          });
-        } else {
-          console.log('you did not offer args');
-          res.json({
-            errmsg: 'you did not offer args'
-          });
-        }
-      });
+  if (results.length === 1) {
+    res.json(results[0]);
+    return;
   }
-
+  res.json({
+    metric: results[0].metric,
+    columns: results[0].columns,
+    series: results.map(function (result) {
+      return {
+        folder: result.folder,
+        values: result.values
+      };
+    })
+  });
 });
 
-app.post('/vmaf', function (req, res) {
-  process.env['PYTHONPATH'] = (process.env['PYTHONPATH'] || '');
-  exec('python ' + analysisDir + 'python/vmaf_calculate.py', {
-    env: process.env
-  }, function (err, data, stderr) {
-    if (err) {
-      console.info('stderr from vmaf:' + stderr);
-      req.errormsg = err.stack
-      res.status(500).send("Internal Server Error")
-      return
-    }
-    res.json({
-      vmaf: data
+app.post('/startTest', function (req, res) {
+  let result = runSpec.validate(req.body);
+  if (result.errors.length) {
+    res.status(400).json({
+      errmsg: 'invalid run spec',
+      errors: result.errors
     });
-  });
+    return;
+  }
+  let run;
+  try {
+    run = startRun(result.spec);
+  } catch (err) {
+    console.info('cannot read client config:' + err.message);
+    req.errormsg = err.stack
+    res.status(500).send("Internal Server Error")
+    return
+  }
+  res.json(run);
 });
 
-app.post('/NR', function (req, res) {
-  exec('python ' + analysisDir + 'python/NR_calculate.py', function (err,
-    data, stderr) {
-    if (err) {
-      console.info('stderr from NR:' + stderr);
-      req.errormsg = err.stack
-      res.status(500).send("Internal Server Error")
-      return
-    }
-    res.json({
-      NR: data
+app.post('/stopTest', function (req, res) {
+  let run = runs.stop(req.body.id);
+  if (run === undefined) {
+    res.status(404).json({
+      errmsg: req.body.id === undefined ? 'no active run' : 'unknown run id'
     });
-  });
+    return;
+  }
+  res.json(run);
 });
 
-app.post('/getResultFolder', function (req, res) {
-  exec('python python/listFolder.py -l 1', function (err, data, stderr) {
-    console.log(data);
-    if (err) {
-      console.info('stderr :' + stderr);
-      req.errormsg = err.stack
-      res.status(500).send("Internal Server Error")
-      return
-    }
-    res.json({
-      folder: data
-    });
+app.post('/getRunList', function (req, res) {
+  res.json({
+    runs: runs.list()
   });
 });
 
-app.post('/getCompareResultFolder', function (req, res) {
-  let folder = req.body.folder;
-  let ftFolder;
-  if (folder != undefined) {
-    console.log("folder is", folder);
-    if (folder.indexOf(";") !== -1) {
-      console.log("folder name invalid.");
-      res.status(500).send("wrong parameter")
-      return
-    } else {
-      ftFolder = folder;
-      exec('python python/listFolder.py ' + '-f ' + ftFolder, function (err,
-        data, stderr) {
-        if (err) {
-          console.info('stderr :' + stderr);
-          req.errormsg = err.stack
-          res.status(500).send("Internal Server Error");
-          return;
-        }
-        console.log(data);
-        res.json({
-          folder: data
-        });
-      });
-    }
-  } else {
-    exec('python python/listFolder.py -l 0', function (err, data, stderr) {
-      console.log(data);
-      if (err) {
-        console.info('stderr :' + stderr);
-        req.errormsg = err.stack
-        res.status(500).send("Internal Server Error");
-        return;
-      }
-      res.json({
-        folder: data
-      });
+app.post('/getRunStatus', function (req, res) {
+  let run = runs.get(req.body.id);
+  if (run === undefined) {
+    res.status(404).json({
+      errmsg: 'unknown run id'
     });
+    return;
   }
+  res.json(run);
 });
 
-app.post('/displayData', function (req, res) {
-  let folder = req.body.folder;
-  let file = req.body.file;
-  let ftFolder, ftFile;
-  if (folder.indexOf(";") !== -1) {
-    console.err("wrong folder ", folder);
-    res.status(500).send("wrong parameter.");
+app.post('/getRunOutput', function (req, res) {
+  let output = runs.output(req.body.id);
+  if (output === undefined) {
+    res.status(404).json({
+      errmsg: 'unknown run id'
+    });
     return;
-  } else {
-    ftFolder = folder;
   }
+  res.json(output);
+});
 
-  if (file.indexOf(";") !== -1) {
-    console.err("wrong filename ", file);
-    res.status(500).send("wrong VREyeParameters.");
+app.post('/startCampaign', function (req, res) {
+  let campaign = campaigns.start(req.body);
+  if (campaign.errors) {
+    res.status(400).json({
+      errmsg: 'invalid campaign',
+      errors: campaign.errors
+    });
     return;
-  } else {
-    ftFile = file;
   }
+  res.json(campaign);
+});
 
-  exec('python python/display_data.py ' + '-c ' + ftFolder + ' ' + '-f ' +
-    ftFile, function (err, data, stderr) {
-      if (err) {
-        console.info('stderr :' + stderr);
-        req.errormsg = err.stack
-        res.status(500).send("Internal Server Error")
-        return
-      }
-      res.json({
-        data: data
-      });
+app.post('/stopCampaign', function (req, res) {
+  let campaign = campaigns.stop(req.body.id);
+  if (campaign === undefined) {
+    res.status(404).json({
+      errmsg: 'unknown campaign id'
     });
+    return;
+  }
+  res.json(campaign);
 });
 
-app.post('/startTest', function (req, res) {
-  exec('python ' + clientDir + 'scripts/runQosClient.py', function (err) {
-    if (err) {
-      console.info('stderr owt_conf_sample:' + err);
-    }
+app.post('/getCampaignList', function (req, res) {
+  res.json({
+    campaigns: campaigns.list()
   });
-  res.send("OK");
 });
 
-app.post('/stopTest', function (req, res) {
-  exec(
-    'ps aux | grep owt_conf_sample | grep -v \"grep\" | awk \'{print $2}\'|xargs kill -9 >/dev/null 2>&1 ',
-    function (err) {
-      if (err) {
-        console.info('stderr form kill owt_conf_sample:' + err);
-      }
+app.post('/getCampaignStatus', function (req, res) {
+  let campaign = campaigns.get(req.body.id);
+  if (campaign === undefined) {
+    res.status(404).json({
+      errmsg: 'unknown campaign id'
     });
-  res.send("OK");
+    return;
+  }
+  res.json(campaign);
+});
+
+// Looks up indexed results by codec, bitrate, date, tag, campaignId, runId
+// or folder.
+app.post('/queryResults', function (req, res) {
+  let query = {};
+  let names = ['codec', 'bitrate', 'date', 'tag', 'campaignId', 'runId',
+    'folder'
+  ];
+  for (let name of names) {
+    if (req.body[name] !== undefined && req.body[name] !== '') {
+      query[name] = String(req.body[name]);
+    }
+  }
+  res.json({
+    results: results.find(query)
+  });
 });
 
+app.use('/api/v1', api.createApiRouter({
+  runs: runs,
+  campaigns: campaigns,
+  startRun: startRun,
+  analysis: analysis,
+  jobs: jobs,
+  analysisParams: analysisParams,
+  resultDir: resultDir,
+  results: results,
+  ingestResult: ingestResult,
+  config: config,
+  tokens: tokens,
+  live: live,
+  dataDir: dataDir,
+  runDataDir: runDataDir
+}));
+
 app.use(function (err, req, res, next) {
   console.error(err); // Log error message in our server's console
   if (!err.statusCode) err.statusCode =
@@ -503,4 +641,9 @@ app.use(function (err, req, res, next) {
   res.status(err.statusCode).send(err.message); // All HTTP requests must have a response, so let's send back an error with its status code and message
 });
 
-tokenStore(authorizationFileName)
+// The first start creates an admin token; its key is shown only this once.
+if (tokens.activeCount() === 0) {
+  let token = tokens.create('admin', 'admin');
+  console.log("Id:", token.id);
+  console.log("Key:", token.key);
+}
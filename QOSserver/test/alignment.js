@@ -0,0 +1,120 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const alignment = require('../lib/alignment');
+
+const width = alignment.tagArea.width;
+const height = alignment.tagArea.height;
+
+// A record of localLatency.txt: the receive time and the gray B, G, R, A
+// values of a tag area with the barcode of tag, or without one for null.
+const tagRecord = function (tag, time) {
+  let frame = Buffer.alloc(width * height * 3 / 2, 128);
+  if (tag !== null) {
+    alignment.encodeBarcode(frame, width, height, tag);
+  }
+  let values = [time];
+  for (let i = 0; i < width * height; i++) {
+    values.push(frame[i], frame[i], frame[i], 255);
+  }
+  return values.join(',') + ',';
+};
+
+const dataFolder = function (t) {
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), 'qos-alignment-'));
+  t.after(function () {
+    fs.rmSync(folder, {
+      recursive: true,
+      force: true
+    });
+  });
+  return folder;
+};
+
+test('readTagArea reads the barcode of every record', function (t, done) {
+  let folder = dataFolder(t);
+  let file = path.join(folder, 'localLatency.txt');
+  fs.writeFileSync(file, tagRecord(7, 1000) + tagRecord(null, 1033) +
+    tagRecord(8, 1066) + '1099,0,0');
+  alignment.readTagArea(file, {}, function (err, frames) {
+    assert.ifError(err);
+    assert.deepStrictEqual(frames, [{
+      tag: 7,
+      time: 1000
+    }, {
+      tag: null,
+      time: 1033
+    }, {
+      tag: 8,
+      time: 1066
+    }]);
+    done();
+  });
+});
+
+test('readTagArea rejects a barcode outside the tag area', function (t,
+  done) {
+  alignment.readTagArea('localLatency.txt', {
+    cell: 16
+  }, function (err) {
+    assert.strictEqual(err.statusCode, 400);
+    done();
+  });
+});
+
+test('receivedTags counts barcodes on across rounds', function (t, done) {
+  let folder = dataFolder(t);
+  fs.writeFileSync(path.join(folder, 'localLatency.txt'), tagRecord(2, 100) +
+    tagRecord(3, 133) + tagRecord(0, 166));
+  alignment.receivedTags(folder, {
+    source: 'barcode',
+    tagWrap: 4
+  }, function (err, received) {
+    assert.ifError(err);
+    assert.strictEqual(received.source, 'barcode');
+    assert.deepStrictEqual(received.tags.map(function (frame) {
+      return frame.tag;
+    }), [2, 3, 4]);
+    done();
+  });
+});
+
+test('receivedTags reads the recognised digit tags', function (t, done) {
+  let folder = dataFolder(t);
+  fs.writeFileSync(path.join(folder, 'rec_timestamp.txt'), ',5,100,6,133,');
+  alignment.receivedTags(folder, {
+    source: 'tags'
+  }, function (err, received) {
+    assert.ifError(err);
+    assert.deepStrictEqual(received, {
+      source: 'tags',
+      tags: [{
+        tag: 5,
+        time: 100
+      }, {
+        tag: 6,
+        time: 133
+      }]
+    });
+    done();
+  });
+});
+
+test('receivedTags needs native tag recognition for digit tags', function (t,
+  done) {
+  alignment.receivedTags(dataFolder(t), {
+    source: 'tags'
+  }, function (err) {
+    assert.strictEqual(err.statusCode, 404);
+    assert.match(err.message, /require native tag recognition/);
+    done();
+  });
+});
@@ -0,0 +1,141 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const auth = require('../lib/auth');
+
+// The file of a token store in a temporary folder.
+const storeFile = function (t) {
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), 'qos-auth-'));
+  t.after(function () {
+    fs.rmSync(folder, {
+      recursive: true,
+      force: true
+    });
+  });
+  return path.join(folder, 'tokens.json');
+};
+
+test('a created token verifies with its key only', function (t) {
+  let file = storeFile(t);
+  let store = auth.createTokenStore(file);
+  let token = store.create('ci', 'operator');
+  assert.match(token.key, /^[0-9a-f]{64}$/);
+  let verified = store.verify(token.id, token.key);
+  assert.strictEqual(verified.id, token.id);
+  assert.strictEqual(verified.role, 'operator');
+  assert.strictEqual(verified.key, undefined);
+  assert.strictEqual(store.verify(token.id, '0'.repeat(64)), null);
+  assert.strictEqual(store.verify(token.id, ''), null);
+  assert.strictEqual(store.verify(token.id), null);
+  // The store keeps a salted hash, never the key.
+  let text = fs.readFileSync(file).toString();
+  assert.strictEqual(text.indexOf(token.key), -1);
+  assert.strictEqual(fs.statSync(file).mode & 0o077, 0);
+});
+
+test('an unknown id does not verify', function (t) {
+  let store = auth.createTokenStore(storeFile(t));
+  let token = store.create('ci', 'viewer');
+  assert.strictEqual(store.verify('0123456789abcdef', token.key), null);
+  assert.strictEqual(store.verify(undefined, token.key), null);
+});
+
+test('create rejects bad names and roles', function (t) {
+  let store = auth.createTokenStore(storeFile(t));
+  for (let args of [['', 'viewer'], ['a/b', 'viewer'], ['ci', 'root']]) {
+    assert.throws(function () {
+      store.create(args[0], args[1]);
+    }, function (err) {
+      return err.statusCode === 400;
+    });
+  }
+});
+
+test('rotate replaces the key', function (t) {
+  let store = auth.createTokenStore(storeFile(t));
+  let token = store.create('ci', 'viewer');
+  let rotated = store.rotate(token.id);
+  assert.notStrictEqual(rotated.key, token.key);
+  assert.ok(rotated.rotatedAt);
+  assert.strictEqual(store.verify(token.id, token.key), null);
+  assert.strictEqual(store.verify(token.id, rotated.key).id, token.id);
+  assert.strictEqual(store.rotate('0123456789abcdef'), undefined);
+});
+
+test('a revoked token no longer verifies', function (t) {
+  let store = auth.createTokenStore(storeFile(t));
+  let token = store.create('ci', 'admin');
+  assert.strictEqual(store.activeCount(), 1);
+  let revoked = store.revoke(token.id);
+  assert.ok(revoked.revokedAt);
+  assert.strictEqual(store.verify(token.id, token.key), null);
+  assert.strictEqual(store.rotate(token.id), undefined);
+  assert.strictEqual(store.activeCount(), 0);
+  assert.strictEqual(store.revoke('0123456789abcdef'), undefined);
+});
+
+test('tokens and their last use persist', function (t) {
+  let file = storeFile(t);
+  let store = auth.createTokenStore(file);
+  let token = store.create('ci', 'operator');
+  assert.strictEqual(store.list()[0].lastUsedAt, null);
+  let used = store.verify(token.id, token.key).lastUsedAt;
+  assert.ok(used);
+  let reloaded = auth.createTokenStore(file);
+  assert.strictEqual(reloaded.verify(token.id, token.key).id, token.id);
+  assert.deepStrictEqual(reloaded.list().map(function (listed) {
+    return [listed.name, listed.lastUsedAt];
+  }), [['ci', used]]);
+});
+
+test('roles include the rights of the lower ones', function () {
+  assert.ok(auth.allows('admin', 'operator'));
+  assert.ok(auth.allows('operator', 'viewer'));
+  assert.ok(auth.allows('viewer', 'viewer'));
+  assert.ok(!auth.allows('viewer', 'operator'));
+  assert.ok(!auth.allows('operator', 'admin'));
+  assert.ok(!auth.allows(undefined, 'viewer'));
+});
+
+test('parseHeader reads key and id pairs and basic credentials', function () {
+  assert.deepStrictEqual(auth.parseHeader('key=abc,id=0123'), {
+    key: 'abc',
+    id: '0123'
+  });
+  assert.deepStrictEqual(auth.parseHeader('Basic ' + Buffer.from(
+    '0123:abc').toString('base64')), {
+    id: '0123',
+    key: 'abc'
+  });
+  assert.deepStrictEqual(auth.parseHeader('Basic ' + Buffer.from('0123')
+    .toString('base64')), {});
+});
+
+test('the rate limiter blocks a client after too many failures', function (
+  t) {
+  let now = 1000000;
+  t.mock.method(Date, 'now', function () {
+    return now;
+  });
+  let limiter = auth.createRateLimiter(3, 60000);
+  limiter.fail('10.0.0.1');
+  limiter.fail('10.0.0.1');
+  assert.strictEqual(limiter.blocked('10.0.0.1'), 0);
+  limiter.fail('10.0.0.1');
+  assert.strictEqual(limiter.blocked('10.0.0.1'), 60000);
+  assert.strictEqual(limiter.blocked('10.0.0.2'), 0);
+  now += 59000;
+  assert.strictEqual(limiter.blocked('10.0.0.1'), 1000);
+  now += 1000;
+  assert.strictEqual(limiter.blocked('10.0.0.1'), 0);
+  limiter.fail('10.0.0.1');
+  assert.strictEqual(limiter.blocked('10.0.0.1'), 0);
+});
@@ -0,0 +1,136 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const comparison = require('../lib/comparison');
+
+test('identical groups show no difference', function () {
+  let result = comparison.compareValues([10, 12, 11, 13, 9], [10, 12, 11,
+    13, 9], 'higher');
+  assert.strictEqual(result.difference, 0);
+  assert.strictEqual(result.exact, true);
+  assert.strictEqual(result.pValue, 1);
+  assert.strictEqual(result.significant, false);
+  assert.strictEqual(result.verdict, 'no significant difference');
+  assert.ok(result.interval[0] <= 0 && result.interval[1] >= 0);
+});
+
+test('clearly separated groups differ with the exact test', function () {
+  let a = [10, 11, 12, 10.5, 11.5];
+  let b = [20, 21, 22, 20.5, 21.5];
+  let result = comparison.compareValues(a, b, 'lower');
+  // 252 splits: only the observed one and its mirror are as extreme.
+  assert.strictEqual(result.exact, true);
+  assert.strictEqual(result.pValue, 2 / 252);
+  assert.ok(result.pValue < comparison.defaults.alpha);
+  assert.strictEqual(result.difference, 10);
+  assert.strictEqual(result.verdict, 'worse');
+  assert.ok(result.interval[0] > 0 && result.interval[0] <= 10);
+  assert.ok(result.interval[1] >= 10);
+  assert.ok(result.a.interval[0] >= 10 && result.a.interval[1] <= 12);
+  assert.strictEqual(comparison.compareValues(a, b, 'higher').verdict,
+    'better');
+});
+
+test('large groups are tested with random permutations', function () {
+  let a = [];
+  let b = [];
+  for (let i = 0; i < 20; i++) {
+    a.push(100 + i % 5);
+    b.push(110 + i % 5);
+  }
+  let result = comparison.compareValues(a, b, undefined, {
+    permutations: 1000
+  });
+  assert.strictEqual(result.exact, false);
+  // The observed split counts as one of the permutations.
+  assert.strictEqual(result.pValue, 1 / 1001);
+  assert.strictEqual(result.verdict, 'higher');
+});
+
+test('the seed makes the resamples repeatable', function () {
+  let a = [3, 5, 4, 6, 2, 7, 5, 4, 3, 6, 5, 4];
+  let b = [4, 6, 5, 7, 3, 8, 5, 5, 4, 6, 6, 5];
+  let options = {
+    resamples: 500,
+    permutations: 500,
+    seed: 7
+  };
+  let first = comparison.compareValues(a, b, 'higher', options);
+  let second = comparison.compareValues(a, b, 'higher', options);
+  assert.strictEqual(first.exact, false);
+  assert.deepStrictEqual(second, first);
+  let other = comparison.compareValues(a, b, 'higher', Object.assign({},
+    options, {
+      seed: 8
+    }));
+  assert.notDeepStrictEqual(other.interval, first.interval);
+});
+
+test('a group of one run gets no test', function () {
+  let result = comparison.compareValues([1], [2, 3], 'higher');
+  assert.strictEqual(result.pValue, null);
+  assert.strictEqual(result.verdict, 'insufficient runs');
+});
+
+// Reads fps values of the folders in values, 404 for the others.
+const reader = function (values) {
+  return function (folder, metric) {
+    if (metric !== 'fps' || !values[folder]) {
+      let err = new Error('no ' + metric);
+      err.statusCode = 404;
+      throw err;
+    }
+    return {
+      values: values[folder]
+    };
+  };
+};
+
+test('compareGroups compares the metrics every folder has', function (t,
+  done) {
+  let read = reader({
+    a1: [30, 30],
+    a2: [29, 31],
+    b1: [20, 20],
+    b2: [21, 19],
+    b3: []
+  });
+  let options = comparison.validateOptions({}, []);
+  comparison.compareGroups({
+    label: 'a',
+    folders: ['a1', 'a2']
+  }, {
+    label: 'b',
+    folders: ['b1', 'b2', 'b3']
+  }, ['fps'], read, options, function (err, result) {
+    assert.ifError(err);
+    assert.strictEqual(result.metrics.length, 1);
+    let fps = result.metrics[0];
+    assert.strictEqual(fps.metric, 'fps');
+    assert.strictEqual(fps.difference, -10);
+    assert.deepStrictEqual(fps.b.missing, ['b3']);
+    assert.strictEqual(fps.b.count, 2);
+    done();
+  });
+});
+
+test('compareGroups limits the resamples of a request', function (t, done) {
+  let options = comparison.validateOptions({
+    resamples: 100000,
+    permutations: 100000
+  }, []);
+  comparison.compareGroups({
+    folders: ['a1']
+  }, {
+    folders: ['b1']
+  }, ['fps', 'latency', 'jitter', 'bitrate', 'quality'], reader({}),
+  options, function (err) {
+    assert.strictEqual(err.statusCode, 400);
+    done();
+  });
+});
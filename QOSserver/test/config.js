@@ -0,0 +1,206 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const config = require('../lib/config');
+
+// Writes content as conf.json of a temporary folder and returns its name.
+const confFile = function (t, content) {
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), 'qos-config-'));
+  t.after(function () {
+    fs.rmSync(folder, {
+      recursive: true,
+      force: true
+    });
+  });
+  let file = path.join(folder, 'conf.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+};
+
+// The details of the error createConfig throws for options.
+const problems = function (options) {
+  let details;
+  assert.throws(function () {
+    config.createConfig(options);
+  }, function (err) {
+    details = err.details;
+    return err.statusCode === 400;
+  });
+  return details;
+};
+
+test('settings left out take their defaults', function (t) {
+  let file = confFile(t, {
+    server: {
+      port: 4010
+    }
+  });
+  let current = config.createConfig({
+    file: file
+  }).current();
+  assert.strictEqual(current.server.port, 4010);
+  assert.strictEqual(current.server.host, null);
+  assert.strictEqual(current.latency.frameCount, 600);
+  assert.strictEqual(current.alignment.source, 'barcode');
+  // Paths start at the folder of the file.
+  assert.strictEqual(current.paths.analysisDir, path.resolve(path.dirname(
+    file), '../analysis'));
+});
+
+test('unknown and misspelled keys are rejected', function (t) {
+  let file = confFile(t, {
+    latency: {
+      framecount: 300
+    },
+    serverr: {},
+    jitter: {
+      frameCount: 'many'
+    },
+    alignment: {
+      source: 'digits'
+    }
+  });
+  assert.deepStrictEqual(problems({
+    file: file
+  }), [
+    'unknown setting latency.framecount, did you mean latency.frameCount?',
+    'unknown setting serverr, did you mean server?',
+    'jitter.frameCount must be an integer',
+    'alignment.source must be one of tags, barcode'
+  ]);
+});
+
+test('profiles, the environment and the command line override the file',
+  function (t) {
+    let file = confFile(t, {
+      server: {
+        port: 4010
+      },
+      jitter: {
+        frameCount: 100
+      },
+      profiles: {
+        lab2: {
+          server: {
+            port: 4020
+          },
+          latency: {
+            frameCount: 200
+          }
+        }
+      }
+    });
+    let current = config.createConfig({
+      file: file,
+      env: {
+        QOS_PROFILE: 'lab2',
+        QOS_SERVER_PORT: '4030',
+        QOS_JITTER_FRAME_COUNT: '300',
+        QOS_SERVER_HOST: 'null'
+      },
+      argv: ['--server.port=4040', '--quality.width', '640']
+    }).current();
+    assert.strictEqual(current.server.port, 4040);
+    assert.strictEqual(current.server.host, null);
+    assert.strictEqual(current.latency.frameCount, 200);
+    assert.strictEqual(current.jitter.frameCount, 300);
+    assert.strictEqual(current.quality.width, 640);
+  });
+
+test('bad overrides are rejected', function (t) {
+  let file = confFile(t, {});
+  assert.deepStrictEqual(problems({
+    file: file,
+    env: {
+      QOS_SERVER_PORTT: '4030',
+      QOS_JITTER_FRAME_COUNT: 'many',
+      // Not a setting of a section: left alone.
+      QOS_OTHER: 'x'
+    }
+  }), [
+    'unknown setting in environment variable QOS_SERVER_PORTT, did you ' +
+    'mean QOS_SERVER_PORT?',
+    'QOS_JITTER_FRAME_COUNT must be a number'
+  ]);
+  assert.deepStrictEqual(problems({
+    file: file,
+    argv: ['--server.prot=4040', '--server.port=70000', 'stray',
+      '--jitter.frameCount'
+    ]
+  }), [
+    'unknown option --server.prot, did you mean --server.port?',
+    '--server.port must be at most 65535',
+    'unexpected argument stray',
+    '--jitter.frameCount needs a value'
+  ]);
+  assert.deepStrictEqual(problems({
+    file: file,
+    argv: ['--profile', 'lab9']
+  }), ['unknown profile lab9']);
+});
+
+test('reload applies settings at once and keeps restart ones pending',
+  function (t) {
+    let file = confFile(t, {
+      server: {
+        port: 4010
+      },
+      jitter: {
+        frameCount: 100
+      }
+    });
+    let conf = config.createConfig({
+      file: file
+    });
+    let reloaded = [];
+    conf.onReload(function (current) {
+      reloaded.push(current.jitter.frameCount);
+    });
+    fs.writeFileSync(file, JSON.stringify({
+      server: {
+        port: 4020
+      },
+      jitter: {
+        frameCount: 200
+      }
+    }));
+    assert.deepStrictEqual(conf.reload(), {
+      changed: ['jitter.frameCount'],
+      pending: ['server.port']
+    });
+    assert.deepStrictEqual(conf.pending(), ['server.port']);
+    assert.strictEqual(conf.current().server.port, 4010);
+    assert.strictEqual(conf.current().jitter.frameCount, 200);
+    assert.deepStrictEqual(reloaded, [200]);
+  });
+
+test('an invalid file on reload keeps the configuration', function (t) {
+  let file = confFile(t, {
+    jitter: {
+      frameCount: 100
+    }
+  });
+  let conf = config.createConfig({
+    file: file
+  });
+  fs.writeFileSync(file, JSON.stringify({
+    jitter: {
+      frameCount: 0
+    }
+  }));
+  assert.throws(function () {
+    conf.reload();
+  }, function (err) {
+    return err.statusCode === 400 && err.details[0] ===
+      'jitter.frameCount must be at least 1';
+  });
+  assert.strictEqual(conf.current().jitter.frameCount, 100);
+});
@@ -0,0 +1,49 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const exporter = require('../lib/exporter');
+
+const record = {
+  folder: '20190501/1',
+  runId: 'run-1',
+  spec: {
+    codec: 'vp8',
+    bitrate: 2000,
+    width: 1280,
+    height: 720
+  },
+  createdAt: '2019-05-01T00:00:00.000Z',
+  metrics: {
+    fps: {
+      unit: 'fps',
+      summary: {
+        mean: 29.5
+      }
+    }
+  }
+};
+
+test('prometheus labels the result with its resolution', function () {
+  let lines = exporter.prometheus(record, false).split('\n');
+  assert.ok(lines.indexOf('qos_result_mean{metric="fps",unit="fps",' +
+    'folder="20190501/1",codec="vp8",bitrate="2000",resolution="1280x720"}' +
+    ' 29.5') !== -1);
+  assert.ok(lines.some(function (line) {
+    return line.startsWith('qos_result_info{') &&
+      line.indexOf('resolution="1280x720"') !== -1;
+  }));
+});
+
+test('prometheus leaves out an unknown resolution', function () {
+  let text = exporter.prometheus(Object.assign({}, record, {
+    spec: {
+      codec: 'vp8'
+    }
+  }), false);
+  assert.strictEqual(text.indexOf('resolution='), -1);
+});
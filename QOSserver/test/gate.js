@@ -0,0 +1,212 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const gate = require('../lib/gate');
+
+/*
+ * A read(name) of gate.evaluate over metrics, name => values or
+ * {columns, values}; other metrics are missing.
+ */
+const reader = function (metrics) {
+  return function (name) {
+    let metric = metrics[name];
+    if (metric === undefined) {
+      let err = new Error('no ' + name);
+      err.statusCode = 404;
+      throw err;
+    }
+    return Array.isArray(metric) ? {
+      values: metric
+    } : metric;
+  };
+};
+
+const result = reader({
+  latency: [100, 120, 140, 160, 180],
+  vmaf: [90, 92, 94],
+  freezing: [0, 0, 0, 1],
+  quality: {
+    columns: ['psnr', 'ssim'],
+    values: {
+      psnr: [40, 42],
+      ssim: [0.98, 0.99]
+    }
+  }
+});
+
+test('validatePolicy lists the problems of a policy', function () {
+  assert.deepStrictEqual(gate.validatePolicy({
+    rules: [{
+      metric: 'vmaf',
+      stat: 'mean',
+      op: '>=',
+      value: 85
+    }]
+  }), []);
+  assert.deepStrictEqual(gate.validatePolicy({}), ['policy has no rules']);
+  assert.deepStrictEqual(gate.validatePolicy([]), ['policy must be an object']);
+  let errors = gate.validatePolicy({
+    rules: [{
+      metric: 'nope',
+      stat: 'mean',
+      op: '>=',
+      value: 1
+    }, {
+      metric: 'quality',
+      stat: 'median',
+      op: '=>',
+      value: '1'
+    }],
+    regressions: [{
+      metric: 'latency',
+      stat: 'p95',
+      tolerancePercent: -1
+    }]
+  });
+  assert.deepStrictEqual(errors, [
+    'rules[0]: unknown metric nope',
+    'rules[1]: column must be one of psnr, ssim',
+    'rules[1]: stat must be one of ' + gate.statNames.join(', '),
+    'rules[1]: op must be one of < <= > >= ==',
+    'rules[1]: value must be a number',
+    'regressions[0]: tolerancePercent must be a number >= 0'
+  ]);
+});
+
+test('rules pass and fail on the statistic of a metric', function () {
+  let evaluation = gate.evaluate({
+    rules: [{
+      metric: 'vmaf',
+      stat: 'mean',
+      op: '>=',
+      value: 85
+    }, {
+      metric: 'latency',
+      stat: 'max',
+      op: '<=',
+      value: 150
+    }, {
+      metric: 'freezing',
+      stat: 'percentAbove',
+      threshold: 0,
+      op: '<=',
+      value: 25
+    }, {
+      metric: 'quality',
+      column: 'psnr',
+      stat: 'min',
+      op: '>',
+      value: 35
+    }]
+  }, result);
+  assert.deepStrictEqual(evaluation.rules.map(function (rule) {
+    return [rule.status, rule.actual];
+  }), [['pass', 92], ['fail', 180], ['pass', 25], ['pass', 40]]);
+  assert.strictEqual(evaluation.rules[1].message,
+    'max latency 180 is not <= 150');
+  assert.strictEqual(evaluation.passed, false);
+});
+
+test('a metric without values is missing and fails the gate', function () {
+  let evaluation = gate.evaluate({
+    rules: [{
+      metric: 'vmaf',
+      stat: 'mean',
+      op: '>=',
+      value: 85
+    }, {
+      metric: 'fps',
+      stat: 'mean',
+      op: '>=',
+      value: 25
+    }]
+  }, result);
+  assert.strictEqual(evaluation.rules[1].status, 'missing');
+  assert.strictEqual(evaluation.rules[1].actual, null);
+  assert.strictEqual(evaluation.rules[1].message, 'no values for mean fps');
+  assert.strictEqual(evaluation.passed, false);
+});
+
+test('other read errors are not taken for missing values', function () {
+  assert.throws(function () {
+    gate.evaluate({
+      rules: [{
+        metric: 'fps',
+        stat: 'mean',
+        op: '>=',
+        value: 25
+      }]
+    }, function () {
+      throw new Error('disk on fire');
+    });
+  }, /disk on fire/);
+});
+
+test('regressions compare with the baseline within the tolerance',
+  function () {
+    let policy = {
+      regressions: [{
+        metric: 'latency',
+        stat: 'mean',
+        tolerancePercent: 10
+      }, {
+        metric: 'vmaf',
+        stat: 'mean',
+        tolerance: 1
+      }, {
+        metric: 'fps',
+        stat: 'mean'
+      }]
+    };
+    let baseline = reader({
+      // mean 130: 140 is 10 worse, 13 allowed.
+      latency: [120, 130, 140],
+      // mean 94: 92 is 2 worse, 1 allowed.
+      vmaf: [94],
+      fps: [30]
+    });
+    let evaluation = gate.evaluate(policy, result, baseline);
+    assert.deepStrictEqual(evaluation.regressions.map(function (check) {
+      return [check.status, check.baseline, check.actual, check.delta,
+        check.allowed
+      ];
+    }), [
+      ['pass', 130, 140, 10, 13],
+      ['fail', 94, 92, -2, 1],
+      ['missing', 30, null, null, null]
+    ]);
+    assert.strictEqual(evaluation.regressions[2].message,
+      'no values for mean fps in the result');
+    assert.strictEqual(evaluation.passed, false);
+  });
+
+test('without a baseline the regressions are skipped', function () {
+  let evaluation = gate.evaluate({
+    regressions: [{
+      metric: 'latency',
+      stat: 'p95',
+      tolerancePercent: 10
+    }]
+  }, result);
+  assert.strictEqual(evaluation.regressions[0].status, 'skipped');
+  assert.strictEqual(evaluation.passed, true);
+});
+
+test('an improvement is no regression', function () {
+  let evaluation = gate.evaluate({
+    regressions: [{
+      metric: 'latency',
+      stat: 'mean'
+    }]
+  }, result, reader({
+    latency: [400]
+  }));
+  assert.strictEqual(evaluation.regressions[0].status, 'pass');
+  assert.strictEqual(evaluation.regressions[0].delta, -260);
+  assert.strictEqual(evaluation.passed, true);
+});
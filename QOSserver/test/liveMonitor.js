@@ -0,0 +1,85 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const alignment = require('../lib/alignment');
+const liveMonitor = require('../lib/liveMonitor');
+
+const width = alignment.tagArea.width;
+const height = alignment.tagArea.height;
+
+// A record of localLatency.txt with the barcode of tag in its tag area.
+const tagRecord = function (tag, time) {
+  let frame = Buffer.alloc(width * height * 3 / 2, 128);
+  alignment.encodeBarcode(frame, width, height, tag);
+  let values = [time];
+  for (let i = 0; i < width * height; i++) {
+    values.push(frame[i], frame[i], frame[i], 255);
+  }
+  return values.join(',') + ',';
+};
+
+const dataFolder = function (t) {
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), 'qos-live-'));
+  t.after(function () {
+    fs.rmSync(folder, {
+      recursive: true,
+      force: true
+    });
+  });
+  return folder;
+};
+
+// The values of every series the monitor found in folder so far.
+const watchValues = function (folder, settings) {
+  let monitor = liveMonitor.createLiveMonitor({
+    interval: 60000,
+    alignment: function () {
+      return settings;
+    }
+  });
+  let watcher = monitor.watch(folder, function () {});
+  watcher.close();
+  let values = {};
+  for (let event of watcher.history) {
+    values[event.series] = event.values;
+  }
+  return values;
+};
+
+test('barcodes give live latency', function (t) {
+  let folder = dataFolder(t);
+  // Tag k is published at (k + 1) s; the second round of 6 counts on from 6.
+  let sent = [];
+  for (let tag = 0; tag < 12; tag++) {
+    sent.push(tag + ',' + (tag + 1) * 1000 + ',');
+  }
+  fs.writeFileSync(path.join(folder, 'localPublishTime.txt'), sent.join(''));
+  fs.writeFileSync(path.join(folder, 'localLatency.txt'), tagRecord(1,
+    2100) + tagRecord(5, 6150) + tagRecord(1, 8120) + tagRecord(3, 10090));
+  let values = watchValues(folder, {
+    source: 'barcode',
+    tagWrap: 6
+  });
+  assert.deepStrictEqual(values.latency, [100, 150, 120, 90]);
+  assert.deepStrictEqual(values.frameInterval, [101, 49, 49]);
+});
+
+test('digit tags give no live latency', function (t) {
+  let folder = dataFolder(t);
+  fs.writeFileSync(path.join(folder, 'localPublishTime.txt'), '0,1000,');
+  fs.writeFileSync(path.join(folder, 'localLatency.txt'), tagRecord(0,
+    1100) + tagRecord(0, 1500));
+  let values = watchValues(folder, {
+    source: 'tags'
+  });
+  assert.strictEqual(values.latency, undefined);
+  assert.deepStrictEqual(values.frameInterval, [10]);
+});
@@ -0,0 +1,72 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const metrics = require('../lib/metrics');
+
+test('tagPairs pairs tags with times', function () {
+  assert.deepStrictEqual(metrics.tagPairs([1, 100, 2, 200, 3]), [{
+    tag: 1,
+    time: 100
+  }, {
+    tag: 2,
+    time: 200
+  }]);
+  assert.deepStrictEqual(metrics.tagPairs([1, null, 2, 200]), [{
+    tag: 2,
+    time: 200
+  }]);
+});
+
+test('tagged leaves out frames without a tag', function () {
+  assert.deepStrictEqual(metrics.tagged([{
+    tag: null,
+    time: 100
+  }, {
+    tag: 4,
+    time: 133
+  }]), [{
+    tag: 4,
+    time: 133
+  }]);
+});
+
+test('latency matches received frames to sent ones by tag', function () {
+  let sent = metrics.tagPairs([1, 1000, 2, 1033, 3, 1066]);
+  let received = metrics.tagPairs([2, 1100, 1, 1050, 4, 1200]);
+  assert.deepStrictEqual(metrics.latency(sent, received), [50, 67]);
+});
+
+test('latency counts every publish of a repeated tag', function () {
+  let sent = metrics.tagPairs([1, 1000, 1, 1010]);
+  let received = metrics.tagPairs([1, 1100]);
+  assert.deepStrictEqual(metrics.latency(sent, received), [100, 90]);
+});
+
+test('jitter skips the first interval and repeated frames', function () {
+  let received = metrics.tagPairs([1, 0, 2, 33, 2, 40, 3, 66, 5, 132]);
+  assert.deepStrictEqual(metrics.jitter(received, 600), [33, 33]);
+});
+
+test('jitter follows tags that wrap around the frame count', function () {
+  let received = metrics.tagPairs([597, 0, 598, 33, 599, 66, 0, 99]);
+  assert.deepStrictEqual(metrics.jitter(received, 600), [33, 33]);
+});
+
+test('fps drops samples without a value', function () {
+  assert.deepStrictEqual(metrics.fps([30, null, 29]), [30, 29]);
+});
+
+test('bitrate turns byte counts into kbps', function () {
+  assert.deepStrictEqual(metrics.bitrate([0, 3072, 6144]), [8, 8]);
+});
+
+test('bitrate skips missing samples and new connections', function () {
+  assert.deepStrictEqual(metrics.bitrate([0, 3072, -1000, 9216, 100,
+    3172
+  ]), [8, 8]);
+});
@@ -0,0 +1,133 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const alignment = require('../lib/alignment');
+const participants = require('../lib/participants');
+
+// A publisher and a subscriber that lost the frame with tag 2.
+const fixture = path.join(__dirname, 'fixtures', 'participants');
+const settings = {
+  source: 'tags',
+  tagWrap: 600
+};
+
+// A copy of the fixture to change.
+const copyFixture = function (t) {
+  let folder = fs.mkdtempSync(path.join(os.tmpdir(), 'qos-participants-'));
+  t.after(function () {
+    fs.rmSync(folder, {
+      recursive: true,
+      force: true
+    });
+  });
+  fs.cpSync(fixture, folder, {
+    recursive: true
+  });
+  return folder;
+};
+
+// A record of localLatency.txt with the barcode of tag in its tag area.
+const tagRecord = function (tag, time) {
+  let width = alignment.tagArea.width;
+  let height = alignment.tagArea.height;
+  let frame = Buffer.alloc(width * height * 3 / 2, 128);
+  alignment.encodeBarcode(frame, width, height, tag);
+  let values = [time];
+  for (let i = 0; i < width * height; i++) {
+    values.push(frame[i], frame[i], frame[i], 255);
+  }
+  return values.join(',') + ',';
+};
+
+const byId = function (result, id) {
+  return result.participants.find(function (participant) {
+    return participant.id === id;
+  });
+};
+
+test('list finds the participants in join order', function () {
+  assert.deepStrictEqual(participants.list(fixture).map(function (
+    participant) {
+    return [participant.id, participant.role, participant.index];
+  }), [
+    ['publisher-1', 'publisher', 0],
+    ['subscriber-1', 'subscriber', 1]
+  ]);
+});
+
+test('analyse reads the tags of every participant folder', function (t,
+  done) {
+  participants.analyse(fixture, settings, function (err, result) {
+    assert.ifError(err);
+    let publisher = byId(result, 'publisher-1');
+    assert.strictEqual(publisher.roomSize, 1);
+    assert.strictEqual(publisher.summary.latency, null);
+    let subscriber = byId(result, 'subscriber-1');
+    assert.strictEqual(subscriber.roomSize, 2);
+    assert.strictEqual(subscriber.tagSource, 'tags');
+    assert.strictEqual(subscriber.tagError, null);
+    assert.strictEqual(subscriber.summary.latency.mean, 50);
+    assert.strictEqual(subscriber.summary.jitter.mean, 33);
+    assert.strictEqual(subscriber.summary.fps.mean, 30);
+    assert.strictEqual(subscriber.summary.bitrate.mean, 8);
+    assert.strictEqual(subscriber.loss.dropped, 1);
+    assert.strictEqual(subscriber.summary.lossRate.mean, 0.2);
+    assert.deepStrictEqual(result.aggregate.latency.worst, {
+      id: 'subscriber-1',
+      value: 50
+    });
+    assert.strictEqual(result.aggregate.lossRate.participants, 1);
+    assert.strictEqual(participants.resultText(result),
+      '50,33,30,8,0.2,\n');
+    done();
+  });
+});
+
+test('analyse reads the barcodes the participants received', function (t,
+  done) {
+  let folder = copyFixture(t);
+  let subscriber = path.join(folder, 'subscriber-1');
+  fs.unlinkSync(path.join(subscriber, 'rec_timestamp.txt'));
+  fs.writeFileSync(path.join(subscriber, 'localLatency.txt'), tagRecord(0,
+    1050) + tagRecord(1, 1083) + tagRecord(3, 1150) + tagRecord(4, 1183));
+  participants.analyse(folder, Object.assign({}, settings, {
+    source: 'barcode'
+  }), function (err, result) {
+    assert.ifError(err);
+    let received = byId(result, 'subscriber-1');
+    assert.strictEqual(received.tagSource, 'barcode');
+    assert.strictEqual(received.summary.latency.mean, 50);
+    assert.strictEqual(received.summary.lossRate.mean, 0.2);
+    done();
+  });
+});
+
+test('analyse reports participants without tags', function (t, done) {
+  let folder = copyFixture(t);
+  fs.unlinkSync(path.join(folder, 'subscriber-1', 'rec_timestamp.txt'));
+  participants.analyse(folder, settings, function (err, result) {
+    assert.ifError(err);
+    let subscriber = byId(result, 'subscriber-1');
+    assert.strictEqual(subscriber.tagSource, null);
+    assert.match(subscriber.tagError, /require native tag recognition/);
+    assert.strictEqual(subscriber.summary.latency, null);
+    assert.strictEqual(subscriber.summary.fps.mean, 30);
+    done();
+  });
+});
+
+test('analyse needs participant folders', function (t, done) {
+  participants.analyse(path.join(fixture, 'publisher-1'), settings,
+    function (err) {
+      assert.strictEqual(err.statusCode, 404);
+      done();
+    });
+});
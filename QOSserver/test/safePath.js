@@ -0,0 +1,120 @@
+// Copyright (C) <2019> Intel Corporation
+//
+// SPDX-License-Identifier: Apache-2.0
+//
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+const safePath = require('../lib/safePath');
+
+/*
+ * A temporary folder holding base/20190501/1/fps.txt, outside/secret.txt,
+ * the link base/linked to outside and base/20190501/1/leaked.txt to
+ * outside/secret.txt.
+ */
+const tree = function (t) {
+  let root = fs.mkdtempSync(path.join(os.tmpdir(), 'qos-safePath-'));
+  t.after(function () {
+    fs.rmSync(root, {
+      recursive: true,
+      force: true
+    });
+  });
+  let base = path.join(root, 'base');
+  let run = path.join(base, '20190501', '1');
+  let outside = path.join(root, 'outside');
+  fs.mkdirSync(run, {
+    recursive: true
+  });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(run, 'fps.txt'), '30,');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+  fs.symlinkSync(outside, path.join(base, 'linked'));
+  fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(run,
+    'leaked.txt'));
+  return {
+    root: root,
+    base: base,
+    run: run
+  };
+};
+
+const rejects = function (statusCode, resolve) {
+  assert.throws(resolve, function (err) {
+    return err.statusCode === statusCode;
+  });
+};
+
+test('resolveInside resolves names inside the base folder', function (t) {
+  let dirs = tree(t);
+  assert.strictEqual(safePath.resolveInside(dirs.base, '20190501/1'),
+    dirs.run);
+  assert.strictEqual(safePath.resolveInside(dirs.base, '.'), dirs.base);
+  assert.strictEqual(safePath.resolveInside(dirs.base, path.join(dirs.run,
+    'fps.txt')), path.join(dirs.run, 'fps.txt'));
+  rejects(404, function () {
+    safePath.resolveInside(dirs.base, '20190501/2');
+  });
+});
+
+test('resolveInside rejects .. traversal', function (t) {
+  let dirs = tree(t);
+  rejects(400, function () {
+    safePath.resolveInside(dirs.base, '../outside/secret.txt');
+  });
+  rejects(400, function () {
+    safePath.resolveInside(dirs.base, '20190501/../../outside');
+  });
+  // Names that come back inside are fine.
+  assert.strictEqual(safePath.resolveInside(dirs.base, '20190501/1/../1'),
+    dirs.run);
+});
+
+test('resolveInside rejects absolute paths outside the base folder',
+  function (t) {
+    let dirs = tree(t);
+    rejects(400, function () {
+      safePath.resolveInside(dirs.base, path.join(dirs.root, 'outside'));
+    });
+    rejects(400, function () {
+      safePath.resolveInside(dirs.base, '/etc/passwd');
+    });
+    // A sibling whose name starts like the base folder.
+    rejects(400, function () {
+      safePath.resolveInside(dirs.base, dirs.base + '-other');
+    });
+  });
+
+test('resolveInside rejects a symbolic link in the path', function (t) {
+  let dirs = tree(t);
+  rejects(400, function () {
+    safePath.resolveInside(dirs.base, 'linked/secret.txt');
+  });
+  rejects(400, function () {
+    safePath.resolveInside(dirs.base, 'linked');
+  });
+});
+
+test('resolveFile rejects a symbolic link as the file', function (t) {
+  let dirs = tree(t);
+  rejects(400, function () {
+    safePath.resolveFile(dirs.run, 'leaked.txt');
+  });
+  assert.strictEqual(safePath.resolveFile(dirs.run, 'fps.txt'), path.join(
+    dirs.run, 'fps.txt'));
+});
+
+test('resolveFile rejects names with a folder and invalid names',
+  function (t) {
+    let dirs = tree(t);
+    for (let name of ['../fps.txt', '1/fps.txt', '..\\fps.txt', '.', '..',
+      'fps.txt\0', '', undefined]) {
+      rejects(400, function () {
+        safePath.resolveFile(dirs.run, name);
+      });
+    }
+  });
@@ -122,11 +122,64 @@ def run_qos_client(param):
     run_cmd(cmd)
 
 
+def participant_list(conf):
+    """Expands the participant groups of the run spec, in join order."""
+    logging.debug('')
+    participants = []
+    counts = collections.defaultdict(int)
+    for group in conf.get('participants', []):
+        role = group.get('role')
+        for _ in range(int(group.get('count', 1))):
+            counts[role] += 1
+            participants.append({'id': '%s-%d' % (role, counts[role]),
+                                 'role': role})
+    return participants
+
+
+def run_participants(param, participants, interval):
+    """Starts a client per participant, one every interval seconds, each
+    with its own data folder. Every client stays param.timeout seconds
+    after the last one joined, so that all of them leave together."""
+    logging.debug('')
+    threads = []
+    last_join = interval * (len(participants) - 1)
+    for index, participant in enumerate(participants):
+        if index > 0:
+            time.sleep(interval)
+        client = copy.copy(param)
+        client.publish = participant['role'] in ('publisher', 'both')
+        client.subscribe = participant['role'] in ('subscriber', 'both')
+        client.data_dir = os.path.join(param.data_dir, participant['id'])
+        client.timeout = str(int(param.timeout) + last_join - interval * index)
+        if not os.path.isdir(client.data_dir):
+            os.makedirs(client.data_dir)
+        info = dict(participant, index=index, join=interval * index,
+                    joinedAt=int(time.time() * 1000))
+        with open(os.path.join(client.data_dir, 'participant.json'), 'w') as f:
+            f.write(json.dumps(info, indent=2))
+        logging.info('%s joins as %s' % (participant['id'], participant['role']))
+        thread = threading.Thread(target=run_qos_client, args=[client])
+        thread.daemon = True
+        thread.start()
+        threads.append(thread)
+    for thread in threads:
+        thread.join()
+
+
 if __name__ == '__main__':
     os.chdir(os.path.abspath(os.path.dirname(sys.argv[0])))
     file_path = os.path.abspath(os.path.dirname(__file__))
-    conf_path = os.path.join(file_path, 'config.json')
-    conf = json.loads(open(conf_path, 'r').read())
+    parser = argparse.ArgumentParser(
+        description='Run qos automation test framework')
+    parser.add_argument('--name', dest='name', default='qosTest',
+                        required=False,
+                        help='Reset current process name of runQosCleint.py(default: qosTest')
+    parser.add_argument('--config', dest='config',
+                        default=os.path.join(file_path, 'config.json'),
+                        required=False,
+                        help='Path of the test configuration file(default: config.json')
+    args = parser.parse_args()
+    conf = json.loads(open(args.config, 'r').read())
     log_format = '%(filename)s[%(lineno)d][%(levelname)s][%(funcName)s]:%(message)s'
     log_level = get_debug_level(conf.get('logLevel', None))
     if conf.get('logToFile', False):
@@ -135,12 +188,6 @@ if __name__ == '__main__':
     else:
         logging.basicConfig(level=log_level, format=log_format)
     logging.debug('')
-    parser = argparse.ArgumentParser(
-        description='Run qos automation test framework')
-    parser.add_argument('--name', dest='name', default='qosTest',
-                        required=False,
-                        help='Reset current process name of runQosCleint.py(default: qosTest')
-    args = parser.parse_args()
     setproctitle.setproctitle(args.name)
     clean_env()
     logging.debug(conf)
@@ -160,7 +207,12 @@ if __name__ == '__main__':
     param.video_file = conf.get('videoFile', '')
     param.data_dir = conf.get('dataDir', '')
     param.log = 'log.txt'
-    thread = threading.Thread(target=run_qos_client, args=[param])
-    thread.daemon = True
-    thread.start()
-    thread.join()
+    participants = participant_list(conf)
+    if participants:
+        run_participants(param, participants,
+                         int(conf.get('joinInterval', 0)))
+    else:
+        thread = threading.Thread(target=run_qos_client, args=[param])
+        thread.daemon = True
+        thread.start()
+        thread.join()